@@ -7,6 +7,10 @@ import LoginPage from './pages/LoginPage';
 import CallbackPage from './pages/CallbackPage';
 import VerificationPage from './pages/VerificationPage';
 import Reflection from './pages/Reflection';
+import ReflectionSettings from './pages/ReflectionSettings';
+import MetaView from './pages/MetaView';
+import DecisionHistory from './pages/DecisionHistory';
+import DormantDecisions from './pages/DormantDecisions';
 import ImportBridge from './pages/ImportBridge';
 import Curation from './pages/Curation';
 import WikiIndex from './pages/WikiIndex';
@@ -14,6 +18,7 @@ import { AuthService } from './services/auth';
 import { ConfirmProvider } from './contexts/ConfirmContext';
 import MigrationNotice from './components/MigrationNotice';
 import SyncStatus from './components/SyncStatus';
+import { ConflictPanelHost } from './components/ConflictPanel';
 import AppNav from './components/layout/AppNav';
 
 const LoadingScreen = () => (
@@ -124,15 +129,18 @@ async function checkRepoExists(token, repoName) {
 export const useAuth = () => useContext(AuthContext);
 
 import { dbHelpers } from './utils/database';
-import { getPendingSyncProcessor } from './sync';
+import { getSyncEngine } from './sync';
 import { startScheduler, stopScheduler, requestNotificationPermission } from './services/curationScheduler';
 import { initByokCache } from './services/byokClient';
+import { useCurationStore } from './stores/curationStore';
 
 function AuthLayout() {
   return (
     <>
       <AppNav />
       <Outlet />
+      {/* 동기화 충돌 패널 — 어느 화면에서든 백그라운드 저장 충돌을 묻는다 */}
+      <ConflictPanelHost />
     </>
   );
 }
@@ -154,22 +162,30 @@ function AppContent() {
     return () => stopScheduler();
   }, [user]);
 
+  // 큐레이션 컴파일 작업 큐 — 이전에 멈춘 작업부터 이어서 처리 (로그인 상태에서만)
+  useEffect(() => {
+    if (!user) return;
+    const { startCompileQueue, stopCompileQueue } = useCurationStore.getState();
+    startCompileQueue().catch(err => console.error('Compile queue start error:', err));
+    return () => stopCompileQueue();
+  }, [user]);
+
   // 오프라인 보류 항목 배치 동기화 (로그인 상태에서만 실행)
   useEffect(() => {
     if (!user) return;
-    const processor = getPendingSyncProcessor();
-    processor.start();
+    const engine = getSyncEngine();
+    engine.start();
 
     // 탭이 백그라운드로 전환될 때 즉시 flush — 포그라운드 복귀 전 데이터 유실 방지
     const handleVisibilityChange = () => {
       if (document.visibilityState === 'hidden') {
-        processor.flush();
+        engine.flush();
       }
     };
     document.addEventListener('visibilitychange', handleVisibilityChange);
 
     return () => {
-      processor.stop();
+      engine.stop();
       document.removeEventListener('visibilitychange', handleVisibilityChange);
     };
   }, [user]);
@@ -178,7 +194,7 @@ function AppContent() {
   useEffect(() => {
     const handleBeforeUnload = (e) => {
       // 종료 직전 flush 시도 (fire-and-forget — 서버 부하 최소화)
-      getPendingSyncProcessor().flush().catch(() => { });
+      getSyncEngine().flush().catch(() => { });
 
       // 비동기 카운트 확인 후 경고 (브라우저가 이벤트 루프를 허용하는 경우)
       dbHelpers.getUnsyncedCount().then(count => {
@@ -241,6 +257,10 @@ function AppContent() {
               </>
             } />
             <Route path="/reflection" element={<Reflection />} />
+            <Route path="/reflection/settings" element={<ReflectionSettings />} />
+            <Route path="/reflection/meta" element={<MetaView />} />
+            <Route path="/reflection/decisions" element={<DecisionHistory />} />
+            <Route path="/reflection/dormant" element={<DormantDecisions />} />
             <Route path="/curation" element={<Curation />} />
             <Route path="/wiki" element={<WikiIndex />} />
           </Route>
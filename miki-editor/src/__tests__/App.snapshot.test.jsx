@@ -69,6 +69,7 @@ jest.mock('../config/queryClient', () => ({
 jest.mock('../config/featureFlags', () => ({
   FEATURE_FLAGS: {},
   isFeatureEnabled: () => true,
+  isUserFeatureEnabled: () => false,
 }));
 
 // Mock hooks
@@ -124,12 +125,14 @@ jest.mock('../utils/database', () => ({
   },
 }));
 
-// PendingSyncProcessor 실제 setInterval 방지
+// SyncEngine 실제 setInterval 방지
 jest.mock('../sync', () => ({
-  getPendingSyncProcessor: () => ({
+  getSyncEngine: () => ({
     start: jest.fn(),
     stop: jest.fn(),
     flush: jest.fn().mockResolvedValue(undefined),
+    getStatus: () => ({ isOnline: true, pendingCount: 0, failedCount: 0, lastError: null }),
+    subscribe: () => () => {},
   }),
 }));
 
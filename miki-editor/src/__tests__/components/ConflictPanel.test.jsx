@@ -0,0 +1,138 @@
+/**
+ * ConflictPanel.test.jsx — 동기화 충돌 패널 검증
+ *
+ * 충돌 구간별 내 것 / 서버 것 / 편집 선택과 병합 결과, 그리고
+ * ConflictResolver.promptUserResolution → 패널 → 결과 반환 흐름을 검증합니다.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { ConflictPanel, ConflictPanelHost } from '../../components/ConflictPanel';
+import { useConflictStore } from '../../stores/conflictStore';
+import { ConflictResolver } from '../../sync/conflict';
+import { mergeThreeWay } from '../../sync/threeWayMerge';
+
+const base = '# 장보기\n\n우유\n\n계란\n\n빵';
+const local = { title: '장보기', content: '# 장보기\n\n두유\n\n계란\n\n빵', updatedAt: '2026-03-01T09:00:00.000Z' };
+const server = { title: '장보기', content: '# 장보기\n\n저지방 우유\n\n계란\n\n식빵', updatedAt: '2026-03-01T09:00:05.000Z' };
+
+const makeConflict = () => ({
+  id: 'cf-test',
+  documentId: 'doc-1',
+  title: '장보기',
+  local,
+  server,
+  hunks: mergeThreeWay(base, local.content, server.content).hunks,
+  threeWay: true,
+  mergedTitle: '장보기',
+});
+
+describe('ConflictPanel', () => {
+  test('모든 충돌 구간을 고르기 전에는 병합 저장을 막는다', () => {
+    const onResolve = jest.fn();
+    render(<ConflictPanel conflict={makeConflict()} onResolve={onResolve} onLater={jest.fn()} />);
+
+    // 겹친 구간은 '우유' 한 곳, '빵' → '식빵'은 서버만 고쳐 이미 합쳐짐
+    expect(screen.getAllByText('서버 것')).toHaveLength(1);
+    expect(screen.getByText('병합 결과 저장')).toBeDisabled();
+
+    fireEvent.click(screen.getByText('서버 것'));
+    fireEvent.click(screen.getByText('병합 결과 저장'));
+
+    expect(onResolve).toHaveBeenCalledWith({
+      action: 'merge',
+      title: '장보기',
+      content: '# 장보기\n\n저지방 우유\n\n계란\n\n식빵',
+    });
+  });
+
+  test('편집한 내용이 병합 결과에 들어간다', () => {
+    const onResolve = jest.fn();
+    render(<ConflictPanel conflict={makeConflict()} onResolve={onResolve} onLater={jest.fn()} />);
+
+    fireEvent.click(screen.getByText('편집'));
+    fireEvent.change(screen.getByLabelText('충돌 구간 직접 편집'), { target: { value: '두유와 우유' } });
+    fireEvent.click(screen.getByText('편집 완료'));
+    fireEvent.click(screen.getByText('병합 결과 저장'));
+
+    expect(onResolve.mock.calls[0][0].content).toBe('# 장보기\n\n두유와 우유\n\n계란\n\n식빵');
+  });
+});
+
+describe('ConflictPanelHost + ConflictResolver', () => {
+  afterEach(() => {
+    useConflictStore.setState({ conflicts: [], activeId: null });
+  });
+
+  test('promptUserResolution은 패널에서 고른 결과를 어댑터 데이터와 합쳐 돌려준다', async () => {
+    render(<ConflictPanelHost />);
+    const resolver = new ConflictResolver();
+
+    let resolution;
+    await act(async () => {
+      const pending = resolver.resolve({
+        documentId: 'doc-1',
+        base: { title: '장보기', content: base },
+        local: { ...local, _meta: { etag: 'W/"1"' } },
+        server,
+        operation: 'update',
+      });
+      await Promise.resolve();
+      fireEvent.click(await screen.findByText('내 것'));
+      fireEvent.click(screen.getByText('병합 결과 저장'));
+      resolution = await pending;
+    });
+
+    expect(resolution.action).toBe('merge');
+    expect(resolution.data._meta).toEqual({ etag: 'W/"1"' });
+    expect(resolution.data.content).toBe('# 장보기\n\n두유\n\n계란\n\n식빵');
+    expect(useConflictStore.getState().conflicts).toHaveLength(0);
+  });
+
+  test('나중에를 누르면 충돌이 대기열에 남고, 패널이 없으면 묻지 않는다', async () => {
+    const { unmount } = render(<ConflictPanelHost />);
+    const resolver = new ConflictResolver({ strategy: 'prefer-server' });
+
+    let pending;
+    await act(async () => {
+      pending = resolver.resolve({ documentId: 'doc-1', base: { content: base }, local, server, operation: 'update' });
+      fireEvent.click(await screen.findByText('나중에'));
+    });
+    expect(useConflictStore.getState().conflicts).toHaveLength(1);
+    expect(screen.queryByRole('dialog')).toBeNull();
+
+    // 마지막 패널이 사라지면 기본 전략으로 넘어간다
+    unmount();
+    await expect(pending).resolves.toMatchObject({ action: 'use_server' });
+    expect(await resolver.promptUserResolution({ documentId: 'doc-2', local, server })).toBeNull();
+  });
+});
+
+describe('conflictStore', () => {
+  beforeEach(() => {
+    useConflictStore.setState({ conflicts: [], activeId: null, hostCount: 1 });
+  });
+  afterEach(() => {
+    useConflictStore.setState({ conflicts: [], activeId: null, hostCount: 0 });
+  });
+
+  test('같은 문서의 충돌은 하나만 쌓이고 기다리던 저장 모두 같은 결정을 받는다', async () => {
+    const { request, resolve } = useConflictStore.getState();
+    const first = request({ documentId: 'doc-1', title: '장보기', hunks: [] });
+    const second = request({ documentId: 'doc-1', title: '장보기 (수정)', hunks: [] });
+
+    const { conflicts } = useConflictStore.getState();
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].title).toBe('장보기 (수정)');
+
+    resolve(conflicts[0].id, { action: 'use_server' });
+    await expect(first).resolves.toEqual({ action: 'use_server' });
+    await expect(second).resolves.toEqual({ action: 'use_server' });
+  });
+
+  test('답하지 않으면 timeoutMs 뒤 null로 넘기고 충돌을 내린다', async () => {
+    const pending = useConflictStore.getState().request({ documentId: 'doc-1', hunks: [] }, { timeoutMs: 10 });
+    await expect(pending).resolves.toBeNull();
+    expect(useConflictStore.getState().conflicts).toHaveLength(0);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * RevisionHistoryPanel.test.jsx — 문서 변경 이력 패널 검증
+ *
+ * 커밋 목록 → 고른 커밋과 이전 커밋의 줄 단위 비교, 이 버전으로 복원,
+ * 그리고 Vault가 잠겨 E2EE 이력을 열 수 없을 때의 안내를 검증합니다.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import RevisionHistoryPanel from '../../components/RevisionHistoryPanel';
+import { storage } from '../../utils/storage-client';
+
+jest.mock('../../utils/storage-client', () => ({
+  storage: {
+    getPostHistory: jest.fn(),
+    getPostRevision: jest.fn(),
+  },
+}));
+
+const commits = [
+  { sha: 'c3aaaaaaa', message: 'Save: 장보기 [doc-1]', date: '2026-03-03T09:00:00.000Z', author: 'me' },
+  { sha: 'c2bbbbbbb', message: 'Save: 장보기 [doc-1]', date: '2026-03-02T09:00:00.000Z', author: 'me' },
+  { sha: 'c1ccccccc', message: 'Save: 장보기 [doc-1]', date: '2026-03-01T09:00:00.000Z', author: 'me' },
+];
+
+const revisions = {
+  c3aaaaaaa: { sha: 'c3aaaaaaa', title: '장보기', content: '# 장보기\n\n두유\n\n식빵', frontMatter: {}, encrypted: true },
+  c2bbbbbbb: { sha: 'c2bbbbbbb', title: '장보기', content: '# 장보기\n\n우유\n\n식빵', frontMatter: {}, encrypted: true },
+  c1ccccccc: { sha: 'c1ccccccc', title: '장보기', content: '# 장보기\n\n우유', frontMatter: {}, encrypted: true },
+};
+
+describe('RevisionHistoryPanel', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.getPostHistory.mockResolvedValue({ filename: '20260301-jangbogi-doc1', commits });
+    storage.getPostRevision.mockImplementation(async (filename, sha) => revisions[sha]);
+  });
+
+  test('고른 커밋이 이전 커밋에서 바꾼 줄을 보여 준다', async () => {
+    render(<RevisionHistoryPanel documentId="doc-1" onRestore={jest.fn()} onClose={jest.fn()} />);
+
+    // 최신 커밋이 먼저 선택된다: 우유 → 두유
+    expect(await screen.findByText('- 우유')).toBeInTheDocument();
+    expect(screen.getByText('+ 두유')).toBeInTheDocument();
+    expect(screen.getByText(/Vault 키로 복호화됨/)).toBeInTheDocument();
+    expect(storage.getPostHistory).toHaveBeenCalledWith('doc-1', { limit: 30 });
+
+    fireEvent.click(screen.getByText(/c2bbbbb/));
+    expect(await screen.findByText('+ 식빵')).toBeInTheDocument();
+    expect(storage.getPostRevision).toHaveBeenCalledWith('20260301-jangbogi-doc1', 'c1ccccccc');
+  });
+
+  test('이전 버전을 골라 복원하면 그 버전을 넘기고 닫는다', async () => {
+    const onRestore = jest.fn().mockResolvedValue(undefined);
+    const onClose = jest.fn();
+    render(<RevisionHistoryPanel documentId="doc-1" onRestore={onRestore} onClose={onClose} />);
+
+    // 최신 버전은 복원할 필요가 없다
+    await screen.findByText('+ 두유');
+    expect(screen.getByText('이 버전으로 복원')).toBeDisabled();
+
+    fireEvent.click(screen.getByText(/c1ccccc/));
+    await screen.findByText(/전체 내용을 보여 줍니다/);
+    fireEvent.click(screen.getByText('이 버전으로 복원'));
+
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(onRestore).toHaveBeenCalledWith(revisions.c1ccccccc);
+  });
+
+  test('Vault가 잠겨 복호화할 수 없으면 이유를 보여 주고 복원을 막는다', async () => {
+    storage.getPostRevision.mockRejectedValue(new Error('Vault가 잠겨 있어 원격 문서를 읽을 수 없습니다'));
+    render(<RevisionHistoryPanel documentId="doc-1" onRestore={jest.fn()} onClose={jest.fn()} />);
+
+    expect(await screen.findByText(/Vault가 잠겨 있어/)).toBeInTheDocument();
+    expect(screen.getByText('이 버전으로 복원')).toBeDisabled();
+  });
+});
@@ -6,8 +6,9 @@
  */
 
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import { SyncStatus } from '../../components/SyncStatus';
+import { useConflictStore } from '../../stores/conflictStore';
 
 // useSyncStatus 훅 모킹
 jest.mock('../../hooks/useSyncStatus', () => ({
@@ -65,3 +66,27 @@ describe('SyncStatus 컴포넌트', () => {
     expect(screen.getByLabelText('동기화 상태: 오프라인 대기 중')).toBeInTheDocument();
   });
 });
+
+describe('SyncStatus 충돌 버튼', () => {
+  afterEach(() => {
+    useConflictStore.setState({ conflicts: [], activeId: null });
+  });
+
+  test('대기 중인 충돌이 있으면 버튼을 보여 주고 누르면 첫 충돌을 연다', () => {
+    useSyncStatus.mockReturnValue({ isOnline: true, pendingCount: 0, status: 'synced' });
+    useConflictStore.setState({ conflicts: [{ id: 'cf-1' }, { id: 'cf-2' }], activeId: null });
+
+    render(<SyncStatus />);
+    fireEvent.click(screen.getByLabelText('충돌 2건 해결하기'));
+
+    expect(useConflictStore.getState().activeId).toBe('cf-1');
+  });
+
+  test('충돌이 없으면 버튼이 없어야 함', () => {
+    useSyncStatus.mockReturnValue({ isOnline: true, pendingCount: 0, status: 'synced' });
+
+    render(<SyncStatus />);
+
+    expect(screen.queryByText(/충돌/)).toBeNull();
+  });
+});
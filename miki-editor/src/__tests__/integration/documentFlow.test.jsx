@@ -128,12 +128,14 @@ jest.mock('../../utils/RealTimeDocumentSync', () => ({
   default: { subscribe: jest.fn(), unsubscribe: jest.fn() },
 }));
 
-// PendingSyncProcessor 실제 setInterval 방지 (테스트 간 비동기 누수 차단)
+// SyncEngine 실제 setInterval 방지 (테스트 간 비동기 누수 차단)
 jest.mock('../../sync', () => ({
-  getPendingSyncProcessor: () => ({
+  getSyncEngine: () => ({
     start: jest.fn(),
     stop: jest.fn(),
     flush: jest.fn().mockResolvedValue(undefined),
+    getStatus: () => ({ isOnline: true, pendingCount: 0, failedCount: 0, lastError: null }),
+    subscribe: () => () => {},
   }),
 }));
 
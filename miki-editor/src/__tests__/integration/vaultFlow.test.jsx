@@ -65,7 +65,7 @@ jest.mock('../../utils/database', () => ({
         markSyncedWithUpdate: jest.fn().mockResolvedValue(),
         deleteLocal: jest.fn().mockResolvedValue()
     },
-    PendingSync: {
+    SyncOutbox: {
         enqueue: jest.fn()
     },
     db: {
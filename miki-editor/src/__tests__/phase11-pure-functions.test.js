@@ -0,0 +1,1313 @@
+/**
+ * phase11-pure-functions.test.js
+ * Phase 11 핵심 pure function 단위 테스트
+ *
+ * 대상:
+ * 1. reflectionEngine.detectTension / classifyTriple (Tension)
+ * 2. snapshotIndexer.snapshotAsOf
+ * 3. entityDiff.diffEntityTriples
+ * 4. aliasResolver (별칭 병합 / 맥락 태그 / 분리)
+ * 5. tripleParser.buildEntityPage 역참조 (참조됨 섹션)
+ * 6. graphSync.parseAppendedLines (증분 동기화 patch 해석)
+ * 7. wikiCompiler 배치 컴파일 (packMemoBatches / splitBatchResponse / compileMemoBatch)
+ * 8. tripleSchema 검증 + wikiCompiler.extractTriples repair
+ * 9. evidenceSpan (근거 구절 오프셋)
+ * 10. reflectionEngine 재확인 (selectReaffirmCandidates / reaffirm 혼합 배치)
+ * 11. reflectionPreferences (피드 알고리즘 선호도)
+ * 12. metaView (결정 패턴 대시보드 집계)
+ * 13. relationTimeline (관계별 교정 타임라인)
+ * 14. interventionResolver 되돌리기 (latestDecisions / createRevertIntervention)
+ * 15. interventionMatcher (토큰 경계 · 조사 · 별칭 · 임베딩 매칭 + 토큰 예산)
+ * 16. interventionResolver 잠든 결정 (findDormantInterventions / applyInterventionPatches)
+ * 17. curationStats (세션 활동 시간 / 출처별 집계 / 연속 일수)
+ * 18. triplePreview (미리보기 편집 적용 / modify · reject intervention)
+ * 19. threeWayMerge + ConflictResolver (기준본 3-way 병합 / 겹친 구간만 충돌 / 구간별 선택)
+ * 20. collabSession (Yjs 동시 편집 수렴 / 계보 합치기 / 잠잠할 때 저장)
+ */
+
+// ── 1. reflectionEngine Tension 감지 ─────────────────────────────────────────
+
+describe('reflectionEngine.detectTension', () => {
+    let detectTension, classifyTriple, detectConnections;
+
+    beforeAll(async () => {
+        const mod = await import('../services/reflectionEngine');
+        detectTension = mod.detectTension;
+        classifyTriple = mod.classifyTriple;
+        detectConnections = mod.detectConnections;
+    });
+
+    const prior = [
+        { id: 'p1', subject: '나', predicate: '신뢰한다', object: '김팀장', created_at: '2026-05-01T00:00:00Z' },
+        { id: 'p2', subject: '나', predicate: '가장 좋아한다', object: '독서', created_at: '2026-01-01T00:00:00Z' },
+    ];
+
+    it('짧은 간격의 반대 극성은 contradiction이다', () => {
+        const t = { subject: '나', predicate: '불신한다', object: '김팀장', created_at: '2026-05-20T00:00:00Z' };
+        const result = detectTension(t, prior);
+        expect(result.subtype).toBe('contradiction');
+        expect(result.prior.id).toBe('p1');
+        expect(classifyTriple(t, prior)).toBe('Tension');
+    });
+
+    it('긴 간격의 반대 극성은 drift이다', () => {
+        const t = { subject: '나', predicate: '신뢰하지 않는다', object: '김팀장', created_at: '2026-12-01T00:00:00Z' };
+        const result = detectTension(t, prior);
+        expect(result.subtype).toBe('drift');
+        expect(result.gapDays).toBeGreaterThanOrEqual(90);
+    });
+
+    it('단일 슬롯 관계의 object 교체는 reordering이다', () => {
+        const t = { subject: '나', predicate: '가장 좋아한다', object: '음악', created_at: '2026-02-01T00:00:00Z' };
+        expect(detectTension(t, prior).subtype).toBe('reordering');
+    });
+
+    it('예전 기록과 같아도 그 뒤에 뒤집혔다면 Tension이다', () => {
+        const flipped = [
+            ...prior,
+            { id: 'p3', subject: '나', predicate: '불신한다', object: '김팀장', created_at: '2026-05-10T00:00:00Z' },
+        ];
+        const t = { subject: '나', predicate: '신뢰한다', object: '김팀장', created_at: '2026-05-20T00:00:00Z' };
+        expect(detectTension(t, flipped).prior.id).toBe('p3');
+        expect(classifyTriple(t, flipped)).toBe('Tension');
+    });
+
+    it('단일 슬롯의 현재 값을 다시 말하면 Consistent이다', () => {
+        const reordered = [
+            ...prior,
+            { id: 'p4', subject: '나', predicate: '가장 좋아한다', object: '음악', created_at: '2026-02-01T00:00:00Z' },
+        ];
+        const t = { subject: '나', predicate: '가장 좋아한다', object: '음악', created_at: '2026-03-01T00:00:00Z' };
+        expect(detectTension(t, reordered)).toBeNull();
+        expect(classifyTriple(t, reordered)).toBe('Consistent');
+    });
+
+    it('극성 사전에 없는 관계 변화는 Extending으로 남는다', () => {
+        const t = { subject: '나', predicate: '언급한다', object: '김팀장' };
+        expect(detectTension(t, prior)).toBeNull();
+        expect(classifyTriple(t, prior)).toBe('Extending');
+    });
+
+    it('영문 부정형도 반대 극성으로 인식한다', () => {
+        const englishPrior = [{ id: 'e1', subject: 'I', predicate: 'trusts', object: 'X', created_at: '2026-05-01' }];
+        const t = { subject: 'I', predicate: 'distrusts', object: 'X', created_at: '2026-05-02' };
+        expect(detectTension(t, englishPrior).subtype).toBe('contradiction');
+    });
+
+    it('detectConnections는 과거·신규 트리플을 첨부한 tension 카드를 만든다', () => {
+        const t = { id: 'n1', subject: '나', predicate: '불신한다', object: '김팀장', evidence_tier: 'Grounded', source_memo_id: 'm1', created_at: '2026-05-20T00:00:00Z' };
+        const [card] = detectConnections([t], prior);
+        expect(card.type).toBe('tension');
+        expect(card.tension_subtype).toBe('contradiction');
+        expect(card.prior_triple.id).toBe('p1');
+        expect(card.new_triple).toBe(t);
+        expect(card.prior_relation).toBe('p1');
+    });
+});
+
+// ── 2. snapshotIndexer.snapshotAsOf ─────────────────────────────────────────
+
+describe('snapshotIndexer.snapshotAsOf', () => {
+    let buildSnapshotIndex, snapshotAsOf;
+
+    beforeAll(async () => {
+        const mod = await import('../wiki/snapshotIndexer');
+        buildSnapshotIndex = mod.buildSnapshotIndex;
+        snapshotAsOf = mod.snapshotAsOf;
+    });
+
+    const triples = [
+        { id: 't1', subject: '나', predicate: '신뢰한다', object: '김팀장', created_at: '2026-02-10T00:00:00Z' },
+        { id: 't2', subject: '나', predicate: '좋아한다', object: '독서', created_at: '2026-03-05T00:00:00Z' },
+        { id: 't3', subject: '김 팀장', predicate: '좋아한다', object: '등산', created_at: '2026-04-01T00:00:00Z' },
+    ];
+    const interventions = [
+        { id: 'i1', type: 'reject', subject: '나', predicate: '좋아한다', object: '독서', created_at: '2026-03-20T00:00:00Z' },
+        { id: 'i2', type: 'merge', subject: '김 팀장', object: '김팀장', created_at: '2026-05-01T00:00:00Z' },
+        { id: 'i3', type: 'accept', subject: '나', predicate: '좋아한다', object: '독서', created_at: '2026-06-01T00:00:00Z' },
+    ];
+
+    it('created_at 이전 트리플만 포함한다', () => {
+        const index = buildSnapshotIndex(triples, []);
+        expect(snapshotAsOf(index, '2026-02').map(t => t.id)).toEqual(['t1']);
+        expect(snapshotAsOf(index, '2026-03-31')).toHaveLength(2);
+    });
+
+    it('reject intervention 이후에는 트리플이 제거된다', () => {
+        const index = buildSnapshotIndex(triples, interventions);
+        expect(snapshotAsOf(index, '2026-03-10').map(t => t.id)).toContain('t2');
+        expect(snapshotAsOf(index, '2026-03-31').map(t => t.id)).not.toContain('t2');
+    });
+
+    it('accept intervention은 제거된 트리플을 복원한다', () => {
+        const index = buildSnapshotIndex(triples, interventions);
+        expect(snapshotAsOf(index, '2026-06').map(t => t.id)).toContain('t2');
+    });
+
+    it('merge intervention 이후 별칭 subject가 대표 이름으로 통합된다', () => {
+        const index = buildSnapshotIndex(triples, interventions);
+        expect(snapshotAsOf(index, '2026-04').find(t => t.id === 't3').subject).toBe('김 팀장');
+        expect(snapshotAsOf(index, '2026-05').find(t => t.id === 't3').subject).toBe('김팀장');
+    });
+});
+
+// ── 3. entityDiff.diffEntityTriples ─────────────────────────────────────────
+
+describe('entityDiff.diffEntityTriples', () => {
+    let diffEntityTriples;
+
+    beforeAll(async () => {
+        const mod = await import('../wiki/entityDiff');
+        diffEntityTriples = mod.diffEntityTriples;
+    });
+
+    const before = [
+        { subject: '김철수', predicate: '좋아한다', object: '독서', evidence_tier: 'Speculative' },
+        { subject: '김철수', predicate: '신뢰한다', object: '이영희', evidence_tier: 'Grounded' },
+        { subject: '이영희', predicate: '좋아한다', object: '음악', evidence_tier: 'Grounded' },
+    ];
+    const after = [
+        { subject: '김철수', predicate: '좋아한다', object: '독서', evidence_tier: 'Grounded' },
+        { subject: '김철수', predicate: '싫어한다', object: '소음', evidence_tier: 'Bridged' },
+    ];
+
+    it('추가·삭제·등급 변경을 구분한다', () => {
+        const { added, removed, tierChanged } = diffEntityTriples('김철수', before, after);
+        expect(added.map(t => t.object)).toEqual(['소음']);
+        expect(removed.map(t => t.object)).toEqual(['이영희']);
+        expect(tierChanged).toHaveLength(1);
+        expect(tierChanged[0].before.evidence_tier).toBe('Speculative');
+        expect(tierChanged[0].after.evidence_tier).toBe('Grounded');
+    });
+
+    it('대소문자·공백 차이는 같은 트리플로 본다', () => {
+        const edited = [{ subject: ' 김철수 ', predicate: '좋아한다 ', object: '독서', evidence_tier: 'Speculative' }];
+        const { added, removed } = diffEntityTriples('김철수', before.slice(0, 1), edited);
+        expect(added).toHaveLength(0);
+        expect(removed).toHaveLength(0);
+    });
+
+    it('다른 엔티티의 트리플은 무시한다', () => {
+        const { removed } = diffEntityTriples('김철수', before, after);
+        expect(removed.some(t => t.subject === '이영희')).toBe(false);
+    });
+});
+
+// ── 4. aliasResolver ─────────────────────────────────────────────────────────
+
+describe('aliasResolver', () => {
+    let buildAliasTable, canonicalizeTriple, resolveAlias, buildEntityPage;
+
+    beforeAll(async () => {
+        const mod = await import('../wiki/aliasResolver');
+        buildAliasTable = mod.buildAliasTable;
+        canonicalizeTriple = mod.canonicalizeTriple;
+        resolveAlias = mod.resolveAlias;
+        ({ buildEntityPage } = await import('../wiki/tripleParser'));
+    });
+
+    const merge = { alias: '김 팀장', canonical: '김철수', mode: 'full', created_at: '2026-05-01T00:00:00Z' };
+    const register = { alias: '철수 형', canonical: '김철수', mode: 'register', context: '동네', created_at: '2026-05-02T00:00:00Z' };
+
+    it('full 병합은 subject와 object를 모두 대표 이름으로 바꾸고 원래 이름을 보존한다', () => {
+        const table = buildAliasTable([merge]);
+        const t = canonicalizeTriple({ subject: '김 팀장', predicate: '신뢰한다', object: '김 팀장' }, table);
+        expect(t.subject).toBe('김철수');
+        expect(t.object).toBe('김철수');
+        expect(t.original_subject).toBe('김 팀장');
+        expect(t.register).toBeUndefined();
+    });
+
+    it('register 병합은 맥락 태그를 남기고 buildEntityPage가 맥락 섹션으로 분리한다', () => {
+        const table = buildAliasTable([merge, register]);
+        const triples = [
+            { subject: '김철수', predicate: '좋아한다', object: '독서' },
+            { subject: '철수 형', predicate: '좋아한다', object: '축구' },
+        ].map(t => canonicalizeTriple(t, table));
+        expect(triples[1].register).toBe('동네');
+
+        const page = buildEntityPage('김철수', triples);
+        expect(page).toContain('## 태도\n- **좋아한다**: 독서');
+        expect(page).toContain('## 맥락: 동네\n- **좋아한다**: 축구');
+    });
+
+    it('split은 이전 병합을 취소하고 원래 이름으로 되돌린다', () => {
+        const merged = canonicalizeTriple({ subject: '김 팀장', predicate: 'p', object: 'o' }, buildAliasTable([merge]));
+        const split = { alias: '김 팀장', canonical: '김철수', mode: 'split', created_at: '2026-06-01T00:00:00Z' };
+        const restored = canonicalizeTriple(merged, buildAliasTable([merge, split]));
+        expect(restored.subject).toBe('김 팀장');
+        expect(restored.original_subject).toBeUndefined();
+    });
+
+    it('wikiStore는 별칭이 바뀔 때 원본 트리플에서 다시 정규화해 분리로 원래 이름을 되찾는다', async () => {
+        const { useWikiStore } = await import('../stores/wikiStore');
+        const split = { alias: '김 팀장', canonical: '김철수', mode: 'split', created_at: '2026-06-01T00:00:00Z' };
+        const store = useWikiStore.getState();
+        store.loadAliases([]);
+        store.loadTriples([{ id: 't1', subject: '김 팀장', predicate: '신뢰한다', object: '이영희' }]);
+
+        useWikiStore.getState().loadAliases([merge]);
+        expect(useWikiStore.getState().triples[0].subject).toBe('김철수');
+        expect(useWikiStore.getState().rawTriples[0].subject).toBe('김 팀장');
+
+        useWikiStore.getState().loadAliases([merge, split]);
+        expect(useWikiStore.getState().triples[0].subject).toBe('김 팀장');
+        expect(useWikiStore.getState().entityIndex['김 팀장']).toHaveLength(1);
+
+        useWikiStore.getState().removeTriples([{ subject: '김 팀장', predicate: '신뢰한다', object: '이영희' }]);
+        expect(useWikiStore.getState().rawTriples).toHaveLength(0);
+    });
+
+    it('연쇄 별칭을 따라가며 순환에도 멈춘다', () => {
+        const table = buildAliasTable([
+            { alias: 'A', canonical: 'B', mode: 'full', created_at: '1' },
+            { alias: 'B', canonical: 'C', mode: 'full', created_at: '2' },
+        ]);
+        expect(resolveAlias('a', table).name).toBe('C');
+
+        const loop = buildAliasTable([
+            { alias: 'X', canonical: 'Y', mode: 'full', created_at: '1' },
+            { alias: 'Y', canonical: 'X', mode: 'full', created_at: '2' },
+        ]);
+        expect(['X', 'Y']).toContain(resolveAlias('X', loop).name);
+    });
+});
+
+// ── 5. tripleParser.buildEntityPage 역참조 ───────────────────────────────────
+
+describe('tripleParser.buildEntityPage 역참조', () => {
+    let buildEntityPage, entityHref, diffMarkdown;
+
+    beforeAll(async () => {
+        ({ buildEntityPage, entityHref } = await import('../wiki/tripleParser'));
+        ({ diffMarkdown } = await import('../wiki/markdownDiffer'));
+    });
+
+    const triples = [
+        { subject: 'Alice', predicate: 'trusts', object: 'Bob' },
+        { subject: 'Carol', predicate: 'trusts', object: 'bob' },
+        { subject: 'Dave', predicate: 'avoids', object: 'Bob' },
+        { subject: 'Bob', predicate: 'likes', object: 'Bob' },
+    ];
+
+    it('object로 등장한 트리플을 predicate별로 묶어 subject 링크와 함께 표시한다', () => {
+        const page = buildEntityPage('Bob', triples);
+        expect(page).toContain('## 참조됨');
+        expect(page).toContain(`- **trusts** ← [Alice](${entityHref('Alice')}), [Carol](${entityHref('Carol')})`);
+        expect(page).toContain(`- **avoids** ← [Dave](${entityHref('Dave')})`);
+    });
+
+    it('자기 참조 트리플은 참조됨에 중복 표시하지 않는다', () => {
+        const page = buildEntityPage('Bob', triples);
+        expect(page).toContain('**likes**: Bob');
+        expect(page).not.toContain('[Bob]');
+    });
+
+    it('역참조만 있는 엔티티도 페이지가 생성된다', () => {
+        expect(buildEntityPage('Bob', triples.slice(0, 1))).not.toContain('아직 기록된 정보가 없습니다');
+    });
+
+    it('참조됨 라인은 편집 diff에서 트리플로 취급되지 않는다', () => {
+        const page = buildEntityPage('Bob', triples);
+        const edited = page.replace(/^- \*\*avoids\*\*.*$/m, '');
+        expect(diffMarkdown(page, edited, 'Bob')).toEqual({ added: [], removed: [] });
+    });
+});
+
+// ── 6. graphSync.parseAppendedLines ─────────────────────────────────────────
+
+describe('graphSync.parseAppendedLines', () => {
+    let parseAppendedLines;
+
+    beforeAll(async () => {
+        ({ parseAppendedLines } = await import('../sync/graphSync'));
+    });
+
+    it('파일 끝 추가 라인만 반환한다', () => {
+        const patch = '@@ -2,2 +2,4 @@\n {"id":"b"}\n {"id":"c"}\n+{"id":"d"}\n+{"id":"e"}';
+        expect(parseAppendedLines(patch, 3)).toEqual(['{"id":"d"}', '{"id":"e"}']);
+    });
+
+    it('삭제 라인이 있으면 재작성으로 보고 null을 반환한다', () => {
+        const patch = '@@ -1,2 +1,2 @@\n-{"id":"a"}\n {"id":"b"}\n+{"id":"c"}';
+        expect(parseAppendedLines(patch, 2)).toBeNull();
+    });
+
+    it('추가 위치가 커서 라인 오프셋과 어긋나면 null을 반환한다', () => {
+        const patch = '@@ -1,1 +1,2 @@\n {"id":"a"}\n+{"id":"x"}';
+        expect(parseAppendedLines(patch, 3)).toBeNull();
+    });
+
+    it('빈 patch는 추가 라인 없음이다', () => {
+        expect(parseAppendedLines('', 5)).toEqual([]);
+    });
+});
+
+// ── 7. wikiCompiler 배치 컴파일 ─────────────────────────────────────────────
+
+describe('wikiCompiler 배치 컴파일', () => {
+    let packMemoBatches, splitBatchResponse, compileMemoBatch;
+
+    beforeAll(async () => {
+        ({ packMemoBatches, splitBatchResponse, compileMemoBatch } = await import('../services/wikiCompiler'));
+    });
+
+    const memo = (id, length = 10) => ({ id, title: id, content: '가'.repeat(length) });
+
+    it('토큰 예산과 메모 수 상한으로 순서를 유지하며 나눈다', () => {
+        const batches = packMemoBatches([memo('a', 100), memo('b', 100), memo('c', 100)], 130);
+        expect(batches.map(b => b.map(m => m.id))).toEqual([['a', 'b'], ['c']]);
+        expect(packMemoBatches([memo('a'), memo('b'), memo('c')], 10000, 2)).toHaveLength(2);
+    });
+
+    it('예산을 혼자 넘는 메모는 단독 배치가 된다', () => {
+        const batches = packMemoBatches([memo('big', 5000), memo('small')], 100);
+        expect(batches.map(b => b.map(m => m.id))).toEqual([['big'], ['small']]);
+    });
+
+    it('응답을 source_memo_id별로 나누고 트리플이 없는 메모는 빈 배열이다', () => {
+        const raw = '[{"subject":"나","predicate":"좋아한다","object":"독서","source_memo_id":"m1"}]';
+        const grouped = splitBatchResponse(raw, ['m1', 'm2']);
+        expect(grouped.m1[0].source_memo_id).toBe('m1');
+        expect(grouped.m1[0].id).toBe('나:좋아한다:독서');
+        expect(grouped.m2).toEqual([]);
+    });
+
+    it('source_memo_id가 없거나 모르는 ID면 null이다', () => {
+        expect(splitBatchResponse('[{"subject":"a","predicate":"b","object":"c"}]', ['m1'])).toBeNull();
+        expect(splitBatchResponse('[{"subject":"a","predicate":"b","object":"c","source_memo_id":"x"}]', ['m1'])).toBeNull();
+        expect(splitBatchResponse('죄송합니다', ['m1'])).toBeNull();
+    });
+
+    it('배치 응답이 깨지면 메모별 단건 호출로 폴백한다', async () => {
+        const complete = jest.fn()
+            .mockResolvedValueOnce('not json')
+            .mockResolvedValueOnce('[{"subject":"a","predicate":"p","object":"o"}]')
+            .mockResolvedValueOnce('[]');
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const { triples, failures } = await compileMemoBatch([memo('m1'), memo('m2')], { complete });
+
+        expect(complete).toHaveBeenCalledTimes(3);
+        expect(triples.m1).toHaveLength(1);
+        expect(triples.m1[0].source_memo_id).toBe('m1');
+        expect(triples.m2).toEqual([]);
+        expect(failures).toEqual([]);
+        warn.mockRestore();
+    });
+});
+
+// ── 8. tripleSchema 검증 + repair ───────────────────────────────────────────
+
+describe('tripleSchema / extractTriples repair', () => {
+    let parseTripleArray, extractTriples, compileMemoBatch, TripleExtractionError;
+
+    beforeAll(async () => {
+        ({ parseTripleArray } = await import('../services/tripleSchema'));
+        ({ extractTriples, compileMemoBatch, TripleExtractionError } = await import('../services/wikiCompiler'));
+    });
+
+    const memo = { id: 'm1', title: '메모', content: '김철수를 신뢰한다' };
+    const good = '{"subject":"나","predicate":"신뢰한다","object":"김철수","entity_type":"person","evidence_tier":"Grounded"}';
+
+    it('필수 필드·enum·길이 위반을 항목별로 보고하고 유효 항목은 남긴다', () => {
+        const raw = `[${good}, {"subject":"","predicate":"p","object":"o"}, {"subject":"a","predicate":"p","object":"o","evidence_tier":"Sure"}, {"subject":"${'가'.repeat(81)}","predicate":"p","object":"o"}]`;
+        const { ok, items, errors } = parseTripleArray(raw);
+        expect(ok).toBe(false);
+        expect(items).toHaveLength(1);
+        expect(errors.map(e => [e.index, e.field])).toEqual([[1, 'subject'], [2, 'evidence_tier'], [3, 'subject']]);
+    });
+
+    it('코드펜스로 감싼 응답도 읽는다', () => {
+        expect(parseTripleArray('```json\n[' + good + ']\n```').ok).toBe(true);
+    });
+
+    it('검증 오류가 있으면 오류 목록을 실어 한 번 repair 요청한다', async () => {
+        const complete = jest.fn()
+            .mockResolvedValueOnce('[{"subject":"나","predicate":"신뢰한다"}]')
+            .mockResolvedValueOnce(`[${good}]`);
+
+        const { triples, issues } = await extractTriples(memo, { complete });
+
+        expect(complete).toHaveBeenCalledTimes(2);
+        expect(complete.mock.calls[1][1]).toContain('[0] object');
+        expect(triples).toHaveLength(1);
+        expect(issues).toEqual([]);
+    });
+
+    it('repair 후에도 배열을 읽지 못하면 TripleExtractionError(parse)를 던진다', async () => {
+        const complete = jest.fn().mockResolvedValue('모르겠습니다');
+        const error = await extractTriples(memo, { complete }).catch(e => e);
+        expect(error).toBeInstanceOf(TripleExtractionError);
+        expect(error.stage).toBe('parse');
+        expect(error.memoId).toBe('m1');
+        expect(complete).toHaveBeenCalledTimes(2);
+    });
+
+    it('compileMemoBatch는 실패 메모를 결과에서 빼고 failures로 보고한다', async () => {
+        const complete = jest.fn().mockResolvedValue('[{"subject":"a"}]');
+        const { triples, failures } = await compileMemoBatch([memo], { complete });
+        expect(triples).toEqual({});
+        expect(failures).toEqual([expect.objectContaining({ memoId: 'm1', stage: 'validation', partial: false })]);
+    });
+});
+
+// ── 9. evidenceSpan ─────────────────────────────────────────────────────────
+
+describe('evidenceSpan', () => {
+    let locateEvidence, buildEvidence, sliceEvidence, extractTriples;
+
+    beforeAll(async () => {
+        ({ locateEvidence, buildEvidence, sliceEvidence } = await import('../wiki/evidenceSpan'));
+        ({ extractTriples } = await import('../services/wikiCompiler'));
+    });
+
+    const body = '오늘 회의가 길었다.\n김팀장은  정말 믿을 만한 사람이다. 내일 또 보자.';
+
+    it('인용 구절의 문자 오프셋을 찾고, 공백 차이는 무시한다', () => {
+        const span = locateEvidence(body, '김팀장은 정말 믿을 만한 사람이다');
+        expect(body.slice(span.start, span.end)).toBe('김팀장은  정말 믿을 만한 사람이다');
+        expect(locateEvidence(body, '없는 문장')).toBeNull();
+    });
+
+    it('원문에서 못 찾으면 span 없이 인용만 보존한다', () => {
+        expect(buildEvidence(body, '지어낸 근거')).toEqual({ evidence_span: null, evidence_snippet: '지어낸 근거' });
+        expect(buildEvidence(body, '')).toEqual({ evidence_span: null, evidence_snippet: null });
+    });
+
+    it('메모가 수정돼 오프셋이 어긋나면 snippet으로 다시 찾아 강조한다', () => {
+        const { evidence_span, evidence_snippet } = buildEvidence(body, '내일 또 보자');
+        const edited = '추가된 첫 줄\n' + body;
+        const parts = sliceEvidence(edited, evidence_span, evidence_snippet, 5);
+        expect(parts.match).toBe('내일 또 보자');
+        expect(parts.clippedStart).toBe(true);
+        expect(parts.clippedEnd).toBe(false);
+    });
+
+    it('extractTriples는 트리플마다 근거 span과 snippet을 기록한다', async () => {
+        const complete = jest.fn().mockResolvedValue(
+            '[{"subject":"나","predicate":"신뢰한다","object":"김팀장","evidence":"정말 믿을 만한 사람"}]'
+        );
+        const { triples } = await extractTriples({ id: 'm1', title: '', content: body }, { complete });
+        const [t] = triples;
+        expect(body.slice(t.evidence_span.start, t.evidence_span.end)).toBe('정말 믿을 만한 사람');
+        expect(t.evidence_snippet).toBe('정말 믿을 만한 사람');
+    });
+});
+
+// ── 10. reflectionEngine 재확인 큐 ───────────────────────────────────────────
+
+describe('reflectionEngine reaffirm', () => {
+    let selectReaffirmCandidates, selectPendingCards, scheduleDripFeed;
+
+    beforeAll(async () => {
+        const mod = await import('../services/reflectionEngine');
+        selectReaffirmCandidates = mod.selectReaffirmCandidates;
+        selectPendingCards = mod.selectPendingCards;
+        scheduleDripFeed = mod.scheduleDripFeed;
+    });
+
+    const now = '2026-10-01T00:00:00Z';
+    const triples = [
+        { id: 'old', subject: '나', predicate: '신뢰한다', object: '김팀장', created_at: '2025-11-01T00:00:00Z', source_memo_id: 'm1' },
+        { id: 'old-again', subject: '나', predicate: '신뢰한다', object: '김팀장', created_at: '2026-08-01T00:00:00Z', source_memo_id: 'm9' },
+        { id: 'older', subject: '나', predicate: '좋아한다', object: '등산', created_at: '2025-06-01T00:00:00Z', source_memo_id: 'm2' },
+        { id: 'recent', subject: '나', predicate: '좋아한다', object: '독서', created_at: '2026-09-01T00:00:00Z', source_memo_id: 'm3' },
+    ];
+
+    const pendingCard = (id, type = 'relation', extra = {}) => ({
+        id, type, status: 'pending', evidence_tier: 'Grounded',
+        proposed_update: { subject: id, predicate: 'p', object: 'o' },
+        triggered_at: '2026-09-30T00:00:00Z', ...extra,
+    });
+
+    it('6개월 이상 된 믿음만, 반복 기록된 것부터 최초 기록 기준으로 고른다', () => {
+        const cards = selectReaffirmCandidates(triples, [], { now });
+        expect(cards.map(c => c.prior_relation)).toEqual(['old', 'older']);
+        expect(cards[0]).toMatchObject({ type: 'reaffirm', status: 'pending', occurrences: 2, source_memo_id: 'm1' });
+        expect(cards[0].age_days).toBe(334);
+    });
+
+    it('최근에 물어봤거나 pending인 믿음은 다시 만들지 않는다', () => {
+        const queue = [
+            { ...selectReaffirmCandidates(triples, [], { now })[0], status: 'accepted', triggered_at: '2026-07-01T00:00:00Z' },
+            { ...selectReaffirmCandidates(triples, [], { now })[1] },
+        ];
+        expect(selectReaffirmCandidates(triples, queue, { now })).toEqual([]);
+        expect(selectReaffirmCandidates(triples, queue, { now: '2027-02-01T00:00:00Z' }).map(c => c.prior_relation))
+            .toEqual(['old']);
+    });
+
+    it('pending reaffirm이 batchSize만큼 쌓이면 새로 만들지 않는다', () => {
+        const queue = [pendingCard('r1', 'reaffirm'), pendingCard('r2', 'reaffirm')];
+        expect(selectReaffirmCandidates(triples, queue, { now, batchSize: 2 })).toEqual([]);
+        expect(selectReaffirmCandidates(triples, queue, { now, batchSize: 3 })).toHaveLength(1);
+    });
+
+    it('오늘의 슬롯에 reaffirm은 비율만큼만 섞고, 신규가 모자라면 나머지를 채운다', () => {
+        const queue = [
+            ...['a', 'b', 'c', 'd', 'e'].map(id => pendingCard(id)),
+            ...['r1', 'r2', 'r3'].map(id => pendingCard(id, 'reaffirm')),
+        ];
+        expect(selectPendingCards(queue, 5).map(c => c.id)).toEqual(['a', 'b', 'c', 'd', 'r1']);
+        expect(selectPendingCards(queue, 5, { preferences: { counterprogramming: 0.4 } }).filter(c => c.type === 'reaffirm')).toHaveLength(2);
+        expect(selectPendingCards(queue.slice(3), 5).map(c => c.id)).toEqual(['d', 'e', 'r1', 'r2', 'r3']);
+    });
+
+    it('드립 피드는 매일 reaffirm을 섞어 배치하고 모든 카드를 한 번씩만 배정한다', () => {
+        const queue = [
+            ...Array.from({ length: 10 }, (_, i) => pendingCard(`n${i}`)),
+            ...['r1', 'r2'].map(id => pendingCard(id, 'reaffirm')),
+        ];
+        const schedule = scheduleDripFeed(queue, { startDate: '2026-10-01T00:00:00Z', preferences: { counterprogramming: 0.3 } });
+        const ids = schedule.flatMap(s => s.cards.map(c => c.id));
+        expect(ids.sort()).toEqual(queue.map(c => c.id).sort());
+        expect(schedule[0].cards.map(c => c.type)).toEqual(['relation', 'relation', 'reaffirm']);
+        expect(schedule[1].cards.map(c => c.type)).toEqual(['relation', 'relation', 'reaffirm']);
+        expect(schedule[2].cards.every(c => c.type === 'relation')).toBe(true);
+    });
+});
+
+// ── 11. reflectionPreferences ───────────────────────────────────────────────
+
+describe('reflectionPreferences', () => {
+    let normalizePreferences, selectPendingCards, scheduleDripFeed;
+
+    beforeAll(async () => {
+        ({ normalizePreferences } = await import('../services/reflectionPreferences'));
+        ({ selectPendingCards, scheduleDripFeed } = await import('../services/reflectionEngine'));
+    });
+
+    const card = (id, subject, tier, triggeredAt = '2026-09-30T00:00:00Z', type = 'relation') => ({
+        id, type, status: 'pending', evidence_tier: tier,
+        proposed_update: { subject, predicate: 'p', object: 'o' },
+        triggered_at: triggeredAt,
+    });
+    const now = '2026-10-01T00:00:00Z';
+
+    it('범위를 벗어난 값은 잘라내고 모르는 값은 기본값으로 되돌린다', () => {
+        const prefs = normalizePreferences({ counterprogramming: 3, dailyMin: 6, dailyMax: 2, falsePositiveTolerance: 'nope', periodMinDays: 'x' });
+        expect(prefs.counterprogramming).toBe(1);
+        expect(prefs.dailyMin).toBe(6);
+        expect(prefs.dailyMax).toBe(6);
+        expect(prefs.falsePositiveTolerance).toBe('high');
+        expect(prefs.periodMinDays).toBe(14);
+    });
+
+    it('거짓 양성 허용도가 낮으면 추론 카드를 보류하되 identity 카드는 남긴다', () => {
+        const queue = [card('g', 'A', 'Grounded'), card('b', 'B', 'Bridged'), card('s', 'C', 'Speculative'), card('i', 'D', 'Bridged', now, 'identity')];
+        const ids = tolerance => selectPendingCards(queue, 5, { now, preferences: { falsePositiveTolerance: tolerance } }).map(c => c.id);
+        expect(ids('low')).toEqual(['g', 'i']);
+        expect(ids('medium')).toEqual(['g', 'i', 'b']);
+        expect(ids('high')).toHaveLength(4);
+    });
+
+    it('망각 보정은 오래 기다린 하위 티어 카드를 끌어올린다', () => {
+        const queue = [card('fresh', 'A', 'Grounded', '2026-09-30T00:00:00Z'), card('stale', 'B', 'Speculative', '2026-09-01T00:00:00Z')];
+        expect(selectPendingCards(queue, 1, { now }).map(c => c.id)).toEqual(['fresh']);
+        expect(selectPendingCards(queue, 1, { now, preferences: { forgettingCompensation: 1 } }).map(c => c.id)).toEqual(['stale']);
+    });
+
+    it('다양성 우선이면 subject별로 번갈아 배치한다', () => {
+        const queue = [card('a1', 'A', 'Grounded'), card('a2', 'A', 'Grounded'), card('a3', 'A', 'Grounded'), card('b1', 'B', 'Bridged')];
+        expect(selectPendingCards(queue, 2, { now }).map(c => c.id)).toEqual(['a1', 'a2']);
+        expect(selectPendingCards(queue, 2, { now, preferences: { diversityFirst: true } }).map(c => c.id)).toEqual(['a1', 'b1']);
+    });
+
+    it('드립 피드 분량(적응 기간·하루 카드 수)을 선호도에서 읽는다', () => {
+        const queue = Array.from({ length: 12 }, (_, i) => card(`n${i}`, `S${i}`, 'Grounded'));
+        const schedule = scheduleDripFeed(queue, {
+            startDate: now,
+            preferences: { warmupDays: 0, dailyMin: 6, dailyMax: 6 },
+        });
+        expect(schedule.map(s => s.cards.length)).toEqual([6, 6]);
+    });
+});
+
+// ── 12. metaView ────────────────────────────────────────────────────────────
+
+describe('metaView', () => {
+    let decisionTimeline, entityDecisionHeatmap, perspectiveDrift, alwaysRejectedTopics;
+
+    beforeAll(async () => {
+        ({ decisionTimeline, entityDecisionHeatmap, perspectiveDrift, alwaysRejectedTopics } = await import('../services/metaView'));
+    });
+
+    const iv = (type, subject, predicate, createdAt) => ({
+        id: `${type}-${subject}-${createdAt}`, type, scope: `entity:${subject}`, subject, predicate, object: 'x', created_at: createdAt,
+    });
+    const interventions = [
+        iv('accept', '김팀장', '신뢰한다', '2026-08-03T00:00:00Z'),
+        iv('reject', '박과장', '좋아한다', '2026-08-10T00:00:00Z'),
+        iv('reject', '박과장', '좋아한다', '2026-09-10T00:00:00Z'),
+        iv('reject', '박과장', '존경한다', '2026-09-12T00:00:00Z'),
+        iv('edit', '김팀장', '신뢰한다', '2026-09-20T00:00:00Z'),
+        iv('modify', '김팀장', '의지한다', '2026-09-21T00:00:00Z'),
+        iv('merge', '김부장', 'same_as', '2026-09-22T00:00:00Z'),
+    ];
+    const options = { months: 3, now: '2026-09-30T00:00:00Z' };
+
+    it('월별 승인/거절/수정 분포를 세고 동일성 결정은 뺀다', () => {
+        expect(decisionTimeline(interventions, options)).toEqual([
+            { period: '2026-07', approve: 0, reject: 0, modify: 0 },
+            { period: '2026-08', approve: 1, reject: 1, modify: 0 },
+            { period: '2026-09', approve: 1, reject: 2, modify: 1 },
+        ]);
+    });
+
+    it('엔티티 × 월 히트맵은 결정 많은 엔티티부터 limit개만 남긴다', () => {
+        const { periods, rows } = entityDecisionHeatmap([...interventions, iv('reject', '박과장', '싫어한다', '2026-07-01T00:00:00Z')], { ...options, limit: 1 });
+        expect(periods).toEqual(['2026-07', '2026-08', '2026-09']);
+        expect(rows.map(r => r.entity)).toEqual(['박과장']);
+        expect(rows[0].cells.map(c => c.reject)).toEqual([1, 1, 2]);
+    });
+
+    it('결정 대부분이 거절인 엔티티와 관계를 찾는다', () => {
+        const topics = alwaysRejectedTopics(interventions, { minDecisions: 2 });
+        expect(topics).toEqual([
+            { kind: 'entity', name: '박과장', rejected: 3, total: 3 },
+            { kind: 'predicate', name: '좋아한다', rejected: 2, total: 2 },
+        ]);
+    });
+
+    it('월말 스냅샷 사이의 추가/제거를 세고 가장 많이 바뀐 엔티티를 고른다', () => {
+        const triples = [
+            { id: 't1', subject: '김팀장', predicate: '신뢰한다', object: '나', created_at: '2026-06-01T00:00:00Z' },
+            { id: 't2', subject: '박과장', predicate: '좋아한다', object: '골프', created_at: '2026-08-01T00:00:00Z' },
+        ];
+        const rejections = [{ ...iv('reject', '박과장', '좋아한다', '2026-09-10T00:00:00Z'), object: '골프' }];
+        const { series, entities } = perspectiveDrift(triples, rejections, options);
+        expect(series).toEqual([
+            { period: '2026-07', total: 1, added: 0, removed: 0 },
+            { period: '2026-08', total: 2, added: 1, removed: 0 },
+            { period: '2026-09', total: 1, added: 0, removed: 1 },
+        ]);
+        expect(entities[0]).toEqual({ entity: '박과장', added: 1, removed: 1 });
+    });
+});
+
+// ── 13. relationTimeline ────────────────────────────────────────────────────
+
+describe('relationTimeline', () => {
+    let buildRelationTimeline, buildAliasTable;
+
+    beforeAll(async () => {
+        ({ buildRelationTimeline } = await import('../wiki/relationTimeline'));
+        ({ buildAliasTable } = await import('../wiki/aliasResolver'));
+    });
+
+    const triples = [
+        { id: 't1', subject: '나', predicate: '신뢰한다', object: '앨리스', source_memo_id: 'm1', created_at: '2026-03-01T00:00:00Z' },
+        { id: 't2', subject: '앨리스', predicate: '돕는다', object: '나', source_memo_id: 'wiki-edit', created_at: '2026-05-01T00:00:00Z' },
+        { id: 't3', subject: '나', predicate: '신뢰한다', object: '밥', source_memo_id: 'm2', created_at: '2026-03-02T00:00:00Z' },
+    ];
+    const cards = [
+        { id: 'c1', type: 'tension', status: 'rejected', triggered_at: '2026-04-01T00:00:00Z',
+            proposed_update: { subject: '나', predicate: '불신한다', object: 'Alice' },
+            prior_triple: triples[0], new_triple: { subject: '나', predicate: '불신한다', object: '앨리스' } },
+    ];
+    const interventions = [
+        { id: 'i1', type: 'reject', subject: '나', predicate: '불신한다', object: '앨리스', created_at: '2026-04-01T00:00:00Z' },
+        { id: 'i2', type: 'accept', subject: '나', predicate: '신뢰한다', object: '밥', created_at: '2026-04-02T00:00:00Z' },
+    ];
+
+    it('양방향 트리플·카드·결정을 시간순으로 엮고 사용자가 뒤집은 지점을 표시한다', () => {
+        const events = buildRelationTimeline('나', '앨리스', { triples, cards, interventions });
+        expect(events.map(e => `${e.kind}:${e.item.id}`)).toEqual(['triple:t1', 'card:c1', 'intervention:i1', 'triple:t2']);
+        expect(events.map(e => e.override)).toEqual([false, true, true, true]);
+        expect(events[3].byUser).toBe(true);
+    });
+
+    it('별칭으로 기록된 트리플·카드·결정도 대표 이름으로 맞춰 엮는다', () => {
+        const aliasTable = buildAliasTable([{ alias: 'Alice', canonical: '앨리스', mode: 'full' }]);
+        const aliased = [...triples, { id: 't4', subject: 'alice', predicate: '돕는다', object: '나', created_at: '2026-06-01T00:00:00Z' }];
+        const events = buildRelationTimeline('나', '앨리스', { triples: aliased, cards, interventions, aliasTable });
+        expect(events.map(e => `${e.kind}:${e.item.id}`)).toEqual(['triple:t1', 'card:c1', 'intervention:i1', 'triple:t2', 'triple:t4']);
+    });
+});
+
+// ── 14. interventionResolver 되돌리기 ───────────────────────────────────────
+
+describe('interventionResolver revert', () => {
+    let latestDecisions, createRevertIntervention, selectRelevantInterventions, buildUserModelProfile;
+    let buildSnapshotIndex, snapshotAsOf;
+
+    beforeAll(async () => {
+        ({ latestDecisions, createRevertIntervention, selectRelevantInterventions, buildUserModelProfile } =
+            await import('../services/interventionResolver'));
+        ({ buildSnapshotIndex, snapshotAsOf } = await import('../wiki/snapshotIndexer'));
+    });
+
+    const now = new Date().toISOString();
+    const iv = (id, type, createdAt = now) => ({
+        id, type, scope: 'entity:나', subject: '나', predicate: '신뢰한다', object: '김팀장',
+        created_at: createdAt, last_used_at: now,
+    });
+
+    it('같은 트리플은 가장 최근 결정만 남긴다', () => {
+        const log = [iv('a', 'accept'), iv('r', 'reject'), { id: 'rule', type: 'modify', scope: 'always', last_used_at: now }];
+        expect(latestDecisions(log).map(d => d.id)).toEqual(['r', 'rule']);
+        expect(selectRelevantInterventions(log, { entities: ['나'] }).map(d => d.id)).toEqual(['rule', 'r']);
+    });
+
+    it('revert는 기록을 지우지 않고 직전 결정을 되살린다', () => {
+        const log = [iv('a', 'accept'), iv('r', 'reject')];
+        const revert = createRevertIntervention(log[1]);
+        expect(revert).toMatchObject({ type: 'revert', reverts: 'r', reverted_type: 'reject', subject: '나' });
+        expect(latestDecisions([...log, revert]).map(d => d.id)).toEqual(['a']);
+        expect(latestDecisions([iv('r', 'reject'), createRevertIntervention(iv('r', 'reject'))])).toEqual([]);
+    });
+
+    it('되돌린 거절은 통계에서 빠진다', () => {
+        const log = [iv('r', 'reject')];
+        expect(buildUserModelProfile([...log, createRevertIntervention(log[0])])).toBeNull();
+    });
+
+    it('거절을 되돌리면 스냅샷에서 트리플이 복원된다', () => {
+        const triple = { id: 't', subject: '나', predicate: '신뢰한다', object: '김팀장', created_at: '2026-01-01T00:00:00Z' };
+        const reject = iv('r', 'reject', '2026-02-01T00:00:00Z');
+        const revert = { ...createRevertIntervention(reject), created_at: '2026-03-01T00:00:00Z' };
+        const index = buildSnapshotIndex([triple], [reject, revert]);
+        expect(snapshotAsOf(index, '2026-02')).toEqual([]);
+        expect(snapshotAsOf(index, '2026-03')).toHaveLength(1);
+    });
+});
+
+// ── 15. interventionMatcher ──────────────────────────────────────────────────
+
+describe('interventionMatcher', () => {
+    let matchName, createEmbeddingIndex, fitToBudget, selectRelevantInterventions, buildAliasTable;
+
+    beforeAll(async () => {
+        ({ matchName, createEmbeddingIndex, fitToBudget } = await import('../services/interventionMatcher'));
+        ({ selectRelevantInterventions } = await import('../services/interventionResolver'));
+        ({ buildAliasTable } = await import('../wiki/aliasResolver'));
+    });
+
+    const now = new Date().toISOString();
+    const iv = (id, scope, extra = {}) => ({
+        id, type: 'reject', scope, subject: '나', predicate: '싫어한다', object: '김치', last_used_at: now, ...extra,
+    });
+
+    it('토큰 경계로만 매칭한다 — "Kim"은 "Kimchi"에 걸리지 않는다', () => {
+        expect(matchName('Kim', ['Kimchi'])).toBeNull();
+        expect(matchName('Kim', ['Mr Kim said'])).toBe('exact');
+        expect(matchName('Kim Lee', ['Kim Leeds'])).toBeNull();
+    });
+
+    it('한국어 조사가 붙어도 매칭한다', () => {
+        expect(matchName('김철수', ['어제 김철수가 왔다'])).toBe('exact');
+        expect(matchName('김 팀장', ['김 팀장님께서'])).toBeNull();
+        expect(matchName('김 팀장', ['오늘 김 팀장에게서 연락'])).toBe('exact');
+        expect(matchName('김철수', ['김철수네'])).toBeNull();
+    });
+
+    it('이름 끝 글자와 같은 한 글자 조사는 세 글자 이상 남을 때만 뗀다', () => {
+        expect(matchName('박지', ['박지나와 점심'])).toBeNull();
+        expect(matchName('박지나', ['박지나와 점심'])).toBe('exact');
+        expect(matchName('박지민', ['박지민이 왔다'])).toBe('exact');
+        expect(matchName('김철수', ['김철수도 왔다'])).toBe('exact');
+    });
+
+    it('별칭 테이블로 같은 인물의 다른 이름을 찾는다', () => {
+        const aliasTable = buildAliasTable([{ alias: '김 팀장', canonical: '김철수', mode: 'full' }]);
+        expect(matchName('김철수', ['김 팀장과 점심'], aliasTable)).toBe('alias');
+        expect(matchName('김 팀장', ['김철수를 만났다'], aliasTable)).toBe('alias');
+        expect(matchName('김철수', ['김 팀장과 점심'])).toBeNull();
+    });
+
+    it('selectRelevantInterventions는 본문 · 별칭 매칭을 쓰고 점수순으로 반환한다', () => {
+        const aliasTable = buildAliasTable([{ alias: '김 팀장', canonical: '김철수', mode: 'full' }]);
+        const log = [
+            iv('always', 'always', { type: 'modify', subject: 'x', object: 'y' }),
+            iv('kim', 'entity:Kim', { subject: 'Kim' }),
+            iv('chulsoo', 'entity:김철수', { subject: '김철수' }),
+        ];
+        const result = selectRelevantInterventions(log, { entities: ['Kimchi'], text: '김 팀장이 커피를 샀다', aliasTable });
+        expect(result.map(r => r.id)).toEqual(['always', 'chulsoo']);
+    });
+
+    it('토큰 예산을 넘는 항목은 점수 낮은 것부터 뺀다', () => {
+        const scored = [
+            { item: iv('low', 'entity:low', { user_note: '가'.repeat(40) }), score: 1 },
+            { item: iv('high', 'entity:high', { user_note: '나'.repeat(40) }), score: 4 },
+        ];
+        expect(fitToBudget(scored, 1000).map(i => i.id)).toEqual(['high', 'low']);
+        expect(fitToBudget(scored, 40).map(i => i.id)).toEqual(['high']);
+        expect(fitToBudget(scored, 5)).toEqual([]);
+    });
+
+    it('always 규칙은 의미 유사도 매칭보다 먼저 예산을 차지한다', () => {
+        const scored = [
+            { item: iv('semantic', 'entity:x', { user_note: '가'.repeat(40) }), score: 1.9 },
+            { item: iv('rule', 'always', { user_note: '나'.repeat(40) }), score: 1 },
+        ];
+        expect(fitToBudget(scored, 1000).map(i => i.id)).toEqual(['rule', 'semantic']);
+        expect(fitToBudget(scored, 40).map(i => i.id)).toEqual(['rule']);
+    });
+
+    it('로컬 임베딩 인덱스는 scope가 어긋나도 내용이 비슷한 결정을 끌어온다', () => {
+        const log = [
+            iv('coffee', 'entity:박지민', { subject: '박지민', predicate: '좋아한다', object: '커피', user_note: '아메리카노만 마신다' }),
+            iv('hiking', 'entity:이영희', { subject: '이영희', predicate: '즐긴다', object: '등산' }),
+        ];
+        const semanticIndex = createEmbeddingIndex(log);
+        const result = selectRelevantInterventions(log, { text: '지민이는 요즘도 아메리카노만 마신다, 커피를 좋아한다', semanticIndex });
+        expect(result.map(r => r.id)).toEqual(['coffee']);
+        expect(selectRelevantInterventions(log, { text: '지민이는 요즘도 아메리카노만 마신다, 커피를 좋아한다' })).toEqual([]);
+    });
+});
+
+// ── 16. interventionResolver 잠든 결정 ───────────────────────────────────────
+
+describe('interventionResolver dormant', () => {
+    let findDormantInterventions, applyInterventionPatches, selectRelevantInterventions;
+
+    beforeAll(async () => {
+        ({ findDormantInterventions, applyInterventionPatches, selectRelevantInterventions } =
+            await import('../services/interventionResolver'));
+    });
+
+    const now = new Date('2026-10-01T00:00:00Z').getTime();
+    const iv = (id, lastUsedAt, extra = {}) => ({
+        id, type: 'reject', scope: `entity:${id}`, subject: id, predicate: '싫어한다', object: '오이',
+        last_used_at: lastUsedAt, ...extra,
+    });
+
+    it('1년 넘게 쓰이지 않은 유효 결정만 오래된 순으로 고른다', () => {
+        const log = [
+            iv('recent', '2026-09-01T00:00:00Z'),
+            iv('older', '2024-01-01T00:00:00Z'),
+            iv('old', '2025-01-01T00:00:00Z'),
+            iv('rule', '2020-01-01T00:00:00Z', { scope: 'always' }),
+            iv('retired', '2020-01-01T00:00:00Z', { retired_at: '2026-02-01T00:00:00Z' }),
+        ];
+        expect(findDormantInterventions(log, { now }).map(d => d.id)).toEqual(['older', 'old']);
+    });
+
+    it('last_used_at은 더 최근 값만 받고 retired_at은 null로 풀 수 있다', () => {
+        const log = [iv('a', '2026-05-01T00:00:00Z'), iv('b', '2026-05-01T00:00:00Z', { retired_at: '2026-06-01' })];
+        const [a, b] = applyInterventionPatches(log, {
+            a: { last_used_at: '2026-01-01T00:00:00Z' },
+            b: { last_used_at: '2026-09-01T00:00:00Z', retired_at: null },
+        });
+        expect(a).toBe(log[0]);
+        expect(b.last_used_at).toBe('2026-09-01T00:00:00Z');
+        expect(b).not.toHaveProperty('retired_at');
+    });
+
+    it('은퇴한 결정은 scope가 맞아도 주입하지 않는다', () => {
+        const fresh = new Date().toISOString();
+        const log = [iv('김철수', fresh), iv('이영희', fresh, { retired_at: fresh })];
+        const result = selectRelevantInterventions(log, { entities: ['김철수', '이영희'] });
+        expect(result.map(d => d.id)).toEqual(['김철수']);
+    });
+});
+
+// ── 17. curationStats ────────────────────────────────────────────────────────
+
+describe('curationStats', () => {
+    let createSession, recordActivity, summarizeSession, computeStreak, sessionHistory, IDLE_GAP_MS;
+
+    beforeAll(async () => {
+        ({ createSession, recordActivity, summarizeSession, computeStreak, sessionHistory, IDLE_GAP_MS } =
+            await import('../services/curationStats'));
+    });
+
+    const completed = (endedAt, selected = 1, excluded = 0) => ({
+        sessionId: endedAt, status: 'completed', endedAt, activeMs: 0,
+        stats: { selected, excluded, bySource: {} },
+    });
+
+    it('결정 사이 공백은 IDLE_GAP_MS까지만 활동 시간으로 센다', () => {
+        const start = new Date('2026-10-01T09:00:00Z');
+        let session = createSession(start);
+        session = recordActivity(session, new Date(start.getTime() + 30 * 1000));
+        session = recordActivity(session, new Date(start.getTime() + 60 * 60 * 1000)); // 폰 잠금 후 복귀
+        expect(session.activeMs).toBe(30 * 1000 + IDLE_GAP_MS);
+        expect(session.status).toBe('active');
+    });
+
+    it('선택 / 제외를 출처별로 집계한다', () => {
+        const memos = [
+            { memoId: 'a', source: 'apple_notes' },
+            { memoId: 'b', source: 'apple_notes' },
+            { memoId: 'c', source: 'meki_editor' },
+        ];
+        expect(summarizeSession({ a: 'selected', b: 'excluded', c: 'selected' }, memos)).toEqual({
+            selected: 2,
+            excluded: 1,
+            bySource: { apple_notes: { selected: 1, excluded: 1 }, meki_editor: { selected: 1, excluded: 0 } },
+        });
+    });
+
+    it('연속 일수 — 오늘 아직 안 했어도 어제까지 이어졌으면 유지된다', () => {
+        const sessions = [
+            completed('2026-09-20T12:00:00Z'),
+            completed('2026-09-21T12:00:00Z'),
+            completed('2026-09-22T12:00:00Z'),
+            completed('2026-09-29T12:00:00Z'),
+            completed('2026-09-30T08:00:00Z'),
+            completed('2026-09-30T21:00:00Z'),
+            completed('2026-10-01T01:00:00Z', 0, 0), // 결정 없이 확정한 세션은 세지 않음
+            { sessionId: 'active', status: 'active', decisions: { a: 'selected' } },
+        ];
+        expect(computeStreak(sessions, new Date('2026-10-01T10:00:00Z'))).toEqual({ current: 2, longest: 3, lastDay: '2026-09-30' });
+        expect(computeStreak(sessions, new Date('2026-10-03T10:00:00Z')).current).toBe(0);
+        expect(computeStreak([], new Date()).current).toBe(0);
+    });
+
+    it('sessionHistory는 완료 세션만 최신 순으로', () => {
+        const sessions = [completed('2026-09-01T00:00:00Z'), { status: 'active' }, completed('2026-09-03T00:00:00Z')];
+        expect(sessionHistory(sessions).map(s => s.endedAt)).toEqual(['2026-09-03T00:00:00Z', '2026-09-01T00:00:00Z']);
+        expect(sessionHistory(sessions, { limit: 1 })).toHaveLength(1);
+    });
+});
+
+// ── 18. triplePreview ────────────────────────────────────────────────────────
+
+describe('triplePreview', () => {
+    let resolvePreview, previewInterventions;
+
+    beforeAll(async () => {
+        ({ resolvePreview, previewInterventions } = await import('../services/triplePreview'));
+    });
+
+    const triple = (subject, predicate, object) => ({
+        id: `${subject}:${predicate}:${object}`, subject, predicate, object, source_memo_id: 'm1',
+    });
+    const byMemo = {
+        m1: [triple('지민', '좋아한다', '커피'), triple('지민', '싫어한다', '녹차'), triple('나', '신뢰한다', '지민')],
+        m2: [triple('나', '다닌다', '회사')],
+    };
+
+    it('편집이 없으면 그대로 통과한다', () => {
+        const result = resolvePreview(byMemo);
+        expect(result.byMemo.m1).toEqual(byMemo.m1);
+        expect(result.modified).toEqual([]);
+        expect(result.dropped).toEqual([]);
+    });
+
+    it('뺀 트리플은 제외하고, 고친 트리플은 id를 다시 만든다', () => {
+        const result = resolvePreview(byMemo, {
+            m1: { 0: { object: ' 아메리카노 ' }, 1: { drop: true } },
+        });
+        expect(result.byMemo.m1.map(t => t.object)).toEqual(['아메리카노', '지민']);
+        expect(result.byMemo.m1[0]).toMatchObject({ id: '지민:좋아한다:아메리카노', subject: '지민', source_memo_id: 'm1' });
+        expect(result.byMemo.m2).toEqual(byMemo.m2);
+        expect(result.dropped).toEqual([byMemo.m1[1]]);
+        expect(result.modified).toEqual([{ before: byMemo.m1[0], after: result.byMemo.m1[0] }]);
+    });
+
+    it('비운 필드와 바뀌지 않은 편집은 원래 트리플을 유지한다', () => {
+        const result = resolvePreview(byMemo, { m1: { 0: { subject: '', predicate: '좋아한다', object: '커피' } } });
+        expect(result.byMemo.m1[0]).toBe(byMemo.m1[0]);
+        expect(result.modified).toEqual([]);
+    });
+
+    it('고친 결과가 같은 메모의 다른 트리플과 겹치면 하나만 남긴다', () => {
+        const result = resolvePreview(byMemo, { m1: { 1: { predicate: '좋아한다', object: '커피' } } });
+        expect(result.byMemo.m1.filter(t => t.object === '커피')).toHaveLength(1);
+    });
+
+    it('수정은 modify(원래 트리플 + 고친 결과), 제외는 reject intervention이 된다', () => {
+        const preview = resolvePreview(byMemo, { m1: { 0: { object: '아메리카노' }, 2: { drop: true } } });
+        const [modify, reject] = previewInterventions(preview, 7);
+        expect(modify).toMatchObject({
+            id: 'iv-preview-7-modify-지민:좋아한다:커피',
+            type: 'modify', scope: 'entity:지민', subject: '지민', predicate: '좋아한다', object: '커피',
+        });
+        expect(modify.user_note).toContain('"지민" 좋아한다 "아메리카노"');
+        expect(reject).toMatchObject({ type: 'reject', scope: 'entity:나', subject: '나', object: '지민' });
+        expect(previewInterventions(preview, 7).map(iv => iv.id)).toEqual([modify.id, reject.id]);
+    });
+});
+
+// ── 19. threeWayMerge + ConflictResolver ─────────────────────────────────────
+
+describe('threeWayMerge', () => {
+    let mergeThreeWay, mergeValue, diffTwoWay, resolveHunks, ConflictResolver;
+
+    beforeAll(async () => {
+        ({ mergeThreeWay, mergeValue, diffTwoWay, resolveHunks } = await import('../sync/threeWayMerge'));
+        ({ ConflictResolver } = await import('../sync/conflict'));
+    });
+
+    const base = ['# 여행', '', '첫째 날: 바다', '', '둘째 날: 산', '', '셋째 날: 집'].join('\n');
+
+    it('서로 다른 문단의 변경은 둘 다 반영한다', () => {
+        const local = base.replace('첫째 날: 바다', '첫째 날: 바다, 회');
+        const server = base.replace('셋째 날: 집', '셋째 날: 기차로 집');
+        const result = mergeThreeWay(base, local, server);
+        expect(result.clean).toBe(true);
+        expect(result.content).toBe(base.replace('첫째 날: 바다', '첫째 날: 바다, 회').replace('셋째 날: 집', '셋째 날: 기차로 집'));
+    });
+
+    it('추가 / 삭제와 같은 변경도 충돌 없이 합친다', () => {
+        const local = `${base}\n\n넷째 날: 휴식`;
+        const server = base.replace('\n\n둘째 날: 산', '');
+        const result = mergeThreeWay(base, local, server);
+        expect(result.clean).toBe(true);
+        expect(result.content).not.toContain('둘째 날');
+        expect(result.content).toContain('넷째 날: 휴식');
+
+        expect(mergeThreeWay(base, local, local)).toMatchObject({ clean: true, content: local });
+    });
+
+    it('같은 구간을 다르게 고친 경우만 충돌 마커로 남긴다', () => {
+        const local = base.replace('둘째 날: 산', '둘째 날: 등산').replace('첫째 날: 바다', '첫째 날: 해변');
+        const server = base.replace('둘째 날: 산', '둘째 날: 박물관');
+        const result = mergeThreeWay(base, local, server);
+        expect(result.conflicts).toBe(1);
+        expect(result.hunks.find(h => h.type === 'conflict')).toEqual({
+            type: 'conflict', base: ['둘째 날: 산'], local: ['둘째 날: 등산'], server: ['둘째 날: 박물관'],
+        });
+        expect(result.content).toContain('첫째 날: 해변');
+        expect(result.content).toContain('<<<<<<< 로컬\n둘째 날: 등산\n=======\n둘째 날: 박물관\n>>>>>>> 서버');
+    });
+
+    it('mergeValue는 한쪽만 바뀐 값을 고르고, 양쪽이 다르면 충돌로 로컬을 유지한다', () => {
+        expect(mergeValue('a', 'a', 'b')).toEqual({ value: 'b', conflict: false });
+        expect(mergeValue('a', 'c', 'a')).toEqual({ value: 'c', conflict: false });
+        expect(mergeValue('a', 'c', 'b')).toEqual({ value: 'c', conflict: true });
+    });
+
+    it('ConflictResolver는 기준본이 있으면 길이 대신 3-way 병합으로 자동 해결한다', () => {
+        const resolver = new ConflictResolver();
+        const local = { title: '여행', content: base.replace('바다', '바다, 회'), updatedAt: '2026-01-01T00:00:00.000Z' };
+        const server = { title: '여행 기록', content: `${base}\n\n넷째 날: 휴식`, updatedAt: '2026-01-01T00:00:00.500Z' };
+        const resolution = resolver.tryAutoResolve(local, server, 'update', { title: '여행', content: base });
+        expect(resolution.action).toBe('merge');
+        expect(resolution.data.title).toBe('여행 기록');
+        expect(resolution.data.content).toContain('바다, 회');
+        expect(resolution.data.content).toContain('넷째 날: 휴식');
+
+        const overlapping = { ...server, content: base.replace('바다', '바다, 조개') };
+        expect(resolver.tryAutoResolve(local, overlapping, 'update', { title: '여행', content: base })).toBeNull();
+    });
+
+    it('resolveHunks는 구간별 선택을 적용하고 고르지 않은 구간은 마커로 남긴다', () => {
+        const local = base.replace('첫째 날: 바다', '첫째 날: 해변').replace('셋째 날: 집', '셋째 날: 호텔');
+        const server = base.replace('첫째 날: 바다', '첫째 날: 항구').replace('셋째 날: 집', '셋째 날: 민박');
+        const { hunks } = mergeThreeWay(base, local, server);
+
+        const conflictIdx = hunks.map((h, i) => (h.type === 'conflict' ? i : -1)).filter(i => i >= 0);
+        expect(conflictIdx).toHaveLength(2);
+
+        const partial = resolveHunks(hunks, { [conflictIdx[0]]: { take: 'server' } });
+        expect(partial.unresolved).toBe(1);
+        expect(partial.content).toContain('첫째 날: 항구');
+        expect(partial.content).toContain('<<<<<<< 로컬\n셋째 날: 호텔');
+
+        const done = resolveHunks(hunks, { [conflictIdx[0]]: { take: 'local' }, [conflictIdx[1]]: { text: '셋째 날: 집으로' } });
+        expect(done).toEqual({ unresolved: 0, content: base.replace('바다', '해변').replace('셋째 날: 집', '셋째 날: 집으로') });
+    });
+
+    it('diffTwoWay는 기준본 없이 다른 구간을 모두 충돌로, 같은 줄은 그대로 둔다', () => {
+        const hunks = diffTwoWay('a\nb\nc', 'a\nB\nc\nd');
+        expect(hunks).toEqual([
+            { type: 'stable', lines: ['a'] },
+            { type: 'conflict', base: [], local: ['b'], server: ['B'] },
+            { type: 'stable', lines: ['c'] },
+            { type: 'conflict', base: [], local: [], server: ['d'] },
+        ]);
+    });
+});
+
+// ── 20. collabSession 기기 간 동시 편집 ───────────────────────────────────────
+
+describe('collabSession', () => {
+    let CollabSession, applyTextChange, Y;
+
+    beforeAll(async () => {
+        ({ CollabSession, applyTextChange } = await import('../sync/collabSession'));
+        Y = await import('yjs');
+    });
+
+    // WS 프록시 대신 — 보낸 메시지를 모아 두었다가 deliver() 때 JSON으로 한 번 거쳐 모두에게 전달
+    const createHub = () => {
+        const subscribers = new Set();
+        const queue = [];
+        return {
+            transport: () => ({
+                async send(message) { queue.push(JSON.stringify(message)); },
+                subscribe(handler) {
+                    subscribers.add(handler);
+                    return () => subscribers.delete(handler);
+                },
+            }),
+            async deliver() {
+                for (let round = 0; round < 10; round++) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    while (queue.length) {
+                        const message = JSON.parse(queue.shift());
+                        subscribers.forEach(handler => handler(message));
+                    }
+                }
+            },
+        };
+    };
+
+    const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const memo = '# 장보기\n\n우유\n\n계란';
+
+    it('applyTextChange는 바뀐 가운데 부분만 고친다', () => {
+        const doc = new Y.Doc();
+        const text = doc.getText('t');
+        text.insert(0, memo);
+        const updates = [];
+        doc.on('update', update => updates.push(update));
+
+        expect(applyTextChange(text, memo)).toBe(false);
+        expect(applyTextChange(text, memo.replace('우유', '두유'))).toBe(true);
+        expect(text.toString()).toBe(memo.replace('우유', '두유'));
+        expect(updates).toHaveLength(1);
+    });
+
+    it('같은 메모를 따로 불러와도 먼저 연 세션으로 합쳐 본문이 겹치지 않는다', async () => {
+        const hub = createHub();
+        const laptop = new CollabSession({ documentId: 'doc-1', content: memo, transport: hub.transport() });
+        laptop.start();
+        await tick(5);
+        const phone = new CollabSession({ documentId: 'doc-1', content: memo, transport: hub.transport() });
+        phone.start();
+        await hub.deliver();
+
+        expect(phone.lineage).toEqual(laptop.lineage);
+        expect(phone.content).toBe(memo);
+        expect(laptop.peerCount).toBe(1);
+        expect(phone.peerCount).toBe(1);
+    });
+
+    it('양쪽에서 동시에 고쳐도 같은 내용으로 수렴한다', async () => {
+        const hub = createHub();
+        const remote = [];
+        const laptop = new CollabSession({ documentId: 'doc-1', content: memo, transport: hub.transport() });
+        laptop.start();
+        await tick(5);
+        const phone = new CollabSession({
+            documentId: 'doc-1', content: memo, transport: hub.transport(),
+            onRemoteChange: content => remote.push(content),
+        });
+        phone.start();
+        await hub.deliver();
+
+        // 전달 전에 같은 줄 근처를 각자 고친다
+        laptop.localChange(memo.replace('우유', '저지방 우유'));
+        phone.localChange(memo.replace('계란', '계란 한 판'));
+        phone.localChange(memo.replace('계란', '계란 한 판') + '\n\n빵');
+        await hub.deliver();
+
+        expect(laptop.content).toBe('# 장보기\n\n저지방 우유\n\n계란 한 판\n\n빵');
+        expect(phone.content).toBe(laptop.content);
+        expect(remote[remote.length - 1]).toBe(laptop.content);
+    });
+
+    it('합류 전에 고친 내용은 3-way 병합으로 옮겨 간다', async () => {
+        const hub = createHub();
+        const laptop = new CollabSession({ documentId: 'doc-1', content: memo, savedAt: '2026-03-01T09:00:00.000Z', transport: hub.transport() });
+        laptop.start();
+        laptop.localChange(memo.replace('우유', '두유'));
+        await tick(5);
+
+        const phone = new CollabSession({ documentId: 'doc-1', content: memo, savedAt: '2026-03-01T09:00:00.000Z', transport: hub.transport() });
+        phone.localChange(memo + '\n\n사과');
+        phone.start();
+        await hub.deliver();
+
+        expect(phone.content).toBe('# 장보기\n\n두유\n\n계란\n\n사과');
+        expect(laptop.content).toBe(phone.content);
+    });
+
+    describe('합류 병합이 겹칠 때', () => {
+        let useConflictStore;
+
+        beforeAll(async () => {
+            ({ useConflictStore } = await import('../stores/conflictStore'));
+        });
+
+        afterEach(() => {
+            useConflictStore.setState({ conflicts: [], activeId: null, hostCount: 0 });
+        });
+
+        // 노트북이 먼저 열어 우유 → 두유, 폰은 합류 전에 같은 줄을 우유 → 귀리 우유
+        const openConflicting = async (hub, phoneOptions = {}) => {
+            const laptop = new CollabSession({ documentId: 'doc-1', content: memo, savedAt: '2026-03-01T09:00:00.000Z', transport: hub.transport() });
+            laptop.start();
+            laptop.localChange(memo.replace('우유', '두유'));
+            await tick(5);
+            const phone = new CollabSession({
+                documentId: 'doc-1', content: memo, savedAt: '2026-03-01T09:00:00.000Z', transport: hub.transport(), title: '장보기', ...phoneOptions,
+            });
+            phone.localChange(memo.replace('우유', '귀리 우유'));
+            phone.start();
+            await hub.deliver();
+            return { laptop, phone };
+        };
+
+        it('충돌 마커를 공유 문서에 넣기 전에 충돌 패널에서 고르게 한다', async () => {
+            useConflictStore.getState().attachHost();
+            const hub = createHub();
+            const saves = [];
+            const { laptop, phone } = await openConflicting(hub, { idleMs: 10, onPersist: async content => { saves.push(content); } });
+
+            const [conflict] = useConflictStore.getState().conflicts;
+            expect(conflict).toMatchObject({ documentId: 'doc-1', title: '장보기', threeWay: true });
+            expect(phone.content).toBe(memo.replace('우유', '두유'));
+            await tick(20);
+            expect(saves).toEqual([]);
+
+            useConflictStore.getState().resolve(conflict.id, { action: 'merge', title: '장보기', content: memo.replace('우유', '두유, 귀리 우유') });
+            await hub.deliver();
+            await tick(20);
+
+            expect(phone.content).toBe(memo.replace('우유', '두유, 귀리 우유'));
+            expect(laptop.content).toBe(phone.content);
+            expect(saves).toEqual([phone.content]);
+        });
+
+        it('물어볼 화면이 없으면 충돌 마커로 남기고 onConflict로 알린다', async () => {
+            const hub = createHub();
+            const onConflict = jest.fn();
+            const { phone } = await openConflicting(hub, { onConflict });
+            await tick(0);
+
+            expect(onConflict).toHaveBeenCalledWith(1);
+            expect(phone.content).toContain('<<<<<<<');
+            expect(phone.content).toContain('귀리 우유');
+        });
+    });
+
+    it('잠잠해지면 직접 고친 기기만 저장하고, 다른 문서 메시지는 무시한다', async () => {
+        const hub = createHub();
+        const laptopSaves = [];
+        const phoneSaves = [];
+        const laptop = new CollabSession({
+            documentId: 'doc-1', content: memo, transport: hub.transport(), idleMs: 20,
+            onPersist: async content => { laptopSaves.push(content); },
+        });
+        laptop.start();
+        await tick(5);
+        const phone = new CollabSession({
+            documentId: 'doc-1', content: memo, transport: hub.transport(), idleMs: 20,
+            onPersist: async content => { phoneSaves.push(content); },
+        });
+        phone.start();
+        const other = new CollabSession({ documentId: 'doc-2', content: '다른 메모', transport: hub.transport() });
+        other.start();
+        await hub.deliver();
+
+        laptop.localChange(memo + '\n\n버터');
+        await hub.deliver();
+        await tick(40);
+
+        expect(laptopSaves).toEqual([memo + '\n\n버터']);
+        expect(phoneSaves).toEqual([]);
+        expect(other.content).toBe('다른 메모');
+        expect(other.peerCount).toBe(0);
+
+        await phone.stop();
+        await hub.deliver();
+        expect(laptop.peerCount).toBe(0);
+    });
+});
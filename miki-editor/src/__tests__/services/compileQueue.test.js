@@ -0,0 +1,281 @@
+import { getCompileWorker, enqueueCompileJobs, approveCompileJob, backoffDelay } from '../../services/compileQueue';
+import {
+    compileCurationBatch,
+    publishCurationTriples,
+    detectCurationCards,
+    applyCurationBatch,
+} from '../../services/curationPipeline';
+import { CompileJobQueue } from '../../utils/database';
+import { ByokApiError } from '../../services/byokClient';
+
+// compileJobs 테이블 대역 — 메모리 배열
+jest.mock('../../utils/database', () => {
+    const jobs = [];
+    let seq = 0;
+    return {
+        CompileJobQueue: {
+            jobs,
+            reset() { jobs.length = 0; seq = 0; },
+            async enqueue(newJobs) {
+                const now = new Date().toISOString();
+                for (const job of newJobs) {
+                    jobs.push({ id: ++seq, status: 'pending', stage: 'queued', attempts: 0, runAfter: now, createdAt: now, ...job });
+                }
+            },
+            async nextReady(now = new Date().toISOString()) {
+                return jobs.filter(j => j.status === 'pending' && j.runAfter <= now).sort((a, b) => a.id - b.id)[0] || null;
+            },
+            async update(id, changes) {
+                Object.assign(jobs.find(j => j.id === id), changes);
+            },
+            async updateAndEnqueue(id, changes, newJobs) {
+                await this.update(id, changes);
+                await this.enqueue(newJobs);
+            },
+            async getAll() {
+                return jobs.map(j => ({ ...j }));
+            },
+            async resetRunning() {
+                jobs.filter(j => j.status === 'running').forEach(j => { j.status = 'pending'; });
+            },
+            async removeGroup(groupId) {
+                for (let i = jobs.length - 1; i >= 0; i--) {
+                    if (jobs[i].groupId === groupId) jobs.splice(i, 1);
+                }
+            },
+        },
+    };
+});
+
+jest.mock('../../services/curationPipeline', () => ({
+    compileCurationBatch: jest.fn(),
+    publishCurationTriples: jest.fn(),
+    detectCurationCards: jest.fn(),
+    applyCurationBatch: jest.fn(),
+    toBatchFailures: (batch, err) => batch.map(m => ({ memoId: m.id, stage: 'api', partial: false, message: err.message, errors: [] })),
+}));
+
+const memo = id => ({ id, title: id, content: `${id} 본문` });
+
+describe('CompileWorker', () => {
+    let worker;
+    let events;
+
+    // kick()은 비동기 실행을 시작만 한다 — 큐가 빌 때까지 기다린다
+    const drain = async () => {
+        worker.kick();
+        while (worker._running) await new Promise(resolve => setTimeout(resolve, 0));
+    };
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        CompileJobQueue.reset();
+        events = [];
+        worker = getCompileWorker();
+        worker.stop();
+        worker._listeners.clear();
+        worker.subscribe(event => events.push(event));
+        publishCurationTriples.mockResolvedValue();
+        detectCurationCards.mockReturnValue([]);
+        applyCurationBatch.mockImplementation(async (batch, byMemo, cards) => ({
+            compiled: batch.filter(m => byMemo[m.id]).length, triples: 1, reflections: cards.length,
+        }));
+    });
+
+    afterEach(() => {
+        worker.stop();
+        console.warn.mockRestore();
+        console.error.mockRestore();
+    });
+
+    it('배치 호출이 429면 작업을 백오프 뒤로 미룬다', async () => {
+        compileCurationBatch.mockRejectedValue(new ByokApiError('rate limited', 429, 'claude'));
+        await enqueueCompileJobs([[memo('a'), memo('b')]]);
+
+        await worker.start(async () => ({}));
+        await drain();
+
+        const [job] = CompileJobQueue.jobs;
+        expect(job).toMatchObject({ status: 'pending', stage: 'queued', attempts: 1 });
+        expect(new Date(job.runAfter).getTime()).toBeGreaterThan(Date.now() + backoffDelay(1) - 5000);
+        expect(events[events.length - 1].progress).toMatchObject({ total: 2, settled: 0, retrying: 1 });
+    });
+
+    it('BYOK 키가 없으면 작업을 두고 이유를 구독자에게 알린 뒤, 준비되면 지운다', async () => {
+        compileCurationBatch.mockResolvedValue({ byMemo: { a: [] }, failures: [] });
+        await enqueueCompileJobs([[memo('a')]]);
+
+        await worker.start(async () => { throw new Error('BYOK API 키가 설정되지 않았습니다.'); });
+        await drain();
+
+        expect(CompileJobQueue.jobs[0]).toMatchObject({ status: 'pending', stage: 'queued' });
+        expect(events[events.length - 1]).toMatchObject({ blocked: 'BYOK API 키가 설정되지 않았습니다.', progress: { total: 1, settled: 0 } });
+
+        await worker.start(async () => ({}));
+        await drain();
+
+        expect(events[events.length - 1].blocked).toBeNull();
+        expect(applyCurationBatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('400 같은 재시도 불가 오류는 메모별 실패로 보고하고 작업을 지운다', async () => {
+        compileCurationBatch.mockRejectedValue(new ByokApiError('bad request', 400, 'claude'));
+        await enqueueCompileJobs([[memo('a')]]);
+
+        await worker.start(async () => ({}));
+        await drain();
+
+        expect(CompileJobQueue.jobs).toHaveLength(0);
+        const finished = events.flatMap(e => e.finished);
+        expect(finished).toHaveLength(1);
+        expect(finished[0].result.failures.map(f => f.memoId)).toEqual(['a']);
+    });
+
+    it('앱이 publish 뒤에 닫혔다면 다시 append하지 않고 로컬 반영만 이어서 한다', async () => {
+        await enqueueCompileJobs([[memo('a')]]);
+        Object.assign(CompileJobQueue.jobs[0], { status: 'running', stage: 'published', byMemo: { a: [{ id: 't' }] }, failures: [] });
+
+        await worker.start(async () => ({}));
+        await drain();
+
+        expect(compileCurationBatch).not.toHaveBeenCalled();
+        expect(publishCurationTriples).not.toHaveBeenCalled();
+        expect(applyCurationBatch).toHaveBeenCalledTimes(1);
+        expect(events.flatMap(e => e.finished)[0].result).toMatchObject({ compiled: 1, failures: [] });
+    });
+
+    it('append 뒤 stage 기록 전에 닫혔다면 다시 시작해도 이미 올라간 트리플은 또 올리지 않는다', async () => {
+        const { publishCurationTriples: publish } = jest.requireActual('../../services/curationPipeline');
+        publishCurationTriples.mockImplementation(publish);
+        const t1 = { id: 'a:likes:b', source_memo_id: 'a', created_at: '2026-10-01T00:00:00.000Z' };
+        const t2 = { id: 'a:knows:c', source_memo_id: 'a', created_at: '2026-10-01T00:00:00.000Z' };
+        const remote = [{ ...t1 }];
+        const github = {
+            readJsonl: jest.fn(async () => remote),
+            appendJsonl: jest.fn(async (repo, path, lines) => { remote.push(...lines); }),
+        };
+        await enqueueCompileJobs([[memo('a')]]);
+        // 첫 시도가 t1을 올린 뒤 'published'를 기록하기 전에 탭이 닫힌 상태
+        Object.assign(CompileJobQueue.jobs[0], { status: 'running', stage: 'compiled', publishing: true, byMemo: { a: [t1, t2] }, failures: [] });
+
+        await worker.start(async () => ({ github, dataRepo: 'miki-data' }));
+        await drain();
+
+        expect(github.appendJsonl).toHaveBeenCalledTimes(1);
+        expect(github.appendJsonl).toHaveBeenCalledWith('miki-data', 'graph.jsonl', [t2]);
+        expect(remote.map(line => line.id)).toEqual(['a:likes:b', 'a:knows:c']);
+        expect(applyCurationBatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('처음 publish할 때는 append 전에 publishing 표시부터 남긴다', async () => {
+        let markedBeforeAppend = false;
+        publishCurationTriples.mockImplementation(async () => {
+            markedBeforeAppend = CompileJobQueue.jobs[0].publishing === true;
+        });
+        await enqueueCompileJobs([[memo('a')]]);
+        Object.assign(CompileJobQueue.jobs[0], { stage: 'compiled', byMemo: { a: [{ id: 't' }] }, failures: [] });
+
+        await worker.start(async () => ({}));
+        await drain();
+
+        expect(markedBeforeAppend).toBe(true);
+        expect(publishCurationTriples).toHaveBeenCalledWith([memo('a')], { a: [{ id: 't' }] }, {}, { replay: false });
+    });
+
+    it('publish가 GitHub 5xx로 실패하면 컴파일 결과를 두고 publish만 다시 시도한다', async () => {
+        publishCurationTriples.mockRejectedValueOnce(Object.assign(new Error('Bad Gateway'), { status: 502 }));
+        await enqueueCompileJobs([[memo('a')]]);
+        Object.assign(CompileJobQueue.jobs[0], { stage: 'compiled', byMemo: { a: [{ id: 't2' }] }, failures: [] });
+
+        await worker.start(async () => ({}));
+        await drain();
+
+        const [job] = CompileJobQueue.jobs;
+        expect(job).toMatchObject({ status: 'pending', stage: 'compiled', attempts: 1, byMemo: { a: [{ id: 't2' }] }, failures: [] });
+        expect(new Date(job.runAfter).getTime()).toBeGreaterThan(Date.now() + backoffDelay(1) - 5000);
+
+        job.runAfter = new Date().toISOString();
+        await drain();
+
+        expect(compileCurationBatch).not.toHaveBeenCalled();
+        expect(publishCurationTriples).toHaveBeenLastCalledWith([memo('a')], { a: [{ id: 't2' }] }, {}, { replay: true });
+        expect(events.flatMap(e => e.finished)[0].result).toMatchObject({ compiled: 1, failures: [] });
+    });
+
+    it('카드를 기록한 뒤 닫혔다면 다시 감지하지 않고 기록한 카드로 반영한다', async () => {
+        const cards = [{ id: 'rf-1' }];
+        await enqueueCompileJobs([[memo('a')]]);
+        Object.assign(CompileJobQueue.jobs[0], { status: 'running', stage: 'detected', byMemo: { a: [{ id: 't' }] }, cards, failures: [] });
+
+        await worker.start(async () => ({}));
+        await drain();
+
+        expect(detectCurationCards).not.toHaveBeenCalled();
+        expect(applyCurationBatch).toHaveBeenCalledWith([memo('a')], { a: [{ id: 't' }] }, cards, {});
+        expect(events.flatMap(e => e.finished)[0].result).toMatchObject({ reflections: 1 });
+    });
+
+    it('publish 뒤 로컬 반영이 실패하면 메모를 실패로 돌리지 않고 반영만 다시 시도한다', async () => {
+        applyCurationBatch.mockRejectedValueOnce(new Error('bulkPut 실패'));
+        await enqueueCompileJobs([[memo('a')]]);
+        Object.assign(CompileJobQueue.jobs[0], { status: 'running', stage: 'published', byMemo: { a: [{ id: 't' }] }, failures: [] });
+
+        await worker.start(async () => ({}));
+        await drain();
+
+        const [job] = CompileJobQueue.jobs;
+        expect(job).toMatchObject({ status: 'pending', stage: 'detected', attempts: 1, failures: [] });
+        expect(publishCurationTriples).not.toHaveBeenCalled();
+    });
+
+    it('단건 폴백에서 5xx로 빠진 메모만 새 작업으로 재시도한다', async () => {
+        compileCurationBatch.mockResolvedValue({
+            byMemo: { a: [{ id: 't' }] },
+            failures: [{ memoId: 'b', stage: 'api', partial: false, message: 'API 오류', errors: [], status: 503 }],
+        });
+        await enqueueCompileJobs([[memo('a'), memo('b')]]);
+
+        await worker.start(async () => ({}));
+        await drain();
+
+        const [first, retry] = CompileJobQueue.jobs;
+        expect(first).toMatchObject({ status: 'review', failures: [] });
+        expect(retry).toMatchObject({ status: 'pending', attempts: 1 });
+        expect(retry.memos.map(m => m.id)).toEqual(['b']);
+        expect(events[events.length - 1].progress).toMatchObject({ total: 2, settled: 0, retrying: 1, reviewing: 1 });
+    });
+
+    it('트리플이 나온 작업은 미리보기 승인 전까지 publish하지 않는다', async () => {
+        compileCurationBatch.mockResolvedValue({ byMemo: { a: [{ id: 't1' }, { id: 't2' }] }, failures: [] });
+        await enqueueCompileJobs([[memo('a')]]);
+
+        await worker.start(async () => ({}));
+        await drain();
+
+        expect(publishCurationTriples).not.toHaveBeenCalled();
+        const last = events[events.length - 1];
+        expect(last.review.map(job => job.id)).toEqual([CompileJobQueue.jobs[0].id]);
+        expect(last.finished).toHaveLength(0);
+
+        await approveCompileJob(CompileJobQueue.jobs[0].id, { a: [{ id: 't2' }] });
+        await drain();
+
+        expect(compileCurationBatch).toHaveBeenCalledTimes(1);
+        expect(publishCurationTriples).toHaveBeenCalledWith([memo('a')], { a: [{ id: 't2' }] }, {}, { replay: false });
+        expect(events.flatMap(e => e.finished)[0].result).toMatchObject({ compiled: 1, failures: [] });
+        expect(CompileJobQueue.jobs).toHaveLength(0);
+    });
+
+    it('트리플이 하나도 없으면 미리보기 없이 바로 반영한다', async () => {
+        compileCurationBatch.mockResolvedValue({ byMemo: { a: [] }, failures: [] });
+        await enqueueCompileJobs([[memo('a')]]);
+
+        await worker.start(async () => ({}));
+        await drain();
+
+        expect(applyCurationBatch).toHaveBeenCalledTimes(1);
+        expect(events.flatMap(e => e.review)).toHaveLength(0);
+    });
+});
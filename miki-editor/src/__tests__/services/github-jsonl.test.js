@@ -0,0 +1,137 @@
+import { GitHubService } from '../../services/github';
+
+// Mock octokit to avoid ESM issues
+jest.mock('octokit', () => ({
+    Octokit: class MockOctokit { }
+}));
+
+/**
+ * 메모리 파일 저장소로 동작하는 octokit.rest.repos 대역
+ * GitHub처럼 sha가 어긋나면 409를 던진다.
+ */
+function createFakeRepo(initial = {}) {
+    const files = new Map();
+    let seq = 0;
+    const put = (path, text) => files.set(path, { text, sha: `sha-${++seq}` });
+    for (const [path, text] of Object.entries(initial)) put(path, text);
+
+    const hooks = { beforeWrite: null };
+
+    const repos = {
+        getContent: jest.fn(async ({ path }) => {
+            const file = files.get(path);
+            if (!file) throw Object.assign(new Error('Not Found'), { status: 404 });
+            return {
+                data: { type: 'file', path, sha: file.sha, content: Buffer.from(file.text, 'utf8').toString('base64') },
+            };
+        }),
+        createOrUpdateFileContents: jest.fn(async ({ path, content, sha }) => {
+            if (hooks.beforeWrite) {
+                const hook = hooks.beforeWrite;
+                hooks.beforeWrite = null;
+                hook();
+            }
+            const current = files.get(path);
+            if ((current?.sha ?? undefined) !== sha) {
+                throw Object.assign(new Error('Conflict'), { status: current ? 409 : 422 });
+            }
+            put(path, Buffer.from(content, 'base64').toString('utf8'));
+            return { data: { content: { sha: files.get(path).sha } } };
+        }),
+    };
+
+    return { files, repos, put, hooks };
+}
+
+describe('GitHubService sharded jsonl', () => {
+    const month = new Date().toISOString().slice(0, 7);
+    let github;
+    let repo;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        repo = createFakeRepo({ 'graph.jsonl': '{"id":"legacy"}\n' });
+        github = new GitHubService('token');
+        github.username = 'me';
+        github.octokit = { rest: { repos: repo.repos } };
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    it('appendJsonl은 이번 달 샤드에 쓰고 manifest에 등록한다', async () => {
+        await github.appendJsonl('miki-data', 'graph.jsonl', [{ id: 'a', subject: '김철수' }]);
+
+        expect(repo.files.get(`graph/${month}.jsonl`).text).toBe('{"id":"a","subject":"김철수"}\n');
+        expect(repo.files.get('graph.jsonl').text).toBe('{"id":"legacy"}\n');
+        const manifest = JSON.parse(repo.files.get('graph/manifest.json').text);
+        expect(manifest.shards.map(s => s.path)).toEqual([`graph/${month}.jsonl`]);
+    });
+
+    it('readJsonl은 레거시 파일과 샤드를 순서대로 합친다', async () => {
+        repo.put('graph/2026-01.jsonl', '{"id":"jan"}\n');
+        repo.put('graph/manifest.json', JSON.stringify({ shards: [{ path: 'graph/2026-01.jsonl' }] }));
+        await github.appendJsonl('miki-data', 'graph.jsonl', [{ id: 'now' }]);
+
+        const lines = await github.readJsonl('miki-data', 'graph.jsonl');
+        expect(lines.map(l => l.id)).toEqual(['legacy', 'jan', 'now']);
+    });
+
+    it('다른 기기가 먼저 커밋하면(409) 최신 내용 위에 다시 append한다', async () => {
+        const shard = `graph/${month}.jsonl`;
+        repo.put(shard, '{"id":"a"}\n');
+        repo.put('graph/manifest.json', JSON.stringify({ shards: [{ path: shard }] }));
+        repo.hooks.beforeWrite = () => repo.put(shard, '{"id":"a"}\n{"id":"other-device"}\n');
+
+        await github.appendJsonl('miki-data', 'graph.jsonl', [{ id: 'mine' }]);
+
+        expect(repo.files.get(shard).text).toBe('{"id":"a"}\n{"id":"other-device"}\n{"id":"mine"}\n');
+    });
+
+    it('manifest 등록이 실패하면 샤드에 라인을 쓰지 않는다', async () => {
+        repo.repos.createOrUpdateFileContents.mockRejectedValueOnce(Object.assign(new Error('Server Error'), { status: 500 }));
+
+        await expect(github.appendJsonl('miki-data', 'graph.jsonl', [{ id: 'a' }])).rejects.toThrow('Server Error');
+
+        expect(repo.files.has(`graph/${month}.jsonl`)).toBe(false);
+        expect(repo.repos.createOrUpdateFileContents).toHaveBeenCalledWith(expect.objectContaining({ path: 'graph/manifest.json' }));
+    });
+
+    it('샤드 쓰기가 실패해도 등록된 샤드는 비어 있는 것으로 읽힌다', async () => {
+        const write = repo.repos.createOrUpdateFileContents.getMockImplementation();
+        repo.repos.createOrUpdateFileContents.mockImplementation(async args => {
+            if (args.path === `graph/${month}.jsonl`) throw Object.assign(new Error('Server Error'), { status: 500 });
+            return write(args);
+        });
+
+        await expect(github.appendJsonl('miki-data', 'graph.jsonl', [{ id: 'a' }])).rejects.toThrow('Server Error');
+
+        const manifest = JSON.parse(repo.files.get('graph/manifest.json').text);
+        expect(manifest.shards.map(s => s.path)).toEqual([`graph/${month}.jsonl`]);
+        expect((await github.readJsonl('miki-data', 'graph.jsonl')).map(l => l.id)).toEqual(['legacy']);
+    });
+
+    it('샤딩 대상이 아닌 경로는 단일 파일에 그대로 append한다', async () => {
+        await github.appendJsonl('miki-data', 'aliases.jsonl', [{ id: 'al-1' }]);
+        await github.appendJsonl('miki-data', 'aliases.jsonl', [{ id: 'al-2' }]);
+
+        expect(repo.files.get('aliases.jsonl').text).toBe('{"id":"al-1"}\n{"id":"al-2"}\n');
+        expect(await github.readJsonl('miki-data', 'aliases.jsonl')).toHaveLength(2);
+    });
+
+    it('updateJsonlLines는 바뀐 라인이 있는 샤드만 다시 쓴다', async () => {
+        repo.put('interventions.jsonl', '{"id":"old","last_used_at":"2024-01-01"}\n');
+        repo.put('interventions/2026-01.jsonl', '{"id":"a","last_used_at":"2026-01-01"}\n{"id":"b"}\n');
+        repo.put('interventions/manifest.json', JSON.stringify({ shards: [{ path: 'interventions/2026-01.jsonl' }] }));
+
+        await github.updateJsonlLines('miki-data', 'interventions.jsonl', line => (
+            line.id === 'a' ? { ...line, last_used_at: '2026-10-01' } : line
+        ));
+
+        expect(repo.files.get('interventions/2026-01.jsonl').text)
+            .toBe('{"id":"a","last_used_at":"2026-10-01"}\n{"id":"b"}\n');
+        const writes = repo.repos.createOrUpdateFileContents.mock.calls.map(([args]) => args.path);
+        expect(writes).toEqual(['interventions/2026-01.jsonl']);
+    });
+});
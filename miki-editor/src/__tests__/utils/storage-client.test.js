@@ -1,6 +1,11 @@
 import { storage } from '../../utils/storage-client';
 import { AuthService } from '../../services/auth';
 import { GitHubService } from '../../services/github';
+import { SyncBaseCache } from '../../utils/database';
+import { VaultService } from '../../utils/vault';
+import { useVaultStore } from '../../stores/useVaultStore';
+import { getSyncEngine } from '../../sync/SyncEngine';
+import { useConflictStore } from '../../stores/conflictStore';
 
 // Mock octokit to avoid ESM issues
 jest.mock('octokit', () => ({
@@ -16,9 +21,18 @@ jest.mock('../../utils/database', () => ({
         markSyncedWithUpdate: jest.fn().mockResolvedValue(undefined),
         deleteLocal: jest.fn().mockResolvedValue(undefined),
     },
+    SyncBaseCache: {
+        get: jest.fn().mockResolvedValue(undefined),
+        save: jest.fn().mockResolvedValue(undefined),
+    },
     db: {},
 }));
 
+const mockSyncEngine = { enqueue: jest.fn().mockResolvedValue(undefined) };
+jest.mock('../../sync/SyncEngine', () => ({
+    getSyncEngine: () => mockSyncEngine,
+}));
+
 describe('storage-client', () => {
     // Define mock instance outside beforeEach to keep reference stable across tests
     // because storage-client caches the instance
@@ -27,6 +41,7 @@ describe('storage-client', () => {
         getFile: jest.fn(),
         createOrUpdateFile: jest.fn(),
         deleteFile: jest.fn(),
+        getFileAtCommit: jest.fn(),
         setUsername: jest.fn().mockResolvedValue('testuser')
     };
 
@@ -139,5 +154,146 @@ This is the body content.`;
 
             jest.useRealTimers();
         });
+
+        it('백그라운드 GitHub 저장이 실패하면 SyncEngine 대기열로 넘긴다', async () => {
+            jest.useFakeTimers();
+            const post = { id: 'offline-doc', title: '오프라인', content: '# 오프라인', frontMatter: {} };
+            mockGithubInstance.getFilesWithMetadata.mockRejectedValue(new Error('Network Error'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await storage.savePost(post);
+            await jest.runAllTimersAsync();
+
+            expect(getSyncEngine().enqueue).toHaveBeenCalledWith('offline-doc', 'update', expect.objectContaining({ id: 'offline-doc' }));
+            console.error.mockRestore();
+            jest.useRealTimers();
+        });
+
+        it('원격이 기준본 이후 바뀌었으면 3-way 병합한 내용을 저장한다', async () => {
+            jest.useFakeTimers();
+
+            const docId = 'merge-doc-id';
+            const remoteText = `---\ndocId: "${docId}"\ntitle: "Merge"\n---\n# 제목\n\n원격에서 고친 문단\n\n마지막 문단`;
+            mockGithubInstance.getFilesWithMetadata.mockResolvedValue([
+                { name: 'merge-doc.md', text: remoteText, path: 'miki-editor/posts/merge-doc.md', sha: 'remote-sha' }
+            ]);
+            mockGithubInstance.getFile.mockResolvedValue({
+                content: Buffer.from(remoteText).toString('base64'),
+                sha: 'remote-sha'
+            });
+            mockGithubInstance.createOrUpdateFile.mockResolvedValue('merged-sha');
+            SyncBaseCache.get.mockResolvedValue({
+                documentId: docId,
+                sha: 'base-sha',
+                title: 'Merge',
+                content: '# 제목\n\n첫 문단\n\n마지막 문단'
+            });
+
+            await storage.savePost({
+                id: docId,
+                title: 'Merge',
+                content: '# 제목\n\n첫 문단\n\n로컬에서 고친 마지막 문단'
+            });
+            await jest.runAllTimersAsync();
+
+            const [,, content] = mockGithubInstance.createOrUpdateFile.mock.calls[0];
+            expect(content).toContain('원격에서 고친 문단');
+            expect(content).toContain('로컬에서 고친 마지막 문단');
+            expect(content).not.toContain('<<<<<<<');
+            expect(SyncBaseCache.save).toHaveBeenCalledWith(docId, expect.objectContaining({ sha: 'merged-sha' }));
+
+            jest.useRealTimers();
+        });
+    });
+
+    describe('겹친 변경', () => {
+        const docId = 'overlap-doc-id';
+        const remoteText = `---\ndocId: "${docId}"\ntitle: "Overlap"\n---\n# 제목\n\n원격에서 고친 문단`;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            mockGithubInstance.getFilesWithMetadata.mockResolvedValue([
+                { name: 'overlap-doc.md', text: remoteText, path: 'miki-editor/posts/overlap-doc.md', sha: 'remote-sha' }
+            ]);
+            mockGithubInstance.getFile.mockResolvedValue({
+                content: Buffer.from(remoteText).toString('base64'),
+                sha: 'remote-sha'
+            });
+            mockGithubInstance.createOrUpdateFile.mockResolvedValue('marked-sha');
+            SyncBaseCache.get.mockResolvedValue({
+                documentId: docId,
+                sha: 'base-sha',
+                title: 'Overlap',
+                content: '# 제목\n\n처음 문단'
+            });
+        });
+
+        afterEach(() => {
+            useConflictStore.setState({ conflicts: [], activeId: null, hostCount: 0 });
+            console.warn.mockRestore();
+            jest.useRealTimers();
+        });
+
+        it('충돌 패널을 기다리지 않고 양쪽을 충돌 마커로 남겨 저장한다', async () => {
+            useConflictStore.getState().attachHost();
+
+            await storage.savePost({ id: docId, title: 'Overlap', content: '# 제목\n\n로컬에서 고친 문단' });
+            await jest.advanceTimersByTimeAsync(5000);
+
+            const [,, content] = mockGithubInstance.createOrUpdateFile.mock.calls[0];
+            expect(content).toContain('<<<<<<<');
+            expect(content).toContain('로컬에서 고친 문단');
+            expect(content).toContain('원격에서 고친 문단');
+            expect(useConflictStore.getState().conflicts).toHaveLength(1);
+        });
+
+        it('나중에 패널에서 고르면 그 내용으로 다시 저장한다', async () => {
+            useConflictStore.getState().attachHost();
+
+            await storage.savePost({ id: docId, title: 'Overlap', content: '# 제목\n\n로컬에서 고친 문단' });
+            await jest.advanceTimersByTimeAsync(5000);
+            expect(mockGithubInstance.createOrUpdateFile).toHaveBeenCalledTimes(1);
+
+            // 충돌 마커로 저장한 뒤에는 원격이 그 병합본이 된다
+            SyncBaseCache.get.mockResolvedValue({ documentId: docId, sha: 'remote-sha', title: 'Overlap', content: '' });
+            const [conflict] = useConflictStore.getState().conflicts;
+            useConflictStore.getState().resolve(conflict.id, { action: 'merge', title: 'Overlap', content: '# 제목\n\n고른 문단' });
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(mockGithubInstance.createOrUpdateFile).toHaveBeenCalledTimes(2);
+            const [,, content] = mockGithubInstance.createOrUpdateFile.mock.calls[1];
+            expect(content).toContain('고른 문단');
+            expect(content).not.toContain('<<<<<<<');
+        });
+    });
+
+    describe('getPostRevision', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+            useVaultStore.setState({ isVaultReady: false, cryptoKey: null });
+        });
+
+        it('E2EE 이력은 지금 Vault 키로 복호화해 제목과 본문을 돌려준다', async () => {
+            const cryptoKey = { type: 'secret' };
+            useVaultStore.setState({ isVaultReady: true, cryptoKey });
+            mockGithubInstance.getFileAtCommit.mockResolvedValue('MEKI_E2EE:cipher');
+            const decrypt = jest.spyOn(VaultService, 'decrypt')
+                .mockResolvedValue('---\ntitle: "장보기"\n---\n# 장보기\n\n우유');
+
+            const revision = await storage.getPostRevision('20260301-jangbogi-abcd1234', 'c1');
+
+            expect(mockGithubInstance.getFileAtCommit)
+                .toHaveBeenCalledWith('miki-data', 'miki-editor/posts/20260301-jangbogi-abcd1234.md', 'c1');
+            expect(decrypt).toHaveBeenCalledWith('cipher', cryptoKey);
+            expect(revision).toMatchObject({ sha: 'c1', title: '장보기', encrypted: true });
+            expect(revision.content.trim()).toBe('# 장보기\n\n우유');
+        });
+
+        it('Vault가 잠겨 있으면 안내 문구를 돌려주지 않고 실패한다', async () => {
+            mockGithubInstance.getFileAtCommit.mockResolvedValue('MEKI_E2EE:cipher');
+
+            await expect(storage.getPostRevision('doc', 'c1')).rejects.toThrow('Vault가 잠겨');
+        });
     });
 });
@@ -0,0 +1,247 @@
+import { SyncEngine, getSyncEngine, resetSyncEngine } from '../../sync/SyncEngine';
+import { createLocalServerTransport, selectTransport } from '../../sync/transports';
+import { SyncOutbox, SyncBaseCache, db } from '../../utils/database';
+import { storage } from '../../utils/storage-client';
+
+// ---- Mocks ----
+
+jest.mock('../../utils/database', () => ({
+  SyncOutbox: {
+    getDue: jest.fn(),
+    markDone: jest.fn(),
+    markFailed: jest.fn(),
+    enqueue: jest.fn(),
+    cleanup: jest.fn(),
+    counts: jest.fn(),
+    subscribe: jest.fn(),
+  },
+  SyncBaseCache: {
+    get: jest.fn(),
+    save: jest.fn(),
+    remove: jest.fn(),
+  },
+  db: {
+    documents: {
+      where: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../utils/storage-client', () => ({
+  storage: {
+    _savePostToGitHub: jest.fn(),
+    deletePost: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/ws-client', () => ({
+  getWsClient: jest.fn(),
+}));
+
+jest.mock('../../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+// Helper: return a db.documents chain that resolves to `doc`
+const mockLocalDoc = (doc) => {
+  db.documents.where.mockReturnValue({
+    equals: jest.fn().mockReturnValue({ first: jest.fn().mockResolvedValue(doc) }),
+  });
+};
+
+// Helper: build a minimal syncOutbox item
+const makeItem = (overrides = {}) => ({
+  id: Math.random(),
+  documentId: 'doc-1',
+  operation: 'update',
+  payload: { id: 'doc-1', title: 'T', content: 'C' },
+  queuedAt: new Date().toISOString(),
+  runAt: new Date().toISOString(),
+  retryCount: 0,
+  ...overrides,
+});
+
+const httpError = (status, message, data) => Object.assign(new Error(message), { status, data });
+
+// ---- Tests ----
+
+describe('SyncEngine (GitHub transport)', () => {
+  let engine;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetSyncEngine();
+    SyncOutbox.cleanup.mockResolvedValue();
+    SyncOutbox.markDone.mockResolvedValue();
+    SyncOutbox.markFailed.mockResolvedValue();
+    SyncOutbox.counts.mockResolvedValue({ pending: 0, failed: 0 });
+    engine = getSyncEngine({ transport: selectTransport({}) });
+  });
+
+  it('does nothing when no pending items', async () => {
+    SyncOutbox.getDue.mockResolvedValue([]);
+    await engine.flush();
+    expect(storage._savePostToGitHub).not.toHaveBeenCalled();
+  });
+
+  it('syncs a pending update item to GitHub', async () => {
+    const doc = { id: 'doc-1', title: 'Hello', content: 'World' };
+    SyncOutbox.getDue.mockResolvedValue([makeItem({ payload: doc })]);
+    mockLocalDoc(null); // no synced local doc → must sync
+    storage._savePostToGitHub.mockResolvedValue({ ...doc, sha: 'abc123' });
+
+    await engine.flush();
+
+    expect(storage._savePostToGitHub).toHaveBeenCalledWith(doc);
+    expect(SyncOutbox.markDone).toHaveBeenCalled();
+  });
+
+  it('marks item failed (with backoff) on GitHub error', async () => {
+    const item = makeItem({ id: 42 });
+    SyncOutbox.getDue.mockResolvedValue([item]);
+    mockLocalDoc(null);
+    storage._savePostToGitHub.mockRejectedValue(new Error('Network error'));
+
+    await engine.flush();
+
+    expect(SyncOutbox.markFailed).toHaveBeenCalledWith(item.id, 'Network error', { permanent: false });
+    expect(SyncOutbox.markDone).not.toHaveBeenCalled();
+  });
+
+  it('gives up right away on 4xx errors that a retry cannot fix', async () => {
+    const item = makeItem({ id: 43 });
+    SyncOutbox.getDue.mockResolvedValue([item]);
+    mockLocalDoc(null);
+    storage._savePostToGitHub.mockRejectedValue(httpError(422, 'Unprocessable'));
+
+    await engine.flush();
+
+    expect(SyncOutbox.markFailed).toHaveBeenCalledWith(item.id, 'Unprocessable', { permanent: true });
+  });
+
+  it('skips unchanged content (hash deduplication)', async () => {
+    const item = makeItem({ id: 7, payload: { id: 'doc-1', title: 'Same', content: 'NoChange' } });
+    SyncOutbox.getDue.mockResolvedValue([item]);
+    // Local doc is already synced with identical content
+    mockLocalDoc({ synced: true, title: 'Same', content: 'NoChange' });
+
+    await engine.flush();
+
+    expect(storage._savePostToGitHub).not.toHaveBeenCalled();
+    expect(SyncOutbox.markDone).toHaveBeenCalledWith(item.id);
+  });
+
+  it('processes only the latest update; marks older ones done (superseded)', async () => {
+    const old = makeItem({ id: 10, documentId: 'doc-2', payload: { id: 'doc-2', title: 'v1', content: 'old' }, queuedAt: '2026-01-01T00:00:00Z' });
+    const latest = makeItem({ id: 11, documentId: 'doc-2', payload: { id: 'doc-2', title: 'v2', content: 'new' }, queuedAt: '2026-01-01T00:01:00Z' });
+    SyncOutbox.getDue.mockResolvedValue([old, latest]);
+    mockLocalDoc(null);
+    storage._savePostToGitHub.mockResolvedValue({ id: 'doc-2', sha: 'xyz' });
+
+    await engine.flush();
+
+    expect(SyncOutbox.markDone).toHaveBeenCalledWith(old.id);
+    expect(storage._savePostToGitHub).toHaveBeenCalledTimes(1);
+    expect(storage._savePostToGitHub).toHaveBeenCalledWith(expect.objectContaining({ content: 'new' }));
+    expect(SyncOutbox.markDone).toHaveBeenCalledWith(latest.id);
+  });
+
+  it('delete wins over pending updates for same document', async () => {
+    const update = makeItem({ id: 20, documentId: 'doc-3', queuedAt: '2026-01-01T00:00:00Z' });
+    const del = makeItem({ id: 21, documentId: 'doc-3', operation: 'delete', queuedAt: '2026-01-01T00:01:00Z' });
+    SyncOutbox.getDue.mockResolvedValue([update, del]);
+    storage.deletePost.mockResolvedValue({ id: 'doc-3' });
+
+    await engine.flush();
+
+    expect(storage.deletePost).toHaveBeenCalledWith('doc-3');
+    expect(storage._savePostToGitHub).not.toHaveBeenCalled();
+    expect(SyncOutbox.markDone).toHaveBeenCalledWith(update.id);
+    expect(SyncOutbox.markDone).toHaveBeenCalledWith(del.id);
+  });
+
+  it('skips items with missing payload id', async () => {
+    const item = makeItem({ id: 40, payload: { title: 'No ID' } });
+    SyncOutbox.getDue.mockResolvedValue([item]);
+    mockLocalDoc(null);
+
+    await engine.flush();
+
+    expect(storage._savePostToGitHub).not.toHaveBeenCalled();
+    expect(SyncOutbox.markDone).toHaveBeenCalledWith(item.id);
+  });
+
+  it('streams status and sync events to subscribers', async () => {
+    const listener = jest.fn();
+    SyncOutbox.counts.mockResolvedValueOnce({ pending: 1, failed: 0 }).mockResolvedValue({ pending: 0, failed: 0 });
+    engine.subscribe(listener);
+
+    // 구독하자마자 현재 상태
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ transport: 'github', pendingCount: 0 }), { type: 'status' });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ pendingCount: 1 }), { type: 'status' });
+
+    SyncOutbox.getDue.mockResolvedValue([makeItem()]);
+    mockLocalDoc(null);
+    storage._savePostToGitHub.mockResolvedValue({ sha: 'abc' });
+    await engine.flush();
+
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ lastError: null }),
+      { type: 'synced', documentId: 'doc-1', operation: 'update' }
+    );
+    expect(engine.getStatus()).toMatchObject({ pendingCount: 0, flushing: false });
+  });
+});
+
+describe('transports', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    SyncBaseCache.get.mockResolvedValue(null);
+    SyncBaseCache.save.mockResolvedValue();
+  });
+
+  it('selectTransport picks the transport from env', () => {
+    expect(selectTransport({}).name).toBe('github');
+    expect(selectTransport({ VITE_USE_WS_PROXY: 'true' }).name).toBe('ws-proxy');
+    expect(selectTransport({ VITE_USE_WS_PROXY: 'true', VITE_SYNC_SERVER_URL: 'http://sync.local/api' }).name).toBe('local-server');
+  });
+
+  it('local server transport resolves a 409 and pushes the merged document', async () => {
+    const server = { title: 'T', content: 'server' };
+    const httpAdapter = {
+      updateDocument: jest.fn()
+        .mockRejectedValueOnce(httpError(409, 'Conflict', server))
+        .mockResolvedValueOnce({ sha: 'merged-sha' }),
+    };
+    const conflictResolver = {
+      resolve: jest.fn().mockResolvedValue({ action: 'merge', data: { title: 'T', content: 'merged' } }),
+    };
+    const transport = createLocalServerTransport({ httpAdapter, conflictResolver });
+
+    const outcome = await transport.push({ documentId: 'doc-1', operation: 'update', payload: { title: 'T', content: 'local' } });
+
+    expect(conflictResolver.resolve).toHaveBeenCalledWith(expect.objectContaining({ local: { title: 'T', content: 'local' }, server }));
+    expect(httpAdapter.updateDocument).toHaveBeenLastCalledWith('doc-1', { title: 'T', content: 'merged' });
+    expect(outcome.conflict.action).toBe('merge');
+    expect(SyncBaseCache.save).toHaveBeenCalledWith('doc-1', { sha: 'merged-sha', title: 'T', content: 'merged' });
+  });
+
+  it('engine reports transport conflicts on the event stream', async () => {
+    SyncOutbox.getDue.mockResolvedValue([makeItem()]);
+    SyncOutbox.counts.mockResolvedValue({ pending: 0, failed: 0 });
+    mockLocalDoc(null);
+    const resolution = { action: 'use_server' };
+    const engine = new SyncEngine({ transport: { name: 'stub', push: jest.fn().mockResolvedValue({ conflict: resolution }) } });
+    const listener = jest.fn();
+    engine.subscribe(listener);
+
+    await engine.flush();
+
+    expect(listener).toHaveBeenCalledWith(expect.anything(), { type: 'conflict', documentId: 'doc-1', resolution });
+  });
+});
@@ -0,0 +1,210 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useConflictStore } from '../stores/conflictStore';
+import { resolveHunks } from '../sync/threeWayMerge';
+
+const CONTEXT_LINES = 2;
+
+/**
+ * ConflictPanelHost — 대기 중인 동기화 충돌을 패널로 띄운다 (AuthLayout에 한 번 마운트)
+ * 마운트돼 있는 동안에만 ConflictResolver가 사용자에게 묻는다 (stores/conflictStore).
+ */
+export function ConflictPanelHost() {
+    const { conflicts, activeId, resolve, close, attachHost, detachHost } = useConflictStore();
+
+    useEffect(() => {
+        attachHost();
+        return () => detachHost();
+    }, [attachHost, detachHost]);
+
+    const conflict = conflicts.find(c => c.id === activeId);
+    if (!conflict) return null;
+
+    return (
+        <ConflictPanel
+            key={conflict.id}
+            conflict={conflict}
+            remaining={conflicts.length - 1}
+            onResolve={choice => resolve(conflict.id, choice)}
+            onLater={close}
+        />
+    );
+}
+
+/**
+ * ConflictPanel — 로컬 / 서버 버전 나란히 비교, 충돌 구간마다 내 것 / 서버 것 / 직접 편집
+ *
+ * Props:
+ *   conflict   conflictStore 충돌 항목
+ *   remaining  이 충돌 말고 대기 중인 충돌 수
+ *   onResolve  ({ action: 'use_local' | 'use_server' } | { action: 'merge', title, content }) => void
+ *   onLater    () => void — 대기열에 남기고 닫기
+ */
+export function ConflictPanel({ conflict, remaining = 0, onResolve, onLater }) {
+    const [choices, setChoices] = useState({});      // hunk 인덱스 → { take } | { text }
+    const [editing, setEditing] = useState(null);    // { index, text }
+
+    const merged = useMemo(() => resolveHunks(conflict.hunks, choices), [conflict.hunks, choices]);
+    const conflictCount = conflict.hunks.filter(h => h.type === 'conflict').length;
+
+    const choose = (index, choice) => setChoices(prev => ({ ...prev, [index]: choice }));
+
+    return (
+        <div className="fixed inset-0 z-50 bg-black/40 flex items-end sm:items-center justify-center" role="dialog" aria-label="동기화 충돌 해결">
+            <div className="bg-white w-full sm:max-w-4xl sm:rounded-2xl rounded-t-2xl flex flex-col max-h-[92vh] shadow-2xl">
+                {/* 헤더 */}
+                <div className="px-4 py-3 border-b border-gray-100 flex items-start gap-3">
+                    <div className="flex-1 min-w-0">
+                        <h2 className="text-base font-semibold text-gray-900 truncate">📄 {conflict.title}</h2>
+                        <p className="text-xs text-gray-500 mt-0.5">
+                            다른 기기와 {conflictCount}곳을 다르게 고쳤습니다.
+                            {conflict.threeWay ? ' 겹치지 않는 변경은 이미 합쳐 두었습니다.' : ' 마지막 동기화 기록이 없어 다른 부분을 모두 보여 줍니다.'}
+                            {remaining > 0 && ` (대기 중인 충돌 ${remaining}건 더)`}
+                        </p>
+                    </div>
+                    <button onClick={onLater} className="text-sm text-gray-500 hover:text-gray-800 px-2 py-1 shrink-0">
+                        나중에
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto px-4 py-3 flex flex-col gap-3">
+                    {/* 나란히 비교 헤더 */}
+                    <div className="grid grid-cols-2 gap-2 text-xs text-gray-500">
+                        <span>🖥️ 내 버전 {formatTime(conflict.local.updatedAt)}</span>
+                        <span>☁️ 서버 버전 {formatTime(conflict.server.updatedAt)}</span>
+                    </div>
+
+                    {conflict.hunks.map((hunk, index) => hunk.type === 'stable' ? (
+                        <StableHunk key={index} lines={hunk.lines} />
+                    ) : (
+                        <ConflictHunk
+                            key={index}
+                            hunk={hunk}
+                            choice={choices[index]}
+                            editing={editing?.index === index ? editing : null}
+                            onTake={take => choose(index, { take })}
+                            onEdit={() => setEditing({
+                                index,
+                                text: choices[index]?.text ?? (choices[index]?.take === 'server' ? hunk.server : hunk.local).join('\n'),
+                            })}
+                            onEditChange={text => setEditing({ index, text })}
+                            onEditDone={() => {
+                                choose(index, { text: editing.text });
+                                setEditing(null);
+                            }}
+                        />
+                    ))}
+
+                    {/* 병합 결과 미리보기 */}
+                    <details className="border border-gray-200 rounded-lg" open={merged.unresolved === 0}>
+                        <summary className="px-3 py-2 text-xs font-medium text-gray-600 cursor-pointer">
+                            병합 결과 미리보기
+                            {merged.unresolved > 0 && ` — 아직 ${merged.unresolved}곳을 고르지 않았습니다`}
+                        </summary>
+                        <pre className="px-3 pb-3 text-xs text-gray-800 whitespace-pre-wrap font-mono max-h-64 overflow-y-auto">
+                            {merged.content}
+                        </pre>
+                    </details>
+                </div>
+
+                {/* 하단 */}
+                <div className="px-4 py-3 border-t border-gray-100 flex flex-wrap items-center gap-2">
+                    <button
+                        onClick={() => onResolve({ action: 'use_local' })}
+                        className="text-xs px-3 py-2 rounded-lg text-gray-700 bg-gray-100 hover:bg-gray-200"
+                    >
+                        전부 내 버전
+                    </button>
+                    <button
+                        onClick={() => onResolve({ action: 'use_server' })}
+                        className="text-xs px-3 py-2 rounded-lg text-gray-700 bg-gray-100 hover:bg-gray-200"
+                    >
+                        전부 서버 버전
+                    </button>
+                    <button
+                        onClick={() => onResolve({ action: 'merge', title: conflict.mergedTitle, content: merged.content })}
+                        disabled={merged.unresolved > 0 || editing !== null}
+                        className="ml-auto px-4 py-2 text-sm font-semibold rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40"
+                    >
+                        병합 결과 저장
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// 양쪽이 같은 구간 — 앞뒤 몇 줄만 문맥으로 보이고 나머지는 접는다
+function StableHunk({ lines }) {
+    if (lines.length <= CONTEXT_LINES * 2) {
+        return <pre className="text-xs text-gray-400 whitespace-pre-wrap font-mono px-2">{lines.join('\n')}</pre>;
+    }
+    return (
+        <pre className="text-xs text-gray-400 whitespace-pre-wrap font-mono px-2">
+            {lines.slice(0, CONTEXT_LINES).join('\n')}
+            {`\n⋯ 같은 내용 ${lines.length - CONTEXT_LINES * 2}줄 ⋯\n`}
+            {lines.slice(-CONTEXT_LINES).join('\n')}
+        </pre>
+    );
+}
+
+function ConflictHunk({ hunk, choice, editing, onTake, onEdit, onEditChange, onEditDone }) {
+    const chosen = choice?.take || (choice?.text !== undefined ? 'edit' : null);
+
+    return (
+        <div className="border border-amber-200 rounded-lg overflow-hidden">
+            {editing ? (
+                <div className="p-2 flex flex-col gap-2 bg-amber-50/40">
+                    <textarea
+                        value={editing.text}
+                        onChange={e => onEditChange(e.target.value)}
+                        rows={Math.min(Math.max(editing.text.split('\n').length + 1, 3), 12)}
+                        className="w-full text-xs font-mono p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-400"
+                        aria-label="충돌 구간 직접 편집"
+                    />
+                    <button onClick={onEditDone} className="self-end text-xs px-3 py-1 rounded-md text-white bg-blue-600 hover:bg-blue-700">
+                        편집 완료
+                    </button>
+                </div>
+            ) : (
+                <div className="grid grid-cols-2 divide-x divide-amber-200">
+                    <Side lines={hunk.local} active={chosen === 'local'} tone="local" />
+                    <Side lines={hunk.server} active={chosen === 'server'} tone="server" />
+                </div>
+            )}
+            {chosen === 'edit' && !editing && (
+                <pre className="px-2 py-1 text-xs font-mono whitespace-pre-wrap bg-blue-50 text-blue-900 border-t border-amber-200">
+                    {choice.text || '(빈 내용)'}
+                </pre>
+            )}
+            <div className="flex gap-1 px-2 py-1.5 bg-amber-50 border-t border-amber-200">
+                <HunkButton active={chosen === 'local'} onClick={() => onTake('local')}>내 것</HunkButton>
+                <HunkButton active={chosen === 'server'} onClick={() => onTake('server')}>서버 것</HunkButton>
+                <HunkButton active={chosen === 'edit'} onClick={onEdit}>편집</HunkButton>
+            </div>
+        </div>
+    );
+}
+
+function Side({ lines, active, tone }) {
+    const color = tone === 'local' ? 'bg-green-50 text-green-900' : 'bg-sky-50 text-sky-900';
+    return (
+        <pre className={`px-2 py-1.5 text-xs font-mono whitespace-pre-wrap min-h-[2rem] ${color} ${active ? 'ring-2 ring-inset ring-blue-400' : ''}`}>
+            {lines.length ? lines.join('\n') : <span className="text-gray-400">(삭제됨)</span>}
+        </pre>
+    );
+}
+
+function HunkButton({ active, onClick, children }) {
+    return (
+        <button
+            onClick={onClick}
+            className={`text-xs px-2 py-1 rounded-md ${active ? 'bg-blue-600 text-white' : 'text-gray-600 bg-white hover:bg-gray-100 border border-gray-200'}`}
+        >
+            {children}
+        </button>
+    );
+}
+
+function formatTime(iso) {
+    return iso ? `· ${new Date(iso).toLocaleString('ko-KR', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' })}` : '';
+}
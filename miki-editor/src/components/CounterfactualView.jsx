@@ -2,14 +2,24 @@ import { useState } from 'react';
 
 /**
  * CounterfactualView — Anti-bubble 투명성 UI
- * "오늘 건너뜀(Consistent) 트리플" 목록을 접힌 토글로 표시
+ * "오늘 건너뜀(Consistent) 트리플" 목록과, 다시 확인한 오래된 믿음(reaffirm) 목록을 접힌 토글로 표시
  * Props:
- *   skippedTriples  Array  classifyTriple()에서 Consistent로 분류된 트리플
+ *   skippedTriples   Array  classifyTriple()에서 Consistent로 분류된 트리플
+ *   reaffirmedCards  Array  결정이 끝난 reaffirm 카드 (status: accepted | rejected)
  */
-export function CounterfactualView({ skippedTriples = [] }) {
-    const [open, setOpen] = useState(false);
+export function CounterfactualView({ skippedTriples = [], reaffirmedCards = [] }) {
+    if (!skippedTriples.length && !reaffirmedCards.length) return null;
+
+    return (
+        <>
+            {skippedTriples.length > 0 && <SkippedList skippedTriples={skippedTriples} />}
+            {reaffirmedCards.length > 0 && <ReaffirmedList cards={reaffirmedCards} />}
+        </>
+    );
+}
 
-    if (!skippedTriples.length) return null;
+function SkippedList({ skippedTriples }) {
+    const [open, setOpen] = useState(false);
 
     return (
         <div className="rounded-xl border border-gray-200 overflow-hidden">
@@ -45,3 +55,47 @@ export function CounterfactualView({ skippedTriples = [] }) {
         </div>
     );
 }
+
+function ReaffirmedList({ cards }) {
+    const [open, setOpen] = useState(false);
+
+    return (
+        <div className="rounded-xl border border-gray-200 overflow-hidden">
+            <button
+                onClick={() => setOpen(o => !o)}
+                className="w-full flex items-center justify-between px-4 py-3 bg-gray-50 hover:bg-gray-100 text-sm text-gray-600"
+            >
+                <span>다시 확인한 믿음 ({cards.length}개)</span>
+                <span className="text-gray-400">{open ? '▲' : '▼'}</span>
+            </button>
+
+            {open && (
+                <ul className="divide-y divide-gray-100">
+                    {cards.map(card => {
+                        const t = card.proposed_update;
+                        const kept = card.status === 'accepted';
+                        return (
+                            <li key={card.id} className="px-4 py-2 flex items-start gap-2">
+                                <span className={`text-xs mt-0.5 shrink-0 ${kept ? 'text-teal-500' : 'text-red-400'}`}>
+                                    {kept ? '✓' : '✕'}
+                                </span>
+                                <span className={`text-sm ${kept ? 'text-gray-700' : 'text-gray-400 line-through'}`}>
+                                    <strong>{t.subject}</strong>
+                                    <span className="text-gray-400 mx-1">→</span>
+                                    {t.predicate}
+                                    <span className="text-gray-400 mx-1">→</span>
+                                    {t.object}
+                                </span>
+                            </li>
+                        );
+                    })}
+                    <li className="px-4 py-2">
+                        <p className="text-xs text-gray-400">
+                            오래 유지된 믿음은 한 번도 다시 검토되지 않기 쉽습니다. 주기적으로 다시 물어봅니다.
+                        </p>
+                    </li>
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+import { RawMemoCache } from '../utils/database';
+import { sliceEvidence } from '../wiki/evidenceSpan';
+
+/**
+ * EvidenceHighlight — 트리플 근거 구절을 원문 메모(RawMemoCache) 안에서 강조 표시
+ *
+ * 원문이 로컬에 없으면(다른 기기에서 큐레이션) 저장된 snippet만 인용으로 보여준다.
+ *
+ * Props:
+ *   memoId   string
+ *   span     { start, end } | null
+ *   snippet  string | null
+ */
+export function EvidenceHighlight({ memoId, span, snippet }) {
+    const [body, setBody] = useState(null);
+
+    useEffect(() => {
+        if (!memoId) return;
+        let cancelled = false;
+        RawMemoCache.getByMemoId(memoId).then(record => {
+            if (!cancelled) setBody(record?.body ?? '');
+        });
+        return () => { cancelled = true; };
+    }, [memoId]);
+
+    if (!span && !snippet) return null;
+
+    const parts = body ? sliceEvidence(body, span, snippet) : null;
+
+    return (
+        <blockquote className="text-xs text-gray-600 leading-relaxed border-l-2 border-blue-200 pl-2 whitespace-pre-wrap break-words">
+            {parts ? (
+                <>
+                    {parts.clippedStart && '…'}
+                    {parts.before}
+                    <mark className="bg-yellow-100 text-gray-900 rounded px-0.5">{parts.match}</mark>
+                    {parts.after}
+                    {parts.clippedEnd && '…'}
+                </>
+            ) : (
+                <>“{snippet}”</>
+            )}
+        </blockquote>
+    );
+}
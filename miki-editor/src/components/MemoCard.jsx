@@ -148,7 +148,7 @@ function formatTime(iso) {
     } catch { return ''; }
 }
 
-function sourceLabel(source) {
+export function sourceLabel(source) {
     if (source === 'apple_notes') return 'Apple Notes';
     if (source === 'samsung_notes') return 'Samsung Notes';
     if (source === 'meki_editor') return 'Meki';
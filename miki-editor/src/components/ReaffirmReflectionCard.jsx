@@ -0,0 +1,67 @@
+import { EvidenceHighlight } from './EvidenceHighlight';
+
+/**
+ * ReaffirmReflectionCard — Reaffirm Reflection 카드
+ * 오래 유지된 믿음(반복 기록된 트리플)을 다시 보여주고 지금도 유효한지 사용자가 결정
+ * Props:
+ *   card        object   reflectionsQueue 항목 (type:'reaffirm')
+ *   onDecision  (id, decision) => void   'accepted' = 여전히 유효, 'rejected' = 더 이상 아님
+ */
+export function ReaffirmReflectionCard({ card, onDecision }) {
+    const { proposed_update: p, age_days, occurrences, rationale } = card;
+
+    return (
+        <div className="bg-white rounded-xl border border-teal-200 shadow-sm p-4 flex flex-col gap-3">
+            {/* 헤더 */}
+            <div className="flex items-center gap-2">
+                <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-teal-100 text-teal-800">
+                    재확인
+                </span>
+                {age_days != null && (
+                    <span className="text-xs text-gray-400">
+                        {age_days}일 전 기록{occurrences > 1 && ` · ${occurrences}회`}
+                    </span>
+                )}
+            </div>
+
+            {/* 믿음 */}
+            <p className="text-sm text-gray-900 leading-snug">
+                <strong>{p.subject}</strong>
+                <span className="text-gray-400 mx-1">→</span>
+                <span className="text-gray-700">{p.predicate}</span>
+                <span className="text-gray-400 mx-1">→</span>
+                <strong>{p.object}</strong>
+            </p>
+
+            {/* 최초 근거 구절 */}
+            <EvidenceHighlight
+                memoId={card.source_memo_id}
+                span={card.evidence_span}
+                snippet={card.evidence_snippet}
+            />
+
+            {/* 결정 버튼 */}
+            <div className="flex gap-2">
+                <button
+                    onClick={() => onDecision(card.id, 'rejected')}
+                    className="flex-1 py-2 text-sm font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                >
+                    이제는 아니다
+                </button>
+                <button
+                    onClick={() => onDecision(card.id, 'accepted')}
+                    className="flex-1 py-2 text-sm font-medium bg-teal-600 text-white rounded-lg hover:bg-teal-700"
+                >
+                    여전히 그렇다
+                </button>
+            </div>
+
+            {/* rationale 푸터 */}
+            {rationale && (
+                <p className="text-xs text-gray-400 border-t border-gray-100 pt-2">
+                    왜 이걸 보여드리나요? {rationale}
+                </p>
+            )}
+        </div>
+    );
+}
@@ -1,4 +1,5 @@
 import { useState, useRef } from 'react';
+import { EvidenceHighlight } from './EvidenceHighlight';
 
 /**
  * ReflectionCard — Relation Reflection 카드 (Phone-first 스와이프)
@@ -126,6 +127,13 @@ export function ReflectionCard({ card, onDecision }) {
                 </p>
             </div>
 
+            {/* 근거 구절 (원문 메모 하이라이트) */}
+            <EvidenceHighlight
+                memoId={card.source_memo_id}
+                span={card.evidence_span}
+                snippet={card.evidence_snippet}
+            />
+
             {/* 인라인 편집 모드 */}
             {editing && (
                 <div className="flex flex-col gap-2">
@@ -0,0 +1,174 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { storage } from '../utils/storage-client';
+import { diffTwoWay } from '../sync/threeWayMerge';
+
+const CONTEXT_LINES = 2;
+const HISTORY_LIMIT = 30;
+
+/**
+ * RevisionHistoryPanel — 문서 변경 이력 (miki-data의 miki-editor/posts/<file>.md 커밋)
+ *
+ * 왼쪽에 커밋 목록, 오른쪽에 고른 커밋이 바꾼 내용(바로 이전 커밋과의 줄 단위 비교).
+ * E2EE 문서는 불러올 때 지금 Vault 키로 복호화한다 — 잠겨 있으면 내용 대신 안내를 띄운다.
+ *
+ * Props:
+ *   documentId  이력을 볼 문서
+ *   onRestore   (revision: { sha, title, content, frontMatter }) => Promise — 이 버전으로 새 커밋 저장
+ *   onClose     () => void
+ */
+export default function RevisionHistoryPanel({ documentId, onRestore, onClose }) {
+    const [history, setHistory] = useState(null);     // { filename, commits }
+    const [selected, setSelected] = useState(0);      // commits 인덱스
+    const [view, setView] = useState(null);           // { revision, previous } | { error }
+    const [loadError, setLoadError] = useState(null);
+    const [restoring, setRestoring] = useState(false);
+    const revisions = useRef(new Map());              // commit sha → Promise<revision|null>
+
+    useEffect(() => {
+        let cancelled = false;
+        storage.getPostHistory(documentId, { limit: HISTORY_LIMIT })
+            .then(result => { if (!cancelled) setHistory(result); })
+            .catch(error => { if (!cancelled) setLoadError(error.message); });
+        return () => { cancelled = true; };
+    }, [documentId]);
+
+    useEffect(() => {
+        const commits = history?.commits;
+        if (!commits?.length) return;
+        let cancelled = false;
+
+        const load = sha => {
+            if (!revisions.current.has(sha)) {
+                const pending = storage.getPostRevision(history.filename, sha);
+                // 실패는 다시 시도할 수 있게 캐시하지 않는다 (Vault를 연 뒤 다시 고르는 경우)
+                pending.catch(() => revisions.current.delete(sha));
+                revisions.current.set(sha, pending);
+            }
+            return revisions.current.get(sha);
+        };
+
+        setView(null);
+        const older = commits[selected + 1];
+        Promise.all([load(commits[selected].sha), older ? load(older.sha) : null])
+            .then(([revision, previous]) => { if (!cancelled) setView({ revision, previous }); })
+            .catch(error => { if (!cancelled) setView({ error: error.message }); });
+        return () => { cancelled = true; };
+    }, [history, selected]);
+
+    const hunks = useMemo(() => {
+        if (!view?.revision) return null;
+        return diffTwoWay(view.previous?.content || '', view.revision.content);
+    }, [view]);
+
+    const handleRestore = async () => {
+        setRestoring(true);
+        try {
+            await onRestore(view.revision);
+            onClose();
+        } catch (error) {
+            setView(prev => ({ ...prev, restoreError: error.message }));
+        } finally {
+            setRestoring(false);
+        }
+    };
+
+    const commits = history?.commits || [];
+
+    return (
+        <div className="fixed inset-0 z-50 bg-black/40 flex items-end sm:items-center justify-center" role="dialog" aria-label="문서 변경 이력" onClick={onClose}>
+            <div className="bg-white w-full sm:max-w-5xl sm:rounded-2xl rounded-t-2xl flex flex-col max-h-[92vh] shadow-2xl" onClick={e => e.stopPropagation()}>
+                {/* 헤더 */}
+                <div className="px-4 py-3 border-b border-gray-100 flex items-center gap-3">
+                    <h2 className="flex-1 text-base font-semibold text-gray-900">🕘 변경 이력</h2>
+                    <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800 px-2 py-1">
+                        닫기
+                    </button>
+                </div>
+
+                <div className="flex-1 min-h-0 flex flex-col sm:flex-row">
+                    {/* 커밋 목록 */}
+                    <ul className="sm:w-64 shrink-0 max-h-48 sm:max-h-none overflow-y-auto border-b sm:border-b-0 sm:border-r border-gray-100">
+                        {loadError && <li className="px-4 py-3 text-xs text-red-600">이력을 불러오지 못했습니다: {loadError}</li>}
+                        {!history && !loadError && <li className="px-4 py-3 text-xs text-gray-400">불러오는 중…</li>}
+                        {history && commits.length === 0 && (
+                            <li className="px-4 py-3 text-xs text-gray-400">아직 GitHub에 저장된 이력이 없습니다.</li>
+                        )}
+                        {commits.map((commit, index) => (
+                            <li key={commit.sha}>
+                                <button
+                                    onClick={() => setSelected(index)}
+                                    className={`w-full text-left px-4 py-2 text-xs border-l-2 ${index === selected ? 'border-blue-500 bg-blue-50' : 'border-transparent hover:bg-gray-50'}`}
+                                >
+                                    <span className="block text-gray-800 truncate">{commit.message.split('\n')[0]}</span>
+                                    <span className="block text-gray-400 mt-0.5">
+                                        {formatTime(commit.date)} · {commit.sha.slice(0, 7)}
+                                        {index === 0 && ' · 최신'}
+                                    </span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+
+                    {/* 고른 커밋의 변경 내용 */}
+                    <div className="flex-1 min-w-0 overflow-y-auto px-4 py-3 flex flex-col gap-2">
+                        {commits.length > 0 && !view && <p className="text-xs text-gray-400">불러오는 중…</p>}
+                        {view?.error && (
+                            <p className="text-xs text-red-600">이 버전을 열 수 없습니다: {view.error}</p>
+                        )}
+                        {view && !view.error && !view.revision && (
+                            <p className="text-xs text-gray-500">이 커밋에서 파일이 삭제되었거나 이름이 바뀌었습니다.</p>
+                        )}
+                        {hunks && (
+                            <>
+                                <p className="text-xs text-gray-500">
+                                    {view.previous ? '이전 버전과 비교' : '이전 이력이 없어 전체 내용을 보여 줍니다'}
+                                    {view.revision.encrypted && ' · 🔒 Vault 키로 복호화됨'}
+                                </p>
+                                {hunks.map((hunk, index) => hunk.type === 'stable'
+                                    ? <StableLines key={index} lines={hunk.lines} />
+                                    : <ChangedLines key={index} removed={hunk.local} added={hunk.server} />)}
+                            </>
+                        )}
+                    </div>
+                </div>
+
+                {/* 하단 */}
+                <div className="px-4 py-3 border-t border-gray-100 flex items-center gap-2">
+                    {view?.restoreError && <span className="text-xs text-red-600">복원 실패: {view.restoreError}</span>}
+                    <button
+                        onClick={handleRestore}
+                        disabled={!view?.revision || selected === 0 || restoring}
+                        className="ml-auto px-4 py-2 text-sm font-semibold rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40"
+                    >
+                        {restoring ? '복원 중…' : '이 버전으로 복원'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// 바뀌지 않은 구간 — 앞뒤 몇 줄만 문맥으로 보이고 나머지는 접는다
+function StableLines({ lines }) {
+    const text = lines.length <= CONTEXT_LINES * 2
+        ? lines.join('\n')
+        : `${lines.slice(0, CONTEXT_LINES).join('\n')}\n⋯ 같은 내용 ${lines.length - CONTEXT_LINES * 2}줄 ⋯\n${lines.slice(-CONTEXT_LINES).join('\n')}`;
+    return <pre className="text-xs text-gray-400 whitespace-pre-wrap font-mono px-2">{text}</pre>;
+}
+
+function ChangedLines({ removed, added }) {
+    return (
+        <div className="rounded-lg overflow-hidden border border-gray-200 text-xs font-mono">
+            {removed.map((line, i) => (
+                <pre key={`-${i}`} className="px-2 whitespace-pre-wrap bg-red-50 text-red-800">- {line}</pre>
+            ))}
+            {added.map((line, i) => (
+                <pre key={`+${i}`} className="px-2 whitespace-pre-wrap bg-green-50 text-green-800">+ {line}</pre>
+            ))}
+        </div>
+    );
+}
+
+function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString('ko-KR', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '';
+}
@@ -1,7 +1,7 @@
 /**
  * SyncStatus.jsx — 동기화 상태 인디케이터
  *
- * P4-T4: SyncManager/PendingSyncProcessor 이벤트 구독 기반 UI
+ * P4-T4: SyncEngine 상태 스트림 구독 기반 UI (hooks/useSyncStatus)
  *
  * 표시 상태:
  *   - offline  : 오프라인 대기 중 (황색)
@@ -9,10 +9,12 @@
  *   - synced   : 동기화 완료 (녹색)
  *
  * 화면 우하단 고정 배지 형태로 표시되며 사용자 상호작용에 영향을 주지 않습니다.
+ * 사용자 판단을 기다리는 충돌이 있으면 배지 옆에 "충돌 N" 버튼이 붙어 충돌 패널을 다시 엽니다.
  */
 
 import React from 'react';
 import { useSyncStatus } from '../hooks/useSyncStatus';
+import { useConflictStore } from '../stores/conflictStore';
 
 const STATUS_CONFIG = {
   offline: {
@@ -43,6 +45,8 @@ const STATUS_CONFIG = {
 
 export function SyncStatus() {
   const { status, pendingCount } = useSyncStatus();
+  const conflicts = useConflictStore(state => state.conflicts);
+  const openConflict = useConflictStore(state => state.open);
   const cfg = STATUS_CONFIG[status];
   const isMobileView = typeof window !== 'undefined' && window.innerWidth < 768;
 
@@ -60,16 +64,28 @@ export function SyncStatus() {
   };
 
   return (
-    <div style={barStyle} role="status" aria-live="polite" aria-label={`동기화 상태: ${cfg.label}`}>
-      <span style={dotStyle} aria-hidden="true" />
-      <span style={styles.icon} aria-hidden="true">{cfg.icon}</span>
-      <span style={styles.label}>{cfg.label}</span>
-      {status === 'syncing' && pendingCount > 0 && (
-        <span style={styles.count} aria-label={`대기 ${pendingCount}건`}>
-          {pendingCount}
-        </span>
+    <>
+      <div style={barStyle} role="status" aria-live="polite" aria-label={`동기화 상태: ${cfg.label}`}>
+        <span style={dotStyle} aria-hidden="true" />
+        <span style={styles.icon} aria-hidden="true">{cfg.icon}</span>
+        <span style={styles.label}>{cfg.label}</span>
+        {status === 'syncing' && pendingCount > 0 && (
+          <span style={styles.count} aria-label={`대기 ${pendingCount}건`}>
+            {pendingCount}
+          </span>
+        )}
+      </div>
+      {conflicts.length > 0 && (
+        <button
+          type="button"
+          style={{ ...styles.conflict, bottom: barStyle.bottom }}
+          onClick={() => openConflict(conflicts[0].id)}
+          aria-label={`충돌 ${conflicts.length}건 해결하기`}
+        >
+          ⚠ 충돌 {conflicts.length}
+        </button>
       )}
-    </div>
+    </>
   );
 }
 
@@ -104,6 +120,20 @@ const styles = {
   label: {
     lineHeight: 1,
   },
+  conflict: {
+    position: 'fixed',
+    right: '150px',
+    padding: '5px 11px',
+    borderRadius: '20px',
+    fontSize: '12px',
+    fontWeight: 600,
+    zIndex: 900,
+    border: '1px solid #fca5a5',
+    backgroundColor: '#fef2f2',
+    color: '#b91c1c',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.12)',
+    cursor: 'pointer',
+  },
   count: {
     display: 'inline-flex',
     alignItems: 'center',
@@ -0,0 +1,89 @@
+import { EvidenceHighlight } from './EvidenceHighlight';
+
+/**
+ * TensionReflectionCard — Tension Reflection 카드
+ * 과거 트리플과 신규 트리플을 나란히 보여주고 어느 쪽을 유지할지 사용자가 결정
+ * Props:
+ *   card        object   reflectionsQueue 항목 (type:'tension')
+ *   onDecision  (id, decision) => void   'accepted' = 새 관점 채택, 'rejected' = 기존 유지
+ */
+const SUBTYPE_LABEL = {
+    contradiction: '모순',
+    drift: '관점 변화',
+    reordering: '우선순위 변화',
+};
+
+export function TensionReflectionCard({ card, onDecision }) {
+    const { prior_triple: prior, new_triple: next, tension_subtype, gap_days, rationale } = card;
+
+    return (
+        <div className="bg-white rounded-xl border border-orange-200 shadow-sm p-4 flex flex-col gap-3">
+            {/* 헤더 */}
+            <div className="flex items-center gap-2">
+                <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-orange-100 text-orange-800">
+                    {SUBTYPE_LABEL[tension_subtype] || '충돌'}
+                </span>
+                {gap_days != null && (
+                    <span className="text-xs text-gray-400">{gap_days}일 간격</span>
+                )}
+            </div>
+
+            {/* 과거 vs 신규 */}
+            <div className="grid grid-cols-2 gap-2">
+                <TriplePanel label="위키 (과거)" triple={prior} muted />
+                <TriplePanel label="새 메모" triple={next} />
+            </div>
+
+            {/* 결정 버튼 */}
+            <div className="flex gap-2">
+                <button
+                    onClick={() => onDecision(card.id, 'rejected')}
+                    className="flex-1 py-2 text-sm font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                >
+                    기존 유지
+                </button>
+                <button
+                    onClick={() => onDecision(card.id, 'accepted')}
+                    className="flex-1 py-2 text-sm font-medium bg-orange-500 text-white rounded-lg hover:bg-orange-600"
+                >
+                    새 관점 채택
+                </button>
+            </div>
+
+            {/* rationale 푸터 */}
+            {rationale && (
+                <p className="text-xs text-gray-400 border-t border-gray-100 pt-2">
+                    왜 이걸 보여드리나요? {rationale}
+                </p>
+            )}
+        </div>
+    );
+}
+
+function TriplePanel({ label, triple, muted = false }) {
+    if (!triple) return null;
+    return (
+        <div className={`rounded-lg px-3 py-2 ${muted ? 'bg-gray-50' : 'bg-orange-50'}`}>
+            <p className="text-[10px] text-gray-400 mb-1">
+                {label}
+                {triple.created_at && ` · ${triple.created_at.slice(0, 10)}`}
+            </p>
+            <p className="text-sm text-gray-900 leading-snug">
+                <strong>{triple.subject}</strong>
+                <span className="text-gray-400 mx-1">→</span>
+                <span className="text-gray-700">{triple.predicate}</span>
+                <span className="text-gray-400 mx-1">→</span>
+                <strong>{triple.object}</strong>
+            </p>
+            {triple.evidence_snippet && (
+                <div className="mt-1.5">
+                    <EvidenceHighlight
+                        memoId={triple.source_memo_id}
+                        span={triple.evidence_span}
+                        snippet={triple.evidence_snippet}
+                    />
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,157 @@
+import { useState } from 'react';
+
+/**
+ * TriplePreview — 컴파일 작업 하나의 추출 트리플 미리보기
+ * 메모별로 트리플을 보여 주고, 빼기(토글) / 인라인 수정 후 승인하면 graph.jsonl에 추가된다.
+ *
+ * Props:
+ *   job        compileJobs 행 (status:'review') — { id, memos, byMemo }
+ *   onApprove  (jobId, edits) => Promise — edits 형식은 services/triplePreview 참고
+ */
+export function TriplePreview({ job, onApprove }) {
+    const [edits, setEdits] = useState({});
+    const [editing, setEditing] = useState(null);   // `${memoId}#${index}`
+    const [approving, setApproving] = useState(false);
+
+    const memos = job.memos.filter(memo => job.byMemo[memo.id]?.length);
+    const total = memos.reduce((sum, memo) => sum + job.byMemo[memo.id].length, 0);
+    const droppedCount = Object.values(edits)
+        .reduce((sum, byIndex) => sum + Object.values(byIndex).filter(e => e.drop).length, 0);
+
+    const setEdit = (memoId, index, edit) => {
+        setEdits(prev => {
+            const byIndex = { ...prev[memoId] };
+            if (edit) byIndex[index] = edit;
+            else delete byIndex[index];
+            return { ...prev, [memoId]: byIndex };
+        });
+    };
+
+    const handleApprove = async () => {
+        setApproving(true);
+        try {
+            await onApprove(job.id, edits);
+        } finally {
+            setApproving(false);
+        }
+    };
+
+    return (
+        <div className="bg-white border border-indigo-200 rounded-xl text-sm flex flex-col">
+            <div className="px-4 py-3 border-b border-gray-100">
+                <p className="font-medium text-gray-900">🔍 추출된 트리플 미리보기</p>
+                <p className="text-xs text-gray-500 mt-0.5">
+                    빼거나 고친 트리플은 다음 컴파일부터 반영됩니다
+                </p>
+            </div>
+
+            <div className="flex flex-col divide-y divide-gray-100">
+                {memos.map(memo => (
+                    <section key={memo.id} className="px-4 py-3 flex flex-col gap-2">
+                        <h3 className="text-xs font-semibold text-gray-500 truncate">{memo.title || memo.id}</h3>
+                        {job.byMemo[memo.id].map((triple, index) => {
+                            const key = `${memo.id}#${index}`;
+                            const edit = edits[memo.id]?.[index];
+                            return editing === key ? (
+                                <TripleEditor
+                                    key={key}
+                                    triple={{ ...triple, ...(edit?.drop ? {} : edit) }}
+                                    onDone={next => {
+                                        setEdit(memo.id, index, next);
+                                        setEditing(null);
+                                    }}
+                                    onCancel={() => setEditing(null)}
+                                />
+                            ) : (
+                                <TripleRow
+                                    key={key}
+                                    triple={triple}
+                                    edit={edit}
+                                    onEdit={() => setEditing(key)}
+                                    onToggleDrop={() => setEdit(memo.id, index, edit?.drop ? null : { drop: true })}
+                                />
+                            );
+                        })}
+                    </section>
+                ))}
+            </div>
+
+            <div className="px-4 py-3 border-t border-gray-100 flex items-center gap-3">
+                <span className="text-xs text-gray-500">
+                    {total - droppedCount} / {total}개 추가
+                </span>
+                <button
+                    onClick={handleApprove}
+                    disabled={approving || editing !== null}
+                    className="ml-auto px-4 py-2 text-sm font-semibold rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-40"
+                >
+                    {approving ? '반영 중...' : '승인하고 추가'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+function TripleRow({ triple, edit, onEdit, onToggleDrop }) {
+    const dropped = Boolean(edit?.drop);
+    const shown = dropped ? triple : { ...triple, ...edit };
+    const modified = !dropped && edit
+        && ['subject', 'predicate', 'object'].some(field => shown[field] !== triple[field]);
+
+    return (
+        <div className={`flex items-start gap-2 ${dropped ? 'opacity-40' : ''}`}>
+            <p className={`flex-1 min-w-0 leading-snug ${dropped ? 'line-through' : ''}`}>
+                <strong>{shown.subject}</strong>
+                <span className="text-gray-400 mx-1">→</span>
+                <span className="text-gray-700">{shown.predicate}</span>
+                <span className="text-gray-400 mx-1">→</span>
+                <strong>{shown.object}</strong>
+                {modified && <span className="ml-1 text-[11px] text-indigo-600">수정됨</span>}
+            </p>
+            {!dropped && (
+                <button onClick={onEdit} className="text-xs px-2 py-1 rounded-md text-gray-600 bg-gray-100 hover:bg-gray-200 shrink-0">
+                    수정
+                </button>
+            )}
+            <button onClick={onToggleDrop} className="text-xs px-2 py-1 rounded-md text-gray-600 bg-gray-100 hover:bg-gray-200 shrink-0">
+                {dropped ? '되돌리기' : '빼기'}
+            </button>
+        </div>
+    );
+}
+
+function TripleEditor({ triple, onDone, onCancel }) {
+    const [draft, setDraft] = useState({
+        subject: triple.subject,
+        predicate: triple.predicate,
+        object: triple.object,
+    });
+
+    const field = (name, label) => (
+        <input
+            value={draft[name]}
+            onChange={e => setDraft(prev => ({ ...prev, [name]: e.target.value }))}
+            placeholder={label}
+            aria-label={label}
+            className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-indigo-400"
+        />
+    );
+
+    return (
+        <div className="flex flex-col gap-2">
+            <div className="flex gap-1">
+                {field('subject', '주어')}
+                {field('predicate', '관계')}
+                {field('object', '대상')}
+            </div>
+            <div className="flex gap-1 justify-end">
+                <button onClick={onCancel} className="text-xs px-2 py-1 rounded-md text-gray-500 hover:bg-gray-100">
+                    취소
+                </button>
+                <button onClick={() => onDone(draft)} className="text-xs px-2 py-1 rounded-md text-white bg-indigo-600 hover:bg-indigo-700">
+                    완료
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -20,6 +20,7 @@ const EditorPanel = ({
   onTitleChange,
   onSavePost,
   onToggleFullscreen,
+  onOpenHistory,
   onEditorContextUpdate,
   onEditorChange,
   onEditorBlur,
@@ -148,6 +149,19 @@ const EditorPanel = ({
 
           <div className="flex items-center space-x-2">
 
+            {/* 변경 이력 버튼 (GitHub에 저장된 적 있는 문서만) */}
+            {onOpenHistory && currentDocument && !currentDocument.isEmpty && (
+              <button
+                onClick={onOpenHistory}
+                className="p-1 text-gray-600 hover:text-gray-900 rounded"
+                title="변경 이력"
+              >
+                <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+              </button>
+            )}
+
             {/* 전체화면 토글 버튼 */}
             <button
               onClick={onToggleFullscreen}
@@ -30,6 +30,7 @@ const AppLayout = ({
   onTitleChange,
   onSavePost,
   onToggleFullscreen,
+  onOpenHistory,
   onEditorContextUpdate,
   onEditorChange,
   onEditorBlur,
@@ -65,6 +66,7 @@ const AppLayout = ({
           onNewPost={onNewPost}
           onSavePost={onSavePost}
           onToggleFullscreen={onToggleFullscreen}
+          onOpenHistory={onOpenHistory}
           onEditorContextUpdate={onEditorContextUpdate}
           onEditorChange={onEditorChange}
           onEditorBlur={onEditorBlur}
@@ -116,6 +118,7 @@ const AppLayout = ({
         onTitleChange={onTitleChange}
         onSavePost={onSavePost}
         onToggleFullscreen={onToggleFullscreen}
+        onOpenHistory={onOpenHistory}
         onEditorContextUpdate={onEditorContextUpdate}
         onEditorChange={onEditorChange}
         onEditorBlur={onEditorBlur}
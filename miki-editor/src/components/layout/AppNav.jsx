@@ -52,6 +52,7 @@ export default function AppNav() {
 
     const isActive = (path) =>
         location.pathname === path ||
+        location.pathname.startsWith(`${path}/`) ||
         (path === '/editor' && (location.pathname === '/' || location.pathname === ''));
 
     return (
@@ -355,25 +355,6 @@ const DocumentSidebar = ({
     });
   };
 
-  const handleCleanup = async () => {
-    try {
-      const { default: DataSyncManager } = await import('../../utils/DataSyncManager.js');
-      const syncManager = new DataSyncManager();
-      const result = syncManager.immediateLocalCleanup(['제니', '로제', '먐시리', '블랙핑크']);
-
-      setMessage({
-        type: 'success',
-        text: `로컬 정리 완료: ${result.preservedDocuments}개 보존, ${result.deletedDocuments}개 삭제`
-      });
-    } catch (error) {
-      logger.error('수동 정리 오류:', error);
-      setMessage({
-        type: 'error',
-        text: '정리 중 오류가 발생했습니다.'
-      });
-    }
-  };
-
   const handleDocumentClick = (post) => {
     onLoadPost(post.id);
     if (isMobile) setActiveMobilePanel('editor');
@@ -79,6 +79,11 @@ export const isFeatureEnabled = (flagName) => {
   return FEATURE_FLAGS[flagName] === true;
 };
 
+// 사용자가 켠 플래그까지 포함 (updateUserFeatureFlag / featureFlagChanged 이벤트와 짝)
+export const isUserFeatureEnabled = (flagName) => {
+  return getUserFeatureFlag(flagName, isFeatureEnabled(flagName)) === true;
+};
+
 // 개발자 도구용 기능 플래그 디버거
 if (FEATURE_FLAGS.DEV_MODE) {
   window.mikiFeatureFlags = {
@@ -0,0 +1,98 @@
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('useCollabSession');
+import { useEffect, useRef, useCallback, useState } from 'react';
+
+import { isUserFeatureEnabled } from '../config/featureFlags';
+import { CollabSession, createWsCollabTransport } from '../sync/collabSession';
+import { isTemporaryId } from '../utils/id-generator';
+
+const isCollabAvailable = () =>
+  import.meta.env.VITE_USE_WS_PROXY === 'true' && isUserFeatureEnabled('COLLABORATIVE_EDITING');
+
+/**
+ * 열려 있는 문서의 기기 간 동시 편집 세션 (FEATURE_FLAGS.COLLABORATIVE_EDITING + WS 프록시)
+ *
+ * 문서가 바뀔 때마다 sync/collabSession 세션을 새로 연다. 다른 기기가 같은 문서를 열고 있으면
+ * (shared) 자동 저장 대신 세션이 잠잠해졌을 때 저장하므로, 두 기기가 번갈아 덮어쓰지 않는다.
+ *
+ * @param {Object} options
+ * @param {Object|null} options.document - 현재 문서
+ * @param {(content: string) => void} options.onRemoteContent - 다른 기기 편집이 반영된 본문을 에디터에
+ * @param {(document: Object, content: string) => Promise<Object|undefined>} options.onPersist - 세션 문서 저장
+ * @param {(conflicts: number) => void} [options.onConflict] - 합류 병합의 겹친 곳을 충돌 마커로 남겼을 때
+ * @returns {{ active: boolean, shared: boolean, peers: number, localChange: (content: string) => void }}
+ */
+const useCollabSession = ({ document, onRemoteContent, onPersist, onConflict }) => {
+  const [enabled, setEnabled] = useState(isCollabAvailable);
+  const [active, setActive] = useState(false);
+  const [peers, setPeers] = useState(0);
+
+  const sessionRef = useRef(null);
+  const documentRef = useRef(document);
+  const onRemoteContentRef = useRef(onRemoteContent);
+  const onPersistRef = useRef(onPersist);
+  const onConflictRef = useRef(onConflict);
+  documentRef.current = document;
+  onRemoteContentRef.current = onRemoteContent;
+  onPersistRef.current = onPersist;
+  onConflictRef.current = onConflict;
+
+  useEffect(() => {
+    const handleFlagChange = ({ detail }) => {
+      if (detail?.flagName === 'COLLABORATIVE_EDITING') setEnabled(isCollabAvailable());
+    };
+    window.addEventListener('featureFlagChanged', handleFlagChange);
+    return () => window.removeEventListener('featureFlagChanged', handleFlagChange);
+  }, []);
+
+  const documentId = document?.id;
+  const shareable = Boolean(documentId) && !document?.isEmpty && !isTemporaryId(documentId);
+
+  useEffect(() => {
+    if (!enabled || !shareable) return;
+
+    // 세션은 시작할 때의 문서를 저장 대상으로 잡는다 (문서를 전환한 뒤 stop()의 저장이 새 문서를 덮지 않게)
+    let sessionDocument = documentRef.current;
+    const session = new CollabSession({
+      documentId,
+      content: sessionDocument.content || '',
+      savedAt: sessionDocument.updatedAt || null,
+      title: sessionDocument.title || '',
+      transport: createWsCollabTransport(),
+      onRemoteChange: content => {
+        if (sessionRef.current === session) onRemoteContentRef.current?.(content);
+      },
+      onPersist: async content => {
+        const saved = await onPersistRef.current(sessionDocument, content);
+        if (saved) sessionDocument = saved;
+      },
+      onConflict: count => {
+        if (sessionRef.current === session) onConflictRef.current?.(count);
+      },
+      onPeersChange: count => {
+        if (sessionRef.current === session) setPeers(count);
+      },
+    });
+
+    sessionRef.current = session;
+    session.start();
+    setActive(true);
+    logger.info(`🤝 [COLLAB] 세션 시작: ${documentId}`);
+
+    return () => {
+      sessionRef.current = null;
+      setActive(false);
+      setPeers(0);
+      session.stop();
+    };
+  }, [enabled, shareable, documentId]);
+
+  const localChange = useCallback((content) => {
+    sessionRef.current?.localChange(content);
+  }, []);
+
+  return { active, shared: active && peers > 0, peers, localChange };
+};
+
+export default useCollabSession;
@@ -1,48 +1,20 @@
-import { useState, useEffect, useRef } from 'react';
-import { PendingSync } from '../utils/database';
-
-const POLL_INTERVAL = 5000;
+import { useState, useEffect } from 'react';
+import { getSyncEngine } from '../sync';
 
 /**
  * useSyncStatus — 동기화 상태 훅
  *
- * window online/offline 이벤트와 PendingSync 테이블 폴링을 통해
+ * SyncEngine 상태 스트림(getSyncEngine().subscribe)을 구독해
  * 현재 동기화 상태를 반환합니다.
  *
- * @returns {{ isOnline: boolean, pendingCount: number, status: 'offline'|'syncing'|'synced' }}
+ * @returns {{ isOnline: boolean, pendingCount: number, failedCount: number, lastError: string|null, status: 'offline'|'syncing'|'synced' }}
  */
 export function useSyncStatus() {
-  const [isOnline, setIsOnline] = useState(
-    typeof navigator !== 'undefined' ? navigator.onLine : true
-  );
-  const [pendingCount, setPendingCount] = useState(0);
-  const pollRef = useRef(null);
-
-  useEffect(() => {
-    const handleOnline = () => setIsOnline(true);
-    const handleOffline = () => setIsOnline(false);
-
-    window.addEventListener('online', handleOnline);
-    window.addEventListener('offline', handleOffline);
-
-    const pollPending = async () => {
-      try {
-        const items = await PendingSync.getPending();
-        setPendingCount(items.length);
-      } catch {
-        // DB가 초기화되기 전이거나 접근 불가 시 무시
-      }
-    };
+  const [engineStatus, setEngineStatus] = useState(() => getSyncEngine().getStatus());
 
-    pollPending();
-    pollRef.current = setInterval(pollPending, POLL_INTERVAL);
+  useEffect(() => getSyncEngine().subscribe(status => setEngineStatus(status)), []);
 
-    return () => {
-      window.removeEventListener('online', handleOnline);
-      window.removeEventListener('offline', handleOffline);
-      clearInterval(pollRef.current);
-    };
-  }, []);
+  const { isOnline, pendingCount, failedCount, lastError } = engineStatus;
 
   let status;
   if (!isOnline) {
@@ -53,7 +25,7 @@ export function useSyncStatus() {
     status = 'synced';
   }
 
-  return { isOnline, pendingCount, status };
+  return { isOnline, pendingCount, failedCount, lastError, status };
 }
 
 export default useSyncStatus;
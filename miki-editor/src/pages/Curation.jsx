@@ -1,10 +1,9 @@
 import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCurationStore } from '../stores/curationStore';
-import { MemoCard } from '../components/MemoCard';
+import { MemoCard, sourceLabel } from '../components/MemoCard';
 import { EditMemoModal } from '../components/EditMemoModal';
-import { GitHubService } from '../services/github';
-import { AuthService } from '../services/auth';
+import { TriplePreview } from '../components/TriplePreview';
 
 /**
  * Curation — 큐레이션 세션 페이지 (Phone-first)
@@ -15,33 +14,38 @@ import { AuthService } from '../services/auth';
  *   - 오른쪽 스와이프 = 추가 / 왼쪽 = 비공개 / 탭 = 편집
  *   - sticky 하단 진행 + 확정 버튼
  *   - 결정된 메모만 컴파일됨. 미결정은 다음 세션으로
+ *   - 컴파일은 백그라운드 작업 큐 — 확정 후 페이지를 떠나도 계속되고, 진행 상황은 상단 배너로
+ *   - 추출된 트리플은 미리보기에서 빼거나 고친 뒤 승인해야 위키에 추가됨
  */
 export default function Curation() {
     const navigate = useNavigate();
     const {
-        pending, decisions, editingMemo, confirming, lastResult,
+        pending, decisions, streak, history, editingMemo, confirming, compileProgress, compileBlocked, review, lastResult,
         loadPending, markSelected, markExcluded,
-        openEditor, closeEditor, saveEdit, confirm,
+        openEditor, closeEditor, saveEdit, confirm, approvePreview,
     } = useCurationStore();
 
     const [error, setError] = useState(null);
 
     useEffect(() => { loadPending(); }, [loadPending]);
 
-    const decidedCount = decisions.size;
-    const selectedCount = [...decisions.values()].filter(v => v === 'selected').length;
+    const decidedCount = Object.keys(decisions).length;
+    const selectedCount = Object.values(decisions).filter(v => v === 'selected').length;
     const excludedCount = decidedCount - selectedCount;
 
     const handleConfirm = async () => {
         setError(null);
         try {
-            const token = AuthService.getToken();
-            const github = new GitHubService(token);
-            await github.setUsername();
-            const result = await confirm({ github, dataRepo: 'miki-data' });
-            if (result.reflections > 0) {
-                navigate('/reflection');
-            }
+            await confirm();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleApprove = async (jobId, edits) => {
+        setError(null);
+        try {
+            await approvePreview(jobId, edits);
         } catch (err) {
             setError(err.message);
         }
@@ -62,6 +66,14 @@ export default function Curation() {
                                 : '결정할 메모 없음'}
                         </p>
                     </div>
+                    {streak.current > 0 && (
+                        <span
+                            className="text-xs font-medium px-2 py-1 rounded-full bg-orange-50 text-orange-700 shrink-0"
+                            title={`최장 ${streak.longest}일`}
+                        >
+                            🔥 {streak.current}일 연속
+                        </span>
+                    )}
                 </div>
                 {/* 진행 바 */}
                 {pending.length > 0 && (
@@ -76,13 +88,24 @@ export default function Curation() {
 
             {/* 카드 목록 */}
             <main className="flex-1 px-4 py-4 max-w-2xl mx-auto md:mx-0 w-full pb-32 flex flex-col gap-3">
+                {compileProgress && <CompileProgress progress={compileProgress} blocked={compileBlocked} />}
+
+                {review.map(job => (
+                    <TriplePreview key={job.id} job={job} onApprove={handleApprove} />
+                ))}
+
                 {lastResult && (
                     <Banner
                         result={lastResult}
+                        onOpenReflection={() => navigate('/reflection')}
                         onDismiss={() => useCurationStore.setState({ lastResult: null })}
                     />
                 )}
 
+                {lastResult?.failures?.length > 0 && (
+                    <FailureReport failures={lastResult.failures} />
+                )}
+
                 {error && (
                     <div className="p-3 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">
                         {error}
@@ -96,13 +119,15 @@ export default function Curation() {
                         <MemoCard
                             key={memo.memoId}
                             memo={memo}
-                            decision={decisions.get(memo.memoId) || null}
+                            decision={decisions[memo.memoId] || null}
                             onSelect={() => markSelected(memo.memoId)}
                             onExclude={() => markExcluded(memo.memoId)}
                             onTap={() => openEditor(memo)}
                         />
                     ))
                 )}
+
+                {history.length > 0 && <SessionHistory sessions={history} />}
             </main>
 
             {/* sticky 하단 — 확정 영역 */}
@@ -118,7 +143,7 @@ export default function Curation() {
                             disabled={confirming || decidedCount === 0}
                             className="ml-auto px-5 py-3 text-sm font-semibold rounded-xl bg-blue-600 text-white hover:bg-blue-700 active:bg-blue-800 disabled:opacity-40 disabled:cursor-not-allowed shadow-sm"
                         >
-                            {confirming ? '컴파일 중...' : `${decidedCount}개 확정`}
+                            {confirming ? '확정 중...' : `${decidedCount}개 확정`}
                         </button>
                     </div>
                 </div>
@@ -154,7 +179,71 @@ function EmptyState({ onBack }) {
     );
 }
 
-function Banner({ result, onDismiss }) {
+function SessionHistory({ sessions }) {
+    return (
+        <details className="mt-2 bg-white rounded-xl border border-gray-200 text-sm">
+            <summary className="px-4 py-3 cursor-pointer text-gray-700 font-medium">지난 세션</summary>
+            <ul className="px-4 pb-3 flex flex-col gap-2">
+                {sessions.map(s => {
+                    const { selected, excluded, bySource } = s.stats;
+                    const total = selected + excluded;
+                    return (
+                        <li key={s.sessionId} className="flex flex-col gap-1">
+                            <div className="flex items-baseline gap-2 text-xs">
+                                <span className="text-gray-900 font-medium">{s.endedAt.slice(0, 10)}</span>
+                                <span className="text-gray-400">{formatDuration(s.activeMs)}</span>
+                                <span className="ml-auto text-gray-500">
+                                    {selected} 추가 · {excluded} 비공개
+                                </span>
+                            </div>
+                            {/* 추가 / 비공개 비율 */}
+                            <div className="h-1 rounded-full bg-gray-200 overflow-hidden">
+                                <div className="h-full bg-blue-500" style={{ width: `${total ? (selected / total) * 100 : 0}%` }} />
+                            </div>
+                            <p className="text-[11px] text-gray-400">
+                                {Object.entries(bySource)
+                                    .map(([source, c]) => `${sourceLabel(source)} ${c.selected + c.excluded}`)
+                                    .join(' · ')}
+                            </p>
+                        </li>
+                    );
+                })}
+            </ul>
+        </details>
+    );
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes < 1 ? '1분 미만' : `${minutes}분`;
+}
+
+function CompileProgress({ progress, blocked }) {
+    const { total, settled, retrying, reviewing, nextRetryAt } = progress;
+    return (
+        <div className="p-3 bg-blue-50 border border-blue-200 rounded-xl text-sm text-blue-800 flex flex-col gap-2">
+            <p className="font-medium">⏳ 컴파일 중 — {settled} / {total}개 메모</p>
+            {blocked && (
+                <p className="text-xs text-amber-700">⚠️ 컴파일을 시작하지 못해 멈춰 있습니다: {blocked} 설정하면 이어서 처리합니다.</p>
+            )}
+            <div className="h-1 rounded-full bg-blue-100 overflow-hidden">
+                <div className="h-full bg-blue-500 transition-all" style={{ width: `${(settled / total) * 100}%` }} />
+            </div>
+            {reviewing > 0 && (
+                <p className="text-xs text-blue-700">{reviewing}개 메모가 미리보기 승인을 기다리고 있습니다</p>
+            )}
+            {retrying > 0 && (
+                <p className="text-xs text-blue-700">
+                    API 한도 / 서버 오류로 {retrying}개 작업 재시도 대기
+                    {nextRetryAt && ` (${new Date(nextRetryAt).toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit' })})`}
+                </p>
+            )}
+            <p className="text-xs text-blue-600">페이지를 떠나도 계속 진행되며, 앱을 닫으면 다음에 이어서 처리합니다.</p>
+        </div>
+    );
+}
+
+function Banner({ result, onOpenReflection, onDismiss }) {
     return (
         <div className="p-3 bg-green-50 border border-green-200 rounded-xl text-sm text-green-800 flex items-start justify-between gap-2">
             <div>
@@ -162,6 +251,11 @@ function Banner({ result, onDismiss }) {
                 <p className="text-xs text-green-700 mt-0.5">
                     {result.triples}개 트리플 · {result.reflections}개 reflection
                 </p>
+                {result.reflections > 0 && (
+                    <button onClick={onOpenReflection} className="mt-1 text-xs font-medium text-green-700 underline">
+                        Reflection 보기
+                    </button>
+                )}
             </div>
             <button
                 onClick={onDismiss}
@@ -172,3 +266,36 @@ function Banner({ result, onDismiss }) {
         </div>
     );
 }
+
+const STAGE_LABEL = { parse: '응답 형식 오류', validation: '스키마 위반', api: 'API 오류' };
+
+function FailureReport({ failures }) {
+    const failed = failures.filter(f => !f.partial);
+    const partial = failures.filter(f => f.partial);
+
+    return (
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-900 flex flex-col gap-2">
+            <p className="font-medium">
+                ⚠️ {failed.length > 0 && `${failed.length}개 메모 컴파일 실패 (다시 확정할 수 있도록 남겨 둠)`}
+                {failed.length > 0 && partial.length > 0 && ' · '}
+                {partial.length > 0 && `${partial.length}개 메모 일부 트리플 제외`}
+            </p>
+            <ul className="flex flex-col gap-1.5">
+                {failures.map(f => (
+                    <li key={f.memoId} className="text-xs">
+                        <span className="font-medium">{f.title || f.memoId}</span>
+                        <span className="text-amber-700"> — {STAGE_LABEL[f.stage] || f.stage}: {f.message}</span>
+                        {f.errors?.length > 0 && (
+                            <ul className="mt-0.5 pl-3 text-amber-700/80">
+                                {f.errors.slice(0, 3).map((e, i) => (
+                                    <li key={i}>{e.index >= 0 ? `#${e.index} ${e.field}: ` : ''}{e.message}</li>
+                                ))}
+                                {f.errors.length > 3 && <li>외 {f.errors.length - 3}건</li>}
+                            </ul>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
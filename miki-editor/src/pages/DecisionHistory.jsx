@@ -0,0 +1,123 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useInterventionStore } from '../stores/interventionStore';
+import { useReflectionStore } from '../stores/reflectionStore';
+import { REVERTIBLE_TYPES, findDormantInterventions } from '../services/interventionResolver';
+
+const TYPE_STYLE = {
+    accept: { label: '수락', className: 'bg-green-100 text-green-800' },
+    edit: { label: '직접 편집', className: 'bg-blue-100 text-blue-800' },
+    modify: { label: '수정', className: 'bg-amber-100 text-amber-800' },
+    reject: { label: '거절', className: 'bg-red-100 text-red-800' },
+    merge: { label: '병합', className: 'bg-purple-100 text-purple-800' },
+    split: { label: '분리', className: 'bg-purple-100 text-purple-800' },
+};
+
+/**
+ * DecisionHistory — 과거 결정 목록 + 되돌리기 (/reflection/decisions)
+ * 되돌리기는 기록을 지우지 않고 revert intervention을 append한다.
+ */
+export default function DecisionHistory() {
+    const navigate = useNavigate();
+    const { interventions, loadFromCache } = useInterventionStore();
+    const revertDecision = useReflectionStore(s => s.revertDecision);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        loadFromCache();
+    }, [loadFromCache]);
+
+    // 최신 결정 먼저, revert 항목은 대상 결정에 "되돌림"으로만 표시
+    const decisions = useMemo(() => {
+        const revertedAt = new Map(
+            interventions.filter(iv => iv.type === 'revert').map(iv => [iv.reverts, iv.created_at])
+        );
+        return interventions
+            .filter(iv => iv.type !== 'revert')
+            .map(iv => ({ ...iv, revertedAt: revertedAt.get(iv.id) || null }))
+            .reverse();
+    }, [interventions]);
+
+    const dormantCount = useMemo(() => findDormantInterventions(interventions).length, [interventions]);
+
+    const handleRevert = async (id) => {
+        setBusyId(id);
+        try {
+            await revertDecision(id);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 md:pl-12 flex flex-col" style={{ paddingBottom: 'calc(3.5rem + env(safe-area-inset-bottom, 0px))' }}>
+            {/* 헤더 — sticky */}
+            <header className="bg-white border-b border-gray-100 sticky top-0 z-10" style={{ paddingTop: 'env(safe-area-inset-top, 0px)' }}>
+                <div className="px-4 py-3 flex items-center gap-3 max-w-2xl mx-auto md:mx-0">
+                    <button
+                        onClick={() => navigate('/reflection')}
+                        className="text-gray-400 hover:text-gray-700 text-lg leading-none"
+                        aria-label="돌아가기"
+                    >
+                        ←
+                    </button>
+                    <div className="flex-1 min-w-0">
+                        <h1 className="text-base font-semibold text-gray-900 leading-tight">
+                            내 결정
+                        </h1>
+                        <p className="text-xs text-gray-500">되돌리면 카드가 다시 열리고 이전 결정이 유효해집니다</p>
+                    </div>
+                    <button
+                        onClick={() => navigate('/reflection/dormant')}
+                        className="text-xs px-2 py-1 rounded-md text-gray-600 bg-gray-100 hover:bg-gray-200 shrink-0"
+                    >
+                        💤 잠든 결정{dormantCount > 0 && ` ${dormantCount}`}
+                    </button>
+                </div>
+            </header>
+
+            <main className="flex-1 px-4 py-4 max-w-2xl mx-auto md:mx-0 w-full flex flex-col gap-2 pb-8">
+                {decisions.length === 0 && (
+                    <p className="text-sm text-gray-400 text-center py-20">아직 기록된 결정이 없습니다</p>
+                )}
+                {decisions.map(iv => {
+                    const style = TYPE_STYLE[iv.type] || { label: iv.type, className: 'bg-gray-100 text-gray-700' };
+                    const revertible = REVERTIBLE_TYPES.has(iv.type) && !iv.revertedAt;
+                    return (
+                        <div
+                            key={iv.id}
+                            className={`bg-white rounded-xl border border-gray-200 px-4 py-3 flex items-start gap-3 ${iv.revertedAt ? 'opacity-60' : ''}`}
+                        >
+                            <span className={`text-xs font-medium px-2 py-0.5 rounded-full shrink-0 ${style.className}`}>
+                                {style.label}
+                            </span>
+                            <div className="flex-1 min-w-0">
+                                <p className={`text-sm text-gray-900 leading-snug ${iv.revertedAt ? 'line-through' : ''}`}>
+                                    <strong>{iv.subject}</strong>
+                                    <span className="text-gray-400 mx-1">→</span>
+                                    <span className="text-gray-700">{iv.predicate}</span>
+                                    <span className="text-gray-400 mx-1">→</span>
+                                    <strong>{iv.object}</strong>
+                                </p>
+                                <p className="text-[11px] text-gray-400 mt-0.5">
+                                    {iv.created_at?.slice(0, 10)}
+                                    {iv.user_note && ` · ${iv.user_note}`}
+                                    {iv.revertedAt && ` · ${iv.revertedAt.slice(0, 10)} 되돌림`}
+                                </p>
+                            </div>
+                            {revertible && (
+                                <button
+                                    onClick={() => handleRevert(iv.id)}
+                                    disabled={busyId === iv.id}
+                                    className="text-xs px-2 py-1 rounded-md text-gray-600 bg-gray-100 hover:bg-gray-200 disabled:opacity-40 shrink-0"
+                                >
+                                    되돌리기
+                                </button>
+                            )}
+                        </div>
+                    );
+                })}
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,142 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useInterventionStore } from '../stores/interventionStore';
+import { findDormantInterventions, latestDecisions } from '../services/interventionResolver';
+import { GitHubService } from '../services/github';
+import { AuthService } from '../services/auth';
+
+const TYPE_LABEL = { accept: '수락', edit: '직접 편집', modify: '수정', reject: '거절', merge: '병합', split: '분리' };
+
+/**
+ * DormantDecisions — 잠든 결정 검토 (/reflection/dormant)
+ * 1년 넘게 컴파일에 쓰이지 않은 결정을 되살리거나(다시 주입) 은퇴시킨다(기록만 남김).
+ */
+export default function DormantDecisions() {
+    const navigate = useNavigate();
+    const { interventions, loadFromCache, reviveIntervention, retireIntervention } = useInterventionStore();
+    const [busyId, setBusyId] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        loadFromCache();
+    }, [loadFromCache]);
+
+    const dormant = useMemo(() => findDormantInterventions(interventions), [interventions]);
+    const retired = useMemo(
+        () => latestDecisions(interventions).filter(iv => iv.retired_at).reverse(),
+        [interventions]
+    );
+
+    // interventions.jsonl에도 반영 — GitHub 연결 실패 시 로컬 캐시에만 반영하고 다음 flush에서 재시도
+    const run = async (id, action) => {
+        setBusyId(id);
+        setError(null);
+        try {
+            let github = null;
+            try {
+                github = new GitHubService(AuthService.getToken());
+                await github.setUsername();
+            } catch {
+                github = null;
+            }
+            await action(id, { github, dataRepo: 'miki-data' });
+        } catch (err) {
+            setError(`결정을 저장하지 못했습니다: ${err.message}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 md:pl-12 flex flex-col" style={{ paddingBottom: 'calc(3.5rem + env(safe-area-inset-bottom, 0px))' }}>
+            {/* 헤더 — sticky */}
+            <header className="bg-white border-b border-gray-100 sticky top-0 z-10" style={{ paddingTop: 'env(safe-area-inset-top, 0px)' }}>
+                <div className="px-4 py-3 flex items-center gap-3 max-w-2xl mx-auto md:mx-0">
+                    <button
+                        onClick={() => navigate('/reflection/decisions')}
+                        className="text-gray-400 hover:text-gray-700 text-lg leading-none"
+                        aria-label="돌아가기"
+                    >
+                        ←
+                    </button>
+                    <div className="flex-1 min-w-0">
+                        <h1 className="text-base font-semibold text-gray-900 leading-tight">
+                            잠든 결정
+                        </h1>
+                        <p className="text-xs text-gray-500">1년 넘게 컴파일에 쓰이지 않은 결정입니다</p>
+                    </div>
+                </div>
+            </header>
+
+            <main className="flex-1 px-4 py-4 max-w-2xl mx-auto md:mx-0 w-full flex flex-col gap-2 pb-8">
+                {error && (
+                    <div className="p-3 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">
+                        {error}
+                    </div>
+                )}
+                {dormant.length === 0 && (
+                    <p className="text-sm text-gray-400 text-center py-12">잠든 결정이 없습니다</p>
+                )}
+                {dormant.map(iv => (
+                    <DecisionRow key={iv.id} iv={iv} meta={`마지막 사용 ${iv.last_used_at?.slice(0, 10) || '기록 없음'}`}>
+                        <RowButton onClick={() => run(iv.id, reviveIntervention)} disabled={busyId === iv.id}>
+                            되살리기
+                        </RowButton>
+                        <RowButton onClick={() => run(iv.id, retireIntervention)} disabled={busyId === iv.id}>
+                            은퇴
+                        </RowButton>
+                    </DecisionRow>
+                ))}
+
+                {retired.length > 0 && (
+                    <>
+                        <h2 className="text-xs font-semibold text-gray-500 mt-4">은퇴한 결정</h2>
+                        {retired.map(iv => (
+                            <DecisionRow key={iv.id} iv={iv} meta={`${iv.retired_at.slice(0, 10)} 은퇴`} muted>
+                                <RowButton onClick={() => run(iv.id, reviveIntervention)} disabled={busyId === iv.id}>
+                                    되살리기
+                                </RowButton>
+                            </DecisionRow>
+                        ))}
+                    </>
+                )}
+            </main>
+        </div>
+    );
+}
+
+function DecisionRow({ iv, meta, muted = false, children }) {
+    return (
+        <div className={`bg-white rounded-xl border border-gray-200 px-4 py-3 flex items-start gap-3 ${muted ? 'opacity-60' : ''}`}>
+            <span className="text-xs font-medium px-2 py-0.5 rounded-full shrink-0 bg-gray-100 text-gray-700">
+                {TYPE_LABEL[iv.type] || iv.type}
+            </span>
+            <div className="flex-1 min-w-0">
+                <p className="text-sm text-gray-900 leading-snug">
+                    <strong>{iv.subject}</strong>
+                    <span className="text-gray-400 mx-1">→</span>
+                    <span className="text-gray-700">{iv.predicate}</span>
+                    <span className="text-gray-400 mx-1">→</span>
+                    <strong>{iv.object}</strong>
+                </p>
+                <p className="text-[11px] text-gray-400 mt-0.5">
+                    {meta}
+                    {iv.user_note && ` · ${iv.user_note}`}
+                </p>
+            </div>
+            <div className="flex flex-col gap-1 shrink-0">{children}</div>
+        </div>
+    );
+}
+
+function RowButton({ onClick, disabled, children }) {
+    return (
+        <button
+            onClick={onClick}
+            disabled={disabled}
+            className="text-xs px-2 py-1 rounded-md text-gray-600 bg-gray-100 hover:bg-gray-200 disabled:opacity-40"
+        >
+            {children}
+        </button>
+    );
+}
@@ -13,11 +13,12 @@ import { DocumentListSkeleton, EditorSkeleton, AiPanelSkeleton } from '../compon
 import AppLayout from '../components/layout/AppLayout';
 
 // 훅 imports
-import { useDocuments } from '../hooks/useDocuments';
+import { useDocuments, useSaveDocument } from '../hooks/useDocuments';
 import { useDocumentStore, useStore } from '../stores';
 import useResponsiveLayout from '../hooks/useResponsiveLayout';
 import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
 import useAutoSave from '../hooks/useAutoSave';
+import useCollabSession from '../hooks/useCollabSession';
 import { usePhantomDocument } from '../hooks/usePhantomDocument';
 
 // 설정 imports
@@ -30,6 +31,7 @@ import { storage } from '../utils/storage-client'; // storage 임포트
 import { usePublish } from '../hooks/usePublish'; // ✅ Publish 훅 임포트
 import { useVaultStore } from '../stores/useVaultStore';
 import { VaultSetup } from '../components/VaultSetup';
+import RevisionHistoryPanel from '../components/RevisionHistoryPanel';
 
 // 유틸리티 함수들
 const slugify = (str) => {
@@ -71,6 +73,7 @@ const extractTitleFromContent = (content) => {
 
 import { generateDocumentId, isTemporaryId } from '../utils/id-generator';
 import { getWsClient } from '../services/ws-client';
+import { mergeThreeWay } from '../sync/threeWayMerge';
 
 const createNewMemo = () => {
   const id = generateDocumentId(); // UUID 즉시 생성
@@ -177,9 +180,62 @@ function AppContent() {
     };
   }, [queryClient]);
 
+  // 저장 중 다른 기기 변경과 3-way 병합됨 → 보고 있는 문서면 병합 결과를 에디터에 반영
+  // 저장 이후 더 입력한 내용은 저장 시점 내용을 기준으로 한 번 더 병합해 살린다 (겹치면 충돌 마커로 남김)
+  useEffect(() => {
+    const handleMerged = ({ detail }) => {
+      if (detail.docId !== currentDocument?.id) return;
+      const merge = mergeThreeWay(detail.savedContent, contentRef.current, detail.content);
+      // 저장된 병합본에 이미 남은 충돌 마커(detail.conflicts)도 함께 알린다
+      const conflicts = merge.conflicts + (detail.conflicts || 0);
+
+      setContent(merge.content);
+      contentRef.current = merge.content;
+      editorRef.current?.getEditorInstance()?.setMarkdown(merge.content);
+      setMessage(conflicts
+        ? { type: 'warning', text: `다른 기기 변경과 ${conflicts}곳이 겹칩니다. 충돌 표시를 정리해 주세요.` }
+        : { type: 'info', text: '다른 기기에서 고친 내용을 합쳤습니다.' });
+    };
+    window.addEventListener('meki:document-merged', handleMerged);
+    return () => window.removeEventListener('meki:document-merged', handleMerged);
+  }, [currentDocument?.id]);
+
   // 🔥 NEW: Phantom Document 상태 관리
   const { setPhantomTrustLevel, removePhantom } = usePhantomDocument();
 
+  // 기기 간 동시 편집 (COLLABORATIVE_EDITING) — 다른 기기 편집을 에디터에 반영하고, 잠잠해지면 저장
+  const saveDocument = useSaveDocument();
+  const collab = useCollabSession({
+    document: currentDocument,
+    onRemoteContent: useCallback((merged) => {
+      setContent(merged);
+      contentRef.current = merged;
+
+      const editorInstance = editorRef.current?.getEditorInstance();
+      if (!editorInstance) return;
+      const selection = editorInstance.getSelection?.();
+      editorInstance.setMarkdown(merged, false);
+      try {
+        if (selection) editorInstance.setSelection(...selection);
+      } catch {
+        // 커서 자리가 사라졌으면 (다른 기기가 그 줄을 지움) 위치 복원 생략
+      }
+    }, []),
+    onPersist: useCallback((doc, merged) => {
+      // 불러올 때와 같은 규칙: 제목이 본문에서 자동 추출된 것이면 새 본문에서 다시 뽑는다
+      const autoTitle = doc.titleMode !== 'manual' && (!doc.title || doc.title === extractTitleFromContent(doc.content || ''));
+      return saveDocument.mutateAsync({
+        ...doc,
+        content: merged,
+        title: autoTitle ? extractTitleFromContent(merged) : doc.title,
+        updatedAt: new Date().toISOString()
+      });
+    }, [saveDocument]),
+    onConflict: useCallback((count) => {
+      setMessage({ type: 'warning', text: `다른 기기 변경과 ${count}곳이 겹칩니다. 충돌 표시를 정리해 주세요.` });
+    }, [])
+  });
+
   // 자동 저장 훅
   const {
     saveStatus,
@@ -194,7 +250,8 @@ function AppContent() {
     content,
     title,
     titleMode,
-    enabled: true,
+    // 다른 기기와 같이 편집 중이면 협업 세션이 잠잠해졌을 때 저장한다
+    enabled: !collab.shared,
     // 🚀 새로 추가: Lazy Document 자동 생성 콜백
     onLazyDocumentCreate: () => {
       logger.info('🔮 [LAZY-DOC] useAutoSave에서 자동 문서 생성 요청');
@@ -269,6 +326,25 @@ function AppContent() {
     checkLocalVault();
   }, [checkLocalVault]);
 
+  // 변경 이력 — 고른 버전을 새 커밋으로 저장하고 에디터에 반영
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const handleRestoreRevision = useCallback(async (revision) => {
+    if (!currentDocument) return;
+    await saveDocument.mutateAsync({
+      ...currentDocument,
+      title: revision.title,
+      content: revision.content,
+      updatedAt: new Date().toISOString()
+    });
+
+    setTitle(revision.title);
+    setContent(revision.content);
+    contentRef.current = revision.content;
+    if (titleModeRef.current === 'auto') lastAutoTitleRef.current = revision.title;
+    editorRef.current?.getEditorInstance()?.setMarkdown(revision.content);
+    setMessage({ type: 'success', text: `${revision.sha.slice(0, 7)} 버전으로 복원했습니다.` });
+  }, [currentDocument, saveDocument]);
+
   // 🔎 단축키 도움말(튜토리얼) 상태 & body 클래스 토글
   const [helpOpen, setHelpOpen] = useState(false);
   const openHelp = useCallback(() => setHelpOpen(true), []);
@@ -375,6 +451,7 @@ function AppContent() {
   const handleEditorChange = useCallback((newContent) => {
     setContent(newContent);
     contentRef.current = newContent;
+    collab.localChange(newContent);
 
     // 🎯 핵심 개선: 자동 모드일 때만 제목 추출
     if (titleModeRef.current === 'auto') {
@@ -395,7 +472,7 @@ function AppContent() {
       // 수동 모드일 때는 제목 추출 안함
       logger.info(`🔒 [TITLE-MANUAL] 수동 모드이므로 제목 자동 추출 건너뜀`);
     }
-  }, [currentDocument]);
+  }, [currentDocument, collab.localChange]);
 
   // 빈 임시 문서 blur 정리 핸들러
   // loadPost()를 거치지 않는 blur(검색창 클릭 등) 케이스에서 phantom 제거
@@ -964,6 +1041,15 @@ function AppContent() {
         </div>
       )}
 
+      {/* 변경 이력 패널 */}
+      {historyOpen && currentDocument && (
+        <RevisionHistoryPanel
+          documentId={currentDocument.id}
+          onRestore={handleRestoreRevision}
+          onClose={() => setHistoryOpen(false)}
+        />
+      )}
+
       {/* Vault 상태 배지 */}
       <button
         className={`fixed bottom-16 right-4 md:bottom-4 z-40 px-3 py-1.5 rounded-full text-xs font-medium shadow-md border ${isVaultReady ? 'bg-green-50 border-green-300 text-green-800' : 'bg-red-50 border-red-300 text-red-800'}`}
@@ -1021,6 +1107,7 @@ function AppContent() {
           onTitleChange={handleTitleChange}
           onSavePost={manualSave}
           onToggleFullscreen={toggleFullscreen}
+          onOpenHistory={() => setHistoryOpen(true)}
           onEditorContextUpdate={handleEditorContextUpdate}
           onEditorChange={handleEditorChange}
           onEditorBlur={handleEditorBlur}
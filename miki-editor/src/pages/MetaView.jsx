@@ -0,0 +1,263 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { db } from '../utils/database';
+import { buildUserModelProfile, withoutReverted } from '../services/interventionResolver';
+import {
+    decisionTimeline,
+    entityDecisionHeatmap,
+    perspectiveDrift,
+    alwaysRejectedTopics,
+} from '../services/metaView';
+
+const KIND_STYLE = {
+    approve: { bar: 'bg-green-400', label: '승인' },
+    modify: { bar: 'bg-amber-400', label: '수정' },
+    reject: { bar: 'bg-red-400', label: '거절' },
+};
+
+/**
+ * MetaView — 나의 결정 패턴 대시보드 (/reflection/meta)
+ * interventionsCache / graphCache만으로 로컬 계산한다.
+ */
+export default function MetaView() {
+    const navigate = useNavigate();
+    const [data, setData] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([db.interventionsCache.toArray(), db.graphCache.toArray()]).then(([interventions, triples]) => {
+            if (!cancelled) setData({ interventions, triples });
+        });
+        return () => { cancelled = true; };
+    }, []);
+
+    const view = useMemo(() => {
+        if (!data) return null;
+        const { interventions, triples } = data;
+        // 되돌린 결정은 집계에서 빼고, 스냅샷 재생에는 revert까지 그대로 넘긴다
+        const decisions = withoutReverted(interventions);
+        return {
+            profile: buildUserModelProfile(interventions),
+            timeline: decisionTimeline(decisions),
+            heatmap: entityDecisionHeatmap(decisions, { months: 6 }),
+            drift: perspectiveDrift(triples, interventions),
+            rejectedTopics: alwaysRejectedTopics(decisions),
+        };
+    }, [data]);
+
+    return (
+        <div className="min-h-screen bg-gray-50 md:pl-12 flex flex-col" style={{ paddingBottom: 'calc(3.5rem + env(safe-area-inset-bottom, 0px))' }}>
+            {/* 헤더 — sticky */}
+            <header className="bg-white border-b border-gray-100 sticky top-0 z-10" style={{ paddingTop: 'env(safe-area-inset-top, 0px)' }}>
+                <div className="px-4 py-3 flex items-center gap-3 max-w-2xl mx-auto md:mx-0">
+                    <button
+                        onClick={() => navigate('/reflection')}
+                        className="text-gray-400 hover:text-gray-700 text-lg leading-none"
+                        aria-label="돌아가기"
+                    >
+                        ←
+                    </button>
+                    <div className="flex-1 min-w-0">
+                        <h1 className="text-base font-semibold text-gray-900 leading-tight">
+                            나의 결정 패턴
+                        </h1>
+                        <p className="text-xs text-gray-500">
+                            {view?.profile ? `총 ${view.profile.total}건의 결정` : '이 기기에 기록된 결정으로 계산합니다'}
+                        </p>
+                    </div>
+                </div>
+            </header>
+
+            <main className="flex-1 px-4 py-4 max-w-2xl mx-auto md:mx-0 w-full flex flex-col gap-3 pb-8">
+                {!view ? (
+                    <p className="text-sm text-gray-400 text-center py-20">불러오는 중…</p>
+                ) : !view.profile ? (
+                    <p className="text-sm text-gray-400 text-center py-20">아직 기록된 결정이 없습니다</p>
+                ) : (
+                    <>
+                        {view.rejectedTopics.length > 0 && <RejectedTopics topics={view.rejectedTopics} />}
+                        <Section title="승인 / 거절 추이" description="최근 12개월, 월별 결정 수">
+                            <TimelineChart timeline={view.timeline} />
+                        </Section>
+                        <Section title="인물별 결정" description="최근 6개월 — 색이 진할수록 결정이 많고, 붉을수록 거절 비중이 큽니다">
+                            <Heatmap heatmap={view.heatmap} />
+                        </Section>
+                        <Section title="관점 변화" description="월말 위키 스냅샷 사이에 더해지고 빠진 관계">
+                            <DriftChart drift={view.drift} />
+                        </Section>
+                    </>
+                )}
+            </main>
+        </div>
+    );
+}
+
+function Section({ title, description, children }) {
+    return (
+        <section className="bg-white rounded-xl border border-gray-200 p-4 flex flex-col gap-3">
+            <div>
+                <h2 className="text-sm font-semibold text-gray-900">{title}</h2>
+                <p className="text-xs text-gray-500 mt-0.5">{description}</p>
+            </div>
+            {children}
+        </section>
+    );
+}
+
+function RejectedTopics({ topics }) {
+    return (
+        <div className="rounded-xl border border-red-200 bg-red-50 p-4 flex flex-col gap-2">
+            <p className="text-sm font-semibold text-red-800">항상 거절하는 주제</p>
+            <ul className="flex flex-col gap-1">
+                {topics.map(t => (
+                    <li key={`${t.kind}-${t.name}`} className="text-sm text-red-900">
+                        <span className="text-xs text-red-500 mr-1">{t.kind === 'entity' ? '인물' : '관계'}</span>
+                        <strong>{t.name}</strong>
+                        <span className="text-xs text-red-500 ml-1">— {t.total}번 중 {t.rejected}번 거절</span>
+                    </li>
+                ))}
+            </ul>
+            <p className="text-xs text-red-500">
+                이 주제의 제안이 계속 틀리는지, 아니면 보고 싶지 않은 것인지 생각해 볼 만합니다.
+            </p>
+        </div>
+    );
+}
+
+function TimelineChart({ timeline }) {
+    const max = Math.max(1, ...timeline.map(b => b.approve + b.modify + b.reject));
+    return (
+        <div className="flex flex-col gap-2">
+            <div className="flex items-end gap-1 h-32">
+                {timeline.map(b => (
+                    <div
+                        key={b.period}
+                        className="flex-1 flex flex-col-reverse rounded-sm overflow-hidden"
+                        title={`${b.period} · 승인 ${b.approve} · 수정 ${b.modify} · 거절 ${b.reject}`}
+                    >
+                        {['approve', 'modify', 'reject'].map(kind => b[kind] > 0 && (
+                            <div
+                                key={kind}
+                                className={KIND_STYLE[kind].bar}
+                                style={{ height: `${(b[kind] / max) * 8}rem` }}
+                            />
+                        ))}
+                    </div>
+                ))}
+            </div>
+            <div className="flex gap-1">
+                {timeline.map(b => (
+                    <span key={b.period} className="flex-1 text-[9px] text-gray-400 text-center">{b.period.slice(5)}</span>
+                ))}
+            </div>
+            <Legend />
+        </div>
+    );
+}
+
+function Legend() {
+    return (
+        <div className="flex gap-3 text-[10px] text-gray-500">
+            {Object.entries(KIND_STYLE).map(([kind, style]) => (
+                <span key={kind} className="flex items-center gap-1">
+                    <span className={`inline-block w-2 h-2 rounded-sm ${style.bar}`} />
+                    {style.label}
+                </span>
+            ))}
+        </div>
+    );
+}
+
+function Heatmap({ heatmap }) {
+    const { periods, rows } = heatmap;
+    if (!rows.length) return <p className="text-xs text-gray-400">최근 6개월간 인물별 결정이 없습니다.</p>;
+
+    const max = Math.max(1, ...rows.flatMap(r => r.cells.map(c => c.approve + c.modify + c.reject)));
+    return (
+        <div className="overflow-x-auto">
+            <table className="text-xs w-full border-separate" style={{ borderSpacing: 2 }}>
+                <thead>
+                    <tr>
+                        <th />
+                        {periods.map(p => (
+                            <th key={p} className="text-[9px] font-normal text-gray-400">{p.slice(5)}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={row.entity}>
+                            <td className="pr-2 text-gray-700 truncate max-w-[7rem]">{row.entity}</td>
+                            {row.cells.map(cell => {
+                                const count = cell.approve + cell.modify + cell.reject;
+                                return (
+                                    <td
+                                        key={cell.period}
+                                        title={`${row.entity} · ${cell.period} · 승인 ${cell.approve} · 수정 ${cell.modify} · 거절 ${cell.reject}`}
+                                        className="h-5 rounded-sm"
+                                        style={{ background: heatColor(count, cell.reject, max) }}
+                                    />
+                                );
+                            })}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+// 색 농도 = 결정 수, 색상 = 거절 비중 (초록 → 빨강)
+function heatColor(count, rejected, max) {
+    if (!count) return '#f3f4f6';
+    const hue = 130 - 130 * (rejected / count);
+    const alpha = 0.25 + 0.75 * (count / max);
+    return `hsla(${hue}, 65%, 50%, ${alpha})`;
+}
+
+function DriftChart({ drift }) {
+    const { series, entities } = drift;
+    const maxChange = Math.max(1, ...series.map(s => Math.max(s.added, s.removed)));
+    const maxTotal = Math.max(1, ...series.map(s => s.total));
+    const points = series
+        .map((s, i) => `${(i + 0.5) * (100 / series.length)},${40 - (s.total / maxTotal) * 36}`)
+        .join(' ');
+
+    return (
+        <div className="flex flex-col gap-3">
+            {/* 위키 크기 추이 */}
+            <svg viewBox="0 0 100 40" preserveAspectRatio="none" className="w-full h-16">
+                <polyline points={points} fill="none" stroke="#3b82f6" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+            </svg>
+            {/* 월별 추가(위) / 제거(아래) */}
+            <div className="flex gap-1 h-20">
+                {series.map(s => (
+                    <div key={s.period} className="flex-1 flex flex-col" title={`${s.period} · 관계 ${s.total}개 · +${s.added} / -${s.removed}`}>
+                        <div className="flex-1 flex flex-col justify-end">
+                            <div className="bg-blue-300 rounded-t-sm" style={{ height: `${(s.added / maxChange) * 100}%` }} />
+                        </div>
+                        <div className="flex-1">
+                            <div className="bg-gray-300 rounded-b-sm" style={{ height: `${(s.removed / maxChange) * 100}%` }} />
+                        </div>
+                    </div>
+                ))}
+            </div>
+            <div className="flex gap-1">
+                {series.map(s => (
+                    <span key={s.period} className="flex-1 text-[9px] text-gray-400 text-center">{s.period.slice(5)}</span>
+                ))}
+            </div>
+            {entities.length > 0 && (
+                <p className="text-xs text-gray-500">
+                    가장 많이 바뀐 인물:{' '}
+                    {entities.map((e, i) => (
+                        <span key={e.entity}>
+                            {i > 0 && ', '}
+                            <strong className="text-gray-700">{e.entity}</strong> (+{e.added}/-{e.removed})
+                        </span>
+                    ))}
+                </p>
+            )}
+        </div>
+    );
+}
@@ -1,19 +1,46 @@
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useReflectionStore } from '../stores/reflectionStore';
 import { ReflectionCard } from '../components/ReflectionCard';
 import { IdentityReflectionCard } from '../components/IdentityReflectionCard';
+import { TensionReflectionCard } from '../components/TensionReflectionCard';
+import { ReaffirmReflectionCard } from '../components/ReaffirmReflectionCard';
 import { CounterfactualView } from '../components/CounterfactualView';
+import { GitHubService } from '../services/github';
+import { AuthService } from '../services/auth';
 
 export default function Reflection() {
-    const { pendingCards, queue, loadQueue, resolveCard } = useReflectionStore();
+    const navigate = useNavigate();
+    const { pendingCards, queue, loadQueue, enqueueReaffirmations, resolveCard } = useReflectionStore();
+    const [error, setError] = useState(null);
 
+    // queue 로드 후 오래된 믿음을 재확인 카드로 되돌린다
     useEffect(() => {
-        loadQueue();
-    }, [loadQueue]);
+        loadQueue().then(enqueueReaffirmations);
+    }, [loadQueue, enqueueReaffirmations]);
+
+    // 동일인 결정은 aliases.jsonl에도 기록 — GitHub 연결 실패 시 로컬 캐시에만 반영
+    const handleIdentityDecision = async (id, modelingKey) => {
+        let github = null;
+        try {
+            github = new GitHubService(AuthService.getToken());
+            await github.setUsername();
+        } catch {
+            github = null;
+        }
+        setError(null);
+        try {
+            await resolveCard(id, modelingKey, '', { github, dataRepo: 'miki-data' });
+        } catch (err) {
+            setError(`동일인 결정을 저장하지 못했습니다: ${err.message}`);
+        }
+    };
 
     const skippedTriples = queue
-        .filter(q => q.status === 'rejected')
+        .filter(q => q.status === 'rejected' && q.type !== 'reaffirm')
         .map(q => q.proposed_update);
+    const reaffirmedCards = queue
+        .filter(q => q.type === 'reaffirm' && q.status !== 'pending');
 
     return (
         <div className="min-h-screen bg-gray-50 md:pl-12 flex flex-col" style={{ paddingBottom: 'calc(3.5rem + env(safe-area-inset-bottom, 0px))' }}>
@@ -30,17 +57,56 @@ export default function Reflection() {
                                 : '새 관계 제안 없음'}
                         </p>
                     </div>
+                    <button
+                        onClick={() => navigate('/reflection/decisions')}
+                        className="text-xs text-gray-500 hover:text-gray-800"
+                        aria-label="내 결정"
+                    >
+                        ↺ 결정
+                    </button>
+                    <button
+                        onClick={() => navigate('/reflection/meta')}
+                        className="text-xs text-gray-500 hover:text-gray-800"
+                        aria-label="나의 결정 패턴"
+                    >
+                        📊 패턴
+                    </button>
+                    <button
+                        onClick={() => navigate('/reflection/settings')}
+                        className="text-xs text-gray-500 hover:text-gray-800"
+                        aria-label="피드 설정"
+                    >
+                        ⚙ 설정
+                    </button>
                 </div>
             </header>
 
             {/* 카드 목록 */}
             <main className="flex-1 px-4 py-4 max-w-2xl mx-auto md:mx-0 w-full flex flex-col gap-3 pb-8">
+                {error && (
+                    <div className="p-3 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">
+                        {error}
+                    </div>
+                )}
+
                 {pendingCards.length === 0 ? (
                     <EmptyState />
                 ) : (
                     pendingCards.map(card =>
                         card.type === 'identity' ? (
                             <IdentityReflectionCard
+                                key={card.id}
+                                card={card}
+                                onDecision={handleIdentityDecision}
+                            />
+                        ) : card.type === 'reaffirm' ? (
+                            <ReaffirmReflectionCard
+                                key={card.id}
+                                card={card}
+                                onDecision={resolveCard}
+                            />
+                        ) : card.type === 'tension' ? (
+                            <TensionReflectionCard
                                 key={card.id}
                                 card={card}
                                 onDecision={resolveCard}
@@ -55,9 +121,9 @@ export default function Reflection() {
                     )
                 )}
 
-                {/* Anti-bubble: 건너뜀 목록 */}
-                {skippedTriples.length > 0 && (
-                    <CounterfactualView skippedTriples={skippedTriples} />
+                {/* Anti-bubble: 건너뜀 / 재확인 목록 */}
+                {(skippedTriples.length > 0 || reaffirmedCards.length > 0) && (
+                    <CounterfactualView skippedTriples={skippedTriples} reaffirmedCards={reaffirmedCards} />
                 )}
             </main>
         </div>
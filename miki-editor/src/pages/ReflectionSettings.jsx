@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useReflectionStore } from '../stores/reflectionStore';
+
+const TOLERANCE_OPTIONS = [
+    { key: 'low', label: '엄격', hint: '메모에 명시된 관계만' },
+    { key: 'medium', label: '보통', hint: '맥락에서 암시된 관계까지' },
+    { key: 'high', label: '관대', hint: '추론된 관계까지 모두' },
+];
+
+const PACING_FIELDS = [
+    { key: 'dailyMin', label: '하루 최소 카드', min: 1, max: 20 },
+    { key: 'dailyMax', label: '하루 최대 카드', min: 1, max: 20 },
+    { key: 'periodMinDays', label: '최소 소화 기간 (일)', min: 1, max: 90 },
+    { key: 'periodMaxDays', label: '최대 소화 기간 (일)', min: 1, max: 90 },
+    { key: 'warmupDays', label: '적응 기간 (일)', min: 0, max: 30 },
+    { key: 'warmupDaily', label: '적응 기간 하루 카드', min: 1, max: 20 },
+];
+
+/**
+ * ReflectionSettings — Reflection 피드 알고리즘 선호도 (/reflection/settings)
+ * 변경 즉시 저장되고 오늘의 카드가 다시 선택된다.
+ */
+export default function ReflectionSettings() {
+    const navigate = useNavigate();
+    const { preferences, setPreferences, resetPreferences } = useReflectionStore();
+
+    return (
+        <div className="min-h-screen bg-gray-50 md:pl-12 flex flex-col" style={{ paddingBottom: 'calc(3.5rem + env(safe-area-inset-bottom, 0px))' }}>
+            {/* 헤더 — sticky */}
+            <header className="bg-white border-b border-gray-100 sticky top-0 z-10" style={{ paddingTop: 'env(safe-area-inset-top, 0px)' }}>
+                <div className="px-4 py-3 flex items-center gap-3 max-w-2xl mx-auto md:mx-0">
+                    <button
+                        onClick={() => navigate('/reflection')}
+                        className="text-gray-400 hover:text-gray-700 text-lg leading-none"
+                        aria-label="돌아가기"
+                    >
+                        ←
+                    </button>
+                    <div className="flex-1 min-w-0">
+                        <h1 className="text-base font-semibold text-gray-900 leading-tight">
+                            피드 설정
+                        </h1>
+                        <p className="text-xs text-gray-500">어떤 카드를 얼마나 자주 볼지 조절합니다</p>
+                    </div>
+                    <button
+                        onClick={resetPreferences}
+                        className="text-xs text-gray-500 hover:text-gray-800"
+                    >
+                        기본값
+                    </button>
+                </div>
+            </header>
+
+            <main className="flex-1 px-4 py-4 max-w-2xl mx-auto md:mx-0 w-full flex flex-col gap-3 pb-8">
+                <Section title="다양성 우선" description="한 사람에 대한 카드가 하루를 채우지 않도록 인물별로 번갈아 보여줍니다.">
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={preferences.diversityFirst}
+                            onChange={e => setPreferences({ diversityFirst: e.target.checked })}
+                        />
+                        인물별로 번갈아 배치
+                    </label>
+                </Section>
+
+                <Section title="역편성" description="오래 유지된 믿음을 다시 묻는 재확인 카드의 비율입니다.">
+                    <RangeField
+                        value={preferences.counterprogramming}
+                        onChange={counterprogramming => setPreferences({ counterprogramming })}
+                    />
+                </Section>
+
+                <Section title="망각 보정" description="오래 기다린 카드를 최신 카드보다 먼저 보여주는 정도입니다.">
+                    <RangeField
+                        value={preferences.forgettingCompensation}
+                        onChange={forgettingCompensation => setPreferences({ forgettingCompensation })}
+                    />
+                </Section>
+
+                <Section title="거짓 양성 허용도" description="틀렸을 수도 있는 제안을 얼마나 받아볼지 정합니다.">
+                    <div className="flex flex-col gap-2">
+                        {TOLERANCE_OPTIONS.map(opt => (
+                            <label key={opt.key} className="flex items-center gap-2 text-sm text-gray-700">
+                                <input
+                                    type="radio"
+                                    name="falsePositiveTolerance"
+                                    checked={preferences.falsePositiveTolerance === opt.key}
+                                    onChange={() => setPreferences({ falsePositiveTolerance: opt.key })}
+                                />
+                                <span className="font-medium">{opt.label}</span>
+                                <span className="text-xs text-gray-400">{opt.hint}</span>
+                            </label>
+                        ))}
+                    </div>
+                </Section>
+
+                <Section title="분량" description="남은 카드를 며칠에 걸쳐, 하루 몇 장씩 소화할지 정합니다.">
+                    <div className="grid grid-cols-2 gap-3">
+                        {PACING_FIELDS.map(field => (
+                            <NumberField
+                                key={field.key}
+                                label={field.label}
+                                min={field.min}
+                                max={field.max}
+                                value={preferences[field.key]}
+                                onCommit={value => setPreferences({ [field.key]: value })}
+                            />
+                        ))}
+                    </div>
+                </Section>
+            </main>
+        </div>
+    );
+}
+
+function Section({ title, description, children }) {
+    return (
+        <section className="bg-white rounded-xl border border-gray-200 p-4 flex flex-col gap-3">
+            <div>
+                <h2 className="text-sm font-semibold text-gray-900">{title}</h2>
+                <p className="text-xs text-gray-500 mt-0.5">{description}</p>
+            </div>
+            {children}
+        </section>
+    );
+}
+
+function RangeField({ value, onChange }) {
+    return (
+        <div className="flex items-center gap-3">
+            <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.05}
+                value={value}
+                onChange={e => onChange(Number(e.target.value))}
+                className="flex-1"
+            />
+            <span className="text-xs text-gray-500 w-10 text-right">{Math.round(value * 100)}%</span>
+        </div>
+    );
+}
+
+// 입력 중에는 범위 보정을 하지 않고, blur / Enter 시점에 저장한다
+function NumberField({ label, min, max, value, onCommit }) {
+    const [draft, setDraft] = useState(String(value));
+
+    useEffect(() => {
+        setDraft(String(value));
+    }, [value]);
+
+    const commit = () => {
+        if (draft !== String(value)) onCommit(Number(draft));
+        setDraft(String(value));
+    };
+
+    return (
+        <label className="flex flex-col gap-1 text-xs text-gray-500">
+            {label}
+            <input
+                type="number"
+                min={min}
+                max={max}
+                value={draft}
+                onChange={e => setDraft(e.target.value)}
+                onBlur={commit}
+                onKeyDown={e => e.key === 'Enter' && commit()}
+                className="text-sm text-gray-900 border border-gray-300 rounded-lg px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-300"
+            />
+        </label>
+    );
+}
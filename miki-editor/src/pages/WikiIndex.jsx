@@ -1,14 +1,21 @@
 import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useWikiStore } from '../stores/wikiStore';
 import { WikiPage } from '../wiki/components/WikiPage';
 
 export default function WikiIndex() {
     const loadFromCache = useWikiStore(s => s.loadFromCache);
-    const storeListEntities = useWikiStore(s => s.listEntities);
+    const loadAsOf = useWikiStore(s => s.loadAsOf);
+    const clearSnapshot = useWikiStore(s => s.clearSnapshot);
+    const snapshot = useWikiStore(s => s.snapshot);
 
     const [entities, setEntities] = useState([]);
+    const [pastEntities, setPastEntities] = useState([]);
+    const [asOfMonth, setAsOfMonth] = useState('');
     const [search, setSearch] = useState('');
-    const [selectedEntity, setSelectedEntity] = useState(null);
+    const [searchParams] = useSearchParams();
+    // /wiki?entity=이름 — 엔티티 페이지 링크(tripleParser.entityHref)로 바로 열기
+    const [selectedEntity, setSelectedEntity] = useState(() => searchParams.get('entity'));
 
     useEffect(() => {
         loadFromCache().then(() => {
@@ -16,10 +23,28 @@ export default function WikiIndex() {
         });
     }, [loadFromCache]);
 
-    const filtered = search.trim()
-        ? entities.filter(e => e.toLowerCase().includes(search.toLowerCase()))
+    // "○월의 내 위키" — 선택한 달의 스냅샷을 오늘 버전 옆에 비교
+    useEffect(() => {
+        if (!asOfMonth) {
+            clearSnapshot();
+            setPastEntities([]);
+            return;
+        }
+        loadAsOf(asOfMonth).then(() => {
+            setPastEntities(useWikiStore.getState().listEntitiesAsOf());
+        });
+    }, [asOfMonth, loadAsOf, clearSnapshot]);
+
+    const pastSet = new Set(pastEntities.map(e => e.toLowerCase()));
+    const todaySet = new Set(entities.map(e => e.toLowerCase()));
+    const allEntities = snapshot
+        ? [...entities, ...pastEntities.filter(e => !todaySet.has(e.toLowerCase()))].sort()
         : entities;
 
+    const filtered = search.trim()
+        ? allEntities.filter(e => e.toLowerCase().includes(search.toLowerCase()))
+        : allEntities;
+
     return (
         <div className="min-h-screen bg-gray-50 md:pl-12 flex flex-col" style={{ paddingBottom: 'calc(3.5rem + env(safe-area-inset-bottom, 0px))' }}>
             <header className="bg-white border-b border-gray-100 sticky top-0 z-10" style={{ paddingTop: 'env(safe-area-inset-top, 0px)' }}>
@@ -31,11 +56,28 @@ export default function WikiIndex() {
                         placeholder="엔티티 검색..."
                         className="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg outline-none focus:border-blue-400 bg-gray-50"
                     />
+                    <div className="mt-2 flex items-center gap-2 text-xs text-gray-500">
+                        <span>시점 비교</span>
+                        <input
+                            type="month"
+                            value={asOfMonth}
+                            onChange={e => setAsOfMonth(e.target.value)}
+                            className="px-2 py-1 border border-gray-200 rounded-md bg-gray-50 outline-none focus:border-blue-400"
+                        />
+                        {asOfMonth && (
+                            <button
+                                onClick={() => setAsOfMonth('')}
+                                className="px-2 py-1 text-gray-500 hover:text-gray-800"
+                            >
+                                오늘로
+                            </button>
+                        )}
+                    </div>
                 </div>
             </header>
 
             <main className="flex-1 px-4 py-3 max-w-2xl mx-auto md:mx-0 w-full">
-                {entities.length === 0 ? (
+                {allEntities.length === 0 ? (
                     <EmptyState />
                 ) : filtered.length === 0 ? (
                     <p className="text-sm text-gray-400 mt-12 text-center">"{search}"에 해당하는 엔티티 없음</p>
@@ -47,7 +89,15 @@ export default function WikiIndex() {
                                     onClick={() => setSelectedEntity(entity)}
                                     className="w-full text-left px-4 py-3 text-sm text-gray-800 hover:bg-gray-50 transition-colors flex items-center justify-between"
                                 >
-                                    <span>{entity}</span>
+                                    <span className="flex items-center gap-2">
+                                        {entity}
+                                        {snapshot && !pastSet.has(entity.toLowerCase()) && (
+                                            <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-blue-50 text-blue-600">{asOfMonth} 이후</span>
+                                        )}
+                                        {snapshot && !todaySet.has(entity.toLowerCase()) && (
+                                            <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-gray-100 text-gray-500">과거에만</span>
+                                        )}
+                                    </span>
                                     <svg className="w-4 h-4 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
                                     </svg>
@@ -62,6 +112,7 @@ export default function WikiIndex() {
                 <WikiPage
                     entityName={selectedEntity}
                     onClose={() => setSelectedEntity(null)}
+                    onNavigate={setSelectedEntity}
                 />
             )}
         </div>
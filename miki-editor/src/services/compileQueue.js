@@ -0,0 +1,382 @@
+/**
+ * compileQueue — 큐레이션 확정의 백그라운드 컴파일 작업 큐
+ *
+ * 확정은 배치별 작업을 IndexedDB(compileJobs)에 넣고 바로 돌아온다. 워커는 작업마다
+ * compile → publish → detect → apply 단계를 끝낼 때마다 stage를 기록하므로, 탭이 닫혀도
+ * 다음 앱 시작 시 멈춘 단계부터 이어서 처리한다. append를 시작하기 전에 publishing 표시를 남겨 두고,
+ * 표시가 있는 작업을 다시 publish할 때는 원격에 이미 올라간 라인을 빼므로 graph.jsonl 중복 append가 없다.
+ * reflection 카드는 detect 단계에서 작업에 기록해 두고 apply가 같은 id로 넣으므로 다시 반영해도 중복되지 않는다.
+ *
+ * 미리보기: 트리플이 하나라도 나온 작업은 compile 뒤 status:'review'로 멈춘다.
+ * 사용자가 트리플을 빼거나 고쳐 approveCompileJob()을 부르면 그 byMemo로 publish부터 이어간다.
+ *
+ * 재시도: ByokApiError 429 / 5xx만 지수 백오프로 다시 시도한다.
+ *   - 배치 호출 자체가 실패 → 작업 전체를 runAfter까지 미룸
+ *   - 단건 폴백 중 일부 메모만 실패 → 성공한 메모는 반영하고, 실패 메모로 새 작업을 만든다
+ *   - publish의 GitHub 409 / 429 / 5xx / 네트워크 오류 → stage 'compiled'로 둔 채 미룸 (재컴파일 없이 publish부터)
+ * 그 밖의 오류와 MAX_ATTEMPTS 초과는 메모별 실패로 보고한다 (메모는 pending_review로 남아 다음 세션에 다시 보임).
+ * 단, publish 뒤의 실패는 메모를 실패로 돌리지 않는다 — 트리플이 이미 graph.jsonl에 있으므로
+ * 다시 컴파일되면 중복 append가 된다. 로컬 반영만 백오프로 다시 시도하고, 끝내 안 되면 작업을 닫는다.
+ *
+ * 같은 확정(groupId)의 작업이 모두 끝나면 결과를 합쳐 구독자에게 알리고 작업을 지운다.
+ */
+
+import { ByokApiError } from './byokClient';
+import {
+    compileCurationBatch,
+    publishCurationTriples,
+    detectCurationCards,
+    applyCurationBatch,
+    toBatchFailures,
+} from './curationPipeline';
+import { CompileJobQueue } from '../utils/database';
+
+export const MAX_ATTEMPTS = 5;
+const OPEN_STATUSES = new Set(['pending', 'running', 'review']);
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+
+/**
+ * @param {Error} err
+ * @returns {boolean} 잠시 뒤 다시 시도할 만한 BYOK 오류 (rate limit / 서버 오류)
+ */
+export function isRetryableError(err) {
+    return err instanceof ByokApiError && isRetryableStatus(err.status);
+}
+
+/**
+ * @param {Error} err
+ * @returns {boolean} 잠시 뒤 다시 publish할 만한 GitHub 오류 (SHA 충돌 / rate limit / 서버·네트워크 오류)
+ */
+export function isRetryablePublishError(err) {
+    if (err?.name === 'TypeError' && /fetch/i.test(err.message)) return true;
+    return err?.status === 409 || isRetryableStatus(err?.status);
+}
+
+/**
+ * @param {object} failure - CompileFailure
+ * @returns {boolean}
+ */
+export function isRetryableFailure(failure) {
+    return failure.stage === 'api' && isRetryableStatus(failure.status);
+}
+
+/**
+ * n번째 실패 후 대기 시간 — 30초부터 두 배씩, 최대 15분
+ * @param {number} attempts - 지금까지 실패한 횟수 (1부터)
+ * @returns {number} ms
+ */
+export function backoffDelay(attempts) {
+    return Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+/**
+ * 작업 목록 → 진행 상황 + 끝난 확정의 결과
+ *
+ * 메모 상태는 그 메모를 담은 가장 최근 작업(재시도 작업)이 결정한다.
+ *
+ * @param {Array} jobs - compileJobs 전체
+ * @returns {{
+ *   progress: { total: number, settled: number, retrying: number, reviewing: number, nextRetryAt: string | null } | null,
+ *   finished: Array<{ groupId: string, result: { compiled, triples, reflections, failures } }>,
+ *   review: Array,   // 미리보기 대기 작업 (오래된 순)
+ * }}
+ */
+export function summarizeCompileJobs(jobs) {
+    const groups = new Map();
+    for (const job of [...jobs].sort((a, b) => a.id - b.id)) {
+        if (!groups.has(job.groupId)) groups.set(job.groupId, []);
+        groups.get(job.groupId).push(job);
+    }
+
+    const finished = [];
+    const review = [];
+    const progress = { total: 0, settled: 0, retrying: 0, reviewing: 0, nextRetryAt: null };
+
+    for (const [groupId, groupJobs] of groups) {
+        const open = groupJobs.filter(job => OPEN_STATUSES.has(job.status));
+        if (!open.length) {
+            finished.push({ groupId, result: mergeOutcomes(groupJobs) });
+            continue;
+        }
+
+        const latestJob = new Map();   // memoId → 마지막으로 맡은 작업
+        for (const job of groupJobs) {
+            for (const memo of job.memos) latestJob.set(memo.id, job);
+        }
+        progress.total += latestJob.size;
+        progress.settled += [...latestJob.values()].filter(job => job.status === 'done' || job.status === 'failed').length;
+        progress.reviewing += [...latestJob.values()].filter(job => job.status === 'review').length;
+
+        for (const job of open) {
+            if (job.status === 'review') {
+                review.push(job);
+                continue;
+            }
+            if (job.status !== 'pending' || !job.attempts) continue;
+            progress.retrying++;
+            if (!progress.nextRetryAt || job.runAfter < progress.nextRetryAt) progress.nextRetryAt = job.runAfter;
+        }
+    }
+
+    return { progress: progress.total ? progress : null, finished, review };
+}
+
+/**
+ * 확정 → 작업 등록
+ * @param {Array<Array>} batches - curationPipeline.prepareCuration() 결과
+ * @returns {Promise<string>} groupId
+ */
+export async function enqueueCompileJobs(batches) {
+    const groupId = `cg-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+    if (batches.length) {
+        await CompileJobQueue.enqueue(batches.map(memos => ({ groupId, memos })));
+    }
+    return groupId;
+}
+
+/**
+ * 미리보기 승인 — 편집을 반영한 byMemo로 publish 단계부터 이어서 처리
+ * @param {number} jobId
+ * @param {Object<string, Array>} byMemo - triplePreview.resolvePreview() 결과의 byMemo
+ */
+export async function approveCompileJob(jobId, byMemo) {
+    await CompileJobQueue.update(jobId, {
+        status: 'pending',
+        stage: 'compiled',
+        byMemo,
+        runAfter: new Date().toISOString(),
+    });
+    getCompileWorker().kick();
+}
+
+/**
+ * CompileWorker — compileJobs를 하나씩 처리 (싱글턴: getCompileWorker())
+ *
+ * start(resolveDeps): resolveDeps()는 작업마다 호출되어 curationPipeline deps를 돌려준다
+ *   (스토어 getState()를 작업마다 새로 읽어야 직전 작업의 트리플이 priorTriples에 들어간다).
+ */
+class CompileWorker {
+    constructor() {
+        this._resolveDeps = null;
+        this._running = false;
+        this._timer = null;
+        this._listeners = new Set();
+        this._blocked = null;   // 실행 환경 준비 실패 메시지 (BYOK 키 없음 / 로그인 필요) — 구독자에게 알린다
+    }
+
+    /** 시작 — 이전 세션에서 멈춘 작업부터 이어서 처리 */
+    async start(resolveDeps) {
+        this._resolveDeps = resolveDeps;
+        if (!this._running) await CompileJobQueue.resetRunning();
+        this.kick();
+    }
+
+    stop() {
+        this._resolveDeps = null;
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * 진행 상황 구독
+     * @param {(event: { progress: object | null, finished: Array, review: Array, blocked: string | null }) => void} listener
+     * @returns {() => void} 구독 해제
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    /** 새 작업이 들어왔거나 재시도 시각이 됐을 때 — 이미 돌고 있으면 무시 */
+    kick() {
+        if (this._running || !this._resolveDeps) return;
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._run().catch(err => console.error('[CompileWorker] 실행 실패:', err));
+    }
+
+    async _run() {
+        this._running = true;
+        try {
+            await this._report();
+            for (;;) {
+                if (!this._resolveDeps) return;
+                const job = await CompileJobQueue.nextReady();
+                if (!job) break;
+
+                let deps;
+                try {
+                    deps = await this._resolveDeps();
+                } catch (err) {
+                    // BYOK 미설정 / 로그인 만료 — 작업은 그대로 두고 나중에 다시 (화면에는 이유를 띄운다)
+                    console.warn('[CompileWorker] 실행 환경 준비 실패 — 나중에 재시도:', err.message);
+                    this._blocked = err.message;
+                    await this._report();
+                    this._schedule(BASE_BACKOFF_MS);
+                    return;
+                }
+                this._blocked = null;
+
+                await this._process(job, deps);
+                await this._report();
+            }
+            await this._scheduleNextRetry();
+        } finally {
+            this._running = false;
+        }
+    }
+
+    async _process(job, deps) {
+        await CompileJobQueue.update(job.id, { status: 'running' });
+        let { stage, byMemo, failures, cards } = job;
+
+        try {
+            if (stage === 'queued') {
+                ({ byMemo, failures } = await compileCurationBatch(job.memos, deps));
+                const retry = this._splitRetryable(job, failures);
+                failures = retry.failures;
+                stage = 'compiled';
+                // 추출된 트리플이 있으면 사용자가 미리보기에서 승인할 때까지 멈춘다
+                const hasTriples = Object.values(byMemo).some(triples => triples.length);
+                await CompileJobQueue.updateAndEnqueue(
+                    job.id,
+                    { stage, byMemo, failures, ...(hasTriples && { status: 'review' }) },
+                    retry.jobs
+                );
+                if (hasTriples) return;
+            }
+            if (stage === 'compiled') {
+                // append는 했지만 'published'를 기록하기 전에 멈췄을 수 있으면 원격과 대조해 건너뛴다
+                const replay = Boolean(job.publishing);
+                if (!replay) await CompileJobQueue.update(job.id, { publishing: true });
+                await publishCurationTriples(job.memos, byMemo, deps, { replay });
+                stage = 'published';
+                await CompileJobQueue.update(job.id, { stage });
+            }
+            if (stage === 'published') {
+                cards = detectCurationCards(job.memos, byMemo, deps);
+                stage = 'detected';
+                await CompileJobQueue.update(job.id, { stage, cards });
+            }
+            const outcome = await applyCurationBatch(job.memos, byMemo, cards, deps);
+            await CompileJobQueue.update(job.id, { status: 'done', outcome });
+        } catch (err) {
+            const attempts = job.attempts + 1;
+            if (stage === 'published' || stage === 'detected') {
+                await this._retryApply(job, stage, attempts, err);
+                return;
+            }
+            if (stage === 'compiled' && isRetryablePublishError(err) && attempts < MAX_ATTEMPTS) {
+                // 컴파일 결과와 미리보기 편집은 작업에 남겨 두고 publish만 다시 — 재컴파일(BYOK 비용) 없음
+                console.warn(`[CompileWorker] 작업 ${job.id} publish 재시도 ${attempts}/${MAX_ATTEMPTS}:`, err.message);
+                await CompileJobQueue.update(job.id, {
+                    status: 'pending',
+                    attempts,
+                    runAfter: new Date(Date.now() + backoffDelay(attempts)).toISOString(),
+                    lastError: err.message,
+                });
+                return;
+            }
+            if (stage === 'queued' && isRetryableError(err) && attempts < MAX_ATTEMPTS) {
+                console.warn(`[CompileWorker] 작업 ${job.id} 재시도 ${attempts}/${MAX_ATTEMPTS}:`, err.message);
+                await CompileJobQueue.update(job.id, {
+                    status: 'pending',
+                    attempts,
+                    runAfter: new Date(Date.now() + backoffDelay(attempts)).toISOString(),
+                    lastError: err.message,
+                });
+                return;
+            }
+            console.error(`[CompileWorker] 작업 ${job.id} 실패 (${stage}):`, err);
+            // 이미 실패로 보고된 메모를 빼고 나머지를 이 오류로 실패 처리
+            const reported = new Set((failures || []).filter(f => !f.partial).map(f => f.memoId));
+            const unreported = job.memos.filter(memo => !reported.has(memo.id));
+            await CompileJobQueue.update(job.id, {
+                status: 'failed',
+                attempts,
+                lastError: err.message,
+                failures: [...(failures || []).filter(f => !f.partial), ...toBatchFailures(unreported, err)],
+            });
+        }
+    }
+
+    // 단건 폴백에서 429/5xx로 빠진 메모는 새 작업으로 — 남은 실패만 이 작업의 결과로 둔다
+    // (새 작업 등록은 이 작업의 stage 기록과 같은 트랜잭션에서 한다)
+    _splitRetryable(job, failures) {
+        const attempts = job.attempts + 1;
+        const retryIds = new Set(failures.filter(isRetryableFailure).map(f => f.memoId));
+        if (!retryIds.size || attempts >= MAX_ATTEMPTS) return { failures, jobs: [] };
+
+        return {
+            failures: failures.filter(f => !retryIds.has(f.memoId)),
+            jobs: [{
+                groupId: job.groupId,
+                memos: job.memos.filter(memo => retryIds.has(memo.id)),
+                attempts,
+                runAfter: new Date(Date.now() + backoffDelay(attempts)).toISOString(),
+            }],
+        };
+    }
+
+    // publish 뒤 로컬 반영 실패 — 메모는 실패로 돌리지 않고 멈춘 단계부터 다시 시도한다
+    async _retryApply(job, stage, attempts, err) {
+        if (attempts < MAX_ATTEMPTS) {
+            console.warn(`[CompileWorker] 작업 ${job.id} 로컬 반영 재시도 ${attempts}/${MAX_ATTEMPTS}:`, err.message);
+            await CompileJobQueue.update(job.id, {
+                status: 'pending',
+                attempts,
+                runAfter: new Date(Date.now() + backoffDelay(attempts)).toISOString(),
+                lastError: err.message,
+            });
+            return;
+        }
+        // 트리플은 graph.jsonl에 있으므로 다음 그래프 동기화 때 위키에 들어온다
+        console.error(`[CompileWorker] 작업 ${job.id} 로컬 반영 포기 (${stage}):`, err);
+        await CompileJobQueue.update(job.id, { status: 'done', attempts, lastError: err.message });
+    }
+
+    async _report() {
+        const summary = summarizeCompileJobs(await CompileJobQueue.getAll());
+        for (const { groupId } of summary.finished) {
+            await CompileJobQueue.removeGroup(groupId);
+        }
+        for (const listener of this._listeners) listener({ ...summary, blocked: this._blocked });
+    }
+
+    async _scheduleNextRetry() {
+        const { progress } = summarizeCompileJobs(await CompileJobQueue.getAll());
+        if (progress?.nextRetryAt) {
+            this._schedule(new Date(progress.nextRetryAt).getTime() - Date.now());
+        }
+    }
+
+    _schedule(delayMs) {
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this.kick(), Math.max(delayMs, 0));
+    }
+}
+
+let workerInstance = null;
+
+export function getCompileWorker() {
+    if (!workerInstance) workerInstance = new CompileWorker();
+    return workerInstance;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function isRetryableStatus(status) {
+    return status === 429 || (status >= 500 && status < 600);
+}
+
+function mergeOutcomes(jobs) {
+    const result = { compiled: 0, triples: 0, reflections: 0, failures: [] };
+    for (const job of jobs) {
+        result.compiled += job.outcome?.compiled || 0;
+        result.triples += job.outcome?.triples || 0;
+        result.reflections += job.outcome?.reflections || 0;
+        result.failures.push(...(job.failures || []));
+    }
+    return result;
+}
@@ -4,105 +4,155 @@
  * Phase 10.5의 핵심.
  * 자동 컴파일 없음. 사용자가 명시적으로 호출해야만 graph.jsonl이 갱신됨.
  *
- * 흐름:
- *   confirmCuration(selectedIds, excludedIds, deps)
- *     ↓
- *   for each selected memo:
- *     compileMemo()                    → 트리플 추출
- *     github.appendJsonl('graph.jsonl') → 원격 추가
- *     wikiStore.appendTriples()         → 인메모리 인덱스 갱신
- *     detectConnections(newTriples, priorTriples) → 과거 연결 감지
- *   reflectionStore.pushCards(newCards) → reflection 큐에 추가
- *   RawMemoCache.markSelected/Excluded  → 큐레이션 상태 영속
+ * 흐름 (배치 단위 작업은 compileQueue 워커가 IndexedDB에 단계를 기록하며 실행 — 탭을 닫아도 이어서 처리):
+ *   prepareCuration(selected, excluded)
+ *     RawMemoCache.markExcluded          → 제외 메모 영속
+ *     packMemoBatches(selected)          → 토큰 예산 단위 배치 (= 작업 1개)
+ *   for each batch (작업):
+ *     compileCurationBatch()             → 트리플 추출 (한 번의 BYOK 호출, 실패 시 단건 폴백 + repair)
+ *     (미리보기)                          → 사용자가 트리플을 빼거나 고쳐 승인 (triplePreview)
+ *     publishCurationTriples()           → github.appendJsonl('graph.jsonl') 원격 추가 (재실행이면 이미 올라간 라인 제외)
+ *     detectCurationCards()
+ *       detectConnections(newTriples, priorTriples) → 과거 연결 감지 (카드는 작업에 기록)
+ *     applyCurationBatch()
+ *       wikiStore.appendTriples()         → 인메모리 인덱스 갱신
+ *       reflectionStore.pushCards(cards)   → reflection 큐에 추가 (이미 있는 카드 id는 건너뜀)
+ *       RawMemoCache.markSelected          → 큐레이션 상태 영속
+ *       interventionStore.flushUsage()      → 주입된 intervention의 last_used_at 영속
  */
 
-import { compileMemo } from './wikiCompiler';
+import { compileMemoBatch, packMemoBatches, toCompileFailure } from './wikiCompiler';
 import { detectConnections } from './reflectionEngine';
 import { RawMemoCache } from '../utils/database';
 
 /**
- * 큐레이션 확정 — 선택된 메모들을 일괄 컴파일하고 reflection 카드를 생성
+ * 큐레이션 확정 준비 — 제외 메모를 기록하고 선택 메모를 컴파일 배치로 나눈다
  *
  * @param {Object} params
  * @param {Array} params.selectedMemos - 위키화할 메모 배열 ({id, title, body|content})
  * @param {Array} params.excludedMemos - 사용자가 제외한 메모 ({id})
- * @param {Object} params.deps - 의존성 주입
- * @param {ByokClient} params.deps.byokClient
- * @param {GitHubService} params.deps.github
- * @param {string} params.deps.dataRepo
- * @param {Object} params.deps.wikiStore - useWikiStore.getState()
- * @param {Object} params.deps.reflectionStore - useReflectionStore.getState()
- * @param {Object} params.deps.interventionStore - useInterventionStore.getState()
- * @returns {Promise<{ compiled: number, triples: number, reflections: number }>}
+ * @returns {Promise<Array<Array<{ id, title, content }>>>} 배치 목록 (배치 하나 = 컴파일 작업 하나)
  */
-export async function confirmCuration({ selectedMemos, excludedMemos, deps }) {
-    const { byokClient, github, dataRepo, wikiStore, reflectionStore, interventionStore } = deps;
-
-    if (!byokClient) throw new Error('BYOK 설정이 필요합니다. 설정 페이지에서 API 키를 등록하세요.');
-
-    // 1. 제외 메모 영속 (위키에 영향 없음, 향후 재제안도 방지)
+export async function prepareCuration({ selectedMemos, excludedMemos }) {
+    // 제외 메모 영속 (위키에 영향 없음, 향후 재제안도 방지)
     for (const memo of excludedMemos) {
         await RawMemoCache.markExcluded(memo.id);
     }
 
-    if (!selectedMemos.length) {
-        return { compiled: 0, triples: 0, reflections: 0 };
-    }
+    return packMemoBatches(selectedMemos.map(memo => ({
+        id: memo.id,
+        title: memo.title,
+        content: memo.body || memo.content || '',
+    })));
+}
+
+/**
+ * 배치 트리플 추출 — BYOK 호출만 하고 아무것도 저장하지 않는다
+ *
+ * @param {Array} batch - prepareCuration()의 배치 하나
+ * @param {Object} deps
+ * @param {ByokClient} deps.byokClient
+ * @param {Object} deps.interventionStore - useInterventionStore.getState()
+ * @returns {Promise<{ byMemo: Object<string, Array>, failures: Array }>}
+ *   failures: wikiCompiler CompileFailure + title — UI가 어떤 메모가 왜 실패했는지 표시
+ * @throws {ByokApiError} 배치 호출 자체가 실패했을 때 (재시도 판단은 호출부)
+ */
+export async function compileCurationBatch(batch, { byokClient, interventionStore }) {
+    // intervention RAG (예측된 엔티티 기반 — 배치 메모 텍스트로 매칭)
+    const entityHints = [...new Set(batch.flatMap(extractEntityHints))];
+    const batchText = batch.map(memo => `${memo.title} ${memo.content}`).join('\n');
+    const interventionContext = interventionStore.buildContext(entityHints, [], { text: batchText });
+
+    const result = await compileMemoBatch(batch, byokClient, interventionContext);
+    return {
+        byMemo: result.triples,
+        failures: result.failures.map(f => withTitle(f, batch)),
+    };
+}
 
-    // 2. 선택 메모를 일괄 컴파일
-    const priorTriples = wikiStore.triples;
-    const allNewTriples = [];
-    const allNewCards = [];
-
-    for (const memo of selectedMemos) {
-        const memoForCompile = {
-            id: memo.id,
-            title: memo.title,
-            content: memo.body || memo.content || '',
-        };
-
-        // intervention RAG (예측된 엔티티 기반 — 간단히 메모 텍스트로 매칭)
-        const entityHints = extractEntityHints(memoForCompile);
-        const interventionContext = interventionStore.buildContext(entityHints, []);
-
-        // 트리플 추출
-        let newTriples;
-        try {
-            newTriples = await compileMemo(memoForCompile, byokClient, interventionContext);
-        } catch (err) {
-            console.error(`[curationPipeline] ${memo.id} 컴파일 실패:`, err);
-            continue; // 한 메모 실패가 전체 세션을 중단시키지 않음
-        }
-
-        if (!newTriples.length) {
-            await RawMemoCache.markSelected(memo.id);
-            continue;
-        }
-
-        // 원격 graph.jsonl append
+/**
+ * 추출된 트리플 원격 graph.jsonl append (배치당 1회)
+ *
+ * replay: 이전 시도가 append 뒤 stage를 기록하기 전에 멈췄을 수 있는 작업 —
+ * 원격 graph.jsonl에 이미 있는 라인(같은 id·메모·추출 시각)은 빼고 나머지만 올린다.
+ *
+ * @param {Array} batch
+ * @param {Object<string, Array>} byMemo - compileCurationBatch() 결과
+ * @param {{ github: GitHubService, dataRepo: string }} deps
+ * @param {{ replay?: boolean }} [options]
+ */
+export async function publishCurationTriples(batch, byMemo, { github, dataRepo }, { replay = false } = {}) {
+    let newTriples = batch.flatMap(memo => byMemo[memo.id] || []);
+    if (replay && newTriples.length) {
+        const published = new Set((await github.readJsonl(dataRepo, 'graph.jsonl')).map(publishedLineKey));
+        newTriples = newTriples.filter(triple => !published.has(publishedLineKey(triple)));
+    }
+    if (newTriples.length) {
         await github.appendJsonl(dataRepo, 'graph.jsonl', newTriples);
+    }
+}
 
-        // 인메모리 그래프 즉시 갱신 (UI 반영용)
-        wikiStore.appendTriples(newTriples);
+/**
+ * 원격에 올라간 배치의 과거 연결 감지 → reflection 카드 (아무것도 저장하지 않는다)
+ * 워커가 카드를 작업에 기록해 두므로, 반영 도중 멈춰도 같은 카드(id)로 이어서 넣는다.
+ *
+ * @param {Array} batch
+ * @param {Object<string, Array>} byMemo
+ * @param {{ wikiStore: Object }} deps
+ * @returns {Array} Reflection 카드 배열
+ */
+export function detectCurationCards(batch, byMemo, { wikiStore }) {
+    const newTriples = batch.flatMap(memo => byMemo[memo.id] || []);
+    return newTriples.length ? detectConnections(newTriples, wikiStore.triples) : [];
+}
+
+/**
+ * 원격에 올라간 배치를 로컬에 반영 — 인메모리 위키, reflection 카드, 큐레이션 상태
+ * 결과에 없는 메모는 컴파일 실패 — 다음 세션에 다시 제안되도록 상태를 남기지 않는다.
+ *
+ * @param {Array} batch
+ * @param {Object<string, Array>} byMemo
+ * @param {Array} cards - detectCurationCards() 결과
+ * @param {Object} deps - github, dataRepo, wikiStore, reflectionStore, interventionStore
+ * @returns {Promise<{ compiled: number, triples: number, reflections: number }>}
+ */
+export async function applyCurationBatch(batch, byMemo, cards, deps) {
+    const { github, dataRepo, wikiStore, reflectionStore, interventionStore } = deps;
+    const compiledMemos = batch.filter(memo => byMemo[memo.id]);
+    const newTriples = compiledMemos.flatMap(memo => byMemo[memo.id]);
 
-        // 과거 연결 감지 → reflection 카드
-        const cards = detectConnections(newTriples, priorTriples);
-        allNewTriples.push(...newTriples);
-        allNewCards.push(...cards);
+    // 인메모리 그래프 즉시 갱신 (UI 반영용)
+    if (newTriples.length) wikiStore.appendTriples(newTriples);
+    if (cards.length) await reflectionStore.pushCards(cards);
 
+    for (const memo of compiledMemos) {
         await RawMemoCache.markSelected(memo.id);
     }
 
-    // 3. reflection 카드 일괄 enqueue
-    if (allNewCards.length) {
-        await reflectionStore.pushCards(allNewCards);
-    }
+    // 이번 배치에 주입된 intervention의 last_used_at 일괄 영속 (실패해도 컴파일 결과는 유지)
+    await interventionStore.flushUsage({ github, dataRepo });
 
-    return {
-        compiled: selectedMemos.length,
-        triples: allNewTriples.length,
-        reflections: allNewCards.length,
-    };
+    return { compiled: compiledMemos.length, triples: newTriples.length, reflections: cards.length };
+}
+
+/**
+ * 배치 전체 실패 → 메모별 실패 리포트
+ * @param {Array} batch
+ * @param {Error} err
+ * @returns {Array}
+ */
+export function toBatchFailures(batch, err) {
+    return batch.map(memo => withTitle(toCompileFailure(memo.id, err), batch));
+}
+
+// 트리플 id는 (subject, predicate, object)로 정해져 다른 메모에서도 같을 수 있다 — 추출 단위까지 묶어 구분
+function publishedLineKey(triple) {
+    return `${triple.id}|${triple.source_memo_id}|${triple.created_at}`;
+}
+
+function withTitle(failure, batch) {
+    const memo = batch.find(m => m.id === failure.memoId);
+    return { ...failure, title: memo?.title || '' };
 }
 
 /**
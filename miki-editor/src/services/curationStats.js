@@ -0,0 +1,132 @@
+/**
+ * curationStats — 큐레이션 세션 기록 / 통계 / 연속 일수 (pure)
+ *
+ * 세션 레코드 (curationSessions 한 행):
+ * {
+ *   sessionId: string,
+ *   status: "active" | "completed",
+ *   startedAt: string,
+ *   lastActiveAt: string,
+ *   activeMs: number,        // 실제로 스와이프한 시간 — IDLE_GAP_MS 넘는 공백(폰 잠금 등)은 세지 않는다
+ *   decisions: { [memoId]: "selected" | "excluded" },   // 진행 중 결정 (새로고침 후 복원용)
+ *
+ *   // status:"completed" 전용
+ *   endedAt: string,
+ *   stats: { selected, excluded, bySource: { [source]: { selected, excluded } } },
+ * }
+ */
+
+// 결정 사이 공백이 이보다 길면 자리를 비운 것으로 본다
+export const IDLE_GAP_MS = 2 * 60 * 1000;
+
+/**
+ * @param {Date} [now]
+ * @returns {object} 새 active 세션
+ */
+export function createSession(now = new Date()) {
+    const at = now.toISOString();
+    return {
+        sessionId: `cs-${now.getTime()}-${Math.random().toString(36).slice(2, 7)}`,
+        status: 'active',
+        startedAt: at,
+        lastActiveAt: at,
+        activeMs: 0,
+        decisions: {},
+    };
+}
+
+/**
+ * 결정 한 번 = 활동 한 번. 직전 활동과의 간격을 IDLE_GAP_MS까지만 더한다.
+ *
+ * @param {object} session
+ * @param {Date} [now]
+ * @returns {object} 갱신된 세션 (원본 불변)
+ */
+export function recordActivity(session, now = new Date()) {
+    const gap = now.getTime() - new Date(session.lastActiveAt).getTime();
+    return {
+        ...session,
+        activeMs: session.activeMs + Math.min(Math.max(gap, 0), IDLE_GAP_MS),
+        lastActiveAt: now.toISOString(),
+    };
+}
+
+/**
+ * 결정 집계 — 선택/제외 수와 메모 출처(source)별 분포
+ *
+ * @param {Object<string, 'selected' | 'excluded'>} decisions
+ * @param {Array<{ memoId: string, source?: string }>} memos
+ * @returns {{ selected: number, excluded: number, bySource: Object }}
+ */
+export function summarizeSession(decisions, memos) {
+    const sourceOf = new Map(memos.map(m => [m.memoId, m.source || 'unknown']));
+    const summary = { selected: 0, excluded: 0, bySource: {} };
+
+    for (const [memoId, decision] of Object.entries(decisions)) {
+        if (decision !== 'selected' && decision !== 'excluded') continue;
+        const source = sourceOf.get(memoId) || 'unknown';
+        if (!summary.bySource[source]) summary.bySource[source] = { selected: 0, excluded: 0 };
+        summary[decision]++;
+        summary.bySource[source][decision]++;
+    }
+    return summary;
+}
+
+/**
+ * 연속 큐레이션 일수 — 결정을 하나 이상 확정한 날 기준 (UTC 날짜, curationScheduler와 동일)
+ * 오늘 아직 안 했어도 어제까지 이어졌으면 current는 살아 있다.
+ *
+ * @param {Array} sessions - curationSessions 전체
+ * @param {Date} [now]
+ * @returns {{ current: number, longest: number, lastDay: string | null }}
+ */
+export function computeStreak(sessions, now = new Date()) {
+    const days = [...new Set(
+        completedSessions(sessions)
+            .filter(s => s.stats.selected + s.stats.excluded > 0)
+            .map(s => s.endedAt.slice(0, 10))
+    )].sort();
+    if (!days.length) return { current: 0, longest: 0, lastDay: null };
+
+    let longest = 1;
+    let run = 1;
+    for (let i = 1; i < days.length; i++) {
+        run = days[i] === shiftDay(days[i - 1], 1) ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    const today = now.toISOString().slice(0, 10);
+    const lastDay = days[days.length - 1];
+    let current = 0;
+    if (lastDay === today || lastDay === shiftDay(today, -1)) {
+        const daySet = new Set(days);
+        for (let day = lastDay; daySet.has(day); day = shiftDay(day, -1)) current++;
+    }
+
+    return { current, longest, lastDay };
+}
+
+/**
+ * 최근 완료 세션 (최신 먼저)
+ *
+ * @param {Array} sessions
+ * @param {{ limit?: number }} [options]
+ * @returns {Array}
+ */
+export function sessionHistory(sessions, { limit = 7 } = {}) {
+    return completedSessions(sessions)
+        .sort((a, b) => b.endedAt.localeCompare(a.endedAt))
+        .slice(0, limit);
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function completedSessions(sessions) {
+    return sessions.filter(s => s.status === 'completed' && s.endedAt && s.stats);
+}
+
+function shiftDay(day, delta) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + delta);
+    return date.toISOString().slice(0, 10);
+}
@@ -1,5 +1,14 @@
 import { Octokit } from 'octokit';
 
+// 월별 샤드로 나눠 저장하는 append-only 로그 — 논리 경로 → 샤드 디렉토리
+const SHARDED_JSONL = {
+    'graph.jsonl': 'graph',
+    'interventions.jsonl': 'interventions',
+};
+
+// appendJsonl SHA 충돌 시 재시도 횟수
+const MAX_REBASE_ATTEMPTS = 5;
+
 /**
  * GitHub 세션 만료 에러
  */
@@ -24,6 +33,8 @@ export class GitHubService {
             }
         });
         this.username = null;
+        // manifest 등록이 끝난 샤드 ("repo/path") — 매 append마다 manifest를 다시 읽지 않도록
+        this.knownShards = new Set();
     }
 
     /**
@@ -224,8 +235,12 @@ This is your private wiki data storage.
 miki-editor/
 └── posts/              # Your markdown files
 raw/notes/              # MekiSync note copies (read-only)
-graph.jsonl             # Triple store — Prior (source of truth)
-interventions.jsonl     # Append-only AI constraint log
+graph.jsonl             # Legacy single-file log (read before shards)
+graph/                  # Triple store — Prior (source of truth)
+  manifest.json         # Monthly shard list
+  2026-10.jsonl         # Append-only shard per month
+interventions/          # Append-only AI constraint log (same layout)
+aliases.jsonl           # Entity alias / merge decisions
 reflections/
   queue.jsonl           # Pending daily reflections
   archive.jsonl         # Resolved reflections
@@ -237,6 +252,7 @@ reflections/
             ['raw/notes/.gitkeep', '', 'Initialize raw notes directory'],
             ['graph.jsonl', '', 'Initialize graph triple store'],
             ['interventions.jsonl', '', 'Initialize intervention log'],
+            ['aliases.jsonl', '', 'Initialize entity alias table'],
             ['reflections/queue.jsonl', '', 'Initialize reflection queue'],
             ['reflections/archive.jsonl', '', 'Initialize reflection archive'],
         ];
@@ -254,16 +270,27 @@ reflections/
 
     /**
      * graph.jsonl / interventions.jsonl / reflections/*.jsonl 읽기
+     * 샤딩 대상(SHARDED_JSONL)은 레거시 단일 파일 + manifest의 월별 샤드를 순서대로 합친다.
      * @returns {Array<Object>} 파싱된 라인 배열 (빈 라인 제거)
      */
     async readJsonl(repoName, path) {
+        const dir = SHARDED_JSONL[path];
+        if (!dir) return this.readJsonlFile(repoName, path);
+
+        const manifest = await this.readShardManifest(repoName, dir);
+        const parts = await Promise.all(
+            [path, ...manifest.shards.map(s => s.path)].map(p => this.readJsonlFile(repoName, p))
+        );
+        return parts.flat();
+    }
+
+    /**
+     * 단일 .jsonl 파일 읽기 (없으면 빈 배열)
+     */
+    async readJsonlFile(repoName, path) {
         try {
             const file = await this.getFile(repoName, path);
-            const text = atob(file.content.replace(/\n/g, ''));
-            return text
-                .split('\n')
-                .filter(line => line.trim())
-                .map(line => JSON.parse(line));
+            return parseJsonl(this.decodeContent(file.content));
         } catch (error) {
             if (error.status === 404) return [];
             throw error;
@@ -272,27 +299,22 @@ reflections/
 
     /**
      * .jsonl 파일에 새 라인들 추가 (append-only)
+     * 샤딩 대상은 이번 달 샤드(graph/2026-10.jsonl)에만 쓴다. manifest 등록을 먼저 해서
+     * 라인이 커밋됐는데 readJsonl/listJsonlSources에 안 보이는 일이 없게 한다 (빈 샤드 등록은 무해).
      * @param {Array<Object>} newLines - 추가할 객체 배열
      */
     async appendJsonl(repoName, path, newLines) {
         if (!newLines.length) return;
 
-        let existing = '';
-        let sha = null;
-        try {
-            const file = await this.getFile(repoName, path);
-            existing = atob(file.content.replace(/\n/g, ''));
-            sha = file.sha;
-        } catch (error) {
-            if (error.status !== 404) throw error;
-        }
+        const dir = SHARDED_JSONL[path];
+        const target = dir ? shardPathFor(dir) : path;
+        const appended = newLines.map(obj => JSON.stringify(obj)).join('\n') + '\n';
 
-        const appended = newLines.map(obj => JSON.stringify(obj)).join('\n');
-        const content = existing
-            ? existing.trimEnd() + '\n' + appended + '\n'
-            : appended + '\n';
+        if (dir) await this.registerShard(repoName, dir, target);
 
-        await this.createOrUpdateFile(repoName, path, content, `Append ${newLines.length} line(s) to ${path}`, sha);
+        await this.updateWithRebase(repoName, target, existing => (
+            existing ? existing.trimEnd() + '\n' + appended : appended
+        ), `Append ${newLines.length} line(s) to ${target}`);
     }
 
     /**
@@ -304,6 +326,206 @@ reflections/
         await this.createOrUpdateFile(repoName, path, content, `Update ${path}`);
     }
 
+    /**
+     * .jsonl 라인 제자리 갱신 (interventions.jsonl의 last_used_at 등 가변 필드용)
+     * 샤딩 대상은 레거시 파일과 모든 샤드를 돌며, 바뀐 라인이 있는 파일만 다시 쓴다.
+     * @param {(line: Object) => Object} mapLine - 바꿀 필요가 없으면 같은 객체를 반환
+     */
+    async updateJsonlLines(repoName, path, mapLine) {
+        const dir = SHARDED_JSONL[path];
+        const files = dir
+            ? [path, ...(await this.readShardManifest(repoName, dir)).shards.map(s => s.path)]
+            : [path];
+
+        for (const file of files) {
+            await this.updateWithRebase(repoName, file, existing => {
+                if (!existing) return null;
+                const lines = parseJsonl(existing);
+                const mapped = lines.map(mapLine);
+                if (mapped.every((line, i) => line === lines[i])) return null;
+                return mapped.map(obj => JSON.stringify(obj)).join('\n') + '\n';
+            }, `Update ${file}`);
+        }
+    }
+
+    /**
+     * 샤드 manifest 읽기 — {dir}/manifest.json
+     * @returns {{ shards: Array<{ path: string, created_at: string }> }} 없으면 빈 manifest
+     */
+    async readShardManifest(repoName, dir) {
+        try {
+            const file = await this.getFile(repoName, `${dir}/manifest.json`);
+            const manifest = JSON.parse(this.decodeContent(file.content));
+            return { ...manifest, shards: manifest.shards || [] };
+        } catch (error) {
+            if (error.status === 404) return { shards: [] };
+            throw error;
+        }
+    }
+
+    /**
+     * manifest에 샤드 등록 (이미 있으면 무시)
+     */
+    async registerShard(repoName, dir, shardPath) {
+        const cacheKey = `${repoName}/${shardPath}`;
+        if (this.knownShards.has(cacheKey)) return;
+
+        await this.updateWithRebase(repoName, `${dir}/manifest.json`, existing => {
+            const manifest = existing ? JSON.parse(existing) : { shards: [] };
+            const shards = manifest.shards || [];
+            if (shards.some(s => s.path === shardPath)) return null;
+            shards.push({ path: shardPath, created_at: new Date().toISOString() });
+            shards.sort((a, b) => a.path.localeCompare(b.path));
+            return JSON.stringify({ ...manifest, shards }, null, 2) + '\n';
+        }, `Register shard ${shardPath}`);
+
+        this.knownShards.add(cacheKey);
+    }
+
+    /**
+     * 읽기 → 변환 → 쓰기. 다른 기기가 먼저 커밋해 SHA가 어긋나면(409/422)
+     * 최신 내용을 다시 읽어 변환을 재적용한다.
+     * @param {(existing: string) => string|null} transform - null 반환 시 쓰기 생략
+     */
+    async updateWithRebase(repoName, path, transform, message) {
+        for (let attempt = 0; ; attempt++) {
+            let existing = '';
+            let sha = null;
+            try {
+                const file = await this.getFile(repoName, path);
+                existing = this.decodeContent(file.content);
+                sha = file.sha;
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+
+            const content = transform(existing);
+            if (content === null) return;
+
+            try {
+                await this.createOrUpdateFile(repoName, path, content, message, sha, { skipShaLookup: true });
+                return;
+            } catch (error) {
+                const conflict = error.status === 409 || error.status === 422;
+                if (!conflict || attempt >= MAX_REBASE_ATTEMPTS) throw error;
+                console.warn(`[GitHubService] ${path} SHA 충돌 — 재시도 ${attempt + 1}/${MAX_REBASE_ATTEMPTS}`);
+                await new Promise(resolve => setTimeout(resolve, 200 * (attempt + 1)));
+            }
+        }
+    }
+
+    /**
+     * 논리 .jsonl 경로를 구성하는 실제 파일들의 blob SHA (내용은 받지 않음)
+     * 레거시 단일 파일 → manifest 순 샤드. 증분 동기화(sync/graphSync)에서 변경 여부 판단용
+     * @returns {Array<{ path: string, blobSha: string, size: number }>}
+     */
+    async listJsonlSources(repoName, path) {
+        const parent = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+        const legacy = (await this.getFiles(repoName, parent)).find(e => e.path === path);
+        const sources = legacy ? [{ path, blobSha: legacy.sha, size: legacy.size }] : [];
+
+        const dir = SHARDED_JSONL[path];
+        if (!dir) return sources;
+
+        const manifest = await this.readShardManifest(repoName, dir);
+        if (!manifest.shards.length) return sources;
+
+        const listing = await this.getFiles(repoName, dir);
+        for (const shard of manifest.shards) {
+            const entry = listing.find(e => e.path === shard.path);
+            if (entry) sources.push({ path: shard.path, blobSha: entry.sha, size: entry.size });
+        }
+        return sources;
+    }
+
+    /**
+     * 파일의 마지막 커밋 SHA
+     * @returns {string|null}
+     */
+    async getLastCommitSha(repoName, path) {
+        const { data } = await this.octokit.rest.repos.listCommits({
+            owner: this.username,
+            repo: repoName,
+            path,
+            per_page: 1
+        });
+        return data[0]?.sha ?? null;
+    }
+
+    /**
+     * 두 커밋 사이 특정 파일의 unified diff patch
+     * @returns {string|null} 같은 커밋이면 '', 비교 불가(커밋 소실, 파일 누락, patch 생략)면 null
+     */
+    async getFilePatch(repoName, path, baseCommit, headCommit) {
+        if (baseCommit === headCommit) return '';
+        try {
+            const { data } = await this.octokit.rest.repos.compareCommitsWithBasehead({
+                owner: this.username,
+                repo: repoName,
+                basehead: `${baseCommit}...${headCommit}`
+            });
+            const file = (data.files || []).find(f => f.filename === path);
+            if (!file) return null;
+            return file.patch ?? null;
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * blob SHA로 파일 원문 읽기 (contents API의 1MB 제한 없음)
+     * @returns {string} UTF-8 디코딩된 텍스트
+     */
+    async getBlobText(repoName, blobSha) {
+        const { data } = await this.octokit.rest.git.getBlob({
+            owner: this.username,
+            repo: repoName,
+            file_sha: blobSha
+        });
+        return this.decodeContent(data.content);
+    }
+
+    /**
+     * 파일을 건드린 커밋 목록 (최신순) — 문서 변경 이력
+     * @returns {Array<{ sha: string, message: string, date: string|null, author: string|null }>}
+     */
+    async listFileCommits(repoName, path, { perPage = 30 } = {}) {
+        const { data } = await this.octokit.rest.repos.listCommits({
+            owner: this.username,
+            repo: repoName,
+            path,
+            per_page: Math.min(perPage, 100)
+        });
+        return data.map(c => ({
+            sha: c.sha,
+            message: c.commit.message,
+            date: c.commit.committer?.date || c.commit.author?.date || null,
+            author: c.commit.author?.name || c.author?.login || null
+        }));
+    }
+
+    /**
+     * 특정 커밋 시점의 파일 원문
+     * @returns {string|null} 그 커밋에 파일이 없으면 null
+     */
+    async getFileAtCommit(repoName, path, ref) {
+        try {
+            const { data } = await this.octokit.rest.repos.getContent({
+                owner: this.username,
+                repo: repoName,
+                path,
+                ref
+            });
+            if (Array.isArray(data) || data.type !== 'file') return null;
+            // 1MB 넘는 파일은 contents API가 본문을 비워 보낸다 → blob으로 읽기
+            return data.content ? this.decodeContent(data.content) : await this.getBlobText(repoName, data.sha);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
     /**
      * miki-data repo에 graph/reflection 구조가 없을 경우 초기화
      * (온보딩 이후 첫 Phase 10 진입 시 1회 호출)
@@ -312,6 +534,7 @@ reflections/
         const paths = [
             'graph.jsonl',
             'interventions.jsonl',
+            'aliases.jsonl',
             'reflections/queue.jsonl',
             'reflections/archive.jsonl',
             'raw/notes/.gitkeep',
@@ -452,6 +675,13 @@ reflections/
         return btoa(unescape(encodeURIComponent(str)));
     }
 
+    /**
+     * Browser-compatible Base64 decoding (handles UTF-8)
+     */
+    decodeContent(base64) {
+        return decodeURIComponent(escape(atob(base64.replace(/\n/g, ''))));
+    }
+
     /**
      * GraphQL을 사용하여 파일 목록, 내용, SHA를 한 번에 가져오기
      */
@@ -681,3 +911,17 @@ Happy writing! 🎉
         return new Date().toISOString().split('T')[0];
     }
 }
+
+/**
+ * 이번 달 샤드 경로 — graph/2026-10.jsonl
+ */
+function shardPathFor(dir, date = new Date()) {
+    return `${dir}/${date.toISOString().slice(0, 7)}.jsonl`;
+}
+
+function parseJsonl(text) {
+    return text
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
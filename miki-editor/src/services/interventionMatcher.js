@@ -0,0 +1,239 @@
+/**
+ * interventionMatcher — intervention scope ↔ 메모 컨텍스트 매칭 + 순위 + 토큰 예산
+ *
+ * 부분 문자열(includes) 매칭은 "Kim"이 "Kimchi"에 걸리고, "김철수가"처럼 조사가 붙으면 놓친다.
+ * 여기서는:
+ *   1. 토큰 경계 — 이름의 토큰 열이 컨텍스트 토큰 열에 연속으로 나타나야 매칭
+ *   2. 한국어 조사 — 한글 토큰은 조사를 뗀 형태도 함께 비교
+ *   3. 별칭 테이블 — 같은 대표 이름으로 모이는 다른 이름(aliasResolver)으로도 찾기
+ *   4. (선택) 로컬 임베딩 — intervention 텍스트의 해시 n-gram 벡터와 메모 텍스트의 코사인 유사도
+ * 로 후보를 고르고, 점수순으로 토큰 예산 안에 들어가는 만큼만 남긴다.
+ * scope 'always' 규칙은 순위 밖에서 먼저 예산에 싣는다 — 맥락과 무관하게 늘 지켜야 하는 제약이다.
+ *
+ * 임베딩은 외부 모델 없이 브라우저에서 바로 계산되는 feature hashing이다.
+ * 더 나은 로컬 모델이 생기면 createEmbeddingIndex(interventions, embed)에 embed만 바꿔 넘기면 된다.
+ */
+
+import { resolveAlias } from '../wiki/aliasResolver';
+
+// 길이순(긴 것 먼저) — "에게서"가 "에서"보다 먼저 떨어져야 한다
+const KOREAN_PARTICLES = [
+    '에게서', '으로서', '으로써', '이라고', '한테서', '께서는',
+    '에게', '에서', '으로', '한테', '께서', '이랑', '하고', '처럼', '보다', '까지', '부터', '이나', '라고', '이는', '에는', '와는', '과는',
+    '은', '는', '이', '가', '을', '를', '의', '에', '와', '과', '랑', '도', '만', '께', '로', '나',
+].sort((a, b) => b.length - a.length);
+
+// 이름 끝 글자로도 흔한 한 글자 조사 — 한 토큰 이름은 떼고도 MIN_STEM_LENGTH 글자 이상 남을 때만 뗀다 ("박지나" ≠ "박지" + "나")
+const AMBIGUOUS_PARTICLES = new Set(['나', '이', '도', '만', '의']);
+const MIN_STEM_LENGTH = 3;
+
+const EMBEDDING_DIMS = 256;
+
+// 점수 가중치 — 직접 이름 일치 > 별칭 경유 > 개념 > 의미 유사도 (always는 후보 표시용 — 순위와 무관)
+const SCORE = {
+    always: 1,
+    entityExact: 4,
+    entityAlias: 3.5,
+    concept: 3,
+    semantic: 2,
+    reject: 0.5,   // 거절은 재제안 차단이라 같은 조건이면 먼저 싣는다
+};
+
+export const DEFAULT_TOKEN_BUDGET = 600;
+export const SEMANTIC_THRESHOLD = 0.35;
+
+/**
+ * 텍스트 → 소문자 토큰 열 (문자/숫자 경계 기준)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * 한글 토큰의 비교 형태 — 원형과 조사를 뗀 형태 (떼고 남는 글자가 있을 때만,
+ * 이름 끝 글자와 헷갈리는 한 글자 조사는 minStem 글자 이상 남을 때만)
+ * @param {string} token
+ * @param {number} [minStem] - 여러 토큰 이름의 마지막 토큰은 앞 토큰이 이미 이름을 좁혀 주므로 1
+ * @returns {string[]}
+ */
+export function tokenForms(token, minStem = MIN_STEM_LENGTH) {
+    if (!/[가-힣]$/.test(token)) return [token];
+    const particle = KOREAN_PARTICLES.find(p =>
+        token.endsWith(p) &&
+        token.length - p.length >= (AMBIGUOUS_PARTICLES.has(p) ? minStem : 1)
+    );
+    return particle ? [token, token.slice(0, -particle.length)] : [token];
+}
+
+/**
+ * 이름이 컨텍스트에 토큰 경계로 나타나는지 (별칭 정규화 포함)
+ *
+ * @param {string} name - scope 이름 (entity:{name} / concept:{name})
+ * @param {string[]} candidates - 컨텍스트 엔티티 / 개념 / 메모 텍스트
+ * @param {Object} [aliasTable] - buildAliasTable() 결과 — 같은 인물의 다른 이름도 찾는다
+ * @returns {'exact' | 'alias' | null}
+ */
+export function matchName(name, candidates, aliasTable = {}) {
+    const target = tokenize(name);
+    if (!target.length) return null;
+
+    const tokenLists = candidates.map(tokenize);
+    if (tokenLists.some(tokens => containsSequence(tokens, target))) return 'exact';
+
+    const variants = aliasVariants(name, aliasTable).map(tokenize).filter(v => v.length);
+    return variants.some(v => tokenLists.some(tokens => containsSequence(tokens, v))) ? 'alias' : null;
+}
+
+/**
+ * intervention 텍스트 임베딩 인덱스 (로컬)
+ *
+ * @param {Array} interventions
+ * @param {(text: string) => number[]} [embed] - 기본값: hashEmbed
+ * @returns {{ embed: Function, vectors: Map<string, number[]> }}
+ */
+export function createEmbeddingIndex(interventions, embed = hashEmbed) {
+    const vectors = new Map();
+    for (const iv of interventions) {
+        vectors.set(iv.id, embed(interventionText(iv)));
+    }
+    return { embed, vectors };
+}
+
+/**
+ * feature hashing 임베딩 — 토큰(조사 제거형 포함) + 한글 음절 bigram, L2 정규화
+ * @param {string} text
+ * @param {number} [dims]
+ * @returns {number[]}
+ */
+export function hashEmbed(text, dims = EMBEDDING_DIMS) {
+    const vector = new Array(dims).fill(0);
+    for (const token of tokenize(text)) {
+        for (const form of tokenForms(token)) {
+            vector[hash(form) % dims] += 1;
+            if (/[가-힣]/.test(form)) {
+                for (let i = 0; i < form.length - 1; i++) {
+                    vector[hash(`#${form.slice(i, i + 2)}`) % dims] += 0.5;
+                }
+            }
+        }
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+}
+
+/**
+ * 후보 intervention 점수 매기기 — 매칭되지 않으면 0
+ *
+ * @param {object} iv
+ * @param {{ entities?: string[], concepts?: string[], text?: string, aliasTable?: Object, semantic?: { index, query: number[] } | null }} context
+ * @returns {number}
+ */
+export function scoreIntervention(iv, context) {
+    const { entities = [], concepts = [], text = '', aliasTable = {}, semantic = null } = context;
+    let score = 0;
+
+    if (iv.scope === 'always') {
+        score = SCORE.always;
+    } else if (iv.scope?.startsWith('entity:')) {
+        const match = matchName(iv.scope.slice('entity:'.length), text ? [...entities, text] : entities, aliasTable);
+        if (match) score = match === 'exact' ? SCORE.entityExact : SCORE.entityAlias;
+    } else if (iv.scope?.startsWith('concept:')) {
+        if (matchName(iv.scope.slice('concept:'.length), text ? [...concepts, text] : concepts)) score = SCORE.concept;
+    }
+
+    if (semantic?.index && semantic.query) {
+        const vector = semantic.index.vectors.get(iv.id);
+        const similarity = vector ? cosine(vector, semantic.query) : 0;
+        if (similarity >= (semantic.threshold ?? SEMANTIC_THRESHOLD)) {
+            score = Math.max(score, SCORE.semantic * similarity);
+        }
+    }
+
+    if (score > 0 && iv.type === 'reject') score += SCORE.reject;
+    return score;
+}
+
+/**
+ * scope 'always' 규칙을 먼저 싣고, 나머지는 점수순으로 토큰 예산 안에 들어가는 만큼만
+ * (같은 점수면 최근 사용 먼저)
+ *
+ * @param {Array<{ item: object, score: number }>} scored
+ * @param {number} [maxTokens]
+ * @returns {Array} intervention 배열
+ */
+export function fitToBudget(scored, maxTokens = DEFAULT_TOKEN_BUDGET) {
+    const byRecency = (a, b) => String(b.item.last_used_at || '').localeCompare(String(a.item.last_used_at || ''));
+    const always = scored.filter(s => s.item.scope === 'always').sort(byRecency);
+    const ranked = scored
+        .filter(s => s.item.scope !== 'always')
+        .sort((a, b) => b.score - a.score || byRecency(a, b));
+
+    const selected = [];
+    let used = 0;
+    for (const { item } of [...always, ...ranked]) {
+        const cost = estimateTokens(interventionText(item));
+        if (used + cost > maxTokens) continue;
+        selected.push(item);
+        used += cost;
+    }
+    return selected;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function containsSequence(tokens, target) {
+    if (target.length > tokens.length) return false;
+    const forms = tokens.map(token => tokenForms(token, target.length > 1 ? 1 : MIN_STEM_LENGTH));
+    for (let i = 0; i + target.length <= tokens.length; i++) {
+        let ok = true;
+        for (let j = 0; j < target.length; j++) {
+            // 마지막 토큰에만 조사가 붙는다 ("김 팀장님께서" → "김", "팀장님")
+            const candidates = j === target.length - 1 ? forms[i + j] : [tokens[i + j]];
+            if (!candidates.includes(target[j])) { ok = false; break; }
+        }
+        if (ok) return true;
+    }
+    return false;
+}
+
+// 같은 대표 이름으로 모이는 다른 이름들 (대표 이름 자신 포함, name 자신 제외)
+function aliasVariants(name, aliasTable) {
+    const canonical = resolveAlias(name, aliasTable).name;
+    const key = normalize(canonical);
+    const names = new Set([canonical]);
+    for (const alias of Object.keys(aliasTable || {})) {
+        if (normalize(resolveAlias(alias, aliasTable).name) === key) names.add(alias);
+    }
+    return [...names].filter(n => normalize(n) !== normalize(name));
+}
+
+function normalize(str) {
+    return String(str || '').toLowerCase().trim();
+}
+
+// buildConstraintPrompt의 한 줄과 같은 재료 — 예산 계산과 임베딩 모두 이 텍스트 기준
+function interventionText(iv) {
+    return [iv.type, iv.subject, iv.predicate, iv.object, iv.user_note].filter(Boolean).join(' ');
+}
+
+// 한국어 기준 2자 ≈ 1토큰 (wikiCompiler와 같은 근사) + 줄 머리("- [REJECT] ")·따옴표 몫
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 2) + 8;
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * (b[i] || 0);
+    return dot;
+}
+
+function hash(str) {
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
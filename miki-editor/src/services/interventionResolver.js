@@ -4,59 +4,158 @@
  * 역할:
  * - interventions.jsonl의 사용자 결정을 AI 호출 시 제약조건으로 주입
  * - 토큰 비용 통제: scope:'always' 항목 + 엔티티/개념 매칭 항목만 선택
- * - 1년 이상 미사용 항목은 dormant으로 분류 (주입 제외)
+ * - 1년 이상 미사용 항목은 dormant으로 분류 (주입 제외) — 주입될 때마다 last_used_at 갱신
+ * - 은퇴(retired_at)한 규칙은 주입하지 않는다
+ * - 같은 (subject, predicate, object)에 대한 결정은 가장 최근 것만 유효
+ * - 결정은 지우지 않고 revert 항목을 append해 되돌린다 (되돌리면 그 이전 결정이 다시 유효)
  *
  * intervention 포맷 (interventions.jsonl 한 라인):
  * {
  *   id: string,
- *   type: "accept" | "reject" | "modify" | "split" | "merge",
+ *   type: "accept" | "reject" | "modify" | "split" | "merge" | "revert",
  *   scope: "always" | "entity:{name}" | "concept:{name}",
  *   subject: string,
  *   predicate: string,
  *   object: string,
  *   user_note: string,   // 사용자 설명
  *   created_at: string,
- *   last_used_at: string,
+ *   last_used_at: string,   // 마지막으로 프롬프트에 주입된 시각 (interventionStore.flushUsage가 갱신)
+ *   retired_at?: string,    // 잠든 결정 검토에서 은퇴시킨 시각
+ *
+ *   // type:"revert" 전용
+ *   reverts: string,        // 되돌린 intervention ID
+ *   reverted_type: string,  // 되돌린 intervention의 type
  * }
  */
 
-const DORMANT_THRESHOLD_MS = 365 * 24 * 60 * 60 * 1000; // 1년
+import { scoreIntervention, fitToBudget, DEFAULT_TOKEN_BUDGET } from './interventionMatcher';
+
+export const DORMANT_THRESHOLD_MS = 365 * 24 * 60 * 60 * 1000; // 1년
+
+// 되돌릴 수 있는 결정 — merge/split은 별칭 테이블까지 얽혀 있어 제외
+export const REVERTIBLE_TYPES = new Set(['accept', 'reject', 'modify', 'edit']);
 
 /**
  * 컴파일 컨텍스트에 맞는 intervention 목록 선택 (RAG)
  *
+ * scope 매칭은 interventionMatcher(토큰 경계 · 한국어 조사 · 별칭 · 선택적 임베딩)로 하고,
+ * 점수순으로 토큰 예산(maxTokens) 안에 들어가는 만큼만 반환한다.
+ *
  * @param {Array} interventions - interventions.jsonl 전체 파싱 결과
- * @param {{ entities?: string[], concepts?: string[] }} context - 현재 처리 중인 메모의 엔티티/개념
- * @returns {Array} 주입할 intervention 배열
+ * @param {object} context - 현재 처리 중인 메모의 컨텍스트
+ * @param {string[]} [context.entities] - 엔티티 후보
+ * @param {string[]} [context.concepts] - 개념 후보
+ * @param {string} [context.text] - 메모 본문 (이름이 본문에 나와도 매칭, 임베딩 질의)
+ * @param {Object} [context.aliasTable] - wikiStore.aliasTable
+ * @param {object} [context.semanticIndex] - interventionMatcher.createEmbeddingIndex() 결과 (선택)
+ * @param {number} [context.maxTokens] - 제약 프롬프트 토큰 예산
+ * @returns {Array} 주입할 intervention 배열 (관련도 순)
  */
 export function selectRelevantInterventions(interventions, context = {}) {
     const now = Date.now();
-    const { entities = [], concepts = [] } = context;
+    const { text = '', semanticIndex = null, maxTokens = DEFAULT_TOKEN_BUDGET } = context;
+    const semantic = semanticIndex && text
+        ? { index: semanticIndex, query: semanticIndex.embed(text) }
+        : null;
 
-    return interventions.filter(item => {
-        // 1년 이상 미사용 → dormant 제외
-        const lastUsed = item.last_used_at ? new Date(item.last_used_at).getTime() : 0;
-        if (now - lastUsed > DORMANT_THRESHOLD_MS && item.scope !== 'always') return false;
+    const scored = [];
+    for (const item of latestDecisions(interventions)) {
+        if (item.retired_at || isDormant(item, now)) continue;
 
-        // scope:'always' → 항상 포함
-        if (item.scope === 'always') return true;
+        const score = scoreIntervention(item, { ...context, semantic });
+        if (score > 0) scored.push({ item, score });
+    }
 
-        // scope:'entity:{name}' → 현재 메모 엔티티에 매칭
-        if (item.scope?.startsWith('entity:')) {
-            const name = item.scope.slice('entity:'.length).toLowerCase();
-            return entities.some(e => e.toLowerCase().includes(name));
-        }
+    return fitToBudget(scored, maxTokens);
+}
+
+/**
+ * (subject, predicate, object)별 현재 유효한 결정만 남기기
+ *
+ * 로그 순서(append 순)대로 재생하며, 같은 트리플의 새 결정은 이전 결정을 덮고
+ * revert는 대상 결정을 지워 그 직전 결정이 다시 유효해지게 한다.
+ * 트리플이 비어 있는 항목(scope 규칙 등)은 그대로 통과한다.
+ *
+ * @param {Array} interventions
+ * @returns {Array} 유효 결정 (원래 로그 순서 유지, revert 항목 제외)
+ */
+export function latestDecisions(interventions) {
+    const stacks = new Map();   // tripleKey → 유효 결정 [오래된 → 최신]
+    const passthrough = [];
 
-        // scope:'concept:{name}' → 현재 메모 개념에 매칭
-        if (item.scope?.startsWith('concept:')) {
-            const name = item.scope.slice('concept:'.length).toLowerCase();
-            return concepts.some(c => c.toLowerCase().includes(name));
+    for (const item of interventions) {
+        if (item.type === 'revert') {
+            const stack = stacks.get(decisionKey(item));
+            const index = stack ? stack.findIndex(d => d.id === item.reverts) : -1;
+            if (index !== -1) stack.splice(index, 1);
+            continue;
         }
+        const key = decisionKey(item);
+        if (!key) {
+            passthrough.push(item);
+            continue;
+        }
+        if (!stacks.has(key)) stacks.set(key, []);
+        stacks.get(key).push(item);
+    }
+
+    const latest = new Set(passthrough);
+    for (const stack of stacks.values()) {
+        if (stack.length) latest.add(stack[stack.length - 1]);
+    }
+    return interventions.filter(item => latest.has(item));
+}
+
+/**
+ * 잠든 결정 — 1년 넘게 주입되지 않은 유효 결정 (always 규칙 · 은퇴한 결정 제외)
+ *
+ * @param {Array} interventions
+ * @param {{ now?: number }} [options]
+ * @returns {Array} 오래 잠든 순
+ */
+export function findDormantInterventions(interventions, { now = Date.now() } = {}) {
+    return latestDecisions(interventions)
+        .filter(item => !item.retired_at && isDormant(item, now))
+        .sort((a, b) => String(a.last_used_at || '').localeCompare(String(b.last_used_at || '')));
+}
 
-        return false;
+/**
+ * 사용 기록 / 은퇴 상태 반영
+ * last_used_at은 더 최근 값만 받아들이고(여러 기기가 동시에 갱신해도 되돌아가지 않게),
+ * retired_at은 패치에 키가 있으면 그대로 덮는다 (null = 되살림).
+ *
+ * @param {Array} interventions
+ * @param {Object<string, { last_used_at?: string, retired_at?: string | null }>} patches - id → 패치
+ * @returns {Array} 바뀐 항목만 새 객체로 교체한 배열
+ */
+export function applyInterventionPatches(interventions, patches) {
+    return interventions.map(item => {
+        const patch = patches[item.id];
+        if (!patch) return item;
+
+        const next = { ...item };
+        if (patch.last_used_at && patch.last_used_at > (item.last_used_at || '')) {
+            next.last_used_at = patch.last_used_at;
+        }
+        if ('retired_at' in patch) {
+            if (patch.retired_at) next.retired_at = patch.retired_at;
+            else delete next.retired_at;
+        }
+        return next.last_used_at === item.last_used_at && next.retired_at === item.retired_at ? item : next;
     });
 }
 
+/**
+ * 되돌린 결정과 revert 항목을 뺀 로그 (통계용 — 덮어쓴 결정은 남긴다)
+ *
+ * @param {Array} interventions
+ * @returns {Array}
+ */
+export function withoutReverted(interventions) {
+    const reverted = new Set(interventions.filter(iv => iv.type === 'revert').map(iv => iv.reverts));
+    return interventions.filter(iv => iv.type !== 'revert' && !reverted.has(iv.id));
+}
+
 /**
  * 선택된 intervention 배열 → 시스템 프롬프트 제약 문자열 생성
  *
@@ -80,7 +179,8 @@ export function buildConstraintPrompt(selected) {
  * @param {Array} interventions
  * @returns {object|null}
  */
-export function buildUserModelProfile(interventions = []) {
+export function buildUserModelProfile(allInterventions = []) {
+    const interventions = withoutReverted(allInterventions);
     if (!interventions.length) return null;
 
     const byType = interventions.reduce((acc, iv) => {
@@ -176,6 +276,28 @@ export function resolveInterventionContext(interventions, context = {}) {
     return resolved;
 }
 
+/**
+ * 결정 되돌리기 — 원래 항목은 그대로 두고 보상 intervention을 만든다
+ *
+ * @param {object} target - 되돌릴 intervention
+ * @param {string} [note]
+ * @returns {object} interventions.jsonl에 append할 revert 항목
+ */
+export function createRevertIntervention(target, note = '') {
+    return {
+        ...createIntervention({
+            type: 'revert',
+            scope: target.scope,
+            subject: target.subject,
+            predicate: target.predicate,
+            object: target.object,
+            user_note: note || `${target.type} 결정 되돌림`,
+        }),
+        reverts: target.id,
+        reverted_type: target.type,
+    };
+}
+
 /**
  * intervention 항목 생성 헬퍼 (append 전 호출)
  *
@@ -196,3 +318,18 @@ export function createIntervention({ type, scope = 'always', subject, predicate,
         last_used_at: now,
     };
 }
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+// 1년 이상 미사용 → dormant (always 규칙은 잠들지 않는다)
+function isDormant(item, now) {
+    if (item.scope === 'always') return false;
+    const lastUsed = item.last_used_at ? new Date(item.last_used_at).getTime() : 0;
+    return now - lastUsed > DORMANT_THRESHOLD_MS;
+}
+
+function decisionKey(item) {
+    if (!item.subject || !item.predicate || !item.object) return null;
+    const norm = str => String(str).toLowerCase().trim();
+    return `${norm(item.subject)}|${norm(item.predicate)}|${norm(item.object)}`;
+}
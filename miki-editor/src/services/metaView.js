@@ -0,0 +1,183 @@
+/**
+ * metaView — interventions + graph 스냅샷 → "나의 결정 패턴" 대시보드 데이터
+ *
+ * buildUserModelProfile()이 프롬프트용 요약이라면, 이쪽은 사람이 보는 시계열·분포다.
+ * 전부 로컬(interventionsCache / graphCache)에서 계산하며 네트워크를 쓰지 않는다.
+ *
+ * 결정 분류:
+ *   approve  accept / edit
+ *   reject   reject
+ *   modify   modify
+ *   (merge / split 등 동일성 결정은 집계하지 않는다)
+ */
+
+import { buildSnapshotIndex, snapshotAsOf } from '../wiki/snapshotIndexer';
+import { tripleKey } from '../wiki/markdownDiffer';
+
+export const DECISION_KIND = { accept: 'approve', edit: 'approve', reject: 'reject', modify: 'modify' };
+
+/**
+ * 월별 승인/거절/수정 분포
+ *
+ * @param {Array} interventions
+ * @param {{ months?: number, now?: Date|string }} [options]
+ * @returns {Array<{ period: string, approve: number, reject: number, modify: number }>}
+ */
+export function decisionTimeline(interventions, options = {}) {
+    const periods = recentMonths(options);
+    const buckets = new Map(periods.map(period => [period, { period, approve: 0, reject: 0, modify: 0 }]));
+
+    for (const iv of interventions) {
+        const kind = DECISION_KIND[iv.type];
+        const bucket = kind && buckets.get(monthOf(iv.created_at));
+        if (bucket) bucket[kind]++;
+    }
+    return [...buckets.values()];
+}
+
+/**
+ * 엔티티 × 월 결정 히트맵 (결정이 많은 엔티티 상위 limit개)
+ *
+ * @param {Array} interventions
+ * @param {{ months?: number, limit?: number, now?: Date|string }} [options]
+ * @returns {{ periods: string[], rows: Array<{ entity: string, total: number, cells: Array<{ period: string, approve: number, reject: number, modify: number }> }> }}
+ */
+export function entityDecisionHeatmap(interventions, options = {}) {
+    const { limit = 10 } = options;
+    const periods = recentMonths(options);
+    const periodSet = new Set(periods);
+    const rows = new Map();
+
+    for (const iv of interventions) {
+        const kind = DECISION_KIND[iv.type];
+        const period = monthOf(iv.created_at);
+        const entity = entityOf(iv);
+        if (!kind || !entity || !periodSet.has(period)) continue;
+
+        const key = normalize(entity);
+        if (!rows.has(key)) {
+            rows.set(key, {
+                entity,
+                total: 0,
+                cells: periods.map(p => ({ period: p, approve: 0, reject: 0, modify: 0 })),
+            });
+        }
+        const row = rows.get(key);
+        row.total++;
+        row.cells[periods.indexOf(period)][kind]++;
+    }
+
+    return {
+        periods,
+        rows: [...rows.values()].sort((a, b) => b.total - a.total).slice(0, limit),
+    };
+}
+
+/**
+ * 월말 스냅샷 사이의 관점 변화량 + 가장 많이 바뀐 엔티티
+ *
+ * @param {Array} triples - graphCache 전체
+ * @param {Array} interventions - interventionsCache 전체
+ * @param {{ months?: number, limit?: number, now?: Date|string }} [options]
+ * @returns {{ series: Array<{ period: string, total: number, added: number, removed: number }>, entities: Array<{ entity: string, added: number, removed: number }> }}
+ */
+export function perspectiveDrift(triples, interventions, options = {}) {
+    const { limit = 5 } = options;
+    const periods = recentMonths(options);
+    const index = buildSnapshotIndex(triples, interventions);
+    const churn = new Map();
+    const bump = (t, field) => {
+        const key = normalize(t.subject);
+        if (!churn.has(key)) churn.set(key, { entity: t.subject, added: 0, removed: 0 });
+        churn.get(key)[field]++;
+    };
+
+    // 첫 달 이전 상태를 기준선으로 삼는다
+    let previous = keyed(snapshotAsOf(index, previousMonth(periods[0])));
+    const series = periods.map(period => {
+        const current = keyed(snapshotAsOf(index, period));
+        let added = 0;
+        let removed = 0;
+        for (const [key, t] of current) {
+            if (!previous.has(key)) { added++; bump(t, 'added'); }
+        }
+        for (const [key, t] of previous) {
+            if (!current.has(key)) { removed++; bump(t, 'removed'); }
+        }
+        previous = current;
+        return { period, total: current.size, added, removed };
+    });
+
+    return {
+        series,
+        entities: [...churn.values()]
+            .sort((a, b) => (b.added + b.removed) - (a.added + a.removed))
+            .slice(0, limit),
+    };
+}
+
+/**
+ * "항상 거절하는 주제" — 결정 대부분이 거절인 엔티티 / 관계
+ *
+ * @param {Array} interventions
+ * @param {{ minDecisions?: number, minRatio?: number }} [options]
+ * @returns {Array<{ kind: 'entity' | 'predicate', name: string, rejected: number, total: number }>}
+ */
+export function alwaysRejectedTopics(interventions, options = {}) {
+    const { minDecisions = 3, minRatio = 0.8 } = options;
+    const tallies = new Map();
+    const tally = (kind, name, rejected) => {
+        if (!name) return;
+        const key = `${kind}|${normalize(name)}`;
+        if (!tallies.has(key)) tallies.set(key, { kind, name, rejected: 0, total: 0 });
+        const t = tallies.get(key);
+        t.total++;
+        if (rejected) t.rejected++;
+    };
+
+    for (const iv of interventions) {
+        const kind = DECISION_KIND[iv.type];
+        if (!kind) continue;
+        tally('entity', entityOf(iv), kind === 'reject');
+        tally('predicate', iv.predicate, kind === 'reject');
+    }
+
+    return [...tallies.values()]
+        .filter(t => t.total >= minDecisions && t.rejected / t.total >= minRatio)
+        .sort((a, b) => b.rejected - a.rejected || b.total - a.total);
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function normalize(str) {
+    return String(str || '').toLowerCase().trim();
+}
+
+function entityOf(iv) {
+    if (iv.scope?.startsWith('entity:')) return iv.scope.slice('entity:'.length);
+    return iv.subject || null;
+}
+
+function monthOf(iso) {
+    return iso ? String(iso).slice(0, 7) : null;
+}
+
+/** now가 속한 달을 끝으로 하는 최근 months개월 ('YYYY-MM', 오래된 순) */
+function recentMonths({ months = 12, now = new Date() } = {}) {
+    const end = new Date(now);
+    const result = [];
+    for (let i = months - 1; i >= 0; i--) {
+        const d = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - i, 1));
+        result.push(d.toISOString().slice(0, 7));
+    }
+    return result;
+}
+
+function previousMonth(period) {
+    const [year, month] = period.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 2, 1)).toISOString().slice(0, 7);
+}
+
+function keyed(triples) {
+    return new Map(triples.map(t => [tripleKey(t), t]));
+}
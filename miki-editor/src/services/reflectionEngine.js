@@ -3,35 +3,100 @@
  *
  * 시의성 원칙:
  * "지금 쓴 메모가 과거의 기록과 이어질 때" 즉시 Reflection을 만든다.
- * 스케줄링 없음 — 메모 저장 이벤트가 유일한 트리거.
+ * 스케줄링 없음 — 큐레이션 확정으로 메모가 위키화되는 순간이 유일한 트리거.
  *
  * 흐름:
- * 1. wikiCompiler.compileAndAppend() → 신규 트리플 추출
+ * 1. curationPipeline (compileMemoBatch → publishCurationTriples) → 신규 트리플 추출 + graph.jsonl append
  * 2. reflectionEngine.detectConnections() → 과거 Prior와 비교
- * 3. Extending 트리플만 → Reflection 카드 (queue.jsonl에 append)
+ * 3. Extending → relation 카드 / Tension → tension 카드 (queue.jsonl에 append)
  * 4. UI가 queue에서 오늘 항목을 꺼내 표시
  *
+ * 예외 — 재확인(reaffirm):
+ * Consistent 트리플은 카드 없이 지나가므로, 오래 유지된 믿음은 다시 볼 기회가 없다(자기강화 편향).
+ * selectReaffirmCandidates()가 REAFFIRM_MIN_AGE_DAYS 이상 된 트리플을 reaffirm 카드로 queue에 되돌리고,
+ * selectPendingCards() / scheduleDripFeed()가 선호도의 counterprogramming 비율로 섞어 배치한다.
+ *
  * Reflection 카드 포맷 (reflections/queue.jsonl 한 라인):
  * {
  *   id: string,
- *   type: "relation" | "identity",
+ *   type: "relation" | "identity" | "tension" | "reaffirm",
  *   status: "pending" | "shown" | "accepted" | "rejected" | "modified",
  *   evidence_tier: "Grounded" | "Bridged" | "Speculative",
  *   prior_relation: string | null,   // 연결된 과거 트리플 ID
  *   proposed_update: { subject, predicate, object },
  *   rationale: string,               // "왜 이걸 보여드리나요?" 푸터
  *   source_memo_id: string,
+ *   evidence_span: { start, end } | null,  // 트리플의 근거 위치 (RawMemoCache 본문 기준)
+ *   evidence_snippet: string | null,
  *   triggered_at: string,            // 메모 저장 시각 (ISO 8601)
+ *
+ *   // type:"tension" 전용
+ *   tension_subtype: "contradiction" | "drift" | "reordering",
+ *   prior_triple: object,            // 충돌한 과거 트리플 원본
+ *   new_triple: object,              // 신규 트리플 원본
+ *   gap_days: number | null,         // 두 트리플 사이 시간 간격
+ *
+ *   // type:"reaffirm" 전용
+ *   age_days: number,                // 최초 기록 이후 경과 일수
+ *   occurrences: number,             // 같은 트리플이 기록된 횟수 (Consistent 누적)
  * }
  */
 
+import { normalizePreferences, FALSE_POSITIVE_TIERS } from './reflectionPreferences';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 반대 극성 관계가 이 간격 이상 떨어져 있으면 모순이 아니라 관점 변화(drift)로 본다
+const DRIFT_THRESHOLD_DAYS = 90;
+
+// 재확인 대상 — 최초 기록 후 이 기간이 지난 트리플
+export const REAFFIRM_MIN_AGE_DAYS = 180;
+// 같은 트리플을 다시 묻기까지의 최소 간격
+export const REAFFIRM_COOLDOWN_DAYS = 180;
+// pending reaffirm 카드 상한 — 답하지 않은 재확인이 쌓이지 않게 한다
+export const REAFFIRM_BATCH_SIZE = 3;
+
+const TIER_ORDER = { Grounded: 0, Bridged: 1, Speculative: 2 };
+// 거짓 양성 허용도가 적용되는 카드 — 새 사실을 제안하는 카드만
+const TIER_FILTERED_TYPES = new Set(['relation', 'tension']);
+
+/**
+ * 극성 쌍 사전 — [긍정, 부정]
+ * 같은 쌍에 속하면 같은 관계 축(stem)으로 보고, 극성이 다르면 Tension 후보.
+ */
+const POLARITY_PAIRS = [
+    ['신뢰한다', '불신한다'],
+    ['믿는다', '의심한다'],
+    ['좋아한다', '싫어한다'],
+    ['지지한다', '반대한다'],
+    ['존경한다', '경멸한다'],
+    ['trusts', 'distrusts'],
+    ['likes', 'dislikes'],
+    ['supports', 'opposes'],
+    ['agrees', 'disagrees'],
+    ['respects', 'disrespects'],
+    ['believes', 'doubts'],
+];
+
 /**
- * 신규 트리플 vs Prior 비교 → Consistent / Extending 분류
- * (Tension 감지는 Phase 11)
+ * 단일 슬롯 관계 — subject당 object가 하나만 성립하는 관계.
+ * object가 바뀌면 확장이 아니라 우선순위 재배열(reordering)이다.
+ */
+const EXCLUSIVE_PREDICATES = new Set([
+    '가장 좋아한다',
+    '가장 신뢰한다',
+    '최우선으로 여긴다',
+    '우선한다',
+    'favorite',
+    'prefers',
+    'top_priority',
+]);
+
+/**
+ * 신규 트리플 vs Prior 비교 → Consistent / Extending / Tension 분류
  *
  * @param {object} newTriple
  * @param {Array} priorTriples
- * @returns {'Consistent' | 'Extending'}
+ * @returns {'Consistent' | 'Extending' | 'Tension'}
  */
 export function classifyTriple(newTriple, priorTriples) {
     const subjectMatches = priorTriples.filter(
@@ -40,6 +105,9 @@ export function classifyTriple(newTriple, priorTriples) {
 
     if (!subjectMatches.length) return 'Extending';
 
+    // 같은 관계 축의 최신 기록과 먼저 비교 — 예전에 같은 말을 했어도 그 뒤에 뒤집혔다면 Tension
+    if (detectTension(newTriple, subjectMatches)) return 'Tension';
+
     const exactMatch = subjectMatches.find(
         t =>
             normalize(t.predicate) === normalize(newTriple.predicate) &&
@@ -50,6 +118,56 @@ export function classifyTriple(newTriple, priorTriples) {
     return 'Extending';
 }
 
+/**
+ * 신규 트리플이 Prior와 충돌하는지 판정 → Tension 하위 타입
+ *
+ * - contradiction: 같은 subject/object, 같은 관계 축의 반대 극성, 간격 < DRIFT_THRESHOLD_DAYS
+ * - drift:         위와 같으나 간격 ≥ DRIFT_THRESHOLD_DAYS (시간에 따른 관점 변화)
+ * - reordering:    단일 슬롯 관계(EXCLUSIVE_PREDICATES)의 object 교체
+ *
+ * @param {object} newTriple
+ * @param {Array} priorTriples
+ * @returns {{ subtype: 'contradiction' | 'drift' | 'reordering', prior: object, gapDays: number | null } | null}
+ */
+export function detectTension(newTriple, priorTriples) {
+    const subject = normalize(newTriple.subject);
+    const object = normalize(newTriple.object);
+    const newPolarity = predicatePolarity(newTriple.predicate);
+
+    // 같은 subject의 과거 트리플 중 최신 것부터 검사 — 가장 최근 관점과 비교
+    const candidates = priorTriples
+        .filter(t => normalize(t.subject) === subject)
+        .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+
+    if (newPolarity) {
+        // 같은 관계 축의 가장 최근 기록이 이미 같은 극성이면 충돌 아님
+        const latestOnAxis = candidates.find(t => {
+            if (normalize(t.object) !== object) return false;
+            return predicatePolarity(t.predicate)?.stem === newPolarity.stem;
+        });
+        const opposite = latestOnAxis && predicatePolarity(latestOnAxis.predicate).sign !== newPolarity.sign
+            ? latestOnAxis
+            : null;
+        if (opposite) {
+            const gapDays = daysBetween(opposite.created_at, newTriple.created_at);
+            const subtype = gapDays !== null && gapDays >= DRIFT_THRESHOLD_DAYS ? 'drift' : 'contradiction';
+            return { subtype, prior: opposite, gapDays };
+        }
+    }
+
+    const predicate = normalize(newTriple.predicate);
+    if (EXCLUSIVE_PREDICATES.has(predicate)) {
+        // 지금 슬롯을 차지한 것(가장 최근 기록)만 비교 — 현재 값을 다시 말한 건 교체가 아니다
+        const current = candidates.find(t => normalize(t.predicate) === predicate);
+        const replaced = current && normalize(current.object) !== object ? current : null;
+        if (replaced) {
+            return { subtype: 'reordering', prior: replaced, gapDays: daysBetween(replaced.created_at, newTriple.created_at) };
+        }
+    }
+
+    return null;
+}
+
 /**
  * 신규 메모의 트리플 배열에서 과거와 연결되는 항목 탐지
  * → Reflection 카드 배열 반환 (즉시 queue.jsonl에 append 가능)
@@ -63,7 +181,13 @@ export function detectConnections(newTriples, priorTriples) {
     const cards = [];
 
     for (const triple of newTriples) {
-        if (classifyTriple(triple, priorTriples) === 'Consistent') continue;
+        const relation = classifyTriple(triple, priorTriples);
+        if (relation === 'Consistent') continue;
+
+        if (relation === 'Tension') {
+            cards.push(buildTensionReflection(triple, detectTension(triple, priorTriples), now));
+            continue;
+        }
 
         const priorMatch = findRelatedPrior(triple, priorTriples);
 
@@ -80,6 +204,8 @@ export function detectConnections(newTriples, priorTriples) {
             },
             rationale: buildRationale(triple, priorMatch),
             source_memo_id: triple.source_memo_id,
+            evidence_span: triple.evidence_span || null,
+            evidence_snippet: triple.evidence_snippet || null,
             triggered_at: now,
         });
     }
@@ -87,6 +213,40 @@ export function detectConnections(newTriples, priorTriples) {
     return cards;
 }
 
+/**
+ * Tension Reflection 카드 생성
+ * 과거 트리플과 신규 트리플을 모두 첨부해 사용자가 나란히 비교할 수 있게 한다.
+ *
+ * @param {object} triple - 신규 트리플
+ * @param {{ subtype, prior, gapDays }} tension - detectTension() 결과
+ * @param {string} [triggeredAt]
+ * @returns {object}
+ */
+export function buildTensionReflection(triple, tension, triggeredAt = new Date().toISOString()) {
+    const { subtype, prior, gapDays } = tension;
+    return {
+        id: `rf-tension-${triple.id}-${Date.now()}-${Math.random().toString(36).slice(2, 5)}`,
+        type: 'tension',
+        status: 'pending',
+        evidence_tier: triple.evidence_tier || 'Speculative',
+        prior_relation: prior.id || null,
+        proposed_update: {
+            subject: triple.subject,
+            predicate: triple.predicate,
+            object: triple.object,
+        },
+        tension_subtype: subtype,
+        prior_triple: prior,
+        new_triple: triple,
+        gap_days: gapDays,
+        rationale: buildTensionRationale(subtype, prior, triple, gapDays),
+        source_memo_id: triple.source_memo_id,
+        evidence_span: triple.evidence_span || null,
+        evidence_snippet: triple.evidence_snippet || null,
+        triggered_at: triggeredAt,
+    };
+}
+
 /**
  * Identity Reflection 카드 생성
  * 두 엔티티가 동일 인물일 가능성을 감지했을 때 호출
@@ -121,57 +281,152 @@ export function buildIdentityReflection(entityA, entityB, sourceMemoId, evidence
     };
 }
 
+/**
+ * Reaffirm Reflection 카드 생성
+ * 오래 유지된 트리플을 "지금도 그런가요?"로 다시 묻는다.
+ *
+ * @param {object} triple - 재확인할 트리플 (가장 먼저 기록된 것)
+ * @param {{ ageDays: number, occurrences: number }} stats
+ * @param {string} [triggeredAt]
+ * @returns {object}
+ */
+export function buildReaffirmReflection(triple, stats, triggeredAt = new Date().toISOString()) {
+    const { ageDays, occurrences } = stats;
+    const statement = `"${triple.subject} ${triple.predicate} ${triple.object}"`;
+    return {
+        id: `rf-reaffirm-${triple.id}-${Date.now()}-${Math.random().toString(36).slice(2, 5)}`,
+        type: 'reaffirm',
+        status: 'pending',
+        evidence_tier: triple.evidence_tier || 'Speculative',
+        prior_relation: triple.id || null,
+        proposed_update: {
+            subject: triple.subject,
+            predicate: triple.predicate,
+            object: triple.object,
+        },
+        age_days: ageDays,
+        occurrences,
+        rationale: occurrences > 1
+            ? `${ageDays}일 전부터 ${occurrences}번 기록된 ${statement} — 지금도 그런가요?`
+            : `${ageDays}일 전에 기록한 ${statement} — 지금도 그런가요?`,
+        source_memo_id: triple.source_memo_id,
+        evidence_span: triple.evidence_span || null,
+        evidence_snippet: triple.evidence_snippet || null,
+        triggered_at: triggeredAt,
+    };
+}
+
+/**
+ * 오래된 믿음 → reaffirm 카드 선정
+ *
+ * 같은 (subject, predicate, object)는 한 믿음으로 묶고, 최초 기록일로 나이를 잰다.
+ * 여러 번 반복 기록된(= Consistent로 계속 건너뛴) 믿음일수록, 같은 횟수면 오래된 것부터 고른다.
+ * pending reaffirm이 이미 batchSize개면 새로 만들지 않는다.
+ *
+ * @param {Array} triples - wikiStore.triples 전체
+ * @param {Array} queue - reflectionsQueue 전체
+ * @param {object} [options]
+ * @param {string} [options.now] - 기준 시각 (ISO 8601)
+ * @param {number} [options.minAgeDays]
+ * @param {number} [options.cooldownDays]
+ * @param {number} [options.batchSize]
+ * @returns {Array} reaffirm 카드 배열
+ */
+export function selectReaffirmCandidates(triples, queue, options = {}) {
+    const {
+        now = new Date().toISOString(),
+        minAgeDays = REAFFIRM_MIN_AGE_DAYS,
+        cooldownDays = REAFFIRM_COOLDOWN_DAYS,
+        batchSize = REAFFIRM_BATCH_SIZE,
+    } = options;
+
+    const reaffirms = queue.filter(q => q.type === 'reaffirm');
+    const budget = batchSize - reaffirms.filter(q => q.status === 'pending').length;
+    if (budget <= 0) return [];
+
+    // 트리플 키 → 마지막으로 물어본 시각 (pending이면 무한히 최근으로 취급)
+    const lastAsked = new Map();
+    for (const card of reaffirms) {
+        const key = tripleKey(card.proposed_update);
+        const at = card.status === 'pending' ? Infinity : new Date(card.triggered_at).getTime();
+        if (!(lastAsked.get(key) >= at)) lastAsked.set(key, at);
+    }
+
+    const beliefs = new Map();
+    for (const triple of triples) {
+        if (!triple.created_at) continue;
+        const key = tripleKey(triple);
+        const belief = beliefs.get(key);
+        if (!belief) {
+            beliefs.set(key, { triple, occurrences: 1 });
+            continue;
+        }
+        belief.occurrences++;
+        if (triple.created_at < belief.triple.created_at) belief.triple = triple;
+    }
+
+    const nowMs = new Date(now).getTime();
+    const candidates = [];
+    for (const [key, { triple, occurrences }] of beliefs) {
+        const ageDays = daysBetween(triple.created_at, now);
+        if (ageDays == null || ageDays < minAgeDays) continue;
+        const asked = lastAsked.get(key);
+        if (asked !== undefined && (asked === Infinity || nowMs - asked < cooldownDays * DAY_MS)) continue;
+        candidates.push({ triple, occurrences, ageDays });
+    }
+
+    return candidates
+        .sort((a, b) => b.occurrences - a.occurrences || b.ageDays - a.ageDays)
+        .slice(0, budget)
+        .map(({ triple, occurrences, ageDays }) => buildReaffirmReflection(triple, { ageDays, occurrences }, now));
+}
+
 /**
  * 오늘의 Reflection 슬롯 선택
- * queue 전체에서 pending 항목을 evidence_tier 우선순위로 정렬해 반환
+ * pending 항목을 선호도(reflectionPreferences)에 따라 거르고 정렬한 뒤,
+ * reaffirm 카드는 counterprogramming 비율만큼만 섞어 반환 (신규 카드가 모자라면 나머지를 채운다)
  *
  * @param {Array} queue - reflectionsQueue 전체
  * @param {number} maxSlots - 표시할 최대 카드 수 (기본 5)
+ * @param {object} [options]
+ * @param {object} [options.preferences] - reflectionPreferences 부분 값
+ * @param {Date|string} [options.now] - 대기 일수 계산 기준 (망각 보정)
  * @returns {Array}
  */
-export function selectPendingCards(queue, maxSlots = 5) {
-    const tierOrder = { Grounded: 0, Bridged: 1, Speculative: 2 };
-    return queue
-        .filter(item => item.status === 'pending')
-        .sort((a, b) => {
-            const tierDiff = (tierOrder[a.evidence_tier] ?? 2) - (tierOrder[b.evidence_tier] ?? 2);
-            if (tierDiff !== 0) return tierDiff;
-            // 최신 트리거 먼저 (시의성)
-            return new Date(b.triggered_at) - new Date(a.triggered_at);
-        })
-        .slice(0, maxSlots);
+export function selectPendingCards(queue, maxSlots = 5, options = {}) {
+    const prefs = normalizePreferences(options.preferences);
+    const { fresh, reaffirm } = splitPending(queue, prefs, options.now);
+    return takeMixed(fresh, reaffirm, maxSlots, prefs.counterprogramming);
 }
 
 /**
  * pending Reflection queue를 일자별 드립 피드 슬롯으로 배정
+ * 기간·하루 분량은 선호도의 pacing 값을 따르고, reaffirm 카드는 매일 counterprogramming 비율만큼 섞는다.
  *
  * @param {Array} queue - reflectionsQueue 전체
  * @param {object} options
  * @param {Date|string} [options.startDate] - 스케줄 시작일
+ * @param {object} [options.preferences] - reflectionPreferences 부분 값
  * @returns {Array} 일자별 Reflection 슬롯
  */
 export function scheduleDripFeed(queue, options = {}) {
-    const pending = queue.filter(q => q.status === 'pending');
-    if (!pending.length) return [];
-
-    const total = pending.length;
-    const periodDays = Math.max(14, Math.min(28, Math.ceil(total / 4)));
-    const baseDaily = Math.max(3, Math.min(5, Math.ceil(total / periodDays)));
-    const tierOrder = { Grounded: 0, Bridged: 1, Speculative: 2 };
+    const prefs = normalizePreferences(options.preferences);
+    const startDate = options.startDate ? new Date(options.startDate) : new Date();
+    const { fresh, reaffirm } = splitPending(queue, prefs, startDate);
+    const total = fresh.length + reaffirm.length;
+    if (!total) return [];
 
-    const sorted = [...pending].sort((a, b) => {
-        const tierDiff = (tierOrder[a.evidence_tier] ?? 2) - (tierOrder[b.evidence_tier] ?? 2);
-        if (tierDiff !== 0) return tierDiff;
-        return new Date(b.triggered_at) - new Date(a.triggered_at);
-    });
+    const periodDays = clampRange(Math.ceil(total / 4), prefs.periodMinDays, prefs.periodMaxDays);
+    const baseDaily = clampRange(Math.ceil(total / periodDays), prefs.dailyMin, prefs.dailyMax);
 
     const schedule = [];
-    const startDate = options.startDate ? new Date(options.startDate) : new Date();
-    let cursor = 0;
 
-    for (let day = 0; day < periodDays && cursor < sorted.length; day++) {
-        const dailyLimit = day < 7 ? Math.min(3, baseDaily) : baseDaily;
-        const slot = sorted.slice(cursor, cursor + dailyLimit);
+    for (let day = 0; day < periodDays && (fresh.length || reaffirm.length); day++) {
+        const dailyLimit = day < prefs.warmupDays ? Math.min(prefs.warmupDaily, baseDaily) : baseDaily;
+        const slot = takeMixed(fresh, reaffirm, dailyLimit, prefs.counterprogramming);
+        fresh.splice(0, slot.filter(c => c.type !== 'reaffirm').length);
+        reaffirm.splice(0, slot.filter(c => c.type === 'reaffirm').length);
+
         const scheduledFor = new Date(startDate);
         scheduledFor.setDate(scheduledFor.getDate() + day);
         const date = scheduledFor.toISOString().slice(0, 10);
@@ -180,7 +435,6 @@ export function scheduleDripFeed(queue, options = {}) {
             date,
             cards: slot.map(c => ({ ...c, scheduled_for: date })),
         });
-        cursor += dailyLimit;
     }
 
     return schedule;
@@ -201,6 +455,78 @@ export function selectTodaysSlot(schedule, date) {
 
 // ── Helpers ────────────────────────────────────────────────────────────────
 
+/**
+ * pending 항목 → 신규 카드 / reaffirm 카드 (각각 정렬된 새 배열)
+ *
+ * 신규 카드: 거짓 양성 허용도 밖의 relation / tension은 보류(pending 유지),
+ *           티어 순위에서 망각 보정(대기 7일당 forgettingCompensation 단계)을 빼서 정렬,
+ *           같으면 최신 트리거 먼저 (시의성). diversityFirst면 subject별로 번갈아 배치.
+ */
+function splitPending(queue, prefs, now = new Date()) {
+    const allowedTiers = new Set(FALSE_POSITIVE_TIERS[prefs.falsePositiveTolerance]);
+    const nowMs = new Date(now).getTime();
+    const score = item => {
+        const waitDays = Math.max(0, (nowMs - new Date(item.triggered_at).getTime()) / DAY_MS) || 0;
+        return (TIER_ORDER[item.evidence_tier] ?? 2) - prefs.forgettingCompensation * (waitDays / 7);
+    };
+
+    const pending = queue.filter(item => item.status === 'pending');
+    const fresh = pending
+        .filter(item => item.type !== 'reaffirm')
+        .filter(item => !TIER_FILTERED_TYPES.has(item.type) || allowedTiers.has(item.evidence_tier || 'Speculative'))
+        .map(item => ({ item, score: score(item) }))
+        .sort((a, b) => a.score - b.score || new Date(b.item.triggered_at) - new Date(a.item.triggered_at))
+        .map(({ item }) => item);
+
+    return {
+        fresh: prefs.diversityFirst ? interleaveBySubject(fresh) : fresh,
+        // 재확인은 오래된 믿음부터
+        reaffirm: pending
+            .filter(item => item.type === 'reaffirm')
+            .sort((a, b) => (b.age_days ?? 0) - (a.age_days ?? 0)),
+    };
+}
+
+/** 정렬 순서를 유지하며 subject별로 한 장씩 돌아가며 꺼낸다 */
+function interleaveBySubject(cards) {
+    const groups = new Map();
+    for (const card of cards) {
+        const key = normalize(card.proposed_update?.subject);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(card);
+    }
+    const result = [];
+    const lists = [...groups.values()];
+    for (let round = 0; result.length < cards.length; round++) {
+        for (const list of lists) {
+            if (round < list.length) result.push(list[round]);
+        }
+    }
+    return result;
+}
+
+function clampRange(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * slots칸 중 reaffirm 몫(ratio, 0보다 크면 최소 1칸)을 뒤에 섞고, 어느 한쪽이 모자라면 다른 쪽으로 채운다.
+ */
+function takeMixed(fresh, reaffirm, slots, ratio) {
+    const share = ratio > 0 && reaffirm.length ? Math.max(1, Math.round(slots * ratio)) : 0;
+    const reaffirmCount = Math.min(reaffirm.length, share, slots);
+    const freshCount = Math.min(fresh.length, slots - reaffirmCount);
+    const extra = Math.min(reaffirm.length - reaffirmCount, slots - reaffirmCount - freshCount);
+    return [
+        ...fresh.slice(0, freshCount),
+        ...reaffirm.slice(0, reaffirmCount + extra),
+    ];
+}
+
+function tripleKey(t) {
+    return `${normalize(t.subject)}|${normalize(t.predicate)}|${normalize(t.object)}`;
+}
+
 function normalize(str) {
     return String(str || '').toLowerCase().trim();
 }
@@ -209,6 +535,55 @@ function slugify(str) {
     return String(str).toLowerCase().replace(/\s+/g, '_').replace(/[^\w가-힣]/g, '').slice(0, 30);
 }
 
+/**
+ * predicate → { stem, sign } (사전에 없고 부정형도 아니면 null)
+ * 사전 쌍 외에 "~지 않는다" / "does not ~" 부정형도 반대 극성으로 인식한다.
+ */
+function predicatePolarity(predicate) {
+    let p = normalize(predicate);
+    let sign = 1;
+
+    const negated = p.match(/^(?:does not|doesn't|do not|don't|not)\s+(.+)$/) || p.match(/^(.+?)지 않는다$/);
+    if (negated) {
+        p = negated[1].trim();
+        // "신뢰하지 않는다" → "신뢰한다", "믿지 않는다" → "믿는다"
+        if (p.endsWith('하')) p = `${p.slice(0, -1)}한다`;
+        else if (/[가-힣]$/.test(p)) p = `${p}는다`;
+        sign = -1;
+    }
+
+    for (const [positive, negative] of POLARITY_PAIRS) {
+        if (p === positive || p === stripEnglishS(positive)) return { stem: positive, sign };
+        if (p === negative || p === stripEnglishS(negative)) return { stem: positive, sign: -sign };
+    }
+
+    return negated ? { stem: p, sign } : null;
+}
+
+function stripEnglishS(word) {
+    return /^[a-z]+s$/.test(word) ? word.slice(0, -1) : word;
+}
+
+function daysBetween(fromISO, toISO) {
+    if (!fromISO) return null;
+    const from = new Date(fromISO).getTime();
+    const to = toISO ? new Date(toISO).getTime() : Date.now();
+    if (Number.isNaN(from) || Number.isNaN(to)) return null;
+    return Math.floor(Math.abs(to - from) / DAY_MS);
+}
+
+function buildTensionRationale(subtype, prior, triple, gapDays) {
+    const before = `"${prior.subject} ${prior.predicate} ${prior.object}"`;
+    const after = `"${triple.subject} ${triple.predicate} ${triple.object}"`;
+    if (subtype === 'drift') {
+        return `${gapDays}일 전에는 ${before}로 기록했습니다. 지금은 ${after} — 관점이 바뀌었나요?`;
+    }
+    if (subtype === 'reordering') {
+        return `이전에는 ${before}였습니다. 새 메모에서는 ${after} — 우선순위가 바뀌었나요?`;
+    }
+    return `위키의 ${before}와 새 메모의 ${after}가 충돌합니다. 어느 쪽이 맞나요?`;
+}
+
 function findRelatedPrior(triple, priorTriples) {
     return priorTriples.find(
         t =>
@@ -0,0 +1,97 @@
+/**
+ * reflectionPreferences — Reflection 피드 알고리즘 선호도
+ *
+ * selectPendingCards() / scheduleDripFeed()가 이 값을 받아 카드 순서와 분량을 정한다.
+ * 코드 수정 없이 /reflection/settings에서 피드의 공격성을 조절하기 위한 모델.
+ *
+ * 데이터 주권: 선호도는 이 기기의 localStorage에만 저장된다.
+ */
+
+const STORAGE_KEY = 'meki_reflection_preferences';
+
+/**
+ * 거짓 양성 허용도 → 피드에 올릴 evidence_tier
+ *   low:    명시(Grounded)된 관계만
+ *   medium: 맥락상 암시(Bridged)까지
+ *   high:   추론(Speculative)까지 모두
+ */
+export const FALSE_POSITIVE_TIERS = {
+    low: ['Grounded'],
+    medium: ['Grounded', 'Bridged'],
+    high: ['Grounded', 'Bridged', 'Speculative'],
+};
+
+export const DEFAULT_PREFERENCES = {
+    // 같은 인물 카드가 하루를 독점하지 않도록 subject별로 번갈아 배치
+    diversityFirst: false,
+    // 역편성 — 슬롯 중 오래된 믿음(reaffirm) 재확인에 배정할 비율 (0 ~ 1)
+    counterprogramming: 0.2,
+    // 망각 보정 — 오래 기다린 카드를 끌어올리는 강도 (0 = 최신 우선, 1 = 1주 대기마다 티어 한 단계)
+    forgettingCompensation: 0,
+    falsePositiveTolerance: 'high',
+    // 드립 피드 분량 — 하루 카드 수 / 소화 기간 / 첫 주 적응 기간
+    dailyMin: 3,
+    dailyMax: 5,
+    periodMinDays: 14,
+    periodMaxDays: 28,
+    warmupDays: 7,
+    warmupDaily: 3,
+};
+
+/**
+ * 부분 값 → 완전한 선호도 (범위를 벗어난 값은 잘라내고, 모르는 값은 기본값)
+ *
+ * @param {object} [partial]
+ * @returns {typeof DEFAULT_PREFERENCES}
+ */
+export function normalizePreferences(partial = {}) {
+    const p = { ...DEFAULT_PREFERENCES, ...partial };
+    const dailyMin = clampInt(p.dailyMin, 1, 20, DEFAULT_PREFERENCES.dailyMin);
+    const periodMinDays = clampInt(p.periodMinDays, 1, 90, DEFAULT_PREFERENCES.periodMinDays);
+    return {
+        diversityFirst: Boolean(p.diversityFirst),
+        counterprogramming: clamp(p.counterprogramming, 0, 1, DEFAULT_PREFERENCES.counterprogramming),
+        forgettingCompensation: clamp(p.forgettingCompensation, 0, 1, DEFAULT_PREFERENCES.forgettingCompensation),
+        falsePositiveTolerance: FALSE_POSITIVE_TIERS[p.falsePositiveTolerance]
+            ? p.falsePositiveTolerance
+            : DEFAULT_PREFERENCES.falsePositiveTolerance,
+        dailyMin,
+        dailyMax: clampInt(p.dailyMax, dailyMin, 20, Math.max(dailyMin, DEFAULT_PREFERENCES.dailyMax)),
+        periodMinDays,
+        periodMaxDays: clampInt(p.periodMaxDays, periodMinDays, 90, Math.max(periodMinDays, DEFAULT_PREFERENCES.periodMaxDays)),
+        warmupDays: clampInt(p.warmupDays, 0, 30, DEFAULT_PREFERENCES.warmupDays),
+        warmupDaily: clampInt(p.warmupDaily, 1, 20, DEFAULT_PREFERENCES.warmupDaily),
+    };
+}
+
+export function loadPreferences() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return normalizePreferences(raw ? JSON.parse(raw) : {});
+    } catch {
+        return normalizePreferences();
+    }
+}
+
+export function savePreferences(partial) {
+    const updated = normalizePreferences({ ...loadPreferences(), ...partial });
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+    return updated;
+}
+
+export function resetPreferences() {
+    localStorage.removeItem(STORAGE_KEY);
+    return normalizePreferences();
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function clamp(value, min, max, fallback) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+}
+
+function clampInt(value, min, max, fallback) {
+    return Math.round(clamp(value, min, max, fallback));
+}
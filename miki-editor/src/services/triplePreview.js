@@ -0,0 +1,100 @@
+/**
+ * triplePreview — graph.jsonl에 올리기 전 추출 트리플 미리보기 (pure)
+ *
+ * compileQueue 워커는 컴파일을 마친 작업을 status:'review'로 멈춰 둔다. 사용자가 메모별 트리플을
+ * 빼거나 고친 뒤 승인하면 resolvePreview()로 최종 byMemo를 만들어 publish 단계로 넘긴다.
+ *
+ * 편집 목록 (UI 로컬 상태):
+ * {
+ *   [memoId]: {
+ *     [index]: { drop: true } | { subject?, predicate?, object? },   // index = byMemo[memoId] 안의 위치
+ *   },
+ * }
+ *
+ * 고친 트리플은 'modify', 뺀 트리플은 'reject' intervention으로 남아
+ * 다음 컴파일부터 프롬프트 제약으로 주입된다 (interventionResolver).
+ */
+
+import { makeTripleId } from './wikiCompiler';
+import { createIntervention } from './interventionResolver';
+
+/**
+ * 편집 적용 — 최종 byMemo와 바뀐 트리플 목록
+ *
+ * 비운 필드는 원래 값을 유지한다. 고친 결과가 같은 메모의 다른 트리플과 겹치면 하나만 남긴다.
+ *
+ * @param {Object<string, Array>} byMemo - 컴파일 결과 (작업의 byMemo)
+ * @param {Object} edits
+ * @returns {{ byMemo: Object<string, Array>, modified: Array<{ before, after }>, dropped: Array }}
+ */
+export function resolvePreview(byMemo, edits = {}) {
+    const result = { byMemo: {}, modified: [], dropped: [] };
+
+    for (const [memoId, triples] of Object.entries(byMemo)) {
+        const seen = new Set();
+        result.byMemo[memoId] = [];
+
+        triples.forEach((triple, index) => {
+            const edit = edits[memoId]?.[index];
+            if (edit?.drop) {
+                result.dropped.push(triple);
+                return;
+            }
+
+            const next = edit ? reviseTriple(triple, edit) : triple;
+            if (seen.has(next.id)) return;
+            seen.add(next.id);
+            result.byMemo[memoId].push(next);
+            if (next !== triple) result.modified.push({ before: triple, after: next });
+        });
+    }
+    return result;
+}
+
+/**
+ * 미리보기 결정 → intervention 목록
+ *
+ * modify: s/p/o는 모델이 제안한 원래 트리플, user_note에 고친 결과 (reflection 'modify'와 같은 형식)
+ * id는 작업 id + 결정 종류 + 트리플 id로 정해진다 — 승인을 다시 시도해도 같은 결정이 두 번 쌓이지 않는다.
+ *
+ * @param {{ modified: Array<{ before, after }>, dropped: Array }} preview - resolvePreview() 결과
+ * @param {number} jobId - 미리보기 작업 (compileJobs id)
+ * @returns {Array} createIntervention() 결과
+ */
+export function previewInterventions({ modified, dropped }, jobId) {
+    const withId = (intervention, triple) => ({
+        ...intervention,
+        id: `iv-preview-${jobId}-${intervention.type}-${triple.id}`,
+    });
+    return [
+        ...modified.map(({ before, after }) => withId(createIntervention({
+            type: 'modify',
+            scope: `entity:${before.subject}`,
+            subject: before.subject,
+            predicate: before.predicate,
+            object: before.object,
+            user_note: `미리보기 수정 → "${after.subject}" ${after.predicate} "${after.object}"`,
+        }), before)),
+        ...dropped.map(triple => withId(createIntervention({
+            type: 'reject',
+            scope: `entity:${triple.subject}`,
+            subject: triple.subject,
+            predicate: triple.predicate,
+            object: triple.object,
+            user_note: '미리보기에서 제외 — 재제안 금지',
+        }), triple)),
+    ];
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function reviseTriple(triple, edit) {
+    const pick = field => String(edit[field] ?? '').trim() || triple[field];
+    const subject = pick('subject');
+    const predicate = pick('predicate');
+    const object = pick('object');
+    if (subject === triple.subject && predicate === triple.predicate && object === triple.object) {
+        return triple;
+    }
+    return { ...triple, id: makeTripleId(subject, predicate, object), subject, predicate, object };
+}
@@ -0,0 +1,93 @@
+/**
+ * tripleSchema — BYOK 추출 응답(JSON 배열)의 트리플 스키마 검증
+ *
+ * wikiCompiler가 모델 응답을 graph.jsonl에 넣기 전에 통과시키는 관문.
+ * 검증 오류는 그대로 repair 프롬프트에 실려 모델에게 되돌아가고,
+ * 최종 실패는 curationPipeline을 거쳐 큐레이션 UI에 메모별로 표시된다.
+ */
+
+export const ENTITY_TYPES = ['person', 'relationship', 'stance'];
+export const EVIDENCE_TIERS = ['Grounded', 'Bridged', 'Speculative'];
+
+// 필드별 최대 길이 — 문장 통째로 들어간 subject/object는 엔티티가 아니다
+const MAX_LENGTH = { subject: 80, predicate: 40, object: 120, evidence: 300 };
+
+/**
+ * 트리플 하나 검증
+ *
+ * @param {any} item
+ * @param {number} index - 응답 배열 내 위치 (오류 메시지용)
+ * @returns {Array<{ index: number, field: string, message: string }>} 비어 있으면 유효
+ */
+export function validateTriple(item, index) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return [{ index, field: '*', message: '객체가 아닙니다' }];
+    }
+
+    const errors = [];
+    for (const field of ['subject', 'predicate', 'object']) {
+        const value = item[field];
+        if (typeof value !== 'string' || !value.trim()) {
+            errors.push({ index, field, message: '비어 있지 않은 문자열이어야 합니다' });
+        } else if (value.length > MAX_LENGTH[field]) {
+            errors.push({ index, field, message: `${MAX_LENGTH[field]}자를 넘습니다 (${value.length}자)` });
+        }
+    }
+    if (item.evidence != null && typeof item.evidence !== 'string') {
+        errors.push({ index, field: 'evidence', message: '문자열이어야 합니다' });
+    } else if (item.evidence?.length > MAX_LENGTH.evidence) {
+        errors.push({ index, field: 'evidence', message: `${MAX_LENGTH.evidence}자를 넘습니다 (${item.evidence.length}자)` });
+    }
+    if (item.entity_type != null && !ENTITY_TYPES.includes(item.entity_type)) {
+        errors.push({ index, field: 'entity_type', message: `${ENTITY_TYPES.join(' | ')} 중 하나여야 합니다` });
+    }
+    if (item.evidence_tier != null && !EVIDENCE_TIERS.includes(item.evidence_tier)) {
+        errors.push({ index, field: 'evidence_tier', message: `${EVIDENCE_TIERS.join(' | ')} 중 하나여야 합니다` });
+    }
+    return errors;
+}
+
+/**
+ * 모델 응답 텍스트 → JSON 배열 파싱 + 항목별 검증
+ *
+ * 코드펜스(```json)를 벗기고, 응답 전체가 배열이 아니면 첫 '['부터 마지막 ']'까지를 시도한다.
+ *
+ * @param {string} raw
+ * @returns {{ ok: boolean, items: Array, errors: Array<{ index: number, field: string, message: string }> }}
+ *   ok=false & items=[] 이면 배열 자체를 읽지 못한 것 (index -1)
+ */
+export function parseTripleArray(raw) {
+    const text = String(raw ?? '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end < start) {
+        return { ok: false, items: [], errors: [{ index: -1, field: '*', message: 'JSON 배열을 찾을 수 없습니다' }] };
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        return { ok: false, items: [], errors: [{ index: -1, field: '*', message: `JSON 파싱 실패: ${error.message}` }] };
+    }
+
+    const items = [];
+    const errors = [];
+    parsed.forEach((item, index) => {
+        const itemErrors = validateTriple(item, index);
+        if (itemErrors.length) errors.push(...itemErrors);
+        else items.push(item);
+    });
+    return { ok: errors.length === 0, items, errors };
+}
+
+/**
+ * 검증 오류 → 사람이 읽을 수 있는 목록 (repair 프롬프트 / UI 공용)
+ * @param {Array<{ index: number, field: string, message: string }>} errors
+ * @returns {string}
+ */
+export function formatValidationErrors(errors) {
+    return errors
+        .map(e => (e.index < 0 ? `- ${e.message}` : `- [${e.index}] ${e.field}: ${e.message}`))
+        .join('\n');
+}
@@ -2,7 +2,7 @@
  * wikiCompiler — 메모 → graph.jsonl 트리플 컴파일러
  *
  * ⚠️ Phase 10.5 이후 호출 규칙:
- *   이 모듈의 compileMemo()/compileAndAppend()는 **curationPipeline.confirmCuration()을 통해서만**
+ *   이 모듈의 compileMemo()/compileMemoBatch()/compileAndAppend()는 **curationPipeline(큐레이션 확정 → compileQueue 작업)을 통해서만**
  *   호출되어야 한다. 메모 저장이나 자동 트리거에서 직접 호출 금지.
  *
  *   이유: graph.jsonl 갱신은 사용자의 큐레이션 세션을 통한 명시적 결정이어야 함.
@@ -10,7 +10,10 @@
  *
  * 역할:
  * - 단일 메모를 받아 BYOK API로 트리플을 추출 (compileMemo)
- * - 추출 결과를 graph.jsonl에 append하고 메타데이터 반환 (compileAndAppend)
+ * - 여러 메모를 토큰 예산 안에서 한 프롬프트로 묶어 추출 (packMemoBatches + compileMemoBatch)
+ * - 응답을 tripleSchema로 검증하고, 오류가 있으면 오류 목록을 실어 1회 repair 재요청 (extractTriples)
+ * - 단일 메모 추출 결과를 graph.jsonl에 append (compileAndAppend) — 큐레이션 배치는 curationPipeline.publishCurationTriples
+ * - 콜드 스타트 후보 자동 처리 분류 + archive 엔트리 (autoProcessCandidates, buildAutoApprovedArchiveEntries)
  * - 과거 트리플과의 연결 감지는 reflectionEngine이 담당
  *
  * 출력 트리플 포맷 (graph.jsonl 한 라인):
@@ -22,11 +25,29 @@
  *   entity_type: string,   // "person" | "relationship" | "stance"
  *   evidence_tier: string, // "Grounded" | "Bridged" | "Speculative"
  *   source_memo_id: string,
+ *   evidence_span: { start, end } | null,  // 메모 본문 기준 근거 구절 문자 오프셋 (evidenceSpan)
+ *   evidence_snippet: string | null,       // 근거 구절 인용
  *   created_at: string,    // ISO 8601
  * }
  */
 
 import { ByokClient, ByokApiError } from './byokClient';
+import { parseTripleArray, formatValidationErrors } from './tripleSchema';
+import { buildEvidence } from '../wiki/evidenceSpan';
+
+/**
+ * repair 재요청 후에도 쓸 수 있는 트리플을 얻지 못한 경우
+ * stage: 'parse' (JSON 배열을 읽지 못함) | 'validation' (모든 항목이 스키마 위반)
+ */
+export class TripleExtractionError extends Error {
+    constructor(message, memoId, stage, errors = []) {
+        super(message);
+        this.name = 'TripleExtractionError';
+        this.memoId = memoId;
+        this.stage = stage;
+        this.errors = errors;
+    }
+}
 
 const EXTRACT_SYSTEM_PROMPT = `당신은 개인 메모에서 지식 그래프 트리플을 추출하는 AI입니다.
 사용자의 메모를 읽고, 사람·관계·태도를 나타내는 트리플을 JSON 배열로 반환하세요.
@@ -38,7 +59,8 @@ const EXTRACT_SYSTEM_PROMPT = `당신은 개인 메모에서 지식 그래프 
     "predicate": "관계 동사 (신뢰한다 | 믿는다 | 언급한다 | 좋아한다 | 반대한다 | ...)",
     "object": "대상 엔티티 또는 개념",
     "entity_type": "person | relationship | stance",
-    "evidence_tier": "Grounded | Bridged | Speculative"
+    "evidence_tier": "Grounded | Bridged | Speculative",
+    "evidence": "이 트리플의 근거가 되는 메모 원문 구절 (고치지 말고 그대로 인용)"
   }
 ]
 
@@ -47,7 +69,20 @@ const EXTRACT_SYSTEM_PROMPT = `당신은 개인 메모에서 지식 그래프 
 - Bridged: 메모의 맥락에서 강하게 암시되는 관계
 - Speculative: 약한 추론, 불확실한 관계
 - 트리플이 없으면 빈 배열 [] 반환
-- subject/object는 고유명사 또는 개념어로 정규화`;
+- subject/object는 고유명사 또는 개념어로 정규화
+- evidence는 메모 본문에 실제로 있는 한 문장 이내의 구절`;
+
+const BATCH_SYSTEM_SUFFIX = `
+여러 메모가 "=== 메모 ID: ... ===" 구분선으로 함께 주어집니다.
+각 트리플에 해당 메모의 ID를 "source_memo_id" 필드로 반드시 포함하고,
+모든 메모의 트리플을 하나의 JSON 배열로 반환하세요.`;
+
+// 배치 한 번에 담을 메모 본문의 추정 토큰 상한 / 메모 수 상한
+const BATCH_TOKEN_BUDGET = 6000;
+const MAX_MEMOS_PER_BATCH = 8;
+// 응답 토큰: 메모당 1024, 최대 4096
+const MAX_TOKENS_PER_MEMO = 1024;
+const MAX_BATCH_RESPONSE_TOKENS = 4096;
 
 /**
  * @param {object} memo - { id, title, content }
@@ -56,40 +91,194 @@ const EXTRACT_SYSTEM_PROMPT = `당신은 개인 메모에서 지식 그래프 
  * @returns {Promise<Array>} 추출된 트리플 배열
  */
 export async function compileMemo(memo, byokClient, interventionContext = '') {
+    const { triples } = await extractTriples(memo, byokClient, interventionContext);
+    return triples;
+}
+
+/**
+ * 단일 메모 추출 + 스키마 검증 + 1회 repair
+ *
+ * 첫 응답에 검증 오류가 있으면 이전 응답과 오류 목록을 함께 보내 고쳐 달라고 한 번 더 요청한다.
+ * repair 후에도 남은 위반 항목은 버리고 issues로 돌려준다.
+ *
+ * @param {object} memo - { id, title, content }
+ * @param {ByokClient} byokClient
+ * @param {string} [interventionContext]
+ * @returns {Promise<{ triples: Array, issues: Array<{ index: number, field: string, message: string }> }>}
+ * @throws {TripleExtractionError} 배열을 읽지 못했거나 유효한 트리플이 하나도 없을 때
+ * @throws {ByokApiError}
+ */
+export async function extractTriples(memo, byokClient, interventionContext = '') {
     const systemPrompt = interventionContext
         ? `${EXTRACT_SYSTEM_PROMPT}\n\n[사용자 제약사항]\n${interventionContext}`
         : EXTRACT_SYSTEM_PROMPT;
+    const options = { maxTokens: 1024, temperature: 0.2 };
 
     const userMessage = `메모 ID: ${memo.id}\n제목: ${memo.title}\n\n${memo.content}`;
 
-    let raw;
-    try {
-        raw = await byokClient.complete(systemPrompt, userMessage, { maxTokens: 1024, temperature: 0.2 });
-    } catch (error) {
-        if (error instanceof ByokApiError) throw error;
-        throw error;
+    const raw = await byokClient.complete(systemPrompt, userMessage, options);
+    let result = parseTripleArray(raw);
+
+    if (!result.ok) {
+        const repairMessage = buildRepairMessage(userMessage, raw, result.errors);
+        const retry = parseTripleArray(await byokClient.complete(systemPrompt, repairMessage, options));
+        // repair 응답이 배열조차 아니면 첫 응답의 유효 항목이라도 살린다
+        if (isReadable(retry) || !isReadable(result)) result = retry;
+    }
+
+    if (!isReadable(result)) {
+        throw new TripleExtractionError('응답에서 JSON 배열을 읽지 못했습니다', memo.id, 'parse', result.errors);
+    }
+    if (!result.items.length && result.errors.length) {
+        throw new TripleExtractionError('모든 트리플이 스키마 검증에 실패했습니다', memo.id, 'validation', result.errors);
     }
 
-    const triples = parseTripleResponse(raw);
     const now = new Date().toISOString();
+    return {
+        triples: result.items.map(t => toGraphTriple(t, memo.id, now, memo.content)),
+        issues: result.errors,
+    };
+}
 
-    return triples.map(t => ({
-        id: makeTripleId(t.subject, t.predicate, t.object),
-        subject: t.subject,
-        predicate: t.predicate,
-        object: t.object,
-        entity_type: t.entity_type || 'stance',
-        evidence_tier: t.evidence_tier || 'Speculative',
-        source_memo_id: memo.id,
-        created_at: now,
-    }));
+/**
+ * 메모들을 토큰 예산 안에서 배치로 나눈다 (순서 유지)
+ * 예산을 혼자 넘는 메모는 단독 배치가 된다.
+ *
+ * @param {Array} memos - { id, title, content }
+ * @param {number} [tokenBudget]
+ * @param {number} [maxPerBatch]
+ * @returns {Array<Array>}
+ */
+export function packMemoBatches(memos, tokenBudget = BATCH_TOKEN_BUDGET, maxPerBatch = MAX_MEMOS_PER_BATCH) {
+    const batches = [];
+    let current = [];
+    let used = 0;
+
+    for (const memo of memos) {
+        const cost = estimateTokens(formatMemo(memo));
+        if (current.length && (used + cost > tokenBudget || current.length >= maxPerBatch)) {
+            batches.push(current);
+            current = [];
+            used = 0;
+        }
+        current.push(memo);
+        used += cost;
+    }
+    if (current.length) batches.push(current);
+
+    return batches;
 }
 
 /**
- * 메모 저장 시 즉시 컴파일 + graph.jsonl append
+ * @typedef {Object} CompileFailure
+ * @property {string} memoId
+ * @property {'parse'|'validation'|'api'} stage
+ * @property {boolean} partial - true면 메모는 컴파일됐지만 일부 트리플이 검증에서 빠진 경우
+ * @property {string} message
+ * @property {Array<{ index: number, field: string, message: string }>} errors
+ * @property {number} [status] - ByokApiError HTTP 상태 (compileQueue가 429/5xx 재시도 판단에 사용)
+ */
+
+/**
+ * 여러 메모를 한 번의 BYOK 호출로 컴파일
+ * 응답을 source_memo_id로 나누고, 형식이 깨지거나 스키마 위반이 있으면
+ * 메모별 extractTriples(repair 포함)로 폴백한다.
  *
- * 호출 시점: 사용자가 메모를 저장(또는 포커스를 벗어날 때)
- * 이후 reflectionEngine.buildReflectionQueue()로 과거 연결을 탐지.
+ * @param {Array} memos - { id, title, content }
+ * @param {ByokClient} byokClient
+ * @param {string} [interventionContext]
+ * @returns {Promise<{ triples: Object<string, Array>, failures: Array<CompileFailure> }>}
+ *   triples: 컴파일된 메모 ID → 트리플 (실패한 메모는 키가 없다)
+ * @throws {ByokApiError} 배치 호출 자체가 실패했을 때
+ */
+export async function compileMemoBatch(memos, byokClient, interventionContext = '') {
+    if (memos.length > 1) {
+        const basePrompt = EXTRACT_SYSTEM_PROMPT + BATCH_SYSTEM_SUFFIX;
+        const systemPrompt = interventionContext
+            ? `${basePrompt}\n\n[사용자 제약사항]\n${interventionContext}`
+            : basePrompt;
+        const userMessage = memos.map(formatMemo).join('\n\n');
+
+        const raw = await byokClient.complete(systemPrompt, userMessage, {
+            maxTokens: Math.min(MAX_TOKENS_PER_MEMO * memos.length, MAX_BATCH_RESPONSE_TOKENS),
+            temperature: 0.2,
+        });
+
+        const contents = Object.fromEntries(memos.map(m => [m.id, m.content]));
+        const grouped = splitBatchResponse(raw, memos.map(m => m.id), contents);
+        if (grouped) return { triples: grouped, failures: [] };
+
+        console.warn(`[wikiCompiler] 배치 응답 검증 실패 — ${memos.length}개 메모 단건 모드로 재시도`);
+    }
+
+    const triples = {};
+    const failures = [];
+    for (const memo of memos) {
+        try {
+            const { triples: memoTriples, issues } = await extractTriples(memo, byokClient, interventionContext);
+            triples[memo.id] = memoTriples;
+            if (issues.length) {
+                failures.push({
+                    memoId: memo.id,
+                    stage: 'validation',
+                    partial: true,
+                    message: `${new Set(issues.map(e => e.index)).size}개 트리플이 검증에서 제외됨`,
+                    errors: issues,
+                });
+            }
+        } catch (err) {
+            failures.push(toCompileFailure(memo.id, err));
+        }
+    }
+    return { triples, failures };
+}
+
+/**
+ * 컴파일 예외 → 실패 리포트 (curationPipeline이 배치 호출 실패에도 사용)
+ * @param {string} memoId
+ * @param {Error} err
+ * @returns {CompileFailure}
+ */
+export function toCompileFailure(memoId, err) {
+    if (err instanceof TripleExtractionError) {
+        return { memoId, stage: err.stage, partial: false, message: err.message, errors: err.errors };
+    }
+    if (err instanceof ByokApiError) {
+        return { memoId, stage: 'api', partial: false, message: `API 오류 (${err.provider} ${err.status})`, errors: [], status: err.status };
+    }
+    return { memoId, stage: 'api', partial: false, message: err?.message || String(err), errors: [] };
+}
+
+/**
+ * 배치 응답 → memoId별 그래프 트리플
+ * JSON 배열이 아니거나, 스키마 위반 항목이 있거나, source_memo_id가 배치에 없으면 null (폴백 신호).
+ *
+ * @param {string} raw
+ * @param {string[]} memoIds
+ * @param {Object<string, string>} [contents] - memoId → 본문 (근거 오프셋 계산용)
+ * @returns {Object<string, Array>|null}
+ */
+export function splitBatchResponse(raw, memoIds, contents = {}) {
+    const { ok, items } = parseTripleArray(raw);
+    if (!ok) return null;
+
+    const known = new Set(memoIds.map(String));
+    if (items.some(t => !known.has(String(t.source_memo_id)))) return null;
+
+    const now = new Date().toISOString();
+    const grouped = Object.fromEntries(memoIds.map(id => [id, []]));
+    for (const t of items) {
+        const memoId = memoIds.find(id => String(id) === String(t.source_memo_id));
+        grouped[memoId].push(toGraphTriple(t, memoId, now, contents[memoId]));
+    }
+    return grouped;
+}
+
+/**
+ * 단일 메모 컴파일 + graph.jsonl append
+ *
+ * 큐레이션 작업은 배치 단위로 compileMemoBatch → curationPipeline.publishCurationTriples를 쓴다.
+ * 이후 과거 연결 탐지는 reflectionEngine.detectConnections().
  *
  * @param {object} memo
  * @param {ByokClient} byokClient
@@ -195,14 +384,43 @@ export function buildAutoApprovedArchiveEntries(autoMerged = [], autoApproved =
 
 // ── Helpers ────────────────────────────────────────────────────────────────
 
-function parseTripleResponse(raw) {
-    try {
-        const jsonMatch = raw.match(/\[[\s\S]*\]/);
-        if (!jsonMatch) return [];
-        return JSON.parse(jsonMatch[0]);
-    } catch {
-        return [];
-    }
+function toGraphTriple(t, memoId, now, content = '') {
+    return {
+        id: makeTripleId(t.subject, t.predicate, t.object),
+        subject: t.subject,
+        predicate: t.predicate,
+        object: t.object,
+        entity_type: t.entity_type || 'stance',
+        evidence_tier: t.evidence_tier || 'Speculative',
+        source_memo_id: memoId,
+        ...buildEvidence(content, t.evidence),
+        created_at: now,
+    };
+}
+
+function formatMemo(memo) {
+    return `=== 메모 ID: ${memo.id} ===\n제목: ${memo.title}\n\n${memo.content}`;
+}
+
+// 대략적인 토큰 추정 — 한글은 글자당 1토큰 가까이, 영문은 4글자당 1토큰 정도라 2글자당 1로 절충
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 2);
+}
+
+function isReadable(result) {
+    return !result.errors.some(e => e.index < 0);
+}
+
+function buildRepairMessage(userMessage, raw, errors) {
+    return `${userMessage}
+
+[이전 응답]
+${String(raw ?? '').slice(0, 4000)}
+
+[검증 오류]
+${formatValidationErrors(errors)}
+
+위 오류를 모두 고친 전체 JSON 배열만 다시 반환하세요.`;
 }
 
 function slugify(str) {
@@ -213,6 +431,7 @@ function slugify(str) {
         .slice(0, 40);
 }
 
-function makeTripleId(subject, predicate, object) {
+// 트리플 id — triplePreview가 편집된 트리플의 id를 다시 만들 때도 쓴다
+export function makeTripleId(subject, predicate, object) {
     return `${slugify(subject)}:${slugify(predicate)}:${slugify(object)}`;
 }
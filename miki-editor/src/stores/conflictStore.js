@@ -0,0 +1,113 @@
+import { create } from 'zustand';
+import { immer } from 'zustand/middleware/immer';
+import { subscribeWithSelector } from 'zustand/middleware';
+
+/**
+ * conflictStore — 사용자 판단이 필요한 동기화 충돌 대기열
+ *
+ * ConflictResolver.promptUserResolution()이 request()로 충돌을 넣고 결과를 기다린다.
+ * ConflictPanelHost가 activeId 충돌을 패널로 띄우고, 사용자가 고른 결과를 resolve()로 돌려준다.
+ * 패널을 닫아도 충돌은 대기열에 남아 SyncStatus의 "충돌" 버튼으로 다시 열 수 있다
+ * (그동안 그 문서의 저장은 기다리되, timeoutMs가 지나면 기본 전략으로 넘어간다).
+ * 문서마다 충돌은 하나만 쌓인다 — 기다리는 동안 또 저장하면 같은 항목을 최신 내용으로 바꾸고 같은 결정을 기다린다.
+ *
+ * 충돌 항목:
+ * {
+ *   id, documentId, title, createdAt,
+ *   local, server: { title, content, updatedAt },
+ *   hunks,            // sync/threeWayMerge hunk 목록 (기준본이 없으면 diffTwoWay)
+ *   threeWay,         // 기준본으로 3-way 병합했는지
+ *   mergedTitle,      // 3-way 병합된 제목 (기준본이 없으면 로컬 제목)
+ * }
+ */
+
+// 충돌 id → 결과를 기다리는 저장들의 [{ resolve, timer }] (직렬화할 수 없어 스토어 밖에 둔다)
+const waiters = new Map();
+
+export const useConflictStore = create(
+    subscribeWithSelector(
+        immer((set, get) => ({
+            conflicts: [],
+            activeId: null,
+            hostCount: 0,      // 마운트된 ConflictPanelHost 수 — 0이면 물어볼 화면이 없다
+
+            /**
+             * 충돌을 대기열에 넣고 사용자 결정을 기다린다
+             * @param {Object} conflict - 충돌 항목 (id 제외)
+             * @param {{ timeoutMs?: number | null }} [options] - 지정하면 그 시간 뒤 null로 포기
+             * @returns {Promise<Object | null>} ConflictResolver resolution, 패널이 없거나 시간 초과면 null
+             */
+            request(conflict, { timeoutMs = null } = {}) {
+                if (!get().hostCount) return Promise.resolve(null);
+
+                const existing = get().conflicts.find(c => c.documentId === conflict.documentId);
+                const id = existing?.id || `cf-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+                set(state => {
+                    const item = state.conflicts.find(c => c.id === id);
+                    if (item) {
+                        Object.assign(item, conflict);
+                        return;
+                    }
+                    state.conflicts.push({ ...conflict, id, createdAt: new Date().toISOString() });
+                    if (!state.activeId) state.activeId = id;
+                });
+
+                return new Promise(resolve => {
+                    const waiter = { resolve, timer: null };
+                    if (timeoutMs) waiter.timer = setTimeout(() => expire(id, waiter), timeoutMs);
+                    waiters.set(id, [...(waiters.get(id) || []), waiter]);
+                });
+            },
+
+            /**
+             * 사용자 결정 전달 — 대기열에서 빼고 다음 충돌을 띄운다
+             * @param {string} id
+             * @param {Object | null} resolution
+             */
+            resolve(id, resolution) {
+                const pending = waiters.get(id);
+                if (!pending) return;
+                waiters.delete(id);
+                set(state => {
+                    state.conflicts = state.conflicts.filter(c => c.id !== id);
+                    if (state.activeId === id) state.activeId = state.conflicts[0]?.id || null;
+                });
+                for (const waiter of pending) {
+                    clearTimeout(waiter.timer);
+                    waiter.resolve(resolution);
+                }
+            },
+
+            open(id) {
+                set(state => { state.activeId = id; });
+            },
+
+            // 나중에 — 충돌은 대기열에 남는다
+            close() {
+                set(state => { state.activeId = null; });
+            },
+
+            attachHost() {
+                set(state => { state.hostCount++; });
+            },
+
+            // 마지막 화면이 사라지면 (로그아웃 등) 기다리던 충돌은 ConflictResolver 기본 전략으로 넘긴다
+            detachHost() {
+                set(state => { state.hostCount = Math.max(state.hostCount - 1, 0); });
+                if (get().hostCount) return;
+                for (const { id } of get().conflicts) get().resolve(id, null);
+            },
+        }))
+    )
+);
+
+// 시간 초과 — 그 저장만 기본 전략으로 넘기고, 더 기다리는 저장이 없으면 충돌도 내린다
+function expire(id, waiter) {
+    const rest = (waiters.get(id) || []).filter(w => w !== waiter);
+    if (!rest.length) {
+        useConflictStore.getState().resolve(id, null);
+        return;
+    }
+    waiters.set(id, rest);
+    waiter.resolve(null);
+}
@@ -1,51 +1,104 @@
 import { create } from 'zustand';
 import { immer } from 'zustand/middleware/immer';
 import { subscribeWithSelector } from 'zustand/middleware';
-import { RawMemoCache } from '../utils/database';
-import { confirmCuration } from '../services/curationPipeline';
+import { RawMemoCache, CurationSessionCache, CompileJobQueue } from '../utils/database';
+import { prepareCuration } from '../services/curationPipeline';
+import { enqueueCompileJobs, getCompileWorker, approveCompileJob } from '../services/compileQueue';
+import { resolvePreview, previewInterventions } from '../services/triplePreview';
+import { GitHubService } from '../services/github';
+import { AuthService } from '../services/auth';
 import { useWikiStore } from './wikiStore';
 import { useReflectionStore } from './reflectionStore';
 import { useInterventionStore } from './interventionStore';
 import { createByokClient } from '../services/byokClient';
+import {
+    createSession,
+    recordActivity,
+    summarizeSession,
+    computeStreak,
+    sessionHistory,
+} from '../services/curationStats';
 
 /**
  * curationStore — 큐레이션 세션 상태 (Phone-first 스와이프)
  *
  * 3-state 결정 모델:
- *   - 결정 없음 (pending): decisions Map에 없음
+ *   - 결정 없음 (pending): decisions에 키 없음
  *   - 'selected': 오른쪽 스와이프 — 위키 추가
  *   - 'excluded': 왼쪽 스와이프 — 비공개
  *
  * pending 메모는 확정 시점에 그대로 남아 다음 세션에 다시 보임.
+ * 진행 중 결정은 결정할 때마다 curationSessions(IndexedDB)에 저장되어
+ * 새로고침 / 폰 잠금 후 loadPending에서 복원된다. 확정하면 세션 통계와 함께 완료 처리.
+ *
+ * 확정은 컴파일 작업을 compileQueue에 넣고 바로 끝난다. 워커 진행 상황은 compileProgress,
+ * 끝난 확정의 결과는 lastResult로 들어온다. 큐에 있는 메모는 pending에서 빠진다.
+ * 컴파일을 마친 작업은 review에 올라와 approvePreview로 승인해야 graph.jsonl에 추가된다.
  */
 export const useCurationStore = create(
     subscribeWithSelector(
         immer((set, get) => ({
             pending: [],
-            decisions: new Map(),  // memoId → 'selected' | 'excluded'
+            decisions: {},         // memoId → 'selected' | 'excluded' (immer MapSet 미사용 — plain object)
+            session: null,         // 진행 중 세션 (curationStats 세션 레코드)
+            streak: { current: 0, longest: 0, lastDay: null },
+            history: [],           // 최근 완료 세션
             editingMemo: null,     // 현재 편집 중인 메모
             confirming: false,
+            compileProgress: null, // compileQueue.summarizeCompileJobs().progress
+            compileBlocked: null,  // 워커가 작업을 시작하지 못한 이유 (BYOK 키 없음 / 로그인 필요)
+            review: [],            // 미리보기 대기 작업 (compileJobs 행)
             lastResult: null,
 
+            /**
+             * pending 메모 로드 + 진행 중 세션의 결정 복원 (이미 처리된 메모의 결정은 버린다)
+             */
             async loadPending() {
-                const items = await RawMemoCache.getPending();
+                const [allPending, session, jobs] = await Promise.all([
+                    RawMemoCache.getPending(),
+                    CurationSessionCache.getActive(),
+                    CompileJobQueue.getAll(),
+                ]);
+                // 컴파일 대기 / 진행 중 / 미리보기 대기인 메모는 이미 확정한 것 — 다시 보이지 않게
+                const queuedIds = new Set(
+                    jobs.filter(job => job.status !== 'done' && job.status !== 'failed')
+                        .flatMap(job => job.memos.map(memo => memo.id))
+                );
+                const items = allPending.filter(m => !queuedIds.has(m.memoId));
+                const pendingIds = new Set(items.map(m => m.memoId));
+                const restored = Object.fromEntries(
+                    Object.entries(session?.decisions || {}).filter(([memoId]) => pendingIds.has(memoId))
+                );
                 set(state => {
                     state.pending = items;
-                    state.decisions = new Map();
+                    state.decisions = restored;
+                    state.session = session || null;
                     state.editingMemo = null;
                 });
+                await get().loadHistory();
+            },
+
+            async loadHistory() {
+                const sessions = await CurationSessionCache.getAll();
+                set(state => {
+                    state.streak = computeStreak(sessions);
+                    state.history = sessionHistory(sessions);
+                });
             },
 
             markSelected(memoId) {
-                set(state => { state.decisions.set(memoId, 'selected'); });
+                set(state => { state.decisions[memoId] = 'selected'; });
+                return persistSession(get, set);
             },
 
             markExcluded(memoId) {
-                set(state => { state.decisions.set(memoId, 'excluded'); });
+                set(state => { state.decisions[memoId] = 'excluded'; });
+                return persistSession(get, set);
             },
 
             undecide(memoId) {
-                set(state => { state.decisions.delete(memoId); });
+                set(state => { delete state.decisions[memoId]; });
+                return persistSession(get, set);
             },
 
             openEditor(memo) {
@@ -68,55 +121,177 @@ export const useCurationStore = create(
             },
 
             /**
-             * 큐레이션 확정 — selected 메모만 컴파일, excluded는 비공개 상태로 기록
-             * pending(미결정) 메모는 다음 세션에 다시 보임
+             * 큐레이션 확정 — excluded는 바로 비공개 상태로 기록, selected는 컴파일 작업으로 큐에 넣는다
+             * pending(미결정) 메모는 다음 세션에 다시 보임. 컴파일 실패 메모는 결과가 나온 뒤 다시 pending으로.
+             * @returns {Promise<{ queued: number, excluded: number }>}
              */
-            async confirm({ github, dataRepo = 'miki-data' }) {
+            async confirm() {
                 if (get().confirming) return;
-                const byokClient = createByokClient();
-                if (!byokClient) throw new Error('BYOK API 키가 설정되지 않았습니다.');
+                if (!createByokClient()) throw new Error('BYOK API 키가 설정되지 않았습니다.');
 
                 set(state => { state.confirming = true; });
                 try {
                     const { pending, decisions } = get();
                     const selectedMemos = pending
-                        .filter(m => decisions.get(m.memoId) === 'selected')
+                        .filter(m => decisions[m.memoId] === 'selected')
                         .map(m => ({ id: m.memoId, title: m.title, body: m.body }));
                     const excludedMemos = pending
-                        .filter(m => decisions.get(m.memoId) === 'excluded')
+                        .filter(m => decisions[m.memoId] === 'excluded')
                         .map(m => ({ id: m.memoId }));
 
-                    const result = await confirmCuration({
-                        selectedMemos,
-                        excludedMemos,
-                        deps: {
-                            byokClient,
-                            github,
-                            dataRepo,
-                            wikiStore: useWikiStore.getState(),
-                            reflectionStore: useReflectionStore.getState(),
-                            interventionStore: useInterventionStore.getState(),
-                        },
-                    });
+                    const batches = await prepareCuration({ selectedMemos, excludedMemos });
+                    await enqueueCompileJobs(batches);
+                    await completeSession(get, { pending, decisions });
 
                     set(state => {
-                        state.lastResult = result;
-                        // 처리된 메모만 pending에서 제거. 미결정 메모는 유지.
-                        state.pending = state.pending.filter(
-                            m => !state.decisions.has(m.memoId)
-                        );
-                        state.decisions = new Map();
+                        state.lastResult = null;
+                        // 결정된 메모는 pending에서 제거 (selected는 큐로). 미결정 메모는 유지.
+                        state.pending = state.pending.filter(m => !(m.memoId in state.decisions));
+                        state.decisions = {};
+                        state.session = null;
                     });
+                    getCompileWorker().kick();
+                    await get().loadHistory();
 
-                    return result;
+                    return { queued: selectedMemos.length, excluded: excludedMemos.length };
                 } finally {
                     set(state => { state.confirming = false; });
                 }
             },
 
+            /**
+             * 컴파일 워커 시작 (App 로그인 시) — 이전에 멈춘 작업부터 이어서 처리
+             */
+            async startCompileQueue() {
+                const worker = getCompileWorker();
+                unsubscribeWorker?.();
+                unsubscribeWorker = worker.subscribe(({ progress, finished, review, blocked }) => {
+                    set(state => {
+                        state.compileProgress = progress;
+                        state.compileBlocked = blocked;
+                        state.review = review;
+                        if (finished.length) state.lastResult = combineResults(finished.map(f => f.result));
+                    });
+                    // 실패한 메모는 pending_review로 남아 있다 — 목록에 다시 올린다
+                    if (finished.some(f => f.result.failures.some(failure => !failure.partial))) {
+                        get().loadPending();
+                    }
+                });
+                await worker.start(resolveCompileDeps);
+            },
+
+            /**
+             * 미리보기 승인 — 뺀 / 고친 트리플을 intervention으로 기록하고 작업을 이어서 처리
+             * intervention은 interventions.jsonl에 먼저 올린 뒤 로컬 캐시에 넣는다 (다른 기기·재동기화에도 제약 유지).
+             * 승인이 중간에 실패해 다시 부르면 이미 기록한 intervention(같은 id)은 원격·로컬 모두 건너뛴다.
+             * @param {number} jobId
+             * @param {Object} edits - triplePreview 편집 목록
+             * @returns {Promise<{ modified: number, dropped: number }>}
+             */
+            async approvePreview(jobId, edits) {
+                const job = get().review.find(j => j.id === jobId);
+                if (!job) return { modified: 0, dropped: 0 };
+
+                const preview = resolvePreview(job.byMemo, edits);
+                const created = previewInterventions(preview, jobId);
+                if (created.length) {
+                    const github = await resolveGithub();
+                    const published = new Set((await github.readJsonl(DATA_REPO, 'interventions.jsonl')).map(iv => iv.id));
+                    const unpublished = created.filter(iv => !published.has(iv.id));
+                    if (unpublished.length) await github.appendJsonl(DATA_REPO, 'interventions.jsonl', unpublished);
+                }
+
+                const { append, interventions } = useInterventionStore.getState();
+                const recorded = new Set(interventions.map(iv => iv.id));
+                for (const intervention of created) {
+                    if (!recorded.has(intervention.id)) await append(intervention);
+                }
+
+                await approveCompileJob(jobId, preview.byMemo);
+                set(state => { state.review = state.review.filter(j => j.id !== jobId); });
+                return { modified: preview.modified.length, dropped: preview.dropped.length };
+            },
+
+            stopCompileQueue() {
+                getCompileWorker().stop();
+                unsubscribeWorker?.();
+                unsubscribeWorker = null;
+            },
+
             async refreshCount() {
                 return await RawMemoCache.pendingCount();
             },
         }))
     )
 );
+
+/**
+ * 현재 결정을 active 세션에 저장 (없으면 새로 시작)
+ */
+async function persistSession(get, set) {
+    const { session, decisions } = get();
+    const next = { ...recordActivity(session || createSession()), decisions: { ...decisions } };
+    set(state => { state.session = next; });
+    await CurationSessionCache.save(next);
+}
+
+/**
+ * 확정된 세션을 통계와 함께 완료 처리
+ */
+async function completeSession(get, { pending, decisions }) {
+    const session = get().session || createSession();
+    await CurationSessionCache.save({
+        ...recordActivity(session),
+        status: 'completed',
+        endedAt: new Date().toISOString(),
+        decisions: {},
+        stats: summarizeSession(decisions, pending),
+    });
+}
+
+const DATA_REPO = 'miki-data';
+
+let unsubscribeWorker = null;
+let compileGithub = null;   // { token, github } — 작업마다 setUsername을 다시 부르지 않도록
+
+/**
+ * 현재 로그인 토큰의 GitHubService (토큰이 바뀔 때만 새로 만든다)
+ */
+async function resolveGithub() {
+    const token = AuthService.getToken();
+    if (!token) throw new Error('로그인이 필요합니다.');
+    if (compileGithub?.token !== token) {
+        const github = new GitHubService(token);
+        await github.setUsername();
+        compileGithub = { token, github };
+    }
+    return compileGithub.github;
+}
+
+/**
+ * 컴파일 작업 하나에 쓸 curationPipeline deps
+ * 스토어 상태는 작업마다 새로 읽는다 (직전 작업의 트리플이 priorTriples에 들어가야 한다).
+ */
+async function resolveCompileDeps() {
+    const byokClient = createByokClient();
+    if (!byokClient) throw new Error('BYOK API 키가 설정되지 않았습니다.');
+
+    return {
+        byokClient,
+        github: await resolveGithub(),
+        dataRepo: DATA_REPO,
+        wikiStore: useWikiStore.getState(),
+        reflectionStore: useReflectionStore.getState(),
+        interventionStore: useInterventionStore.getState(),
+    };
+}
+
+// 한 번에 여러 확정이 끝났을 때 (앱 재시작 후 등) 결과 합치기
+function combineResults(results) {
+    return results.reduce((sum, r) => ({
+        compiled: sum.compiled + r.compiled,
+        triples: sum.triples + r.triples,
+        reflections: sum.reflections + r.reflections,
+        failures: [...sum.failures, ...r.failures],
+    }), { compiled: 0, triples: 0, reflections: 0, failures: [] });
+}
@@ -2,7 +2,15 @@ import { create } from 'zustand';
 import { immer } from 'zustand/middleware/immer';
 import { subscribeWithSelector } from 'zustand/middleware';
 import { db } from '../utils/database';
-import { resolveInterventionContext } from '../services/interventionResolver';
+import { resolveInterventionContext, applyInterventionPatches } from '../services/interventionResolver';
+import { createEmbeddingIndex } from '../services/interventionMatcher';
+import { useWikiStore } from './wikiStore';
+
+// interventions 배열이 바뀔 때만 임베딩 인덱스를 다시 만든다
+let embeddingCache = { source: null, index: null };
+
+// 아직 영속되지 않은 사용 기록 / 은퇴 상태 — id → 패치 (flushUsage에서 한 번에 저장)
+let pendingPatches = {};
 
 export const useInterventionStore = create(
     subscribeWithSelector(
@@ -25,9 +33,95 @@ export const useInterventionStore = create(
                 // interventionStore는 GitHub 서비스를 직접 의존하지 않음
             },
 
-            buildContext(entities = [], concepts = []) {
-                return resolveInterventionContext(get().interventions, { entities, concepts });
+            /**
+             * @param {string[]} [entities]
+             * @param {string[]} [concepts]
+             * @param {{ text?: string, maxTokens?: number }} [options] - text가 있으면 본문 매칭 + 임베딩 유사도 사용
+             */
+            buildContext(entities = [], concepts = [], { text = '', maxTokens } = {}) {
+                const { interventions } = get();
+                const resolved = resolveInterventionContext(interventions, {
+                    entities,
+                    concepts,
+                    text,
+                    maxTokens,
+                    aliasTable: useWikiStore.getState().aliasTable,
+                    semanticIndex: text ? embeddingIndexFor(interventions) : null,
+                });
+                get().recordUsage(resolved.relevant.map(item => item.id));
+                return resolved;
+            },
+
+            /**
+             * 프롬프트에 주입된 intervention 표시 — 메모리에만 쌓고 flushUsage에서 일괄 저장
+             * @param {string[]} ids
+             */
+            recordUsage(ids) {
+                const usedAt = new Date().toISOString();
+                for (const id of ids) queuePatch(id, { last_used_at: usedAt });
+            },
+
+            /**
+             * 쌓인 사용 기록 / 은퇴 상태를 interventionsCache와 interventions.jsonl에 반영
+             * GitHub 쓰기에 실패하면 패치를 다시 쌓아 다음 flush에서 재시도한다.
+             * @param {{ github?: GitHubService, dataRepo?: string }} [options]
+             */
+            async flushUsage({ github = null, dataRepo = 'miki-data' } = {}) {
+                const patches = pendingPatches;
+                if (!Object.keys(patches).length) return;
+                pendingPatches = {};
+
+                const before = get().interventions;
+                const after = applyInterventionPatches(before, patches);
+                const changed = after.filter((item, i) => item !== before[i]);
+                if (changed.length) {
+                    await db.interventionsCache.bulkPut(changed);
+                    set(state => { state.interventions = after; });
+                }
+
+                if (!github) return;
+                try {
+                    await github.updateJsonlLines(dataRepo, 'interventions.jsonl', line => (
+                        patches[line.id] ? applyInterventionPatches([line], patches)[0] : line
+                    ));
+                } catch (err) {
+                    console.warn('[interventionStore] interventions.jsonl 갱신 실패 — 다음 flush에서 재시도:', err);
+                    for (const [id, patch] of Object.entries(patches)) queuePatch(id, patch);
+                }
+            },
+
+            /**
+             * 잠든 결정 되살리기 — 방금 쓴 것으로 표시하고 은퇴 상태를 푼다
+             */
+            async reviveIntervention(id, options) {
+                queuePatch(id, { last_used_at: new Date().toISOString(), retired_at: null });
+                await get().flushUsage(options);
+            },
+
+            /**
+             * 잠든 결정 은퇴 — 기록은 남기고 다시는 주입하지 않는다
+             */
+            async retireIntervention(id, options) {
+                queuePatch(id, { retired_at: new Date().toISOString() });
+                await get().flushUsage(options);
             },
         }))
     )
 );
+
+function embeddingIndexFor(interventions) {
+    if (embeddingCache.source !== interventions) {
+        embeddingCache = { source: interventions, index: createEmbeddingIndex(interventions) };
+    }
+    return embeddingCache.index;
+}
+
+// 같은 id의 패치는 합친다 — last_used_at은 더 최근 값, retired_at은 나중 패치
+function queuePatch(id, patch) {
+    const prev = pendingPatches[id] || {};
+    const merged = { ...prev, ...patch };
+    if (prev.last_used_at && prev.last_used_at > (patch.last_used_at || '')) {
+        merged.last_used_at = prev.last_used_at;
+    }
+    pendingPatches[id] = merged;
+}
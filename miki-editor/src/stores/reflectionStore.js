@@ -2,52 +2,158 @@ import { create } from 'zustand';
 import { immer } from 'zustand/middleware/immer';
 import { subscribeWithSelector } from 'zustand/middleware';
 import { db } from '../utils/database';
-import { selectPendingCards } from '../services/reflectionEngine';
+import { selectPendingCards, selectReaffirmCandidates } from '../services/reflectionEngine';
 import { useInterventionStore } from './interventionStore';
-import { createIntervention } from '../services/interventionResolver';
+import { createIntervention, createRevertIntervention, REVERTIBLE_TYPES } from '../services/interventionResolver';
+import { useWikiStore } from './wikiStore';
+import { createAliasEntry } from '../wiki/aliasResolver';
+import { loadPreferences, savePreferences, resetPreferences } from '../services/reflectionPreferences';
+
+// Identity 카드 modeling_options → 별칭 모드 / 카드 상태
+const IDENTITY_MODE = { merge_full: 'full', merge_with_register: 'register', split_full: 'split' };
+const IDENTITY_STATUS = { merge_full: 'accepted', merge_with_register: 'accepted', split_full: 'rejected' };
+
+// Reaffirm 카드 결정 → intervention user_note
+const REAFFIRM_NOTE = {
+    accepted: '재확인: 여전히 유효',
+    rejected: '재확인: 더 이상 유효하지 않음 — 재제안 금지',
+};
 
 export const useReflectionStore = create(
     subscribeWithSelector(
         immer((set, get) => ({
             queue: [],
             pendingCards: [],
+            // 피드 알고리즘 선호도 (localStorage) — 바뀌면 오늘의 카드를 다시 고른다
+            preferences: loadPreferences(),
 
             async loadQueue() {
                 const queue = await db.reflectionsQueue.toArray();
                 set(state => {
                     state.queue = queue;
-                    state.pendingCards = selectPendingCards(queue);
+                    state.pendingCards = selectToday(queue, state.preferences);
                 });
             },
 
             async pushCards(newCards) {
-                if (!newCards.length) return;
-                await db.reflectionsQueue.bulkAdd(newCards);
+                // 이미 들어간 카드 id는 건너뛴다 (멈췄던 큐레이션 작업을 이어서 반영할 때)
+                const stored = await db.reflectionsQueue.bulkGet(newCards.map(card => card.id));
+                const fresh = newCards.filter((card, i) => !stored[i] && !get().queue.some(q => q.id === card.id));
+                if (!fresh.length) return;
+                await db.reflectionsQueue.bulkAdd(fresh);
                 set(state => {
-                    state.queue.push(...newCards);
-                    state.pendingCards = selectPendingCards(state.queue);
+                    state.queue.push(...fresh);
+                    state.pendingCards = selectToday(state.queue, state.preferences);
                 });
             },
 
-            async resolveCard(id, decision, note = '') {
+            /**
+             * @param {object} partial - reflectionPreferences 부분 값
+             */
+            setPreferences(partial) {
+                const preferences = savePreferences(partial);
+                set(state => {
+                    state.preferences = preferences;
+                    state.pendingCards = selectToday(state.queue, preferences);
+                });
+            },
+
+            resetPreferences() {
+                const preferences = resetPreferences();
+                set(state => {
+                    state.preferences = preferences;
+                    state.pendingCards = selectToday(state.queue, preferences);
+                });
+            },
+
+            /**
+             * 오래 유지된 믿음을 reaffirm 카드로 queue에 되돌린다 (Reflection 화면 진입 시)
+             * 트리플이 아직 로드되지 않았으면 graphCache에서 읽는다.
+             */
+            async enqueueReaffirmations() {
+                const wiki = useWikiStore.getState();
+                if (!wiki.triples.length) await wiki.loadFromCache();
+                const cards = selectReaffirmCandidates(useWikiStore.getState().triples, get().queue);
+                await get().pushCards(cards);
+            },
+
+            /**
+             * 과거 결정 되돌리기
+             * revert intervention을 append하고, 그 결정을 낳은 Reflection 카드를 다시 pending으로 연다.
+             * 거절을 되돌리면 graphCache에 남아 있는 트리플을 위키에 복원한다.
+             *
+             * @param {string} interventionId
+             * @returns {Promise<object|null>} append된 revert 항목
+             */
+            async revertDecision(interventionId) {
+                const target = useInterventionStore.getState().interventions.find(iv => iv.id === interventionId);
+                if (!target || !REVERTIBLE_TYPES.has(target.type)) return null;
+
+                const revert = createRevertIntervention(target);
+                await useInterventionStore.getState().append(revert);
+
+                if (!get().queue.length) await get().loadQueue();
+                const card = findDecidedCard(get().queue, target);
+                if (card) {
+                    set(state => {
+                        const item = state.queue.find(q => q.id === card.id);
+                        if (item) item.status = 'pending';
+                        state.pendingCards = selectToday(state.queue, state.preferences);
+                    });
+                    const record = await db.reflectionsQueue.where('reflectionId').equals(card.id).first();
+                    if (record) await db.reflectionsQueue.update(record.id, { status: 'pending' });
+                }
+
+                if (target.type === 'reject') await restoreRejectedTriples(target);
+                return revert;
+            },
+
+            /**
+             * @param {string} id
+             * @param {string} decision - accepted | modified | rejected | (identity) merge_full | merge_with_register | split_full
+             * @param {string} [note]
+             * @param {{ github?: GitHubService, dataRepo?: string }} [options] - identity 결정의 aliases.jsonl append용
+             */
+            async resolveCard(id, decision, note = '', options = {}) {
+                const status = IDENTITY_STATUS[decision] ?? decision;
+
                 // 로컬 상태 업데이트
                 set(state => {
                     const item = state.queue.find(q => q.id === id);
-                    if (item) item.status = decision;
-                    state.pendingCards = selectPendingCards(state.queue);
+                    if (item) item.status = status;
+                    state.pendingCards = selectToday(state.queue, state.preferences);
                 });
 
                 // IndexedDB 업데이트
                 const record = await db.reflectionsQueue.where('reflectionId').equals(id).first();
                 if (record) {
-                    await db.reflectionsQueue.update(record.id, { status: decision });
+                    await db.reflectionsQueue.update(record.id, { status });
+                }
+
+                if (IDENTITY_MODE[decision]) {
+                    const card = get().queue.find(q => q.id === id);
+                    try {
+                        if (card) await applyIdentityDecision(card, IDENTITY_MODE[decision], options);
+                    } catch (error) {
+                        // 별칭 기록 실패 → 카드를 다시 열어 재시도할 수 있게 한다
+                        set(state => {
+                            const item = state.queue.find(q => q.id === id);
+                            if (item) item.status = 'pending';
+                            state.pendingCards = selectToday(state.queue, state.preferences);
+                        });
+                        if (record) await db.reflectionsQueue.update(record.id, { status: 'pending' });
+                        throw error;
+                    }
+                    return;
                 }
 
                 // 수락/수정/거절 시 intervention으로 기록
                 const TYPE_MAP = { accepted: 'accept', modified: 'modify', rejected: 'reject' };
                 if (TYPE_MAP[decision]) {
                     const card = get().queue.find(q => q.id === id);
-                    if (card) {
+                    if (card?.type === 'reaffirm') {
+                        await applyReaffirmDecision(card, TYPE_MAP[decision], REAFFIRM_NOTE[decision] ?? note);
+                    } else if (card) {
                         const intervention = createIntervention({
                             type: TYPE_MAP[decision],
                             scope: `entity:${card.proposed_update.subject}`,
@@ -55,7 +161,7 @@ export const useReflectionStore = create(
                             predicate: card.proposed_update.predicate,
                             object: card.proposed_update.object,
                             user_note: decision === 'rejected'
-                                ? '재제안 영구 차단 (ref-12 §3.3)'
+                                ? '재제안 차단 (ref-12 §3.3)'
                                 : note,
                         });
                         await useInterventionStore.getState().append(intervention);
@@ -65,3 +171,78 @@ export const useReflectionStore = create(
         }))
     )
 );
+
+// 하루 최대 카드 수도 선호도(dailyMax)를 따른다
+function selectToday(queue, preferences) {
+    return selectPendingCards(queue, preferences.dailyMax, { preferences });
+}
+
+// 결정과 같은 트리플을 제안했던 카드 중 가장 최근에 결정된 것
+function findDecidedCard(queue, intervention) {
+    const key = decisionKey(intervention);
+    return [...queue]
+        .filter(q => q.status !== 'pending' && q.proposed_update && decisionKey(q.proposed_update) === key)
+        .sort((a, b) => new Date(b.triggered_at) - new Date(a.triggered_at))[0] || null;
+}
+
+// 거절로 위키에서 내려간 트리플을 graphCache 원본에서 다시 올린다
+async function restoreRejectedTriples(intervention) {
+    const key = decisionKey(intervention);
+    const wiki = useWikiStore.getState();
+    if (wiki.triples.some(t => decisionKey(t) === key)) return;
+    const cached = await db.graphCache.toArray();
+    const restored = cached.filter(t => decisionKey(t) === key);
+    if (restored.length) wiki.appendTriples(restored);
+}
+
+function decisionKey(t) {
+    const norm = str => String(str || '').toLowerCase().trim();
+    return `${norm(t.subject)}|${norm(t.predicate)}|${norm(t.object)}`;
+}
+
+/**
+ * Identity 결정 → 별칭 테이블 + intervention 기록
+ * 트리플이 더 많은 쪽을 대표 이름으로 삼는다 (동률이면 카드의 subject).
+ */
+async function applyIdentityDecision(card, mode, { github = null, dataRepo = 'miki-data' } = {}) {
+    const { subject: entityA, object: entityB } = card.proposed_update;
+    const { entityIndex } = useWikiStore.getState();
+    const countOf = name => entityIndex[String(name || '').toLowerCase().trim()]?.length || 0;
+    const [canonical, alias] = countOf(entityB) > countOf(entityA)
+        ? [entityB, entityA]
+        : [entityA, entityB];
+
+    const entry = createAliasEntry({ alias, canonical, mode, sourceReflectionId: card.id });
+    await useWikiStore.getState().applyAlias(entry, { github, dataRepo });
+
+    const intervention = createIntervention({
+        type: mode === 'split' ? 'split' : 'merge',
+        scope: `entity:${canonical}`,
+        subject: alias,
+        predicate: 'same_as',
+        object: canonical,
+        user_note: mode,
+    });
+    await useInterventionStore.getState().append(intervention);
+}
+
+/**
+ * Reaffirm 결정 → intervention 기록
+ * 더 이상 유효하지 않다고 답하면 위키에서도 트리플을 내린다 (WikiPage 직접 삭제와 같은 처리).
+ */
+async function applyReaffirmDecision(card, type, note) {
+    const { subject, predicate, object } = card.proposed_update;
+    if (type === 'reject') {
+        useWikiStore.getState().removeTriples([card.proposed_update]);
+    }
+
+    const intervention = createIntervention({
+        type,
+        scope: `entity:${subject}`,
+        subject,
+        predicate,
+        object,
+        user_note: note,
+    });
+    await useInterventionStore.getState().append(intervention);
+}
@@ -3,57 +3,183 @@ import { immer } from 'zustand/middleware/immer';
 import { subscribeWithSelector } from 'zustand/middleware';
 import { db } from '../utils/database';
 import { buildEntityPage, listEntities } from '../wiki/tripleParser';
+import { buildSnapshotIndex, snapshotAsOf } from '../wiki/snapshotIndexer';
+import { buildEntityPageDiff } from '../wiki/entityDiff';
+import { buildAliasTable, canonicalizeTriple } from '../wiki/aliasResolver';
 
 export const useWikiStore = create(
     subscribeWithSelector(
         immer((set, get) => ({
             triples: [],
+            // 별칭 적용 전 원본 트리플 — 별칭 테이블이 바뀌면 여기서 triples를 다시 만든다
+            rawTriples: [],
             entityIndex: {},
+            // normalize(object) → 그 엔티티를 가리키는 트리플 (역참조, 자기 참조 제외)
+            backlinkIndex: {},
             lastSyncedAt: null,
+            // 과거 시점 비교용 스냅샷 — { asOf, triples, entityIndex } | null
+            snapshot: null,
+            // aliases.jsonl 라인 + 조회 테이블 (normalize(alias) → { canonical, mode, context })
+            aliases: [],
+            aliasTable: {},
 
             loadTriples(triples) {
+                const { aliasTable } = get();
                 set(state => {
-                    state.triples = triples;
-                    state.entityIndex = buildEntityIndex(triples);
+                    state.rawTriples = triples;
+                    state.triples = triples.map(t => canonicalizeTriple(t, aliasTable));
+                    state.entityIndex = buildEntityIndex(state.triples);
+                    state.backlinkIndex = buildBacklinkIndex(state.triples);
                     state.lastSyncedAt = new Date().toISOString();
                 });
             },
 
             async loadFromCache() {
-                const cached = await db.graphCache.toArray();
+                const [cached, aliases] = await Promise.all([
+                    db.graphCache.toArray(),
+                    db.aliasesCache.toArray(),
+                ]);
+                get().loadAliases(aliases);
                 get().loadTriples(cached);
             },
 
+            /**
+             * 별칭 테이블 교체 후 원본 트리플(rawTriples)에서 다시 정규화
+             * 이미 정규화된 triples를 다시 돌리면 원래 이름이 사라져 이후 분리로 되돌릴 수 없다.
+             * @param {Array} entries - aliases.jsonl 전체
+             */
+            loadAliases(entries) {
+                const aliasTable = buildAliasTable(entries);
+                const triples = get().rawTriples.map(t => canonicalizeTriple(t, aliasTable));
+                set(state => {
+                    state.aliases = entries;
+                    state.aliasTable = aliasTable;
+                    state.triples = triples;
+                    state.entityIndex = buildEntityIndex(state.triples);
+                    state.backlinkIndex = buildBacklinkIndex(state.triples);
+                });
+            },
+
+            /**
+             * Identity Reflection 결정(병합/분리) 적용
+             * aliasesCache에 저장하고, github가 주어지면 aliases.jsonl에도 append한다.
+             * @param {object} entry - createAliasEntry() 결과
+             * @param {{ github?: GitHubService, dataRepo?: string }} [options]
+             */
+            async applyAlias(entry, { github = null, dataRepo = 'miki-data' } = {}) {
+                // 원격 append가 실패하면 로컬 캐시·별칭 맵에도 남기지 않는다 (원격과 어긋나지 않게)
+                if (github) {
+                    await github.appendJsonl(dataRepo, 'aliases.jsonl', [entry]);
+                }
+                await db.aliasesCache.add({ ...entry, aliasId: entry.id, createdAt: entry.created_at });
+                get().loadAliases([...get().aliases, entry]);
+            },
+
+            /**
+             * graph.jsonl + interventions.jsonl 캐시에서 지정 시점의 위키 복원
+             * 현재 위키(triples)는 건드리지 않고 snapshot에만 적재한다.
+             * @param {Date|string} date - 'YYYY-MM', 'YYYY-MM-DD', Date
+             */
+            async loadAsOf(date) {
+                const triples = snapshotAsOf(await loadSnapshotIndex(), date);
+                set(state => {
+                    state.snapshot = {
+                        asOf: date instanceof Date ? date.toISOString() : String(date),
+                        triples,
+                        entityIndex: buildEntityIndex(triples),
+                    };
+                });
+                return triples;
+            },
+
+            clearSnapshot() {
+                set(state => { state.snapshot = null; });
+            },
+
+            /**
+             * 두 시점 사이 엔티티 페이지 변화 (추가/삭제/등급 변경)
+             * @param {string} entityName
+             * @param {Date|string} fromDate
+             * @param {Date|string} [toDate] - 생략 시 현재
+             */
+            async diffEntityBetween(entityName, fromDate, toDate = new Date()) {
+                const index = await loadSnapshotIndex();
+                return buildEntityPageDiff(
+                    entityName,
+                    snapshotAsOf(index, fromDate),
+                    snapshotAsOf(index, toDate)
+                );
+            },
+
             appendTriples(newTriples) {
+                const { aliasTable } = get();
                 set(state => {
-                    for (const t of newTriples) {
+                    for (const raw of newTriples) {
+                        const t = canonicalizeTriple(raw, aliasTable);
+                        state.rawTriples.push(raw);
                         state.triples.push(t);
                         const key = normalize(t.subject);
                         if (!state.entityIndex[key]) state.entityIndex[key] = [];
                         state.entityIndex[key].push(t);
+                        const objectKey = normalize(t.object);
+                        if (objectKey && objectKey !== key) {
+                            if (!state.backlinkIndex[objectKey]) state.backlinkIndex[objectKey] = [];
+                            state.backlinkIndex[objectKey].push(t);
+                        }
                     }
                 });
             },
 
             removeTriples(triplesToRemove) {
+                const { aliasTable, rawTriples } = get();
                 const removeKeys = new Set(triplesToRemove.map(tripleKey));
+                // 페이지에서 지운 트리플은 정규화된 이름이므로 원본도 정규화 결과로 비교
+                const kept = rawTriples.filter(t => !removeKeys.has(tripleKey(canonicalizeTriple(t, aliasTable))));
                 set(state => {
+                    state.rawTriples = kept;
                     state.triples = state.triples.filter(t => !removeKeys.has(tripleKey(t)));
                     state.entityIndex = buildEntityIndex(state.triples);
+                    state.backlinkIndex = buildBacklinkIndex(state.triples);
                 });
             },
 
+            /**
+             * 엔티티 페이지 — entityIndex(subject) + backlinkIndex(object)만 조회해 전체 재스캔 없이 생성
+             */
             getEntityPage(entityName) {
-                return buildEntityPage(entityName, get().triples);
+                const { entityIndex, backlinkIndex } = get();
+                const key = normalize(entityName);
+                return buildEntityPage(entityName, [
+                    ...(entityIndex[key] || []),
+                    ...(backlinkIndex[key] || []),
+                ]);
             },
 
             listEntities() {
                 return listEntities(get().triples);
             },
+
+            getEntityPageAsOf(entityName) {
+                const { snapshot } = get();
+                return snapshot ? buildEntityPage(entityName, snapshot.triples) : null;
+            },
+
+            listEntitiesAsOf() {
+                const { snapshot } = get();
+                return snapshot ? listEntities(snapshot.triples) : [];
+            },
         }))
     )
 );
 
+async function loadSnapshotIndex() {
+    const [graph, interventions] = await Promise.all([
+        db.graphCache.toArray(),
+        db.interventionsCache.toArray(),
+    ]);
+    return buildSnapshotIndex(graph, interventions);
+}
+
 function normalize(str) {
     return String(str || '').toLowerCase().trim();
 }
@@ -62,6 +188,17 @@ function tripleKey(t) {
     return [t.subject, t.predicate, t.object].map(normalize).join('\u0000');
 }
 
+function buildBacklinkIndex(triples) {
+    const index = {};
+    for (const t of triples) {
+        const key = normalize(t.object);
+        if (!key || key === normalize(t.subject)) continue;
+        if (!index[key]) index[key] = [];
+        index[key].push(t);
+    }
+    return index;
+}
+
 function buildEntityIndex(triples) {
     const index = {};
     for (const t of triples) {
@@ -0,0 +1,410 @@
+import { createLogger } from '../utils/logger';
+import { SyncOutbox, db } from '../utils/database';
+import { applyInterventionPatches } from '../services/interventionResolver';
+import { syncGraphIncremental } from './graphSync';
+import { selectTransport } from './transports';
+
+const logger = createLogger('SyncEngine');
+
+/**
+ * SyncEngine - 로컬 변경을 원격에 반영하는 단일 동기화 엔진
+ *
+ * syncOutbox 테이블(utils/database SyncOutbox)에 쌓인 create/update/delete를
+ * transport(sync/transports — GitHub / WS 프록시 / 로컬 서버)로 밀어낸다.
+ *
+ * - 문서별로 묶어 최신 항목만 보낸다 (delete가 우선, 이전 항목은 superseded로 done)
+ * - 이미 동기화된 내용과 같으면 보내지 않는다 (djb2 해시)
+ * - 실패하면 SyncOutbox.markFailed가 2^n분 뒤로 미룬다 (4xx는 바로 failed)
+ *
+ * 상태는 subscribe(listener) 하나로 나간다: listener(status, event)
+ *   status { isOnline, flushing, pendingCount, failedCount, transport, lastSyncedAt, lastError }
+ *   event  { type: 'status' | 'queued' | 'synced' | 'failed' | 'conflict' | 'remote' | 'online' | 'offline', ... }
+ *
+ * 싱글톤 — getSyncEngine()으로 가져온다.
+ */
+
+// 한 번에 처리하는 문서 수 (GitHub API 호출 제한)
+const MAX_BATCH_SIZE = 5;
+const POLL_INTERVAL = 30_000;
+// 앱 부팅과 겹치지 않게 첫 flush를 늦춘다
+const START_DELAY = 3000;
+// 문서 사이 간격
+const PUSH_GAP = 150;
+
+// 변경 감지용 djb2 해시
+function hashDoc(doc) {
+  const str = `${doc.title || ''}::${doc.content || ''}`;
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash) + str.charCodeAt(i);
+    hash = hash & hash;
+  }
+  return (hash >>> 0).toString(16);
+}
+
+// 다시 보내도 결과가 같은 오류 (408 Request Timeout / 429 Too Many Requests 제외 4xx)
+function isPermanentError(error) {
+  const status = error?.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+export class SyncEngine {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.transport] - sync/transports의 transport (기본: selectTransport())
+   * @param {number} [options.pollInterval]
+   */
+  constructor({ transport, pollInterval = POLL_INTERVAL } = {}) {
+    this.transport = transport || selectTransport();
+    this.pollInterval = pollInterval;
+
+    this.listeners = new Set();
+    this.status = {
+      isOnline: typeof navigator !== 'undefined' ? navigator.onLine : true,
+      flushing: false,
+      pendingCount: 0,
+      failedCount: 0,
+      transport: this.transport.name,
+      lastSyncedAt: null,
+      lastError: null,
+    };
+
+    this._pollTimer = null;
+    this._startTimer = null;
+    this._unsubscribeOutbox = null;
+    this._unsubscribeRemote = null;
+    this._handleOnline = this._handleOnline.bind(this);
+    this._handleOffline = this._handleOffline.bind(this);
+  }
+
+  get isOnline() {
+    return this.status.isOnline;
+  }
+
+  /** 폴링 + 네트워크/대기열/원격 알림 구독 시작 */
+  start() {
+    if (this._pollTimer) return;
+
+    window.addEventListener('online', this._handleOnline);
+    window.addEventListener('offline', this._handleOffline);
+    this._unsubscribeOutbox = SyncOutbox.subscribe(() => this.refresh());
+    this._unsubscribeRemote = this.transport.subscribe?.(message => this._emit({ type: 'remote', message })) || null;
+
+    this._startTimer = setTimeout(() => {
+      this._startTimer = null;
+      if (this.isOnline) this.flush();
+    }, START_DELAY);
+    this._pollTimer = setInterval(() => {
+      if (this.isOnline) this.flush();
+    }, this.pollInterval);
+
+    logger.info(`[SyncEngine] 시작됨 (${this.transport.name}, ${this.pollInterval / 1000}초 폴링)`);
+  }
+
+  stop() {
+    clearTimeout(this._startTimer);
+    clearInterval(this._pollTimer);
+    this._startTimer = null;
+    this._pollTimer = null;
+    window.removeEventListener('online', this._handleOnline);
+    window.removeEventListener('offline', this._handleOffline);
+    this._unsubscribeOutbox?.();
+    this._unsubscribeRemote?.();
+    this._unsubscribeOutbox = null;
+    this._unsubscribeRemote = null;
+    logger.info('[SyncEngine] 중지됨');
+  }
+
+  /**
+   * 상태 스트림 구독 — 구독하자마자 현재 상태를 한 번 받는다
+   * @param {(status: Object, event: Object) => void} listener
+   * @returns {() => void} 구독 해제
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getStatus(), { type: 'status' });
+    this.refresh();
+    return () => this.listeners.delete(listener);
+  }
+
+  getStatus() {
+    return { ...this.status };
+  }
+
+  /**
+   * 변경 하나를 대기열에 넣고, 온라인이면 바로 밀어낸다
+   * @param {string} documentId
+   * @param {'create'|'update'|'delete'} operation
+   * @param {Object} [payload]
+   */
+  async enqueue(documentId, operation, payload = {}) {
+    await SyncOutbox.enqueue(documentId, operation, payload);
+    this._emit({ type: 'queued', documentId, operation });
+    if (this.isOnline) this.flush();
+  }
+
+  /** 대기/실패 개수를 다시 세어 알린다 */
+  async refresh() {
+    try {
+      const { pending, failed } = await SyncOutbox.counts();
+      if (pending === this.status.pendingCount && failed === this.status.failedCount) return;
+      this._setStatus({ pendingCount: pending, failedCount: failed });
+    } catch (error) {
+      logger.warn('[SyncEngine] 대기열 개수 확인 실패:', error);
+    }
+  }
+
+  /**
+   * 차례가 된 항목을 한 번에 처리 (문서 MAX_BATCH_SIZE개까지)
+   */
+  async flush() {
+    if (this.status.flushing) return;
+    this._setStatus({ flushing: true });
+
+    try {
+      const due = await SyncOutbox.getDue();
+      if (due.length === 0) return;
+
+      logger.info(`[SyncEngine] ${due.length}개 항목 처리 시작`);
+      let processed = 0;
+      for (const [documentId, items] of groupByDocument(due)) {
+        if (processed >= MAX_BATCH_SIZE) break;
+        await this._pushDocument(documentId, items);
+        processed++;
+        await new Promise(resolve => setTimeout(resolve, PUSH_GAP));
+      }
+
+      await SyncOutbox.cleanup();
+    } catch (error) {
+      logger.error('[SyncEngine] flush 실패:', error);
+    } finally {
+      this._setStatus({ flushing: false });
+      await this.refresh();
+    }
+  }
+
+  // ── Remote pull (graph / interventions / aliases / reflections) ──────────
+
+  /**
+   * graph.jsonl 원격 → graphCache 동기화
+   * blob SHA + 라인 오프셋 커서로 추가된 라인만 받는다 (graphSync.js)
+   * @param {GitHubService} github
+   * @param {string} dataRepo
+   */
+  async syncGraphFromRemote(github, dataRepo = 'miki-data') {
+    if (!this.isOnline) return { success: false, reason: 'offline' };
+    try {
+      const { mode, synced } = await syncGraphIncremental(github, dataRepo);
+      logger.info(`✅ [GraphSync] ${mode} — ${synced}개 triple 캐시 완료`);
+      return { success: true, mode, synced };
+    } catch (error) {
+      logger.error('❌ [GraphSync] 실패:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * interventions.jsonl 원격 → interventionsCache 동기화
+   */
+  async syncInterventionsFromRemote(github, dataRepo = 'miki-data') {
+    if (!this.isOnline) return { success: false, reason: 'offline' };
+    try {
+      const interventions = await github.readJsonl(dataRepo, 'interventions.jsonl');
+      if (!interventions.length) return { success: true, synced: 0 };
+
+      await db.transaction('rw', db.interventionsCache, async () => {
+        for (const item of interventions) {
+          const existing = await db.interventionsCache.get(item.id);
+          if (!existing) {
+            await db.interventionsCache.add({ ...item, updatedAt: new Date().toISOString() });
+            continue;
+          }
+          // 다른 기기가 갱신한 사용 기록 / 은퇴 상태 반영 (last_used_at은 더 최근 값만)
+          const [merged] = applyInterventionPatches([existing], {
+            [item.id]: { last_used_at: item.last_used_at, retired_at: item.retired_at ?? null },
+          });
+          if (merged !== existing) {
+            await db.interventionsCache.put({ ...merged, updatedAt: new Date().toISOString() });
+          }
+        }
+      });
+
+      logger.info(`✅ [InterventionSync] ${interventions.length}개 intervention 캐시 완료`);
+      return { success: true, synced: interventions.length };
+    } catch (error) {
+      logger.error('❌ [InterventionSync] 실패:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * aliases.jsonl 원격 → aliasesCache 동기화
+   */
+  async syncAliasesFromRemote(github, dataRepo = 'miki-data') {
+    if (!this.isOnline) return { success: false, reason: 'offline' };
+    try {
+      const aliases = await github.readJsonl(dataRepo, 'aliases.jsonl');
+      if (!aliases.length) return { success: true, synced: 0 };
+
+      await db.transaction('rw', db.aliasesCache, async () => {
+        for (const entry of aliases) {
+          const existing = await db.aliasesCache.where('aliasId').equals(entry.id).first();
+          if (!existing) {
+            await db.aliasesCache.add({ ...entry, aliasId: entry.id, createdAt: entry.created_at });
+          }
+        }
+      });
+
+      logger.info(`✅ [AliasSync] ${aliases.length}개 별칭 캐시 완료`);
+      return { success: true, synced: aliases.length };
+    } catch (error) {
+      logger.error('❌ [AliasSync] 실패:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * reflections/queue.jsonl 원격 → reflectionsQueue 동기화
+   */
+  async syncReflectionQueueFromRemote(github, dataRepo = 'miki-data') {
+    if (!this.isOnline) return { success: false, reason: 'offline' };
+    try {
+      const queue = await github.readJsonl(dataRepo, 'reflections/queue.jsonl');
+
+      await db.transaction('rw', db.reflectionsQueue, async () => {
+        await db.reflectionsQueue.clear();
+        for (const item of queue) {
+          await db.reflectionsQueue.add(item);
+        }
+      });
+
+      logger.info(`✅ [ReflectionSync] queue ${queue.length}개 항목 동기화 완료`);
+      return { success: true, synced: queue.length };
+    } catch (error) {
+      logger.error('❌ [ReflectionSync] 실패:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Phase 10 전체 초기 동기화 (최초 진입 시 1회)
+   */
+  async initialGraphSync(github, dataRepo = 'miki-data') {
+    await github.ensureGraphStructure(dataRepo);
+    const [graph, interventions, queue, aliases] = await Promise.all([
+      this.syncGraphFromRemote(github, dataRepo),
+      this.syncInterventionsFromRemote(github, dataRepo),
+      this.syncReflectionQueueFromRemote(github, dataRepo),
+      this.syncAliasesFromRemote(github, dataRepo),
+    ]);
+    return { graph, interventions, queue, aliases };
+  }
+
+  // ── Internals ──────────────────────────────────────────────────────────
+
+  // delete가 있으면 delete만, 없으면 마지막 create/update만 보낸다
+  async _pushDocument(documentId, items) {
+    items.sort((a, b) => (a.queuedAt < b.queuedAt ? -1 : 1));
+
+    const deleteItem = [...items].reverse().find(item => item.operation === 'delete');
+    const target = deleteItem || items[items.length - 1];
+    for (const item of items) {
+      if (item.id !== target.id) await SyncOutbox.markDone(item.id);
+    }
+
+    if (!deleteItem && await this._isContentUnchanged(documentId, target)) {
+      logger.info(`[SyncEngine] 내용 동일 - 스킵: ${documentId}`);
+      await SyncOutbox.markDone(target.id);
+      return;
+    }
+
+    try {
+      const { skipped, conflict } = await this.transport.push(target);
+      await SyncOutbox.markDone(target.id);
+      if (skipped) {
+        logger.warn(`[SyncEngine] 항목 스킵 (${skipped}): syncOutbox.id=${target.id}`);
+        return;
+      }
+      if (conflict) this._emit({ type: 'conflict', documentId, resolution: conflict });
+      this._setStatus({ lastSyncedAt: new Date().toISOString(), lastError: null }, {
+        type: 'synced', documentId, operation: target.operation,
+      });
+    } catch (error) {
+      logger.error(`[SyncEngine] 동기화 실패: ${documentId}`, error);
+      await SyncOutbox.markFailed(target.id, error.message, { permanent: isPermanentError(error) });
+      this._setStatus({ lastError: error.message }, {
+        type: 'failed', documentId, operation: target.operation, error: error.message,
+      });
+    }
+  }
+
+  // 대기 중인 내용이 이미 동기화된 로컬 문서와 같으면 보낼 필요가 없다
+  async _isContentUnchanged(documentId, item) {
+    try {
+      const localDoc = await db.documents.where('docId').equals(documentId).first();
+      if (!localDoc || !localDoc.synced) return false;
+      return hashDoc(item.payload || {}) === hashDoc({ title: localDoc.title, content: localDoc.content });
+    } catch {
+      return false;
+    }
+  }
+
+  _handleOnline() {
+    this._setStatus({ isOnline: true }, { type: 'online' });
+    logger.info('[SyncEngine] 온라인 복구 - 즉시 flush');
+    this.flush();
+  }
+
+  _handleOffline() {
+    this._setStatus({ isOnline: false }, { type: 'offline' });
+    logger.info('[SyncEngine] 오프라인 감지');
+  }
+
+  _setStatus(changes, event = { type: 'status' }) {
+    this.status = { ...this.status, ...changes };
+    this._emit(event);
+  }
+
+  _emit(event) {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => {
+      try {
+        listener(status, event);
+      } catch (error) {
+        logger.error(`[SyncEngine] 리스너 오류 (${event.type}):`, error);
+      }
+    });
+  }
+}
+
+// documentId별로 묶기 (Map 순서 = 처음 나온 순서 = 오래된 순)
+function groupByDocument(items) {
+  const map = new Map();
+  for (const item of items) {
+    const list = map.get(item.documentId) || [];
+    list.push(item);
+    map.set(item.documentId, list);
+  }
+  return map;
+}
+
+let instance = null;
+
+/**
+ * SyncEngine 싱글톤
+ * @param {Object} [options] - 처음 만들 때만 쓰인다
+ */
+export const getSyncEngine = (options) => {
+  if (!instance) {
+    instance = new SyncEngine(options);
+  }
+  return instance;
+};
+
+/** 싱글톤 재설정 (테스트용) */
+export const resetSyncEngine = () => {
+  if (instance) {
+    instance.stop();
+    instance = null;
+  }
+};
@@ -0,0 +1,366 @@
+import * as Y from 'yjs';
+import { createLogger } from '../utils/logger';
+import { getWsClient } from '../services/ws-client';
+import { useVaultStore } from '../stores/useVaultStore';
+import { VaultService } from '../utils/vault';
+import { mergeThreeWay } from './threeWayMerge';
+import { useConflictStore } from '../stores/conflictStore';
+
+const logger = createLogger('collabSession');
+
+/**
+ * collabSession - 같은 메모를 여러 기기에서 동시에 편집 (Yjs CRDT)
+ *
+ * 메모 본문을 Y.Text 하나로 두고, 편집마다 생기는 Yjs 업데이트를 WS 프록시(collab.update)로
+ * 같은 로그인의 다른 기기에 보낸다. 업데이트는 순서와 상관없이 같은 결과로 수렴하므로
+ * 노트북과 폰에서 동시에 고쳐도 충돌이 생기지 않는다.
+ *
+ * 메시지 (collab:update):
+ *   hello   { sv }                 - 참여 알림 + 내 상태 벡터
+ *   sync    { update, sv?, full? } - hello 응답: 상대에게 없는 부분 (full이면 문서 전체 + seed)
+ *   update  { update }             - 편집 하나
+ *   bye                            - 세션 종료
+ *
+ * 문서 계보(lineage): 각 기기는 불러온 내용으로 자기 Y.Doc을 만든다. 같은 내용이라도 따로 만든
+ * Y.Doc끼리 합치면 본문이 두 번 들어가므로, 계보가 다르면 먼저 열린 쪽 문서로 갈아타고
+ * 내 편집은 3-way 병합으로 옮긴다 (기준본 = 두 세션이 불러온 내용 중 먼저 저장된 쪽).
+ * 병합이 겹치면 충돌 마커를 공유 문서에 넣기 전에 충돌 패널(conflictStore)에서 고르게 한다 —
+ * 패널이 없거나 답이 없으면 충돌 마커로 남기고 onConflict로 알린다.
+ *
+ * GitHub 저장은 편집이 잠잠해지면(idleMs) 로컬 편집이 있었던 기기만 한다.
+ */
+
+export const COLLAB_IDLE_PERSIST_MS = 4000;
+export const COLLAB_CONFLICT_TIMEOUT_MS = 60 * 1000;
+
+const TEXT_KEY = 'content';
+const LOCAL = 'local';
+const REMOTE = 'remote';
+
+/**
+ * Y.Text를 next 내용으로 — 공통 접두/접미를 뺀 가운데만 지우고 넣는다
+ * @param {Y.Text} ytext
+ * @param {string} next
+ * @returns {boolean} 바뀌었는지
+ */
+export function applyTextChange(ytext, next) {
+  const prev = ytext.toString();
+  if (prev === next) return false;
+
+  let start = 0;
+  while (start < prev.length && start < next.length && prev[start] === next[start]) start++;
+  let endPrev = prev.length;
+  let endNext = next.length;
+  while (endPrev > start && endNext > start && prev[endPrev - 1] === next[endNext - 1]) {
+    endPrev--;
+    endNext--;
+  }
+
+  ytext.doc.transact(() => {
+    if (endPrev > start) ytext.delete(start, endPrev - start);
+    if (endNext > start) ytext.insert(start, next.slice(start, endNext));
+  }, LOCAL);
+  return true;
+}
+
+export function encodeBytes(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function decodeBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+export class CollabSession {
+  /**
+   * @param {Object} options
+   * @param {string} options.documentId
+   * @param {string} options.content - 불러온 본문 (이 세션의 seed)
+   * @param {string|null} options.savedAt - 불러온 본문의 저장 시각 (계보를 합칠 때 기준본 선택)
+   * @param {{ send: Function, subscribe: Function }} options.transport - createWsCollabTransport()
+   * @param {(content: string) => void} [options.onRemoteChange] - 다른 기기 편집이 반영된 본문
+   * @param {(content: string) => Promise} [options.onPersist] - 잠잠해졌을 때 GitHub 저장
+   * @param {(count: number) => void} [options.onPeersChange]
+   * @param {(conflicts: number) => void} [options.onConflict] - 합류 병합의 겹친 곳을 충돌 마커로 남겼을 때
+   * @param {string} [options.title] - 충돌 패널에 보일 제목
+   * @param {number} [options.idleMs]
+   * @param {number} [options.conflictTimeoutMs] - 충돌 패널 답을 기다리는 시간
+   */
+  constructor({
+    documentId, content = '', savedAt = null, transport, onRemoteChange, onPersist, onPeersChange, onConflict,
+    title = '', idleMs = COLLAB_IDLE_PERSIST_MS, conflictTimeoutMs = COLLAB_CONFLICT_TIMEOUT_MS,
+  }) {
+    this.documentId = documentId;
+    this.transport = transport;
+    this.onRemoteChange = onRemoteChange;
+    this.onPersist = onPersist;
+    this.onPeersChange = onPeersChange;
+    this.onConflict = onConflict;
+    this.title = title;
+    this.idleMs = idleMs;
+    this.conflictTimeoutMs = conflictTimeoutMs;
+
+    this.peerId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.lineage = { id: this.peerId, at: Date.now() };
+    this.seed = { content, savedAt };
+    this.peers = new Set();
+    this.dirty = false;       // 마지막 저장 이후 이 기기에서 고친 내용이 있는지
+    this.stopped = false;
+    this.awaitingChoice = false;   // 합류 충돌을 충돌 패널에 물어보는 중 — 그동안은 저장하지 않는다
+    this.persistTimer = null;
+    this.unsubscribe = null;
+
+    const doc = new Y.Doc();
+    doc.getText(TEXT_KEY).insert(0, content);
+    this._useDoc(doc);
+  }
+
+  get content() {
+    return this.text.toString();
+  }
+
+  get peerCount() {
+    return this.peers.size;
+  }
+
+  start() {
+    this.unsubscribe = this.transport.subscribe(message => this.receive(message));
+    this._send({ kind: 'hello', sv: encodeBytes(Y.encodeStateVector(this.doc)) });
+  }
+
+  /**
+   * 세션 종료 — 저장 안 된 로컬 편집은 바로 저장한다
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.persistTimer);
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this._send({ kind: 'bye' });
+    await this.flush();
+    this.doc.destroy();
+  }
+
+  /**
+   * 에디터 내용 반영 (원격 반영으로 생긴 change 이벤트는 내용이 같아 무시된다)
+   * @param {string} content
+   */
+  localChange(content) {
+    if (!applyTextChange(this.text, content)) return;
+    this.dirty = true;
+    this._schedulePersist();
+  }
+
+  async flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (!this.dirty || !this.onPersist || this.awaitingChoice) return;
+    this.dirty = false;
+    try {
+      await this.onPersist(this.content);
+    } catch (error) {
+      this.dirty = true;
+      logger.warn('협업 문서 저장 실패 — 다음 편집 후 다시 시도:', error);
+    }
+  }
+
+  receive(message) {
+    if (message.docId !== this.documentId || message.peer === this.peerId) return;
+
+    if (message.kind === 'bye') {
+      if (this.peers.delete(message.peer)) this.onPeersChange?.(this.peers.size);
+      return;
+    }
+    if (!this.peers.has(message.peer)) {
+      this.peers.add(message.peer);
+      this.onPeersChange?.(this.peers.size);
+    }
+
+    if (message.lineage?.id !== this.lineage.id) {
+      this._receiveOtherLineage(message);
+      return;
+    }
+
+    if (message.kind === 'hello') {
+      this._send({
+        kind: 'sync',
+        update: encodeBytes(Y.encodeStateAsUpdate(this.doc, decodeBytes(message.sv))),
+        sv: encodeBytes(Y.encodeStateVector(this.doc)),
+      });
+      return;
+    }
+
+    if (message.update) this._applyRemote(decodeBytes(message.update));
+    if (message.kind === 'sync' && message.sv) {
+      this._send({ kind: 'update', update: encodeBytes(Y.encodeStateAsUpdate(this.doc, decodeBytes(message.sv))) });
+    }
+  }
+
+  // ── Internals ──────────────────────────────────────────────────────────
+
+  _receiveOtherLineage(message) {
+    if (!isOlder(message.lineage, this.lineage)) {
+      // 내 세션이 먼저 열렸다 → 상대가 갈아탈 수 있게 전체 상태를 보낸다
+      if (message.kind === 'hello') {
+        this._send({ kind: 'sync', full: true, update: encodeBytes(Y.encodeStateAsUpdate(this.doc)), seed: this.seed });
+      }
+      return;
+    }
+
+    if (message.kind === 'sync' && message.full) {
+      this._adopt(message);
+    } else if (message.kind === 'hello') {
+      // 먼저 열린 세션이 늦게 인사했다 → 전체 상태를 달라고 다시 인사
+      this._send({ kind: 'hello', sv: encodeBytes(Y.encodeStateVector(this.doc)) });
+    }
+  }
+
+  // 먼저 열린 세션의 문서로 갈아타고, 그동안의 내 편집은 3-way 병합으로 옮긴다
+  _adopt(message) {
+    const mine = this.content;
+    const previous = this.doc;
+
+    const adopted = new Y.Doc();
+    Y.applyUpdate(adopted, decodeBytes(message.update), REMOTE);
+    this._useDoc(adopted);
+    previous.destroy();
+
+    const base = olderSeed(this.seed, message.seed);
+    const merge = mergeThreeWay(base.content, mine, this.content);
+
+    this.lineage = message.lineage;
+    this.seed = base;
+    if (merge.clean) {
+      this._applyLocal(merge.content);
+    } else {
+      logger.warn(`협업 세션 합치기 중 ${merge.conflicts}곳 충돌 — 충돌 패널에 올림`);
+      this.awaitingChoice = true;
+      this._resolveAdoptConflict(mine, this.content, merge)
+        .catch(error => logger.error('협업 충돌 해결 반영 실패:', error))
+        .finally(() => {
+          this.awaitingChoice = false;
+          if (this.dirty && !this.stopped) this._schedulePersist();
+        });
+    }
+    if (this.content !== mine) this.onRemoteChange?.(this.content);
+    logger.info(`📝 협업 세션 합류: ${this.documentId}`);
+  }
+
+  // 겹친 합류 병합 — 고를 때까지 공유 문서에는 먼저 열린 쪽 내용만 두고, 고른 결과를 그동안의 편집 위에 합친다
+  async _resolveAdoptConflict(mine, theirs, merge) {
+    const choice = await useConflictStore.getState().request({
+      documentId: this.documentId,
+      title: this.title || this.documentId,
+      local: { title: this.title, content: mine, updatedAt: null },
+      server: { title: this.title, content: theirs, updatedAt: null },
+      hunks: merge.hunks,
+      threeWay: true,
+      mergedTitle: this.title,
+    }, { timeoutMs: this.conflictTimeoutMs });
+    if (choice?.action === 'use_server') return;
+
+    let resolved = merge.content;
+    if (choice?.action === 'use_local') resolved = mine;
+    else if (choice?.action === 'merge') resolved = choice.content;
+    else this.onConflict?.(merge.conflicts);   // 패널이 없거나 시간 초과 — 충돌 마커로 남긴다
+
+    if (this.stopped) {
+      // 기다리는 동안 세션이 끝났다 — 공유 문서 대신 바로 저장
+      await this.onPersist?.(resolved);
+      return;
+    }
+    const current = this.content;
+    this._applyLocal(current === theirs ? resolved : mergeThreeWay(theirs, resolved, current).content);
+    if (this.content !== current) this.onRemoteChange?.(this.content);
+  }
+
+  _applyLocal(content) {
+    if (!applyTextChange(this.text, content)) return;
+    this.dirty = true;
+    this._schedulePersist();
+  }
+
+  _applyRemote(update) {
+    const before = this.content;
+    Y.applyUpdate(this.doc, update, REMOTE);
+    if (this.content === before) return;
+    this.onRemoteChange?.(this.content);
+    // 다른 기기가 아직 고치는 중이면 저장을 미룬다
+    if (this.dirty) this._schedulePersist();
+  }
+
+  // 내용을 채운 뒤에 연결해야 seed가 편집으로 전송되지 않는다
+  _useDoc(doc) {
+    this.doc = doc;
+    this.text = doc.getText(TEXT_KEY);
+    doc.on('update', (update, origin) => {
+      if (origin === REMOTE) return;
+      this._send({ kind: 'update', update: encodeBytes(update) });
+    });
+  }
+
+  _schedulePersist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = setTimeout(() => this.flush(), this.idleMs);
+  }
+
+  _send(message) {
+    Promise.resolve()
+      .then(() => this.transport.send({ docId: this.documentId, peer: this.peerId, lineage: this.lineage, ...message }))
+      .catch(error => logger.warn('협업 업데이트 전송 실패:', error));
+  }
+}
+
+/**
+ * WS 프록시 전송 — Vault가 열려 있으면 본문이 담긴 필드(update, seed)를 Vault 키로 봉인한다
+ * (프록시는 평문 본문을 보지 않는다)
+ */
+export function createWsCollabTransport() {
+  const client = getWsClient();
+  return {
+    async send(message) {
+      await client.request('collab.update', await seal(message));
+    },
+    subscribe(handler) {
+      return client.subscribe('collab:update', async message => {
+        try {
+          handler(await unseal(message));
+        } catch (error) {
+          logger.warn('협업 업데이트 복호화 실패 — 무시:', error);
+        }
+      });
+    },
+  };
+}
+
+async function seal(message) {
+  const { cryptoKey, isVaultReady } = useVaultStore.getState();
+  if (!isVaultReady || !cryptoKey || (!message.update && !message.seed)) return message;
+  const { update, seed, ...rest } = message;
+  return { ...rest, sealed: await VaultService.encrypt(JSON.stringify({ update, seed }), cryptoKey) };
+}
+
+async function unseal(message) {
+  if (!message.sealed) return message;
+  const { cryptoKey, isVaultReady } = useVaultStore.getState();
+  if (!isVaultReady || !cryptoKey) throw new Error('Vault가 잠겨 있어 협업 업데이트를 읽을 수 없습니다');
+  const { sealed, ...rest } = message;
+  return { ...rest, ...JSON.parse(await VaultService.decrypt(sealed, cryptoKey)) };
+}
+
+function isOlder(a, b) {
+  return a.at < b.at || (a.at === b.at && a.id < b.id);
+}
+
+function olderSeed(a, b) {
+  if (!b?.savedAt) return a;
+  if (!a.savedAt) return b;
+  return b.savedAt < a.savedAt ? b : a;
+}
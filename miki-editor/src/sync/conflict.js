@@ -1,35 +1,44 @@
 import { createLogger } from '../utils/logger';
-import { sanitizeHtml } from '../utils/sanitize';
+import { mergeThreeWay, mergeValue, diffTwoWay } from './threeWayMerge';
+import { useConflictStore } from '../stores/conflictStore';
 const logger = createLogger('conflict');
+const USER_PROMPT_TIMEOUT_MS = 60 * 1000;
 /**
  * ConflictResolver - 문서 충돌 해결 모듈
+ *
+ * conflict.base(마지막으로 동기화된 { sha, title, content })가 있으면 줄 단위 3-way 병합으로
+ * 서로 다른 문단의 변경을 모두 살리고, 같은 구간을 겹치게 고친 경우에만 사용자에게 묻는다.
+ * base를 모르는 문서(기준본 기록 이전)는 기존 휴리스틱으로 판단한다.
+ * 사용자 판단은 React 충돌 패널(components/ConflictPanel)이 conflictStore를 통해 받는다.
  */
 export class ConflictResolver {
   constructor(options = {}) {
     this.strategy = options.strategy || 'last-write-wins';
     this.autoResolve = options.autoResolve !== false;
-    this.userPromptTimeout = options.userPromptTimeout || 30000; // 30초
+    // 사용자가 답하지 않으면 이 시간 뒤 기본 전략으로 넘어간다 — 저장이 충돌 패널에 묶여 멈추지 않게
+    this.userPromptTimeout = options.userPromptTimeout ?? USER_PROMPT_TIMEOUT_MS;
   }
   
   /**
    * 충돌 해결 메인 메서드
    */
   async resolve(conflict) {
-    const { documentId, local, server, operation } = conflict;
+    const { documentId, local, server, operation, base = null } = conflict;
     
     logger.info(`🔄 충돌 해결 시작: ${documentId} (${operation})`);
     
     try {
       // 1. 자동 해결 가능한지 확인
-      const autoResolution = this.tryAutoResolve(local, server, operation);
+      const autoResolution = this.tryAutoResolve(local, server, operation, base);
       
       if (autoResolution && this.autoResolve) {
         logger.info(`✅ 자동 충돌 해결: ${autoResolution.action}`);
         return autoResolution;
       }
       
-      // 2. 사용자 개입 필요
-      const userResolution = await this.promptUserResolution(conflict);
+      // 2. 사용자 개입 필요 (3-way 병합이 가능했다면 겹친 구간만 충돌 마커로 남은 결과를 함께 넘긴다)
+      const merge = base ? this.threeWayMerge(base, local, server) : null;
+      const userResolution = await this.promptUserResolution({ ...conflict, merge });
       
       if (userResolution) {
         logger.info(`✅ 사용자 충돌 해결: ${userResolution.action}`);
@@ -57,8 +66,9 @@ export class ConflictResolver {
   
   /**
    * 자동 해결 시도
+   * @param {Object} [base] - 마지막 동기화 기준본 { title, content }
    */
-  tryAutoResolve(local, server, operation) {
+  tryAutoResolve(local, server, operation, base = null) {
     // 1. 내용이 동일한 경우
     if (this.isContentEqual(local, server)) {
       return {
@@ -68,6 +78,17 @@ export class ConflictResolver {
       };
     }
     
+    // 기준본이 있으면 3-way 병합 결과만으로 판단 (겹친 변경은 사용자에게)
+    if (base) {
+      const merge = this.threeWayMerge(base, local, server);
+      if (!merge.clean) return null;
+      return {
+        action: 'merge',
+        data: merge.data,
+        reason: '3-way 병합 (겹치는 변경 없음)'
+      };
+    }
+    
     // 2. 한쪽이 비어있는 경우
     if (this.isEmpty(local) && !this.isEmpty(server)) {
       return {
@@ -126,7 +147,29 @@ export class ConflictResolver {
   }
   
   /**
-   * 단순 병합 시도
+   * 기준본 기준 3-way 병합 — 본문은 줄 단위, 제목은 값 단위
+   * @returns {{ clean: boolean, conflicts: number, hunks: Array, data: Object }}
+   *   data.content: 충돌이 있으면 충돌 마커가 들어간 본문
+   */
+  threeWayMerge(base, local, server) {
+    const body = mergeThreeWay(base.content || '', local.content || '', server.content || '');
+    const title = mergeValue(base.title || '', local.title || '', server.title || '');
+    
+    return {
+      clean: body.clean,
+      conflicts: body.conflicts,
+      hunks: body.hunks,
+      data: {
+        ...local,
+        title: title.value || local.title || server.title,
+        content: body.content,
+        mergedAt: new Date().toISOString()
+      }
+    };
+  }
+  
+  /**
+   * 단순 병합 시도 (기준본을 모를 때만)
    */
   trySimpleMerge(local, server) {
     const localContent = local.content || '';
@@ -179,162 +222,33 @@ export class ConflictResolver {
   }
   
   /**
-   * 사용자 해결 프롬프트
+   * 사용자 해결 프롬프트 — 충돌 패널(ConflictPanelHost)에 올리고 사용자가 고른 결과를 기다린다
+   * 패널이 마운트돼 있지 않거나 userPromptTimeout이 지나면 null (기본 전략으로 넘어감)
+   *
+   * @returns {Promise<{ action: 'use_local' | 'use_server' | 'merge', data: Object, reason: string } | null>}
    */
   async promptUserResolution(conflict) {
-    return new Promise((resolve) => {
-      const { documentId, local, server } = conflict;
-      
-      // 충돌 해결 UI 표시
-      const modal = this.createConflictModal(documentId, local, server);
-      document.body.appendChild(modal);
-      
-      // 타임아웃 설정
-      const timeout = setTimeout(() => {
-        document.body.removeChild(modal);
-        resolve(null); // 타임아웃 시 null 반환
-      }, this.userPromptTimeout);
-      
-      // 사용자 선택 처리
-      const handleChoice = (choice, data) => {
-        clearTimeout(timeout);
-        document.body.removeChild(modal);
-        resolve({
-          action: choice,
-          data: data,
-          reason: '사용자 선택'
-        });
-      };
-      
-      // 버튼 이벤트 리스너
-      modal.querySelector('.use-local').onclick = () => 
-        handleChoice('use_local', local);
-      
-      modal.querySelector('.use-server').onclick = () => 
-        handleChoice('use_server', server);
-      
-      modal.querySelector('.merge-manual').onclick = () => {
-        const mergedData = this.showMergeEditor(local, server);
-        handleChoice('merge', mergedData);
-      };
-    });
-  }
-  
-  /**
-   * 충돌 해결 모달 생성
-   */
-  createConflictModal(documentId, local, server) {
-    const modal = document.createElement('div');
-    modal.className = 'conflict-resolution-modal';
-
-    // XSS 방지: 사용자 입력 데이터 정제
-    const safeTitle = sanitizeHtml(local.title || documentId);
-    const safeLocalContent = sanitizeHtml(this.truncateContent(local.content));
-    const safeServerContent = sanitizeHtml(this.truncateContent(server.content));
-
-    modal.innerHTML = `
-      <div class="modal-overlay">
-        <div class="modal-content">
-          <h3>📄 문서 충돌 감지</h3>
-          <p>문서 "${safeTitle}"에서 충돌이 발생했습니다.</p>
-
-          <div class="conflict-comparison">
-            <div class="local-version">
-              <h4>🖥️ 로컬 버전</h4>
-              <div class="content-preview">${safeLocalContent}</div>
-              <small>수정: ${new Date(local.updatedAt).toLocaleString()}</small>
-            </div>
-
-            <div class="server-version">
-              <h4>☁️ 서버 버전</h4>
-              <div class="content-preview">${safeServerContent}</div>
-              <small>수정: ${new Date(server.updatedAt).toLocaleString()}</small>
-            </div>
-          </div>
-          
-          <div class="resolution-buttons">
-            <button class="use-local">로컬 버전 사용</button>
-            <button class="use-server">서버 버전 사용</button>
-            <button class="merge-manual">수동 병합</button>
-          </div>
-          
-          <p class="timeout-warning">30초 후 자동으로 로컬 버전이 선택됩니다.</p>
-        </div>
-      </div>
-    `;
+    const { documentId, local, server, merge = null } = conflict;
     
-    // 스타일 추가
-    const style = document.createElement('style');
-    style.textContent = `
-      .conflict-resolution-modal {
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        z-index: 10000;
-      }
-      .modal-overlay {
-        background: rgba(0,0,0,0.7);
-        width: 100%;
-        height: 100%;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-      }
-      .modal-content {
-        background: white;
-        padding: 20px;
-        border-radius: 8px;
-        max-width: 600px;
-        max-height: 80vh;
-        overflow-y: auto;
-      }
-      .conflict-comparison {
-        display: flex;
-        gap: 20px;
-        margin: 20px 0;
-      }
-      .local-version, .server-version {
-        flex: 1;
-        border: 1px solid #ddd;
-        padding: 10px;
-        border-radius: 4px;
-      }
-      .content-preview {
-        background: #f5f5f5;
-        padding: 10px;
-        border-radius: 4px;
-        font-family: monospace;
-        font-size: 12px;
-        max-height: 150px;
-        overflow-y: auto;
-        white-space: pre-wrap;
-      }
-      .resolution-buttons {
-        display: flex;
-        gap: 10px;
-        justify-content: center;
-        margin: 20px 0;
-      }
-      .resolution-buttons button {
-        padding: 10px 20px;
-        border: none;
-        border-radius: 4px;
-        cursor: pointer;
-      }
-      .use-local { background: #4CAF50; color: white; }
-      .use-server { background: #2196F3; color: white; }
-      .merge-manual { background: #FF9800; color: white; }
-      .timeout-warning {
-        text-align: center;
-        color: #666;
-        font-size: 12px;
-      }
-    `;
-    modal.appendChild(style);
+    // 패널은 { action, title?, content? }만 돌려준다 — 어댑터가 쓰는 나머지 필드는 여기서 붙인다
+    const choice = await useConflictStore.getState().request({
+      documentId,
+      title: local.title || server.title || documentId,
+      local: pickVersion(local),
+      server: pickVersion(server),
+      hunks: merge ? merge.hunks : diffTwoWay(local.content || '', server.content || ''),
+      threeWay: Boolean(merge),
+      mergedTitle: merge ? merge.data.title : (local.title || server.title || '')
+    }, { timeoutMs: this.userPromptTimeout });
     
-    return modal;
+    if (!choice) return null;
+    if (choice.action === 'use_local') return { action: 'use_local', data: local, reason: '사용자 선택' };
+    if (choice.action === 'use_server') return { action: 'use_server', data: server, reason: '사용자 선택' };
+    return {
+      action: 'merge',
+      data: { ...local, title: choice.title, content: choice.content, mergedAt: new Date().toISOString() },
+      reason: '사용자 병합'
+    };
   }
   
   /**
@@ -410,13 +324,6 @@ export class ConflictResolver {
     }
     return str1.slice(str1.length - i);
   }
-  
-  truncateContent(content, maxLength = 200) {
-    if (!content) return '(내용 없음)';
-    return content.length > maxLength ? 
-           content.slice(0, maxLength) + '...' : 
-           content;
-  }
 }
 
 /**
@@ -429,4 +336,13 @@ export const createConflictResolver = (options = {}) => {
 /**
  * 기본 충돌 해결기 인스턴스
  */
-export const defaultConflictResolver = new ConflictResolver(); 
\ No newline at end of file
+export const defaultConflictResolver = new ConflictResolver(); 
+
+// 패널에 넘길 버전 정보 — 어댑터 메타데이터(_meta 등)는 빼고 비교에 필요한 것만
+function pickVersion(version) {
+  return {
+    title: version.title || '',
+    content: version.content || '',
+    updatedAt: version.updatedAt || null
+  };
+}
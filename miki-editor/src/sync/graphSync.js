@@ -0,0 +1,142 @@
+import { createLogger } from '../utils/logger';
+import { db } from '../utils/database';
+
+const logger = createLogger('GraphSync');
+
+/**
+ * graph.jsonl 원격 → graphCache 증분 동기화
+ *
+ * graph.jsonl은 레거시 단일 파일 + 월별 샤드(graph/2026-10.jsonl)로 나뉘어 있다.
+ * 파일마다 커서(syncCursors)에 마지막으로 반영한 blob SHA / 커밋 SHA / 라인 수를 저장해 두고,
+ *   1. blob SHA가 같으면 아무것도 받지 않는다.
+ *   2. 이전 커밋 → 현재 커밋 diff가 "끝에 라인 추가"뿐이면 추가된 라인만 반영한다.
+ *   3. 그 외(병합·삭제로 인한 재작성, 커밋 소실, patch 생략)는 그 파일만 전체를 받아 교체한다.
+ *
+ * @param {GitHubService} github
+ * @param {string} dataRepo
+ * @param {string} path - 논리 경로
+ * @returns {Promise<{ mode: 'missing'|'unchanged'|'append'|'full', synced: number }>}
+ */
+export async function syncGraphIncremental(github, dataRepo = 'miki-data', path = 'graph.jsonl') {
+  const sources = await github.listJsonlSources(dataRepo, path);
+  if (!sources.length) return { mode: 'missing', synced: 0 };
+
+  const modes = new Set();
+  let synced = 0;
+  for (const source of sources) {
+    const result = await syncSource(github, dataRepo, source, path);
+    modes.add(result.mode);
+    synced += result.synced;
+  }
+
+  const mode = ['full', 'append'].find(m => modes.has(m)) || 'unchanged';
+  return { mode, synced };
+}
+
+async function syncSource(github, dataRepo, { path, blobSha }, legacyPath) {
+  const cursor = await db.syncCursors.get(path);
+  if (cursor?.blobSha === blobSha) return { mode: 'unchanged', synced: 0 };
+
+  const commitSha = await github.getLastCommitSha(dataRepo, path);
+
+  if (cursor?.commitSha && commitSha) {
+    const patch = await github.getFilePatch(dataRepo, path, cursor.commitSha, commitSha);
+    const appended = patch === null ? null : parseAppendedLines(patch, cursor.lineOffset);
+
+    if (appended) {
+      const triples = parseLines(appended);
+      await db.transaction('rw', db.graphCache, db.syncCursors, async () => {
+        if (triples.length) await db.graphCache.bulkPut(triples.map(t => toCacheRow(t, path)));
+        await db.syncCursors.put({
+          path,
+          blobSha,
+          commitSha,
+          lineOffset: cursor.lineOffset + appended.length,
+          updatedAt: new Date().toISOString(),
+        });
+      });
+      return { mode: 'append', synced: triples.length };
+    }
+
+    logger.info(`${path} 재작성 감지 — 전체 동기화`);
+  }
+
+  const text = await github.getBlobText(dataRepo, blobSha);
+  const lines = splitLines(text);
+  const triples = parseLines(lines);
+
+  await db.transaction('rw', db.graphCache, db.syncCursors, async () => {
+    // 이 파일에서 온 행만 교체 (shard 태그 없는 행은 레거시 단일 파일 출신)
+    await db.graphCache.filter(row => (row.shard || legacyPath) === path).delete();
+    if (triples.length) await db.graphCache.bulkPut(triples.map(t => toCacheRow(t, path)));
+    await db.syncCursors.put({
+      path,
+      blobSha,
+      commitSha,
+      lineOffset: lines.length,
+      updatedAt: new Date().toISOString(),
+    });
+  });
+
+  return { mode: 'full', synced: triples.length };
+}
+
+/**
+ * unified diff patch에서 "파일 끝에 추가된 라인"만 추출
+ *
+ * 삭제(-) 라인이 있거나, 추가 라인이 lineOffset 바로 다음부터 연속되지 않으면
+ * append-only 변경이 아니므로 null을 반환한다 (→ 전체 동기화).
+ *
+ * @param {string} patch - GitHub compare API의 files[].patch
+ * @param {number} lineOffset - 커서 시점 파일의 라인 수
+ * @returns {string[]|null}
+ */
+export function parseAppendedLines(patch, lineOffset) {
+  if (!patch) return [];
+
+  const appended = [];
+  let newLine = 0;
+
+  for (const line of patch.split('\n')) {
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      newLine = Number(hunk[1]);
+      continue;
+    }
+    if (line.startsWith('-') || line.startsWith('\\')) return null;
+    if (line.startsWith('+')) {
+      if (newLine !== lineOffset + appended.length + 1) return null;
+      appended.push(line.slice(1));
+      newLine++;
+    } else if (line.startsWith(' ')) {
+      newLine++;
+    }
+  }
+
+  return appended;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function parseLines(lines) {
+  const triples = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      triples.push(JSON.parse(line));
+    } catch {
+      logger.warn('graph.jsonl 파싱 실패 라인 건너뜀:', line.slice(0, 80));
+    }
+  }
+  return triples;
+}
+
+function toCacheRow(triple, shard) {
+  return { ...triple, entityId: triple.id, shard, updatedAt: new Date().toISOString() };
+}
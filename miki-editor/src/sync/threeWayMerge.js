@@ -0,0 +1,214 @@
+/**
+ * threeWayMerge - 줄 단위 3-way 병합 (diff3)
+ *
+ * 기준본(base = 마지막으로 동기화된 내용)에서 로컬 / 서버가 각각 바꾼 부분을 찾아
+ * 서로 다른 문단을 고쳤으면 둘 다 반영하고, 같은 줄 범위를 다르게 고친 경우만 충돌로 남긴다.
+ *
+ * 결과 hunk:
+ *   { type: 'stable', lines }                    - 그대로 쓰는 줄 (한쪽 변경 / 같은 변경 포함)
+ *   { type: 'conflict', base, local, server }    - 양쪽이 겹치게 고친 구간 (각각 줄 배열)
+ */
+
+export const CONFLICT_MARKERS = {
+  local: '<<<<<<< 로컬',
+  separator: '=======',
+  server: '>>>>>>> 서버'
+};
+
+/**
+ * @param {string} base
+ * @param {string} local
+ * @param {string} server
+ * @returns {{ clean: boolean, conflicts: number, content: string, hunks: Array }}
+ *   content: 충돌이 있으면 충돌 마커가 들어간 내용
+ */
+export function mergeThreeWay(base, local, server) {
+  const baseLines = splitLines(base);
+  const localLines = splitLines(local);
+  const serverLines = splitLines(server);
+
+  const toLocal = matchLines(baseLines, localLines);
+  const toServer = matchLines(baseLines, serverLines);
+
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  let k = 0;
+
+  // 양쪽 모두에 그대로 남은 기준본 줄이 고정점 — 고정점 사이 구간마다 변경을 판정한다
+  for (let o = 0; o <= baseLines.length; o++) {
+    const anchored = o < baseLines.length && toLocal[o] >= 0 && toServer[o] >= 0;
+    if (!anchored && o < baseLines.length) continue;
+
+    const localEnd = anchored ? toLocal[o] : localLines.length;
+    const serverEnd = anchored ? toServer[o] : serverLines.length;
+    pushChunk(hunks, baseLines.slice(i, o), localLines.slice(j, localEnd), serverLines.slice(k, serverEnd));
+
+    if (anchored) {
+      pushStable(hunks, [baseLines[o]]);
+      i = o + 1;
+      j = localEnd + 1;
+      k = serverEnd + 1;
+    }
+  }
+
+  const conflicts = hunks.filter(h => h.type === 'conflict').length;
+  return { clean: conflicts === 0, conflicts, content: renderHunks(hunks), hunks };
+}
+
+/**
+ * 기준본을 모를 때의 2-way 비교 — 공통 줄은 stable, 다른 구간은 모두 conflict (base: [])
+ * 어느 쪽이 추가 / 삭제했는지 알 수 없으므로 자동으로 합치지 않는다.
+ * @param {string} local
+ * @param {string} server
+ * @returns {Array} hunks
+ */
+export function diffTwoWay(local, server) {
+  const localLines = splitLines(local);
+  const serverLines = splitLines(server);
+  const toServer = matchLines(localLines, serverLines);
+
+  const hunks = [];
+  let j = 0;
+  let k = 0;
+  for (let o = 0; o <= localLines.length; o++) {
+    const anchored = o < localLines.length && toServer[o] >= 0;
+    if (!anchored && o < localLines.length) continue;
+
+    const serverEnd = anchored ? toServer[o] : serverLines.length;
+    const localPart = localLines.slice(j, o);
+    const serverPart = serverLines.slice(k, serverEnd);
+    if (localPart.length || serverPart.length) {
+      hunks.push({ type: 'conflict', base: [], local: localPart, server: serverPart });
+    }
+
+    if (anchored) {
+      pushStable(hunks, [localLines[o]]);
+      j = o + 1;
+      k = serverEnd + 1;
+    }
+  }
+  return hunks;
+}
+
+/**
+ * 충돌 구간별 선택 적용 — 고르지 않은 구간은 충돌 마커로 남는다
+ *
+ * @param {Array} hunks
+ * @param {Object<number, { take: 'local' | 'server' } | { text: string }>} choices - hunk 인덱스별 선택
+ * @returns {{ content: string, unresolved: number }}
+ */
+export function resolveHunks(hunks, choices = {}) {
+  let unresolved = 0;
+  const resolved = hunks.map((hunk, index) => {
+    if (hunk.type === 'stable') return hunk;
+    const choice = choices[index];
+    if (choice?.take === 'local') return { type: 'stable', lines: hunk.local };
+    if (choice?.take === 'server') return { type: 'stable', lines: hunk.server };
+    if (typeof choice?.text === 'string') return { type: 'stable', lines: splitLines(choice.text) };
+    unresolved++;
+    return hunk;
+  });
+  return { content: renderHunks(resolved), unresolved };
+}
+
+/**
+ * 단일 값(제목 등) 3-way 병합
+ * @returns {{ value: string, conflict: boolean }} 충돌이면 로컬 값을 유지한다
+ */
+export function mergeValue(base, local, server) {
+  if (local === server || server === base) return { value: local, conflict: false };
+  if (local === base) return { value: server, conflict: false };
+  return { value: local, conflict: true };
+}
+
+/**
+ * hunk 목록 → 텍스트 (충돌 구간은 충돌 마커로 감싼다)
+ * @param {Array} hunks
+ * @returns {string}
+ */
+export function renderHunks(hunks) {
+  const lines = [];
+  for (const hunk of hunks) {
+    if (hunk.type === 'stable') {
+      lines.push(...hunk.lines);
+    } else {
+      lines.push(CONFLICT_MARKERS.local, ...hunk.local, CONFLICT_MARKERS.separator, ...hunk.server, CONFLICT_MARKERS.server);
+    }
+  }
+  return lines.join('\n');
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function splitLines(text) {
+  return text ? String(text).split('\n') : [];
+}
+
+function pushChunk(hunks, base, local, server) {
+  if (!base.length && !local.length && !server.length) return;
+  if (sameLines(local, base)) return pushStable(hunks, server);
+  if (sameLines(server, base) || sameLines(local, server)) return pushStable(hunks, local);
+  hunks.push({ type: 'conflict', base, local, server });
+}
+
+function pushStable(hunks, lines) {
+  if (!lines.length) return;
+  const last = hunks[hunks.length - 1];
+  if (last?.type === 'stable') last.lines.push(...lines);
+  else hunks.push({ type: 'stable', lines: [...lines] });
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, idx) => line === b[idx]);
+}
+
+/**
+ * LCS 기반 줄 대응 — base[i]가 other의 몇 번째 줄로 남았는지 (없으면 -1)
+ * 공통 접두/접미는 DP 없이 먼저 잘라 낸다 (보통 문서의 대부분).
+ */
+function matchLines(base, other) {
+  const result = new Array(base.length).fill(-1);
+
+  let start = 0;
+  while (start < base.length && start < other.length && base[start] === other[start]) {
+    result[start] = start;
+    start++;
+  }
+  let endBase = base.length;
+  let endOther = other.length;
+  while (endBase > start && endOther > start && base[endBase - 1] === other[endOther - 1]) {
+    endBase--;
+    endOther--;
+    result[endBase] = endOther;
+  }
+
+  const n = endBase - start;
+  const m = endOther - start;
+  if (!n || !m) return result;
+
+  // lengths[(a * (m + 1)) + b] = base[start + a..] 와 other[start + b..]의 LCS 길이
+  const lengths = new Uint32Array((n + 1) * (m + 1));
+  for (let a = n - 1; a >= 0; a--) {
+    for (let b = m - 1; b >= 0; b--) {
+      lengths[a * (m + 1) + b] = base[start + a] === other[start + b]
+        ? lengths[(a + 1) * (m + 1) + b + 1] + 1
+        : Math.max(lengths[(a + 1) * (m + 1) + b], lengths[a * (m + 1) + b + 1]);
+    }
+  }
+
+  let a = 0;
+  let b = 0;
+  while (a < n && b < m) {
+    if (base[start + a] === other[start + b]) {
+      result[start + a] = start + b;
+      a++;
+      b++;
+    } else if (lengths[(a + 1) * (m + 1) + b] >= lengths[a * (m + 1) + b + 1]) {
+      a++;
+    } else {
+      b++;
+    }
+  }
+  return result;
+}
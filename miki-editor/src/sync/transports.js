@@ -0,0 +1,145 @@
+import { createLogger } from '../utils/logger';
+import { SyncBaseCache } from '../utils/database';
+import { storage } from '../utils/storage-client';
+import { getWsClient } from '../services/ws-client';
+import { HttpAdapter } from './httpAdapter';
+import { ConflictResolver } from './conflict';
+
+const logger = createLogger('syncTransports');
+
+/**
+ * SyncEngine transport — 대기열 항목 하나를 원격에 반영하는 방법
+ *
+ * transport 모양:
+ *   name                          - 'github' | 'ws-proxy' | 'local-server'
+ *   push({ documentId, operation, payload }) → { result?, skipped?, conflict? }
+ *   subscribe?(onRemote)          - 다른 기기 변경 알림 (구독 해제 함수 반환)
+ *
+ * push가 던진 오류는 SyncEngine이 재시도 여부를 판단한다 (error.status).
+ */
+
+/**
+ * GitHub 직접 저장 — storage-client의 GitHub 경로 (VITE_USE_WS_PROXY면 내부적으로 프록시 경유)
+ */
+export function createGitHubTransport() {
+  return {
+    name: 'github',
+    async push({ documentId, operation, payload }) {
+      if (operation === 'delete') {
+        await storage.deletePost(documentId);
+        return {};
+      }
+      if (!payload?.id) return { skipped: 'payload.id 없음' };
+      return { result: await storage._savePostToGitHub(payload) };
+    },
+  };
+}
+
+/**
+ * WS 프록시 — 저장은 GitHub transport와 같고, 다른 기기의 sync:changed 알림을 받는다
+ */
+export function createWsProxyTransport() {
+  return {
+    ...createGitHubTransport(),
+    name: 'ws-proxy',
+    subscribe(onRemote) {
+      return getWsClient().subscribe('sync:changed', onRemote);
+    },
+  };
+}
+
+/**
+ * 로컬 동기화 서버 (REST) — 409면 ConflictResolver로 풀고 다시 보낸다
+ * @param {Object} options
+ * @param {string} options.baseURL - 예: http://localhost:3003/api
+ * @param {HttpAdapter} [options.httpAdapter]
+ * @param {ConflictResolver} [options.conflictResolver]
+ */
+export function createLocalServerTransport({ baseURL, httpAdapter, conflictResolver } = {}) {
+  const http = httpAdapter || new HttpAdapter({ baseURL });
+  const resolver = conflictResolver || new ConflictResolver();
+
+  const send = (documentId, operation, data) => {
+    switch (operation) {
+      case 'create':
+        return http.createDocument(data);
+      case 'update':
+        return http.updateDocument(documentId, data);
+      case 'delete':
+        return http.deleteDocument(documentId);
+      default:
+        throw new Error(`알 수 없는 작업: ${operation}`);
+    }
+  };
+
+  const resolveConflict = async ({ documentId, operation, payload }, error) => {
+    const server = error.data || {};
+    const base = await SyncBaseCache.get(documentId).catch(() => null);
+    const resolution = await resolver.resolve({
+      documentId,
+      base: base || null,
+      local: payload,
+      server,
+      operation,
+    });
+
+    if (resolution.action === 'merge' || resolution.action === 'use_local') {
+      const merged = resolution.data || payload;
+      const result = await http.updateDocument(documentId, merged);
+      await recordSyncBase(documentId, 'update', merged, result);
+      return { result, conflict: resolution };
+    }
+
+    // 서버 버전을 받아들였으면 그게 새 기준본
+    if (resolution.action === 'use_server' || resolution.action === 'no_conflict') {
+      await recordSyncBase(documentId, 'update', resolution.data || server, server);
+    }
+    return { result: server, conflict: resolution };
+  };
+
+  return {
+    name: 'local-server',
+    async push(item) {
+      const { documentId, operation, payload = {} } = item;
+      try {
+        const result = await send(documentId, operation, payload);
+        // 서버와 맞춰진 내용 = 다음 충돌의 3-way 기준본
+        await recordSyncBase(documentId, operation, payload, result);
+        return { result };
+      } catch (error) {
+        if (error.status !== 409) throw error;
+        return await resolveConflict(item, error);
+      }
+    },
+  };
+}
+
+/**
+ * 환경에 맞는 transport 선택
+ * VITE_SYNC_SERVER_URL → 로컬 서버, VITE_USE_WS_PROXY → WS 프록시, 그 외 → GitHub
+ * @param {Object} [env]
+ */
+export function selectTransport(env = import.meta.env) {
+  if (env.VITE_SYNC_SERVER_URL) {
+    return createLocalServerTransport({ baseURL: env.VITE_SYNC_SERVER_URL });
+  }
+  if (env.VITE_USE_WS_PROXY === 'true') return createWsProxyTransport();
+  return createGitHubTransport();
+}
+
+// 동기화 기준본 기록 (실패해도 동기화 결과에는 영향 없음)
+async function recordSyncBase(documentId, operation, data, result) {
+  try {
+    if (operation === 'delete') {
+      await SyncBaseCache.remove(documentId);
+      return;
+    }
+    await SyncBaseCache.save(documentId, {
+      sha: result?.sha || result?._meta?.etag,
+      title: data.title,
+      content: data.content,
+    });
+  } catch (error) {
+    logger.warn('⚠️ 동기화 기준본 기록 실패:', error);
+  }
+}
@@ -45,6 +45,71 @@ export class MikiDatabase extends Dexie {
       rawMemosCache: '++id, &memoId, source, curationStatus, capturedAt, decidedAt'
     });
 
+    // Version 7: 엔티티 별칭 캐시 (aliases.jsonl) — Identity Reflection 병합/분리 결정
+    this.version(7).stores({
+      aliasesCache: '++id, &aliasId, alias, canonical, createdAt'
+    });
+
+    // Version 8: 원격 .jsonl 증분 동기화 커서 — { path, blobSha, commitSha, lineOffset }
+    this.version(8).stores({
+      syncCursors: '&path, updatedAt'
+    });
+
+    // Version 9: 큐레이션 세션 — 진행 중 결정(새로고침 복원) + 완료 세션 통계 (services/curationStats)
+    this.version(9).stores({
+      curationSessions: '&sessionId, status, startedAt, endedAt'
+    });
+
+    // Version 10: 큐레이션 컴파일 작업 큐 (services/compileQueue) — 배치 하나 = 작업 하나
+    // status: 'pending' | 'running' | 'done' | 'failed', stage: 'queued' | 'compiled' | 'published' | 'detected'
+    this.version(10).stores({
+      compileJobs: '++id, groupId, status, runAfter'
+    });
+
+    // Version 11: 문서별 동기화 기준본 — 마지막으로 동기화된 SHA + 내용 (sync/threeWayMerge의 base)
+    this.version(11).stores({
+      syncBases: '&documentId, sha, syncedAt'
+    });
+
+    // Version 12: 동기화 대기열 통합 (sync/SyncEngine) — syncQueue + pendingSync → syncOutbox
+    // status: 'pending' | 'done' | 'failed', runAt = 다음 시도 시각 (재시도 백오프)
+    this.version(12).stores({
+      syncOutbox: '++id, documentId, operation, status, runAt'
+    }).upgrade(async tx => {
+      const parse = data => {
+        try { return typeof data === 'string' ? JSON.parse(data) : (data || {}); } catch { return {}; }
+      };
+      const legacyQueue = await tx.table('syncQueue').where('status').equals('pending').toArray();
+      const legacyPending = await tx.table('pendingSync').where('status').equals('pending').toArray();
+      const rows = [
+        ...legacyQueue.map(item => ({
+          documentId: item.documentId,
+          operation: item.operation,
+          payload: parse(item.data),
+          queuedAt: item.createdAt || item.retryAt,
+          runAt: item.retryAt,
+          retryCount: item.retryCount || 0,
+        })),
+        ...legacyPending.map(item => ({
+          documentId: item.documentId,
+          operation: item.changeType,
+          payload: parse(item.payload),
+          queuedAt: item.queuedAt,
+          runAt: item.queuedAt,
+          retryCount: item.retryCount || 0,
+        })),
+      ];
+      if (rows.length > 0) {
+        await tx.table('syncOutbox').bulkAdd(rows.map(row => ({ ...row, status: 'pending' })));
+      }
+    });
+
+    // Version 13: 옮겨 담은 옛 대기열 삭제
+    this.version(13).stores({
+      syncQueue: null,
+      pendingSync: null
+    });
+
     // Add hooks for automatic timestamps
     this.documents.hook('creating', function (primKey, obj, trans) {
       obj.createdAt = new Date().toISOString();
@@ -204,6 +269,10 @@ export class RawMemoCache {
     }
   }
 
+  static async getByMemoId(memoId) {
+    return await db.rawMemosCache.where('memoId').equals(memoId).first();
+  }
+
   static async getStatus(memoId) {
     const record = await db.rawMemosCache.where('memoId').equals(memoId).first();
     return record?.curationStatus || null;
@@ -225,6 +294,92 @@ export class RawMemoCache {
   }
 }
 
+// 큐레이션 세션 기록 — active 세션은 최대 1개
+export class CurationSessionCache {
+  static async getActive() {
+    return await db.curationSessions.where('status').equals('active').last();
+  }
+
+  static async save(session) {
+    await db.curationSessions.put(session);
+  }
+
+  static async getAll() {
+    return await db.curationSessions.toArray();
+  }
+}
+
+// 큐레이션 컴파일 작업 큐 — 같은 확정(groupId)의 작업이 모두 끝나면 결과를 보고하고 지운다
+export class CompileJobQueue {
+  static async enqueue(jobs) {
+    const now = new Date().toISOString();
+    await db.compileJobs.bulkAdd(jobs.map(job => ({
+      status: 'pending',
+      stage: 'queued',
+      attempts: 0,
+      runAfter: now,
+      createdAt: now,
+      ...job
+    })));
+  }
+
+  /** 지금 실행할 수 있는 가장 오래된 작업 */
+  static async nextReady(now = new Date().toISOString()) {
+    const ready = await db.compileJobs
+      .where('status').equals('pending')
+      .filter(job => job.runAfter <= now)
+      .sortBy('id');
+    return ready[0] || null;
+  }
+
+  static async update(id, changes) {
+    await db.compileJobs.update(id, changes);
+  }
+
+  /** 작업 갱신 + 새 작업 등록을 한 트랜잭션으로 — 중간에 멈춰도 재시도 작업이 두 번 생기지 않는다 */
+  static async updateAndEnqueue(id, changes, jobs) {
+    await db.transaction('rw', db.compileJobs, async () => {
+      await CompileJobQueue.update(id, changes);
+      if (jobs.length) await CompileJobQueue.enqueue(jobs);
+    });
+  }
+
+  static async getAll() {
+    return await db.compileJobs.toArray();
+  }
+
+  /** 앱이 작업 도중 닫혔다면 running으로 남는다 — 시작 시 다시 대기열로 */
+  static async resetRunning() {
+    await db.compileJobs.where('status').equals('running').modify({ status: 'pending' });
+  }
+
+  static async removeGroup(groupId) {
+    await db.compileJobs.where('groupId').equals(groupId).delete();
+  }
+}
+
+// 문서별 마지막 동기화 기준본 — { documentId, sha, title, content, syncedAt }
+// 원격 SHA가 기준본과 다르면 다른 기기가 고친 것 → 기준본을 base로 3-way 병합
+export class SyncBaseCache {
+  static async get(documentId) {
+    return await db.syncBases.get(documentId);
+  }
+
+  static async save(documentId, { sha, title, content }) {
+    await db.syncBases.put({
+      documentId,
+      sha: sha || null,
+      title: title || '',
+      content: content || '',
+      syncedAt: new Date().toISOString()
+    });
+  }
+
+  static async remove(documentId) {
+    await db.syncBases.delete(documentId);
+  }
+}
+
 // Migration utilities
 export class DatabaseMigration {
   static async migrateFromLocalStorage() {
@@ -317,168 +472,126 @@ export class DatabaseMigration {
   }
 }
 
-// Sync queue management
-export class SyncQueue {
-  static async enqueue(documentId, operation, data = {}) {
-    try {
-      await db.syncQueue.add({
-        documentId,
-        operation, // 'create', 'update', 'delete'
-        status: 'pending',
-        retryAt: new Date().toISOString(),
-        retryCount: 0,
-        data: JSON.stringify(data),
-        createdAt: new Date().toISOString()
-      });
-
-      logger.info(`📤 동기화 큐에 추가: ${operation} - ${documentId}`);
-    } catch (error) {
-      logger.error('❌ 동기화 큐 추가 실패:', error);
-    }
-  }
-
-  static async getPendingItems() {
-    return await db.syncQueue
-      .where('status')
-      .equals('pending')
-      .and(item => new Date(item.retryAt) <= new Date())
-      .toArray();
-  }
-
-  static async markAsCompleted(queueId) {
-    await db.syncQueue.update(queueId, {
-      status: 'completed',
-      completedAt: new Date().toISOString()
-    });
-  }
-
-  static async markAsFailed(queueId, error) {
-    const item = await db.syncQueue.get(queueId);
-    const retryCount = (item?.retryCount || 0) + 1;
-    const maxRetries = 5;
-
-    if (retryCount >= maxRetries) {
-      await db.syncQueue.update(queueId, {
-        status: 'failed',
-        retryCount,
-        lastError: error,
-        failedAt: new Date().toISOString()
-      });
-    } else {
-      // Exponential backoff: 2^retryCount minutes
-      const retryDelay = Math.pow(2, retryCount) * 60 * 1000;
-      const retryAt = new Date(Date.now() + retryDelay).toISOString();
-
-      await db.syncQueue.update(queueId, {
-        status: 'pending',
-        retryCount,
-        retryAt,
-        lastError: error
-      });
-    }
-  }
-
-  static async cleanup() {
-    // Remove completed items older than 7 days
-    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
-
-    await db.syncQueue
-      .where('status')
-      .equals('completed')
-      .and(item => item.completedAt < weekAgo)
-      .delete();
-  }
-}
+// 동기화 대기열 (syncOutbox, version 12+) — sync/SyncEngine이 transport로 밀어낸다
+// 오프라인/실패한 create/update/delete 변경을 쌓아 두고, 실패하면 runAt을 미뤄 재시도한다.
+const outboxListeners = new Set();
+const notifyOutbox = () => outboxListeners.forEach(listener => listener());
+const OUTBOX_MAX_RETRIES = 5;
 
-// Offline-first pending sync queue (pendingSync table, version 3+)
-// Tracks create/update/delete changes that occurred while offline.
-export class PendingSync {
+export class SyncOutbox {
   /**
-   * Enqueue an offline change.
-   * @param {string} documentId - doc identifier (docId)
-   * @param {'create'|'update'|'delete'} changeType
-   * @param {object} payload - snapshot of the document at change time
+   * 변경 하나를 대기열에 넣는다
+   * @param {string} documentId
+   * @param {'create'|'update'|'delete'} operation
+   * @param {object} payload - 변경 시점의 문서 스냅샷
    */
-  static async enqueue(documentId, changeType, payload = {}) {
+  static async enqueue(documentId, operation, payload = {}) {
+    const now = new Date().toISOString();
     try {
-      await db.pendingSync.add({
+      const id = await db.syncOutbox.add({
         documentId,
-        changeType,
+        operation,
         status: 'pending',
-        queuedAt: new Date().toISOString(),
-        retryCount: 0,
-        payload: JSON.stringify(payload)
+        payload,
+        queuedAt: now,
+        runAt: now,
+        retryCount: 0
       });
-      logger.info(`📥 [PendingSync] enqueued ${changeType} for ${documentId}`);
+      logger.info(`📥 [SyncOutbox] ${operation} 대기: ${documentId}`);
+      notifyOutbox();
+      return id;
     } catch (error) {
-      logger.error('❌ [PendingSync] enqueue failed:', error);
+      logger.error('❌ [SyncOutbox] 대기열 추가 실패:', error);
       throw error;
     }
   }
 
-  /** Return all pending items ordered by queuedAt (oldest first). */
+  /** 대기 중인 항목 전부 (오래된 순) */
   static async getPending() {
-    return await db.pendingSync
+    return await db.syncOutbox
       .where('status')
       .equals('pending')
       .sortBy('queuedAt');
   }
 
-  /** Mark an item as successfully synced. */
+  /** 지금 시도할 차례인 항목 (runAt이 지난 것, 오래된 순) */
+  static async getDue(now = new Date().toISOString()) {
+    const items = await this.getPending();
+    return items.filter(item => (item.runAt || '') <= now);
+  }
+
   static async markDone(id) {
-    await db.pendingSync.update(id, {
+    await db.syncOutbox.update(id, {
       status: 'done',
       doneAt: new Date().toISOString()
     });
+    notifyOutbox();
   }
 
   /**
-   * Mark an item as failed and apply exponential backoff retry logic.
-   * After 5 failures the item is permanently marked 'failed'.
+   * 실패 기록 — 2^n분 뒤로 미루고, OUTBOX_MAX_RETRIES번 실패하거나 permanent면 'failed'로 끝낸다
+   * @param {number} id
+   * @param {string} errorMsg
+   * @param {{ permanent?: boolean }} [options] - 다시 보내도 소용없는 오류 (4xx)
    */
-  static async markFailed(id, errorMsg) {
-    const item = await db.pendingSync.get(id);
+  static async markFailed(id, errorMsg, { permanent = false } = {}) {
+    const item = await db.syncOutbox.get(id);
     if (!item) return;
     const retryCount = (item.retryCount || 0) + 1;
-    const maxRetries = 5;
 
-    if (retryCount >= maxRetries) {
-      await db.pendingSync.update(id, {
+    if (permanent || retryCount >= OUTBOX_MAX_RETRIES) {
+      await db.syncOutbox.update(id, {
         status: 'failed',
         retryCount,
         lastError: String(errorMsg),
         failedAt: new Date().toISOString()
       });
     } else {
-      const delayMs = Math.pow(2, retryCount) * 60 * 1000; // 2^n minutes
-      await db.pendingSync.update(id, {
+      const delayMs = Math.pow(2, retryCount) * 60 * 1000;
+      await db.syncOutbox.update(id, {
         status: 'pending',
         retryCount,
         lastError: String(errorMsg),
-        queuedAt: new Date(Date.now() + delayMs).toISOString()
+        runAt: new Date(Date.now() + delayMs).toISOString()
       });
     }
+    notifyOutbox();
   }
 
-  /** Remove a specific item from the queue. */
-  static async remove(id) {
-    await db.pendingSync.delete(id);
+  /** 문서의 대기 항목 전부 제거 (예: 원격에서 삭제된 문서) */
+  static async removeByDocumentId(documentId) {
+    await db.syncOutbox.where('documentId').equals(documentId).delete();
+    notifyOutbox();
   }
 
-  /** Remove all items for a given documentId (e.g. after the doc is deleted remotely). */
-  static async removeByDocumentId(documentId) {
-    await db.pendingSync.where('documentId').equals(documentId).delete();
+  /** @returns {Promise<{ pending: number, failed: number }>} */
+  static async counts() {
+    const [pending, failed] = await Promise.all([
+      db.syncOutbox.where('status').equals('pending').count(),
+      db.syncOutbox.where('status').equals('failed').count()
+    ]);
+    return { pending, failed };
   }
 
-  /** Delete done/failed items older than 7 days. */
+  /** 7일 지난 done/failed 항목 삭제 */
   static async cleanup() {
     const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
-    await db.pendingSync
+    await db.syncOutbox
       .where('status')
       .anyOf(['done', 'failed'])
       .and(item => (item.doneAt || item.failedAt || '') < weekAgo)
       .delete();
   }
+
+  /**
+   * 대기열이 바뀔 때마다 호출 (SyncEngine이 바로 밀어내고 상태를 다시 센다)
+   * @param {() => void} listener
+   * @returns {() => void} 구독 해제
+   */
+  static subscribe(listener) {
+    outboxListeners.add(listener);
+    return () => outboxListeners.delete(listener);
+  }
 }
 
 // Database utilities
@@ -486,13 +599,13 @@ export class DatabaseUtils {
   static async exportData() {
     try {
       const documents = await db.documents.toArray();
-      const syncQueue = await db.syncQueue.toArray();
+      const syncOutbox = await db.syncOutbox.toArray();
 
       const exportData = {
-        version: 1,
+        version: 2,
         exportedAt: new Date().toISOString(),
         documents,
-        syncQueue
+        syncOutbox
       };
 
       return JSON.stringify(exportData, null, 2);
@@ -506,23 +619,33 @@ export class DatabaseUtils {
     try {
       const data = JSON.parse(jsonData);
 
-      if (data.version !== 1) {
+      if (data.version !== 1 && data.version !== 2) {
         throw new Error('지원하지 않는 데이터 버전입니다.');
       }
 
-      await db.transaction('rw', [db.documents, db.syncQueue], async () => {
+      // version 1 내보내기는 옛 syncQueue 항목을 담고 있다
+      const outbox = data.version === 2
+        ? (data.syncOutbox || [])
+        : (data.syncQueue || []).map(({ queueId, data: payload, retryAt, createdAt, ...item }) => ({
+          ...item,
+          payload: typeof payload === 'string' ? JSON.parse(payload) : (payload || {}),
+          queuedAt: createdAt || retryAt,
+          runAt: retryAt
+        }));
+
+      await db.transaction('rw', [db.documents, db.syncOutbox], async () => {
         // Clear existing data
         await db.documents.clear();
-        await db.syncQueue.clear();
+        await db.syncOutbox.clear();
 
         // Import documents
         if (data.documents?.length > 0) {
           await db.documents.bulkAdd(data.documents);
         }
 
-        // Import sync queue
-        if (data.syncQueue?.length > 0) {
-          await db.syncQueue.bulkAdd(data.syncQueue);
+        // Import sync outbox
+        if (outbox.length > 0) {
+          await db.syncOutbox.bulkAdd(outbox);
         }
       });
 
@@ -538,7 +661,7 @@ export class DatabaseUtils {
   static async getStorageInfo() {
     try {
       const docCount = await db.documents.count();
-      const queueCount = await db.syncQueue.count();
+      const queueCount = await db.syncOutbox.count();
 
       // Estimate storage usage (rough calculation)
       const docs = await db.documents.toArray();
@@ -587,8 +710,8 @@ export const initializeDatabase = async () => {
       }
     }
 
-    // Cleanup old sync queue items
-    await SyncQueue.cleanup();
+    // Cleanup old sync outbox items
+    await SyncOutbox.cleanup();
 
     return { success: true };
 
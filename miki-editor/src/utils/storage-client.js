@@ -13,6 +13,8 @@ import {
 } from './slugify';
 import { useVaultStore } from '../stores/useVaultStore';
 import { VaultService } from './vault';
+import { defaultConflictResolver } from '../sync/conflict';
+import { getSyncEngine } from '../sync/SyncEngine';
 
 // WS 인증 에러 또는 로그아웃 시 github 인스턴스 캐시 리셋
 if (typeof window !== 'undefined') {
@@ -58,6 +60,20 @@ class WsGitHubProxy {
   async deleteFile(repoName, path, message, sha) {
     return getWsClient().request('github.deleteFile', { repoName, path, message, sha });
   }
+
+  async listFileCommits(repoName, path, { perPage = 30 } = {}) {
+    return getWsClient().request('github.listCommits', { repoName, path, perPage });
+  }
+
+  async getFileAtCommit(repoName, path, ref) {
+    try {
+      const data = await getWsClient().request('github.getFile', { repoName, path, ref });
+      return data.content;
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') return null;
+      throw error;
+    }
+  }
 }
 
 // 헬퍼: GitHubService 인스턴스 생성 (캐싱 적용)
@@ -122,6 +138,16 @@ async function decryptContentIfNeeded(content) {
   return content;
 }
 
+// 병합·이력용 복호화 — 안내 문구로 대체하지 않고 실패를 그대로 던진다 (안내 문구가 병합/복원되면 안 됨)
+async function decryptForMerge(content) {
+  if (typeof content !== 'string' || !content.startsWith('MEKI_E2EE:')) return content;
+  const vaultState = useVaultStore.getState();
+  if (!vaultState.isVaultReady || !vaultState.cryptoKey) {
+    throw new Error('Vault가 잠겨 있어 원격 문서를 읽을 수 없습니다');
+  }
+  return await VaultService.decrypt(content.substring(10), vaultState.cryptoKey);
+}
+
 // 🛠 유틸리티: 문서별 독립 디바운스 관리자
 class DebounceMap {
   constructor() {
@@ -210,7 +236,24 @@ if (typeof window !== 'undefined') {
 // 🔒 Rename Lock (Race Condition 방지)
 const renameInProgress = new Set();
 
-import { dbHelpers, db, PendingSync } from './database';
+import { dbHelpers, db, SyncBaseCache } from './database';
+
+// 동기화 기준본 기록 — 실패해도 저장 / 조회는 계속 (다음 저장은 기존처럼 덮어쓰기)
+async function recordSyncBase(docId, { sha, title, content }) {
+  try {
+    await SyncBaseCache.save(docId, { sha, title, content });
+  } catch (e) {
+    console.warn(`⚠️ [SyncBase] 기준본 기록 실패: ${docId}`, e);
+  }
+}
+
+// 저장 중 병합됨 → 보고 있는 에디터가 반영 (savedContent: 저장을 시작할 때의 본문, conflicts: 남은 충돌 마커 수)
+function notifyMerged(docId, savedContent, content, title, conflicts) {
+  if (typeof window === 'undefined') return;
+  window.dispatchEvent(new CustomEvent('meki:document-merged', {
+    detail: { docId, savedContent, content, title, conflicts }
+  }));
+}
 
 export const storage = {
   // ... getPostList, getPost 등 기존 코드 ...
@@ -506,6 +549,8 @@ export const storage = {
 
       // 결과를 인메모리 캐시에 저장 (prefetchPost 결과 재사용용)
       postContentCache.set(id, { data: result, timestamp: Date.now() });
+      // 로컬 사본이 없던 문서 — 방금 받은 원격 버전이 기준본
+      await recordSyncBase(result.id, { sha: file.sha, title: result.title, content: body });
       return result;
     } catch (error) {
       if (error.status === 404) {
@@ -603,12 +648,12 @@ export const storage = {
         console.log(`✅ [GitHub] 백그라운드 저장 완료: ${docToSave.title}`);
       } catch (error) {
         console.error(`❌ [GitHub] 백그라운드 저장 실패: ${docToSave.title}`, error);
-        // 오프라인/네트워크 오류 → pendingSync 큐에 등록하여 재연결 시 배치 동기화
+        // 오프라인/네트워크 오류 → SyncEngine 대기열에 등록 (온라인이면 바로 flush, 아니면 재연결 시)
         try {
-          await PendingSync.enqueue(docToSave.id, 'update', docToSave);
-          console.log(`📥 [pendingSync] 재시도 큐 등록: ${docToSave.id}`);
+          await getSyncEngine().enqueue(docToSave.id, 'update', docToSave);
+          console.log(`📥 [syncOutbox] 재시도 큐 등록: ${docToSave.id}`);
         } catch (queueErr) {
-          console.error('❌ [pendingSync] 큐 등록 실패:', queueErr);
+          console.error('❌ [syncOutbox] 큐 등록 실패:', queueErr);
         }
         // failed sync.notify — Device B가 optimistic 업데이트를 롤백할 수 있도록
         if (import.meta.env.VITE_USE_WS_PROXY === 'true') {
@@ -653,6 +698,9 @@ export const storage = {
     const postList = await this.getPostList();
     const existingPost = postList.find(p => p.id === docId);
 
+    // ✅ 2.5. 마지막 동기화 이후 다른 기기가 고쳤으면 기준본으로 3-way 병합
+    post = await this._mergeRemoteChanges(github, post, existingPost);
+
     // ✅ 3. 파일명 결정 (새 패턴: YYYYMMDD-slug-uuid8)
     const createdAt = existingPost?.createdAt || post.createdAt || new Date().toISOString();
     const newFilename = generateFilename(createdAt, title, docId);
@@ -745,6 +793,9 @@ export const storage = {
       renameInProgress.delete(docId); // Lock 해제 (Rename 아닌 경우)
     }
 
+    // ✅ 8. 방금 올린 내용이 다음 병합의 기준본
+    await recordSyncBase(docId, { sha: newSha, title, content: body });
+
     // committed sync.notify — GitHub write 성공 후 SHA/filename 포함 브로드캐스트
     if (import.meta.env.VITE_USE_WS_PROXY === 'true') {
       try {
@@ -772,6 +823,104 @@ export const storage = {
     };
   },
 
+  /**
+   * 원격 SHA가 기준본과 다르면(다른 기기가 저장함) 기준본 · 로컬 · 원격을 3-way 병합한다.
+   * 겹친 구간은 충돌 마커를 남긴 채 저장하고(어느 쪽도 버리지 않음) 충돌 패널은 저장과 따로 띄운다 —
+   * 사용자가 고르면 그 내용으로 다시 저장한다. 원격을 읽을 수 없으면(잠긴 Vault 등) 병합 없이 진행.
+   * 병합 결과는 로컬 DB에 반영하고 meki:document-merged로 에디터에 알린다.
+   */
+  async _mergeRemoteChanges(github, post, existingPost) {
+    if (!existingPost?.sha || !existingPost.filename) return post;
+
+    try {
+      const base = await SyncBaseCache.get(post.id);
+      if (!base?.sha || base.sha === existingPost.sha) return post;
+
+      const file = await github.getFile('miki-data', `miki-editor/posts/${existingPost.filename}.md`);
+      const remote = parseFrontMatter(await decryptForMerge(decodeContent(file.content)));
+      const { data: localFrontMatter, content: localBody } = parseFrontMatter(post.content || '');
+
+      console.log(`🔀 [SAVE] 원격 변경 감지 (${base.sha.substring(0, 7)} → ${existingPost.sha.substring(0, 7)}), 3-way 병합`);
+      const local = { title: post.title, content: localBody, updatedAt: post.updatedAt };
+      const server = { title: remote.data.title, content: remote.content, updatedAt: remote.data.updatedAt };
+      const merge = defaultConflictResolver.threeWayMerge(base, local, server);
+
+      const mergedBody = merge.data.content;
+      const mergedTitle = merge.data.title || post.title;
+      if (mergedBody === localBody && mergedTitle === post.title) return post;
+
+      const frontMatterBlock = Object.keys(localFrontMatter).length ? stringifyFrontMatter(localFrontMatter) : '';
+      const merged = { ...post, title: mergedTitle, content: frontMatterBlock + mergedBody };
+      await dbHelpers.saveLocal(merged);
+      postContentCache.delete(post.id);
+      notifyMerged(post.id, localBody, mergedBody, merged.title, merge.conflicts);
+
+      if (!merge.clean) {
+        console.warn(`⚠️ [SAVE] 겹친 변경 ${merge.conflicts}곳 — 충돌 마커로 저장하고 충돌 패널에 올림: ${post.id}`);
+        this._resolveConflictLater(merged, frontMatterBlock, { local, server, merge });
+      }
+      return merged;
+    } catch (e) {
+      console.warn(`⚠️ [SAVE] 원격 병합 실패 — 로컬 버전으로 저장: ${post.id}`, e);
+      return post;
+    }
+  },
+
+  /**
+   * 충돌 패널 결정을 저장과 따로 기다린다 — 고르면 그 내용으로 다시 저장,
+   * 시간 초과나 패널이 없으면 충돌 마커가 든 병합본을 그대로 둔다 (에디터에서 정리)
+   */
+  _resolveConflictLater(merged, frontMatterBlock, { local, server, merge }) {
+    defaultConflictResolver.promptUserResolution({ documentId: merged.id, local, server, merge })
+      .then(async resolution => {
+        if (!resolution) return;
+        const { title, content } = resolution.data;
+        notifyMerged(merged.id, merge.data.content, content, title || merged.title, 0);
+        await this.savePost({ ...merged, title: title || merged.title, content: frontMatterBlock + content });
+      })
+      .catch(e => console.error(`❌ [SAVE] 충돌 해결 저장 실패: ${merged.id}`, e));
+  },
+
+  /**
+   * 문서 변경 이력 — miki-data의 miki-editor/posts/<filename>.md를 건드린 커밋 (최신순)
+   * 파일명은 제목을 따라 바뀌므로 지금 파일명 이전의 커밋은 나오지 않는다.
+   * @returns {Promise<{ filename: string, commits: Array<{ sha, message, date, author }> }>}
+   */
+  async getPostHistory(id, { limit = 30 } = {}) {
+    const github = await getGithub();
+    const localDoc = await db.documents.where('docId').equals(id).first();
+    let filename = localDoc?.filename;
+    if (!filename) {
+      const post = (await this.getPostList()).find(p => p.id === id);
+      filename = post?.filename;
+    }
+    if (!filename) return { filename: null, commits: [] };
+
+    const commits = await github.listFileCommits('miki-data', `miki-editor/posts/${filename}.md`, { perPage: limit });
+    return { filename, commits };
+  },
+
+  /**
+   * 커밋 시점의 문서 — E2EE 문서는 지금 Vault 키로 복호화 (잠겨 있거나 키가 다르면 오류)
+   * @returns {Promise<{ sha: string, title: string, content: string, frontMatter: object, encrypted: boolean }|null>}
+   *   그 커밋에 파일이 없으면 null
+   */
+  async getPostRevision(filename, commitSha) {
+    const github = await getGithub();
+    const raw = await github.getFileAtCommit('miki-data', `miki-editor/posts/${filename}.md`, commitSha);
+    if (raw === null) return null;
+
+    const encrypted = raw.startsWith('MEKI_E2EE:');
+    const { data: frontMatter, content: body } = parseFrontMatter(await decryptForMerge(raw));
+    return {
+      sha: commitSha,
+      title: frontMatter.title || extractTitle(body) || filename,
+      content: body,
+      frontMatter,
+      encrypted
+    };
+  },
+
   async updatePost(id, post) {
     // updatePost는 savePost로 위임 (docId 덕분에 통합 가능)
     return this.savePost({ ...post, id });
@@ -0,0 +1,129 @@
+/**
+ * aliasResolver — aliases.jsonl → 엔티티 이름 정규화 (별칭 → 대표 이름)
+ *
+ * Identity Reflection 카드(buildIdentityReflection)의 결정을 실제 그래프에 적용한다.
+ *
+ * aliases.jsonl 한 라인:
+ * {
+ *   id: string,
+ *   alias: string,            // 통합되는 이름 (예: "김 팀장")
+ *   canonical: string,        // 대표 이름 (예: "김철수")
+ *   mode: "full" | "register" | "split",
+ *   context: string | null,   // register 모드의 맥락 태그 (기본값: alias 자체)
+ *   source_reflection_id: string | null,
+ *   created_at: string,
+ * }
+ *
+ * - full:     alias의 모든 트리플을 canonical로 완전 병합
+ * - register: canonical로 병합하되 트리플에 register(맥락) 태그를 남김
+ *             → buildEntityPage가 "맥락: {context}" 섹션으로 분리 표시
+ * - split:    두 이름은 다른 인물 — 이전 병합을 취소하고 분리 유지
+ *
+ * 정규화된 트리플은 원래 이름을 original_subject / original_object에 보존한다.
+ * 별칭 테이블이 바뀌면 원래 이름에서 다시 계산하므로 split으로 되돌릴 수 있다.
+ */
+
+const MAX_CHAIN = 10;
+
+/**
+ * 별칭 라인 배열 → 조회 테이블 (뒤에 오는 라인이 우선)
+ *
+ * @param {Array} entries - aliases.jsonl 전체
+ * @returns {Object<string, { canonical: string, mode: string, context: string|null }>}
+ */
+export function buildAliasTable(entries = []) {
+    const table = {};
+    const sorted = [...entries].sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+
+    for (const entry of sorted) {
+        const key = normalize(entry.alias);
+        if (!key) continue;
+
+        if (entry.mode === 'split') {
+            if (normalize(table[key]?.canonical) === normalize(entry.canonical)) delete table[key];
+            const reverse = normalize(entry.canonical);
+            if (normalize(table[reverse]?.canonical) === key) delete table[reverse];
+            continue;
+        }
+
+        if (key === normalize(entry.canonical)) continue;
+        table[key] = {
+            canonical: entry.canonical,
+            mode: entry.mode === 'register' ? 'register' : 'full',
+            context: entry.mode === 'register' ? (entry.context || entry.alias) : null,
+        };
+    }
+
+    return table;
+}
+
+/**
+ * 이름 → 대표 이름 (연쇄 별칭 추적)
+ *
+ * @param {string} name
+ * @param {Object} table - buildAliasTable() 결과
+ * @returns {{ name: string, register: string|null }}
+ */
+export function resolveAlias(name, table) {
+    let current = name;
+    let register = null;
+
+    for (let i = 0; i < MAX_CHAIN; i++) {
+        const hit = table[normalize(current)];
+        if (!hit) break;
+        // 첫 register 태그만 유지 — 사용자가 처음 본 맥락이 가장 구체적이다
+        if (hit.mode === 'register' && register === null) register = hit.context;
+        current = hit.canonical;
+    }
+
+    return { name: current, register };
+}
+
+/**
+ * 트리플의 subject/object를 대표 이름으로 정규화
+ *
+ * @param {object} triple
+ * @param {Object} table
+ * @returns {object} 정규화된 트리플 (별칭이 없으면 원본과 동일한 값)
+ */
+export function canonicalizeTriple(triple, table) {
+    const originalSubject = triple.original_subject ?? triple.subject;
+    const originalObject = triple.original_object ?? triple.object;
+    const subject = resolveAlias(originalSubject, table);
+    const object = resolveAlias(originalObject, table);
+
+    const result = { ...triple, subject: subject.name, object: object.name };
+    delete result.original_subject;
+    delete result.original_object;
+    delete result.register;
+
+    if (subject.name !== originalSubject) result.original_subject = originalSubject;
+    if (object.name !== originalObject) result.original_object = originalObject;
+    if (subject.register) result.register = subject.register;
+
+    return result;
+}
+
+/**
+ * aliases.jsonl에 append할 라인 생성
+ *
+ * @param {{ alias: string, canonical: string, mode: 'full'|'register'|'split', context?: string, sourceReflectionId?: string }} params
+ * @returns {object}
+ */
+export function createAliasEntry({ alias, canonical, mode, context = null, sourceReflectionId = null }) {
+    return {
+        id: `al-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+        alias,
+        canonical,
+        mode,
+        context: mode === 'register' ? (context || alias) : null,
+        source_reflection_id: sourceReflectionId,
+        created_at: new Date().toISOString(),
+    };
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function normalize(str) {
+    return String(str || '').toLowerCase().trim();
+}
@@ -0,0 +1,86 @@
+import { useState, useEffect } from 'react';
+import { useWikiStore } from '../../stores/wikiStore';
+
+const TIER_ICON = { Grounded: '🔵', Bridged: '🟡', Speculative: '⚪' };
+
+/**
+ * EntityDiffPanel — 두 시점 사이 엔티티 페이지 변화 (인라인 패널)
+ * Props:
+ *   entityName  string
+ */
+export function EntityDiffPanel({ entityName }) {
+    const diffEntityBetween = useWikiStore(s => s.diffEntityBetween);
+
+    const [from, setFrom] = useState(() => monthsAgo(1));
+    const [to, setTo] = useState(() => new Date().toISOString().slice(0, 10));
+    const [diff, setDiff] = useState(null);
+
+    useEffect(() => {
+        if (!from || !to) return;
+        let cancelled = false;
+        diffEntityBetween(entityName, from, to).then(result => {
+            if (!cancelled) setDiff(result);
+        });
+        return () => { cancelled = true; };
+    }, [entityName, from, to, diffEntityBetween]);
+
+    const empty = diff && !diff.added.length && !diff.removed.length && !diff.tierChanged.length;
+
+    return (
+        <div className="px-4 py-3 border-b border-gray-200 bg-gray-50 text-sm flex flex-col gap-2 max-h-64 overflow-y-auto">
+            <div className="flex items-center gap-2 text-xs text-gray-500">
+                <input
+                    type="date"
+                    value={from}
+                    onChange={e => setFrom(e.target.value)}
+                    className="px-2 py-1 border border-gray-200 rounded-md bg-white"
+                />
+                <span>→</span>
+                <input
+                    type="date"
+                    value={to}
+                    onChange={e => setTo(e.target.value)}
+                    className="px-2 py-1 border border-gray-200 rounded-md bg-white"
+                />
+            </div>
+
+            {empty && <p className="text-xs text-gray-400">이 기간에 바뀐 내용이 없습니다.</p>}
+
+            {diff && (
+                <ul className="flex flex-col gap-1">
+                    {diff.added.map(t => (
+                        <DiffLine key={`a-${t.predicate}-${t.object}`} sign="+" className="text-green-700 bg-green-50">
+                            <strong>{t.predicate}</strong>: {t.object} {TIER_ICON[t.evidence_tier] || '⚪'}
+                        </DiffLine>
+                    ))}
+                    {diff.removed.map(t => (
+                        <DiffLine key={`r-${t.predicate}-${t.object}`} sign="−" className="text-red-700 bg-red-50 line-through">
+                            <strong>{t.predicate}</strong>: {t.object} {TIER_ICON[t.evidence_tier] || '⚪'}
+                        </DiffLine>
+                    ))}
+                    {diff.tierChanged.map(({ before, after }) => (
+                        <DiffLine key={`t-${after.predicate}-${after.object}`} sign="~" className="text-amber-800 bg-amber-50">
+                            <strong>{after.predicate}</strong>: {after.object}{' '}
+                            {TIER_ICON[before.evidence_tier] || '⚪'} → {TIER_ICON[after.evidence_tier] || '⚪'}
+                        </DiffLine>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+function DiffLine({ sign, className, children }) {
+    return (
+        <li className={`px-2 py-1 rounded flex gap-2 ${className}`}>
+            <span className="font-mono w-3 shrink-0">{sign}</span>
+            <span>{children}</span>
+        </li>
+    );
+}
+
+function monthsAgo(n) {
+    const d = new Date();
+    d.setMonth(d.getMonth() - n);
+    return d.toISOString().slice(0, 10);
+}
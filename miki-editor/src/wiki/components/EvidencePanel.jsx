@@ -0,0 +1,32 @@
+import { useWikiStore } from '../../stores/wikiStore';
+import { EvidenceHighlight } from '../../components/EvidenceHighlight';
+
+const TIER_ICON = { Grounded: '🔵', Bridged: '🟡', Speculative: '⚪' };
+
+/**
+ * EvidencePanel — 엔티티 트리플별 근거 구절 (인라인 패널)
+ * Props:
+ *   entityName  string
+ */
+export function EvidencePanel({ entityName }) {
+    const triples = useWikiStore(s => s.entityIndex[entityName.toLowerCase().trim()] || EMPTY);
+    const withEvidence = triples.filter(t => t.evidence_snippet);
+
+    return (
+        <div className="px-4 py-3 border-b border-gray-200 bg-gray-50 text-sm flex flex-col gap-3 max-h-72 overflow-y-auto">
+            {withEvidence.length === 0 && (
+                <p className="text-xs text-gray-400">근거 구절이 기록된 트리플이 없습니다.</p>
+            )}
+            {withEvidence.map(t => (
+                <div key={t.id || `${t.predicate}-${t.object}`} className="flex flex-col gap-1">
+                    <p className="text-xs text-gray-800">
+                        <strong>{t.predicate}</strong>: {t.object} {TIER_ICON[t.evidence_tier] || '⚪'}
+                    </p>
+                    <EvidenceHighlight memoId={t.source_memo_id} span={t.evidence_span} snippet={t.evidence_snippet} />
+                </div>
+            ))}
+        </div>
+    );
+}
+
+const EMPTY = [];
@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import { db } from '../../utils/database';
+import { useWikiStore } from '../../stores/wikiStore';
+import { buildRelationTimeline } from '../relationTimeline';
+
+const TIER_ICON = { Grounded: '🔵', Bridged: '🟡', Speculative: '⚪' };
+const CARD_STATUS = { pending: '대기', shown: '표시됨', accepted: '수락', rejected: '거절', modified: '수정' };
+const CARD_TYPE = { relation: '관계 제안', identity: '동일성 질문', tension: '충돌 질문', reaffirm: '재확인' };
+const INTERVENTION_TYPE = { accept: '수락', reject: '거절', modify: '수정', edit: '직접 편집', merge: '병합', split: '분리' };
+
+/**
+ * RelationTimelinePanel — 한 쌍(subject–object)의 교정 타임라인 (인라인 패널)
+ * WikiPage의 트리플 줄에서 열리며, 그 쌍의 트리플 / Reflection 카드 / 결정을 시간순으로 펼친다.
+ * Props:
+ *   subject  string
+ *   object   string
+ */
+export function RelationTimelinePanel({ subject, object }) {
+    const aliasTable = useWikiStore(s => s.aliasTable);
+    const [events, setEvents] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setEvents(null);
+        setError(null);
+        Promise.all([
+            db.graphCache.toArray(),
+            db.reflectionsQueue.toArray(),
+            db.interventionsCache.toArray(),
+        ]).then(([triples, cards, interventions]) => {
+            if (!cancelled) setEvents(buildRelationTimeline(subject, object, { triples, cards, interventions, aliasTable }));
+        }).catch(err => {
+            if (!cancelled) setError(err.message);
+        });
+        return () => { cancelled = true; };
+    }, [subject, object, aliasTable]);
+
+    if (error) return <p className="text-xs text-red-600 pl-2">타임라인을 불러오지 못했습니다: {error}</p>;
+    if (!events) return <p className="text-xs text-gray-400 pl-2">불러오는 중…</p>;
+    if (!events.length) return <p className="text-xs text-gray-400 pl-2">기록이 없습니다.</p>;
+
+    return (
+        <ol className="ml-2 border-l border-gray-300 flex flex-col gap-2 py-1">
+            {events.map((event, i) => (
+                <li key={`${event.kind}-${event.item.id || i}`} className="relative pl-3">
+                    <span className={`absolute -left-[5px] top-1 w-2 h-2 rounded-full ${event.override ? 'bg-red-500' : event.byUser ? 'bg-blue-500' : 'bg-gray-400'}`} />
+                    <p className="text-[10px] text-gray-400">
+                        {event.at ? event.at.slice(0, 10) : '날짜 없음'}
+                        {event.override && <span className="ml-1 text-red-500 font-medium">내가 바로잡음</span>}
+                    </p>
+                    <EventBody event={event} />
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+function EventBody({ event }) {
+    const { kind, item } = event;
+
+    if (kind === 'triple') {
+        return (
+            <p className="text-xs text-gray-800">
+                {event.byUser ? '위키에 직접 기록' : 'AI 추출'} · {item.subject} <strong>{item.predicate}</strong> {item.object}{' '}
+                {TIER_ICON[item.evidence_tier] || '⚪'}
+            </p>
+        );
+    }
+
+    if (kind === 'card') {
+        const p = item.proposed_update;
+        return (
+            <p className="text-xs text-gray-800">
+                {CARD_TYPE[item.type] || item.type} · {p.subject} <strong>{p.predicate}</strong> {p.object}
+                <span className="text-gray-400 ml-1">({CARD_STATUS[item.status] || item.status})</span>
+            </p>
+        );
+    }
+
+    return (
+        <p className="text-xs text-gray-800">
+            {INTERVENTION_TYPE[item.type] || item.type} · {item.subject} <strong>{item.predicate}</strong> {item.object}
+            {item.user_note && <span className="text-gray-500 ml-1">— {item.user_note}</span>}
+        </p>
+    );
+}
+
@@ -1,10 +1,13 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { Editor } from '@toast-ui/react-editor';
+import { Editor, Viewer } from '@toast-ui/react-editor';
 import '@toast-ui/editor/dist/toastui-editor.css';
 import { useWikiStore } from '../../stores/wikiStore';
 import { useInterventionStore } from '../../stores/interventionStore';
 import { createIntervention } from '../../services/interventionResolver';
-import { diffMarkdown } from '../markdownDiffer';
+import { diffMarkdown, tripleKey } from '../markdownDiffer';
+import { EntityDiffPanel } from './EntityDiffPanel';
+import { EvidencePanel } from './EvidencePanel';
+import { RelationTimelinePanel } from './RelationTimelinePanel';
 
 /**
  * WikiPage — 엔티티 위키 페이지 슬라이드-인 패널
@@ -12,26 +15,47 @@ import { diffMarkdown } from '../markdownDiffer';
  *   entityName  string   표시할 엔티티 이름
  *   onClose     () => void
  *   onSave      (added, removed) => void   트리플 변경 콜백 (선택)
+ *   onNavigate  (entityName) => void       참조됨 섹션 링크 클릭 시 (선택)
  */
-export function WikiPage({ entityName, onClose, onSave }) {
+export function WikiPage({ entityName, onClose, onSave, onNavigate }) {
     const getEntityPage = useWikiStore(s => s.getEntityPage);
     const appendTriples = useWikiStore(s => s.appendTriples);
     const removeTriples = useWikiStore(s => s.removeTriples);
+    const snapshot = useWikiStore(s => s.snapshot);
+    const getEntityPageAsOf = useWikiStore(s => s.getEntityPageAsOf);
 
     const [originalMarkdown, setOriginalMarkdown] = useState('');
     const [isDirty, setIsDirty] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
+    const [showEvidence, setShowEvidence] = useState(false);
+    const [showTimeline, setShowTimeline] = useState(false);
     const editorRef = useRef(null);
 
     useEffect(() => {
         const md = getEntityPage(entityName);
+        // 패널을 연 채로 다른 엔티티로 이동하면 initialValue가 다시 적용되지 않는다
+        // (setMarkdown이 change 이벤트를 내므로 dirty 초기화보다 먼저 호출)
+        editorRef.current?.getInstance().setMarkdown(md, false);
         setOriginalMarkdown(md);
         setIsDirty(false);
     }, [entityName, getEntityPage]);
 
+    // wikiStore.loadAsOf()로 스냅샷이 적재돼 있으면 과거 버전을 나란히 표시
+    const pastMarkdown = snapshot ? getEntityPageAsOf(entityName) : null;
+
     const handleChange = useCallback(() => {
         setIsDirty(true);
     }, []);
 
+    // 참조됨 섹션의 엔티티 링크(entityHref)는 페이지 이동 대신 패널 안에서 전환
+    const handleLinkClick = useCallback((e) => {
+        const anchor = e.target.closest?.('a[href^="/wiki?entity="]');
+        if (!anchor || !onNavigate) return;
+        e.preventDefault();
+        const name = new URLSearchParams(anchor.getAttribute('href').split('?')[1]).get('entity');
+        if (name) onNavigate(name);
+    }, [onNavigate]);
+
     const handleSave = useCallback(async () => {
         const edited = editorRef.current?.getInstance().getMarkdown() || '';
         const { added, removed } = diffMarkdown(originalMarkdown, edited, entityName);
@@ -84,13 +108,31 @@ export function WikiPage({ entityName, onClose, onSave }) {
     return (
         <div className="fixed inset-0 z-50 flex justify-end" onClick={onClose}>
             <div
-                className="relative h-full w-full max-w-md bg-white shadow-2xl flex flex-col"
+                className={`relative h-full w-full ${pastMarkdown ? 'max-w-4xl' : 'max-w-md'} bg-white shadow-2xl flex flex-col`}
                 onClick={e => e.stopPropagation()}
             >
                 {/* 헤더 */}
                 <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
                     <h2 className="text-base font-semibold text-gray-900 truncate">{entityName}</h2>
                     <div className="flex items-center gap-2">
+                        <button
+                            onClick={() => setShowEvidence(v => !v)}
+                            className={`px-2 py-1 text-xs rounded-md ${showEvidence ? 'bg-gray-200 text-gray-800' : 'text-gray-500 hover:bg-gray-100'}`}
+                        >
+                            근거
+                        </button>
+                        <button
+                            onClick={() => setShowTimeline(v => !v)}
+                            className={`px-2 py-1 text-xs rounded-md ${showTimeline ? 'bg-gray-200 text-gray-800' : 'text-gray-500 hover:bg-gray-100'}`}
+                        >
+                            타임라인
+                        </button>
+                        <button
+                            onClick={() => setShowHistory(v => !v)}
+                            className={`px-2 py-1 text-xs rounded-md ${showHistory ? 'bg-gray-200 text-gray-800' : 'text-gray-500 hover:bg-gray-100'}`}
+                        >
+                            변경 이력
+                        </button>
                         {isDirty && (
                             <button
                                 onClick={handleSave}
@@ -109,25 +151,74 @@ export function WikiPage({ entityName, onClose, onSave }) {
                     </div>
                 </div>
 
-                {/* 에디터 */}
-                <div className="flex-1 overflow-hidden">
-                    {originalMarkdown !== '' || true ? (
-                        <Editor
-                            ref={editorRef}
-                            initialValue={originalMarkdown}
-                            previewStyle="vertical"
-                            height="100%"
-                            initialEditType="wysiwyg"
-                            useCommandShortcut={true}
-                            onChange={handleChange}
-                        />
-                    ) : null}
+                {showEvidence && <EvidencePanel entityName={entityName} />}
+                {showTimeline && <TripleTimelineList entityName={entityName} />}
+                {showHistory && <EntityDiffPanel entityName={entityName} />}
+
+                {/* 과거 스냅샷 (읽기 전용) + 에디터 */}
+                <div className="flex-1 overflow-hidden flex" onClickCapture={handleLinkClick}>
+                    {pastMarkdown && (
+                        <div className="w-1/2 h-full overflow-y-auto border-r border-gray-200 bg-gray-50 px-4 py-3">
+                            <p className="text-xs text-gray-400 mb-2">{snapshot.asOf.slice(0, 10)} 시점</p>
+                            <Viewer key={`${entityName}-${snapshot.asOf}`} initialValue={pastMarkdown} />
+                        </div>
+                    )}
+                    <div className={pastMarkdown ? 'w-1/2 h-full' : 'w-full h-full'}>
+                        {originalMarkdown !== '' || true ? (
+                            <Editor
+                                ref={editorRef}
+                                initialValue={originalMarkdown}
+                                previewStyle="vertical"
+                                height="100%"
+                                initialEditType="wysiwyg"
+                                useCommandShortcut={true}
+                                onChange={handleChange}
+                            />
+                        ) : null}
+                    </div>
                 </div>
             </div>
         </div>
     );
 }
 
+/**
+ * 이 엔티티의 트리플 줄 목록 — 줄을 누르면 그 subject–object 쌍의 교정 타임라인을 펼친다
+ */
+function TripleTimelineList({ entityName }) {
+    const key = entityName.toLowerCase().trim();
+    const outbound = useWikiStore(s => s.entityIndex[key] || EMPTY);
+    const inbound = useWikiStore(s => s.backlinkIndex[key] || EMPTY);
+    const [selected, setSelected] = useState(null);
+    const lines = [...outbound, ...inbound];
+
+    return (
+        <div className="px-4 py-3 border-b border-gray-200 bg-gray-50 text-sm flex flex-col gap-2 max-h-80 overflow-y-auto">
+            {lines.length === 0 && (
+                <p className="text-xs text-gray-400">기록된 관계가 없습니다.</p>
+            )}
+            {lines.map(t => {
+                const lineKey = tripleKey(t);
+                return (
+                    <div key={lineKey} className="flex flex-col gap-1">
+                        <button
+                            onClick={() => setSelected(s => (s === lineKey ? null : lineKey))}
+                            className={`text-left text-xs px-2 py-1 rounded-md ${selected === lineKey ? 'bg-gray-200 text-gray-900' : 'text-gray-700 hover:bg-gray-100'}`}
+                        >
+                            {t.subject} <strong>{t.predicate}</strong> {t.object}
+                        </button>
+                        {selected === lineKey && (
+                            <RelationTimelinePanel subject={t.subject} object={t.object} />
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+const EMPTY = [];
+
 function slugify(str) {
     return String(str).toLowerCase().replace(/\s+/g, '_').replace(/[^\w가-힣]/g, '').slice(0, 40);
 }
@@ -0,0 +1,73 @@
+/**
+ * entityDiff — 두 시점 사이 엔티티 페이지 변화 (추가 / 삭제 / 증거 등급 변경)
+ *
+ * snapshotIndexer로 복원한 두 시점의 트리플 집합을 받아, 한 엔티티의
+ * 페이지(buildEntityPage)가 어떻게 달라졌는지 트리플 단위로 비교한다.
+ * 동일성 판단은 markdownDiffer.tripleKey와 같은 정규화를 쓴다.
+ */
+
+import { buildEntityPage } from './tripleParser';
+import { tripleKey } from './markdownDiffer';
+
+/**
+ * 엔티티 트리플 diff
+ *
+ * @param {string} entityName
+ * @param {Array} beforeTriples - 이전 시점 전체 트리플
+ * @param {Array} afterTriples  - 이후 시점 전체 트리플
+ * @returns {{ added: Array, removed: Array, tierChanged: Array<{ before: object, after: object }> }}
+ */
+export function diffEntityTriples(entityName, beforeTriples, afterTriples) {
+    const before = indexEntity(entityName, beforeTriples);
+    const after = indexEntity(entityName, afterTriples);
+
+    const added = [];
+    const removed = [];
+    const tierChanged = [];
+
+    for (const [key, t] of after) {
+        const prev = before.get(key);
+        if (!prev) {
+            added.push(t);
+        } else if ((prev.evidence_tier || 'Speculative') !== (t.evidence_tier || 'Speculative')) {
+            tierChanged.push({ before: prev, after: t });
+        }
+    }
+
+    for (const [key, t] of before) {
+        if (!after.has(key)) removed.push(t);
+    }
+
+    return { added, removed, tierChanged };
+}
+
+/**
+ * 두 시점의 엔티티 페이지 + 트리플 diff (WikiPage 비교 패널용)
+ *
+ * @param {string} entityName
+ * @param {Array} beforeTriples
+ * @param {Array} afterTriples
+ * @returns {{ beforeMarkdown: string, afterMarkdown: string, added: Array, removed: Array, tierChanged: Array }}
+ */
+export function buildEntityPageDiff(entityName, beforeTriples, afterTriples) {
+    return {
+        beforeMarkdown: buildEntityPage(entityName, beforeTriples),
+        afterMarkdown: buildEntityPage(entityName, afterTriples),
+        ...diffEntityTriples(entityName, beforeTriples, afterTriples),
+    };
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function indexEntity(entityName, triples) {
+    const name = normalize(entityName);
+    const map = new Map();
+    for (const t of triples) {
+        if (normalize(t.subject) === name) map.set(tripleKey(t), t);
+    }
+    return map;
+}
+
+function normalize(str) {
+    return String(str || '').toLowerCase().trim();
+}
@@ -0,0 +1,85 @@
+/**
+ * evidenceSpan — 트리플의 근거 구절을 원문 메모 안의 문자 오프셋으로 고정
+ *
+ * 모델이 돌려주는 오프셋은 믿을 수 없으므로, 모델에게는 근거 구절을 그대로 인용하게 하고
+ * 오프셋은 여기서 원문(memo.content / RawMemoCache.body)을 검색해 직접 계산한다.
+ *
+ * graph.jsonl 트리플 필드:
+ *   evidence_span:    { start, end } | null   // body 기준 [start, end)
+ *   evidence_snippet: string | null           // 인용 구절 (원문을 못 찾아도 보존)
+ */
+
+const MAX_SNIPPET = 300;
+
+/**
+ * 원문에서 인용 구절 위치 찾기
+ * 정확히 일치하지 않으면 공백 차이를 무시하고 한 번 더 찾는다.
+ *
+ * @param {string} content
+ * @param {string} quote
+ * @returns {{ start: number, end: number } | null}
+ */
+export function locateEvidence(content, quote) {
+    const text = String(content || '');
+    const needle = String(quote || '').trim();
+    if (!text || !needle) return null;
+
+    const exact = text.indexOf(needle);
+    if (exact !== -1) return { start: exact, end: exact + needle.length };
+
+    const tokens = needle.split(/\s+/).map(escapeRegExp);
+    const match = new RegExp(tokens.join('\\s+')).exec(text);
+    return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+/**
+ * 인용 구절 → graph.jsonl 근거 필드
+ *
+ * @param {string} content - 메모 본문
+ * @param {string} quote - 모델이 인용한 근거 구절
+ * @returns {{ evidence_span: { start: number, end: number } | null, evidence_snippet: string | null }}
+ */
+export function buildEvidence(content, quote) {
+    const span = locateEvidence(content, quote);
+    if (span) {
+        return { evidence_span: span, evidence_snippet: content.slice(span.start, span.end).slice(0, MAX_SNIPPET) };
+    }
+    const snippet = String(quote || '').trim().slice(0, MAX_SNIPPET);
+    return { evidence_span: null, evidence_snippet: snippet || null };
+}
+
+/**
+ * 하이라이트 렌더링용 분할 — 근거 앞뒤로 context 글자만 남긴다
+ *
+ * 저장된 span이 현재 본문과 어긋나면(메모 수정) snippet으로 다시 찾는다.
+ *
+ * @param {string} content - 현재 메모 본문
+ * @param {{ start: number, end: number } | null} span
+ * @param {string|null} snippet
+ * @param {number} [context]
+ * @returns {{ before: string, match: string, after: string, clippedStart: boolean, clippedEnd: boolean } | null}
+ */
+export function sliceEvidence(content, span, snippet, context = 80) {
+    const text = String(content || '');
+    let resolved = span;
+    if (!resolved || (snippet && text.slice(resolved.start, resolved.end) !== snippet)) {
+        resolved = locateEvidence(text, snippet);
+    }
+    if (!resolved) return null;
+
+    const from = Math.max(0, resolved.start - context);
+    const to = Math.min(text.length, resolved.end + context);
+    return {
+        before: text.slice(from, resolved.start),
+        match: text.slice(resolved.start, resolved.end),
+        after: text.slice(resolved.end, to),
+        clippedStart: from > 0,
+        clippedEnd: to < text.length,
+    };
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
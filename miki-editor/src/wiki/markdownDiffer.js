@@ -37,6 +37,16 @@ export function diffMarkdown(original, edited, entityName) {
     return { added, removed };
 }
 
+/**
+ * 트리플 동일성 키 — subject/predicate/object를 소문자·trim 정규화해 결합
+ * diffMarkdown, entityDiff, snapshotIndexer가 같은 기준으로 트리플을 비교한다.
+ * @param {{ subject, predicate, object }} t
+ * @returns {string}
+ */
+export function tripleKey(t) {
+    return `${normalize(t.subject)}|${normalize(t.predicate)}|${normalize(t.object)}`;
+}
+
 // ── Helpers ────────────────────────────────────────────────────────────────
 
 function extractTripleLines(markdown, subject) {
@@ -48,10 +58,6 @@ function extractTripleLines(markdown, subject) {
     return triples;
 }
 
-function tripleKey(t) {
-    return `${normalize(t.subject)}|${normalize(t.predicate)}|${normalize(t.object)}`;
-}
-
 function normalize(str) {
     return String(str || '').toLowerCase().trim();
 }
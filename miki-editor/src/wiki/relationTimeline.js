@@ -0,0 +1,90 @@
+/**
+ * relationTimeline — 한 쌍의 엔티티(subject–object) 관계가 어떻게 변해 왔는지 시간순으로 엮기
+ *
+ * 세 로그를 하나의 타임라인으로 합친다:
+ *   triple        graph.jsonl (graphCache) — AI가 추출했거나 위키에서 직접 쓴 관계
+ *   card          reflectionsQueue — 시스템이 물어본 Reflection 카드와 그 결정 상태
+ *   intervention  interventionsCache — 사용자가 내린 결정
+ *
+ * 방향은 구분하지 않는다 ("나 → 앨리스"와 "앨리스 → 나"를 한 관계로 본다).
+ * 세 로그 모두 원래 이름으로 남아 있으므로 별칭 테이블로 대표 이름을 맞춘 뒤 비교한다.
+ * override: 사용자가 AI 제안을 뒤집거나 고친 지점 (거절·수정·직접 편집)
+ */
+
+import { resolveAlias } from './aliasResolver';
+
+// 사용자가 AI를 뒤집은 결정
+const OVERRIDE_TYPES = new Set(['reject', 'modify', 'edit']);
+const OVERRIDE_STATUSES = new Set(['rejected', 'modified']);
+// WikiPage 직접 편집으로 생긴 트리플의 source_memo_id
+const USER_SOURCE = 'wiki-edit';
+
+/**
+ * @param {string} subject
+ * @param {string} object
+ * @param {{ triples?: Array, cards?: Array, interventions?: Array, aliasTable?: Object }} sources
+ *   aliasTable - buildAliasTable() 결과 (wikiStore.aliasTable)
+ * @returns {Array<{ at: string | null, kind: 'triple' | 'card' | 'intervention', item: object, override: boolean, byUser: boolean }>}
+ */
+export function buildRelationTimeline(subject, object, { triples = [], cards = [], interventions = [], aliasTable = {} } = {}) {
+    const matches = pairMatcher(subject, object, aliasTable);
+    const events = [];
+
+    for (const t of triples) {
+        if (!matches(t)) continue;
+        const byUser = t.source_memo_id === USER_SOURCE;
+        events.push({ at: t.created_at || null, kind: 'triple', item: t, override: byUser, byUser });
+    }
+
+    for (const card of cards) {
+        const involved = [card.proposed_update, card.prior_triple, card.new_triple].some(t => t && matches(t));
+        if (!involved) continue;
+        events.push({
+            at: card.triggered_at || null,
+            kind: 'card',
+            item: card,
+            override: OVERRIDE_STATUSES.has(card.status),
+            byUser: false,
+        });
+    }
+
+    for (const iv of interventions) {
+        if (!matches(iv)) continue;
+        events.push({
+            at: iv.created_at || null,
+            kind: 'intervention',
+            item: iv,
+            override: OVERRIDE_TYPES.has(iv.type),
+            byUser: true,
+        });
+    }
+
+    // 시각 없는 항목은 맨 앞, 같은 시각이면 트리플 → 카드 → 결정 순
+    const KIND_ORDER = { triple: 0, card: 1, intervention: 2 };
+    return events.sort((a, b) =>
+        toTime(a.at) - toTime(b.at) || KIND_ORDER[a.kind] - KIND_ORDER[b.kind]
+    );
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function pairMatcher(subject, object, aliasTable) {
+    const canonical = name => normalize(resolveAlias(name, aliasTable).name);
+    const a = canonical(subject);
+    const b = canonical(object);
+    return t => {
+        const s = canonical(t.subject);
+        const o = canonical(t.object);
+        return (s === a && o === b) || (s === b && o === a);
+    };
+}
+
+function toTime(iso) {
+    if (!iso) return -Infinity;
+    const ms = new Date(iso).getTime();
+    return Number.isNaN(ms) ? -Infinity : ms;
+}
+
+function normalize(str) {
+    return String(str || '').toLowerCase().trim();
+}
@@ -0,0 +1,128 @@
+/**
+ * snapshotIndexer — graph.jsonl + interventions.jsonl → 특정 시점의 트리플 집합 복원
+ *
+ * graph.jsonl은 append-only라 "지금의 위키"만으로는 과거 상태를 알 수 없다.
+ * 트리플의 created_at과 intervention 이력(제거·복원·병합)을 하나의 시간순 이벤트 로그로
+ * 합친 뒤, 원하는 시점까지만 재생(replay)해 "그때의 나의 위키"를 만든다.
+ *
+ * 이벤트 종류:
+ *   add      graph.jsonl 트리플 (created_at)
+ *   remove   reject intervention — 해당 (subject, predicate, object) 제거
+ *   restore  accept/edit intervention, reject를 되돌린 revert — 이전에 제거된 트리플 복원
+ *   merge    merge intervention — subject(별칭)를 object(대표 이름)로 통합
+ *
+ * created_at이 없는 트리플은 "처음부터 존재"로 취급한다.
+ */
+
+import { tripleKey } from './markdownDiffer';
+
+const EVENT_ORDER = { add: 0, restore: 1, merge: 2, remove: 3 };
+
+/**
+ * 시간순 이벤트 인덱스 생성
+ *
+ * @param {Array} triples - graph.jsonl 전체 (graphCache)
+ * @param {Array} interventions - interventions.jsonl 전체 (interventionsCache)
+ * @returns {{ events: Array<{ at: number, kind: string, item: object }> }}
+ */
+export function buildSnapshotIndex(triples = [], interventions = []) {
+    const events = [];
+
+    for (const t of triples) {
+        events.push({ at: toTime(t.created_at), kind: 'add', item: t });
+    }
+
+    for (const iv of interventions) {
+        const kind = interventionKind(iv);
+        if (kind) events.push({ at: toTime(iv.created_at), kind, item: iv });
+    }
+
+    events.sort((a, b) => (a.at - b.at) || (EVENT_ORDER[a.kind] - EVENT_ORDER[b.kind]));
+    return { events };
+}
+
+/**
+ * 지정 시점의 트리플 집합 복원
+ *
+ * @param {{ events: Array }} index - buildSnapshotIndex() 결과
+ * @param {Date|string} date - Date, 'YYYY-MM-DD'(그날 끝까지), 'YYYY-MM'(그달 끝까지), ISO 문자열
+ * @returns {Array} 해당 시점에 위키에 있던 트리플
+ */
+export function snapshotAsOf(index, date) {
+    const cutoff = toCutoff(date);
+    const current = new Map();   // key → triple
+    const removed = new Map();   // key → 제거 직전 triple (restore용)
+    const aliases = new Map();   // normalize(alias) → canonical
+
+    const canonical = name => aliases.get(normalize(name)) || name;
+    const canonicalize = t => ({ ...t, subject: canonical(t.subject), object: canonical(t.object) });
+
+    for (const { at, kind, item } of index.events) {
+        if (at > cutoff) break;
+
+        if (kind === 'add') {
+            const t = canonicalize(item);
+            current.set(tripleKey(t), t);
+            continue;
+        }
+
+        const key = tripleKey(canonicalize(item));
+
+        if (kind === 'remove') {
+            if (current.has(key)) {
+                removed.set(key, current.get(key));
+                current.delete(key);
+            }
+        } else if (kind === 'restore') {
+            if (removed.has(key) && !current.has(key)) {
+                current.set(key, removed.get(key));
+                removed.delete(key);
+            }
+        } else if (kind === 'merge') {
+            aliases.set(normalize(item.subject), item.object);
+            for (const [oldKey, t] of [...current]) {
+                const merged = canonicalize(t);
+                const newKey = tripleKey(merged);
+                if (newKey === oldKey) continue;
+                current.delete(oldKey);
+                current.set(newKey, merged);
+            }
+        }
+    }
+
+    return [...current.values()];
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function interventionKind(iv) {
+    if (iv.type === 'reject') return 'remove';
+    if (iv.type === 'accept' || iv.type === 'edit') return 'restore';
+    if (iv.type === 'revert' && iv.reverted_type === 'reject') return 'restore';
+    if (iv.type === 'merge' && iv.subject && iv.object) return 'merge';
+    return null;
+}
+
+function toTime(iso) {
+    if (!iso) return -Infinity;
+    const ms = new Date(iso).getTime();
+    return Number.isNaN(ms) ? -Infinity : ms;
+}
+
+function toCutoff(date) {
+    if (date instanceof Date) return date.getTime();
+    const str = String(date || '');
+    if (/^\d{4}-\d{2}$/.test(str)) {
+        const [year, month] = str.split('-').map(Number);
+        return Date.UTC(year, month, 1) - 1;
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+        return new Date(`${str}T23:59:59.999Z`).getTime();
+    }
+    const ms = new Date(str).getTime();
+    return Number.isNaN(ms) ? Date.now() : ms;
+}
+
+function normalize(str) {
+    return String(str || '').toLowerCase().trim();
+}
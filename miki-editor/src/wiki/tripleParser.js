@@ -7,6 +7,8 @@
  * - **신뢰**: 이영희 (Grounded)
  * ## 태도
  * - **좋아한다**: 독서 (Speculative)
+ * ## 참조됨
+ * - **신뢰한다** ← [이영희](/wiki?entity=이영희)
  * _마지막 업데이트: 2026-05-12_
  */
 
@@ -24,12 +26,20 @@ export function buildEntityPage(entityName, allTriples) {
     const related = allTriples.filter(
         t => normalize(t.subject) === normalize(name)
     );
+    // 이 엔티티가 object인 트리플 (자기 참조는 related에 이미 포함)
+    const inbound = allTriples.filter(
+        t => normalize(t.object) === normalize(name) && normalize(t.subject) !== normalize(name)
+    );
 
-    if (!related.length) {
+    if (!related.length && !inbound.length) {
         return `# ${name}\n\n_아직 기록된 정보가 없습니다._\n`;
     }
 
-    const byType = groupBy(related, t => t.entity_type || 'stance');
+    // register 병합 트리플(aliasResolver)은 맥락별 섹션으로 분리
+    const untagged = related.filter(t => !t.register);
+    const byRegister = groupBy(related.filter(t => t.register), t => t.register);
+
+    const byType = groupBy(untagged, t => t.entity_type || 'stance');
     const sections = [];
 
     if (byType.person?.length) {
@@ -41,6 +51,12 @@ export function buildEntityPage(entityName, allTriples) {
     if (byType.stance?.length) {
         sections.push(renderSection('태도', byType.stance));
     }
+    for (const [register, triples] of Object.entries(byRegister)) {
+        sections.push(renderSection(`맥락: ${register}`, triples));
+    }
+    if (inbound.length) {
+        sections.push(renderBacklinks(inbound));
+    }
 
     // 출처 메모 링크
     const memoIds = [...new Set(related.map(t => t.source_memo_id).filter(Boolean))];
@@ -107,6 +123,28 @@ function renderSection(title, triples) {
     return `## ${title}\n${lines.join('\n')}\n`;
 }
 
+/**
+ * 역참조 섹션 — predicate별로 묶고 subject 페이지 링크를 붙인다.
+ * `- **p** ← ...` 형식은 parseTripleLine에 걸리지 않으므로 편집 diff에서 제외된다.
+ */
+function renderBacklinks(triples) {
+    const byPredicate = groupBy(triples, t => t.predicate);
+    const lines = Object.entries(byPredicate).map(([predicate, items]) => {
+        const subjects = [...new Set(items.map(t => t.subject.trim()))];
+        return `- **${predicate}** ← ${subjects.map(s => `[${s}](${entityHref(s)})`).join(', ')}`;
+    });
+    return `## 참조됨\n${lines.join('\n')}\n`;
+}
+
+/**
+ * 엔티티 페이지 링크 (WikiIndex가 ?entity= 쿼리로 페이지를 연다)
+ * @param {string} entityName
+ * @returns {string}
+ */
+export function entityHref(entityName) {
+    return `/wiki?entity=${encodeURIComponent(entityName)}`;
+}
+
 function normalize(str) {
     return String(str || '').toLowerCase().trim();
 }
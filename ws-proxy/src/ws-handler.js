@@ -7,7 +7,7 @@
  *   Server → Client: { id, success, data }  |  { id, success: false, error, code }
  *
  * Supported actions:
- *   github.getFile            — get single file content + sha
+ *   github.getFile            — get single file content + sha (optionally at a commit ref)
  *   github.getFiles           — list directory contents
  *   github.getFilesWithMeta   — GraphQL: batch files with content (avoids N+1)
  *   github.createOrUpdateFile — create / update file (SHA auto-resolved)
@@ -16,6 +16,7 @@
  *   github.getRepo            — get repository info
  *   github.createRepo         — create new repository
  *   github.getLastCommitDate  — last commit date for a path
+ *   github.listCommits        — commits touching a path (revision history)
  *   ping                      — connectivity check
  */
 
@@ -97,15 +98,16 @@ function makeOctokit(token) {
 
 /**
  * Get a single file from GitHub.
- * payload: { repoName, path, owner? }
+ * payload: { repoName, path, owner?, ref? }
  * returns: { name, path, sha, content (decoded utf-8), size, html_url }
  */
 async function handleGetFile(octokit, username, payload) {
-    const { repoName, path, owner } = payload;
+    const { repoName, path, owner, ref } = payload;
     const { data } = await octokit.rest.repos.getContent({
         owner: owner || username,
         repo: repoName,
-        path
+        path,
+        ...(ref && { ref })
     });
 
     if (Array.isArray(data)) {
@@ -306,6 +308,27 @@ async function handleGetLastCommitDate(octokit, username, payload) {
     }
 }
 
+/**
+ * List commits touching a path, newest first.
+ * payload: { repoName, path, owner?, perPage? }
+ * returns: Array<{ sha, message, date, author }>
+ */
+async function handleListCommits(octokit, username, payload) {
+    const { repoName, path, owner, perPage = 30 } = payload;
+    const { data } = await octokit.rest.repos.listCommits({
+        owner: owner || username,
+        repo: repoName,
+        path,
+        per_page: Math.min(perPage, 100)
+    });
+    return data.map(c => ({
+        sha: c.sha,
+        message: c.commit.message,
+        date: c.commit.committer?.date || c.commit.author?.date || null,
+        author: c.commit.author?.name || c.author?.login || null
+    }));
+}
+
 // ─── Action dispatcher ─────────────────────────────────────────────────────
 
 const ACTION_HANDLERS = {
@@ -317,7 +340,8 @@ const ACTION_HANDLERS = {
     'github.getUser': handleGetUser,
     'github.getRepo': handleGetRepo,
     'github.createRepo': handleCreateRepo,
-    'github.getLastCommitDate': handleGetLastCommitDate
+    'github.getLastCommitDate': handleGetLastCommitDate,
+    'github.listCommits': handleListCommits
 };
 
 /**
@@ -350,6 +374,20 @@ async function dispatch(ws, msg) {
         return ok(id, { notified: true });
     }
 
+    // collab.update: relay CRDT sync messages to other devices of same user.
+    // The payload is opaque here (sealed with the vault key when E2EE is on).
+    if (action === 'collab.update') {
+        if (ws.wsLogin) {
+            // Payload goes first so a client-supplied type/ts cannot override the relay's own.
+            broadcastToLogin(ws.wsLogin, ws, {
+                ...payload,  // docId, peer, kind, lineage, sv, update | sealed
+                type: 'collab:update',
+                ts: Date.now()
+            });
+        }
+        return ok(id, { relayed: true });
+    }
+
     const handler = ACTION_HANDLERS[action];
     if (!handler) {
         return fail(id, `Unknown action: ${action}`, 'UNKNOWN_ACTION');